@@ -1,12 +1,19 @@
 // ============================================================================
 // Admin Controller — Handles admin dashboard endpoints
 // ============================================================================
-// All endpoints require admin wallet authentication (requireAdminAuth middleware).
+// Every endpoint requires a wallet whose platform roles grant the route's
+// permission (requirePermission middleware, see routes/admin.js).
 
 const path = require("path");
 const fs = require("fs");
+const { ethers } = require("ethers");
+const mongoose = require("mongoose");
 const InstitutionApplication = require("../models/InstitutionApplication");
+const RoleAssignment = require("../models/RoleAssignment");
+const accessControl = require("../services/accessControl");
 const blockchainService = require("../services/blockchainService");
+const indexerService = require("../services/indexerService");
+const pinService = require("../services/pinService");
 const { generateVerificationReport } = require("../services/verificationService");
 const emailService = require("../services/emailService");
 
@@ -132,6 +139,7 @@ async function approveApplication(req, res) {
         details: err.message,
       });
     }
+    accessControl.forgetInstitution(application.walletAddress);
 
     // Update application status
     application.status = "approved";
@@ -259,24 +267,53 @@ async function updateChecklist(req, res) {
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /api/admin/institutions — List all authorized institutions
 // ─────────────────────────────────────────────────────────────────────────────
+
+// "suspended" is temporary and reversible; "removed" means deauthorized.
+// The chain decides removal; a stored suspension flag never masks it.
+function institutionState(chainInst, application) {
+  if (!chainInst.isAuthorized) return "removed";
+  if (application?.suspended || !chainInst.isActive) return "suspended";
+  return "active";
+}
+
 async function listAuthorizedInstitutions(req, res) {
   try {
-    // Get from blockchain
+    // Served from the event index once backfilled; live RPC otherwise
     let blockchainInstitutions = [];
+    let source = "rpc";
     try {
-      blockchainInstitutions = await blockchainService.getAllInstitutions();
+      if (indexerService.isReady()) {
+        blockchainInstitutions = await indexerService.getInstitutions();
+        source = "index";
+      } else {
+        blockchainInstitutions = await blockchainService.getAllInstitutions();
+      }
     } catch {
       // Blockchain not available
     }
 
     // Get approved applications from DB for extra metadata
     const dbInstitutions = await InstitutionApplication.find({ status: "approved" })
-      .select("institutionName walletAddress country registrationNumber blockchainTxHash appliedDate reviewedDate")
-      .sort({ reviewedDate: -1 });
+      .select("institutionName walletAddress country registrationNumber blockchainTxHash appliedDate reviewedDate suspended suspendedDate suspensionReason")
+      .sort({ reviewedDate: -1 })
+      .lean();
+
+    const applicationsByWallet = new Map(dbInstitutions.map((a) => [a.walletAddress, a]));
 
     res.json({
-      blockchain: blockchainInstitutions,
-      database: dbInstitutions,
+      source,
+      blockchain: blockchainInstitutions.map((inst) => {
+        const application = applicationsByWallet.get(inst.address.toLowerCase());
+        return {
+          ...inst,
+          state: institutionState(inst, application),
+          suspensionReason: application?.suspended ? application.suspensionReason : null,
+        };
+      }),
+      database: dbInstitutions.map((a) => ({
+        ...a,
+        state: a.suspended ? "suspended" : "active",
+      })),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -301,6 +338,7 @@ async function deauthorizeInstitution(req, res) {
         details: err.message,
       });
     }
+    accessControl.forgetInstitution(address);
 
     // Update DB application if exists
     await InstitutionApplication.findOneAndUpdate(
@@ -309,6 +347,9 @@ async function deauthorizeInstitution(req, res) {
         status: "rejected",
         rejectionReason: reason || "Deauthorized by admin",
         authorizedOnChain: false,
+        suspended: false,
+        suspendedDate: null,
+        suspensionReason: null,
         reviewedDate: new Date(),
         reviewedBy: req.adminAddress,
       }
@@ -328,6 +369,121 @@ async function deauthorizeInstitution(req, res) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/admin/suspend/:address — Temporarily suspend an institution
+// POST /api/admin/reactivate/:address — Lift a suspension
+// ─────────────────────────────────────────────────────────────────────────────
+// Both require { reason } in the body. Each change is appended to the
+// application's suspensionHistory and the institution is notified by email.
+
+async function changeSuspension(req, res, action) {
+  const { address } = req.params;
+  const reason = String(req.body.reason || "").trim();
+  const suspending = action === "suspended";
+
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: "Invalid wallet address" });
+  }
+  if (!reason) {
+    return res.status(400).json({
+      error: `${suspending ? "Suspension" : "Reactivation"} reason is required`,
+    });
+  }
+
+  // Pre-check on-chain state so we don't spend gas on a guaranteed revert
+  try {
+    const info = await blockchainService.getInstitutionInfo(address);
+    if (!info.authorizedDate) {
+      return res.status(404).json({ error: "Institution not found on blockchain" });
+    }
+    if (suspending && !info.isActive) {
+      return res.status(409).json({ error: "Institution is already suspended or removed" });
+    }
+    if (!suspending && info.isActive) {
+      return res.status(409).json({ error: "Institution is not suspended" });
+    }
+  } catch {
+    // Blockchain read failed — let the transaction report the real error
+  }
+
+  let txResult;
+  try {
+    txResult = suspending
+      ? await blockchainService.suspendInstitution(address)
+      : await blockchainService.reactivateInstitution(address);
+  } catch (err) {
+    return res.status(500).json({
+      error: `Blockchain ${suspending ? "suspension" : "reactivation"} failed`,
+      details: err.message,
+    });
+  }
+  accessControl.forgetInstitution(address);
+
+  const now = new Date();
+  const application = await InstitutionApplication.findOneAndUpdate(
+    { walletAddress: address.toLowerCase() },
+    {
+      $set: {
+        suspended: suspending,
+        suspendedDate: suspending ? now : null,
+        suspensionReason: suspending ? reason : null,
+      },
+      $push: {
+        suspensionHistory: {
+          action,
+          reason,
+          by: req.adminAddress,
+          date: now,
+          txHash: txResult.txHash,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  // Notify the institution (non-blocking)
+  if (application) {
+    try {
+      await emailService.sendInstitutionEmail(application.contactEmail, action, {
+        institutionName: application.institutionName,
+        walletAddress: application.walletAddress,
+        reason,
+        txHash: txResult.txHash,
+      });
+    } catch (emailErr) {
+      console.error(`Failed to send ${action} email:`, emailErr.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    address,
+    state: suspending ? "suspended" : "active",
+    reason,
+    blockchain: {
+      txHash: txResult.txHash,
+      blockNumber: txResult.blockNumber,
+    },
+    message: `Institution at ${address} has been ${action}.`,
+  });
+}
+
+async function suspendInstitution(req, res) {
+  try {
+    await changeSuspension(req, res, "suspended");
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+async function reactivateInstitution(req, res) {
+  try {
+    await changeSuspension(req, res, "reactivated");
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /api/admin/stats — Dashboard statistics
 // ─────────────────────────────────────────────────────────────────────────────
@@ -347,7 +503,9 @@ async function getStats(req, res) {
 
     let blockchainStats = { totalCertificates: 0, totalInstitutions: 0, totalRevocations: 0 };
     try {
-      blockchainStats = await blockchainService.getStats();
+      blockchainStats = indexerService.isReady()
+        ? await indexerService.getStats()
+        : await blockchainService.getStats();
     } catch {
       // Blockchain not available
     }
@@ -435,6 +593,178 @@ async function serveDocument(req, res) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/admin/daily-limit — Change maxDailyCertificates on the contract
+// ─────────────────────────────────────────────────────────────────────────────
+async function setDailyLimit(req, res) {
+  try {
+    const limit = Number(req.body.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: "limit must be a positive integer" });
+    }
+
+    const result = await blockchainService.setMaxDailyCertificates(limit);
+
+    let quota = null;
+    try {
+      quota = await blockchainService.getDailyQuota();
+    } catch {
+      // Blockchain read failed after the write — the tx result is what matters
+    }
+
+    res.json({
+      success: true,
+      limit,
+      txHash: result.txHash,
+      blockNumber: result.blockNumber,
+      quota,
+    });
+  } catch (err) {
+    console.error("Set daily limit error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/admin/transactions — Signer transactions (?status=pending)
+// ─────────────────────────────────────────────────────────────────────────────
+async function listTransactions(req, res) {
+  try {
+    const status = req.query.status ? String(req.query.status) : undefined;
+    const limit = Math.min(200, Math.max(1, parseInt(String(req.query.limit || "50"), 10) || 50));
+    const transactions = await blockchainService.listTransactions({ status, limit });
+    res.json({ transactions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/admin/transactions/:txId/speed-up — Re-send with higher fees
+// POST /api/admin/transactions/:txId/cancel   — Replace with a 0-value self-transfer
+// ─────────────────────────────────────────────────────────────────────────────
+async function changePendingTransaction(req, res, action) {
+  try {
+    const { txId } = req.params;
+    const transaction =
+      action === "cancel"
+        ? await blockchainService.cancelTransaction(txId)
+        : await blockchainService.speedUpTransaction(txId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: "No pending transaction with that ID is being watched" });
+    }
+    res.json({ success: true, transaction });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+}
+
+function speedUpTransaction(req, res) {
+  return changePendingTransaction(req, res, "speedup");
+}
+
+function cancelTransaction(req, res) {
+  return changePendingTransaction(req, res, "cancel");
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/admin/pins — Storage quota, pin health and problem certificates
+// ─────────────────────────────────────────────────────────────────────────────
+async function getPinReport(req, res) {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: "Database unavailable. The pin inventory is stored in MongoDB." });
+    }
+    const limit = Math.min(200, Math.max(1, parseInt(String(req.query.limit || "50"), 10) || 50));
+    res.json(await pinService.getReport({ limit }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/admin/pins/audit — Run one pin audit pass now
+// ─────────────────────────────────────────────────────────────────────────────
+async function runPinAudit(req, res) {
+  try {
+    const run = await pinService.runAudit();
+    res.json({ success: true, run });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/admin/roles — Role assignments (?role=&address=&institution=)
+// ─────────────────────────────────────────────────────────────────────────────
+async function listRoles(req, res) {
+  try {
+    if (!accessControl.isAvailable()) {
+      return res.status(503).json({ error: "Database unavailable. Roles are stored in MongoDB." });
+    }
+    const query = {};
+    for (const key of ["role", "address", "institution"]) {
+      if (req.query[key]) query[key] = String(req.query[key]).toLowerCase();
+    }
+    const assignments = await RoleAssignment.find(query).sort({ createdAt: -1 }).limit(500).lean();
+    res.json({
+      roles: accessControl.ROLES,
+      bootstrapAdmin: accessControl.BOOTSTRAP_ADMIN,
+      assignments,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/admin/roles — Grant a role. Body: { address, role, institution?, note? }
+// institution (wallet) is required for institution_* roles
+// ─────────────────────────────────────────────────────────────────────────────
+async function grantRole(req, res) {
+  try {
+    if (!accessControl.isAvailable()) {
+      return res.status(503).json({ error: "Database unavailable. Roles are stored in MongoDB." });
+    }
+    const assignment = await accessControl.grantRole(req.body || {}, req.adminAddress);
+    res.status(201).json({ success: true, assignment });
+  } catch (err) {
+    if (err.code === "INVALID_ROLE") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Grant role error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DELETE /api/admin/roles/:id — Revoke a role assignment
+// ─────────────────────────────────────────────────────────────────────────────
+async function revokeRole(req, res) {
+  try {
+    if (!accessControl.isAvailable()) {
+      return res.status(503).json({ error: "Database unavailable. Roles are stored in MongoDB." });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid role assignment ID" });
+    }
+    const assignment = await RoleAssignment.findById(req.params.id).lean();
+    if (!assignment) {
+      return res.status(404).json({ error: "Role assignment not found" });
+    }
+    // Keeps an admin from locking themselves out (the bootstrap admin can't be)
+    if (assignment.role === "super_admin" && assignment.address === req.adminAddress) {
+      return res.status(409).json({ error: "You cannot revoke your own super_admin role" });
+    }
+
+    await RoleAssignment.deleteOne({ _id: assignment._id });
+    res.json({ success: true, revoked: assignment });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
 module.exports = {
   listApplications,
   getApplicationDetails,
@@ -443,7 +773,18 @@ module.exports = {
   updateChecklist,
   listAuthorizedInstitutions,
   deauthorizeInstitution,
+  suspendInstitution,
+  reactivateInstitution,
   getStats,
+  setDailyLimit,
+  listTransactions,
+  speedUpTransaction,
+  cancelTransaction,
   getVerificationReport,
   serveDocument,
+  getPinReport,
+  runPinAudit,
+  listRoles,
+  grantRole,
+  revokeRole,
 };
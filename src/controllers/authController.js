@@ -0,0 +1,124 @@
+// ============================================================================
+// Auth Controller — Wallet sign-in, sessions and sign-out
+// ============================================================================
+// Flow: GET /nonce → the wallet signs a SIWE message (or EIP-712 Login) with
+// that nonce → POST /login returns a session token and sets it as an
+// HTTP-only cookie → later requests send either one.
+
+const authService = require("../services/authService");
+const accessControl = require("../services/accessControl");
+const { SESSION_COOKIE, readSessionToken } = require("../middleware/authMiddleware");
+
+// Cross-site frontends need AUTH_COOKIE_SAMESITE=none (which forces Secure)
+const COOKIE_SAMESITE = ["strict", "lax", "none"].includes(process.env.AUTH_COOKIE_SAMESITE)
+  ? process.env.AUTH_COOKIE_SAMESITE
+  : "lax";
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: COOKIE_SAMESITE,
+  secure: COOKIE_SAMESITE === "none" || process.env.NODE_ENV === "production",
+  path: "/",
+};
+
+function ensureAuthStore(res) {
+  if (!authService.isAvailable()) {
+    res.status(503).json({
+      error: "Database unavailable. Sign-in needs MongoDB to store nonces and sessions.",
+    });
+    return false;
+  }
+  return true;
+}
+
+// isAdmin is kept for clients that only distinguish admins from institutions
+function describeAccess(access) {
+  return {
+    isAdmin: access.platformRoles.includes("super_admin"),
+    roles: access.roles.map(({ role, institution }) => ({ role, institution })),
+    permissions: access.platformPermissions,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/auth/nonce — Single-use nonce plus the values the message must carry
+// ─────────────────────────────────────────────────────────────────────────────
+async function getNonce(req, res) {
+  try {
+    if (!ensureAuthStore(res)) return;
+    const { nonce, expiresAt } = await authService.issueNonce();
+    res.json({ nonce, expiresAt, ...authService.loginParams() });
+  } catch (err) {
+    console.error("Nonce error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/login — Body: { message, signature }
+// message is the signed SIWE text, or the EIP-712 Login fields
+// ─────────────────────────────────────────────────────────────────────────────
+async function login(req, res) {
+  try {
+    if (!ensureAuthStore(res)) return;
+
+    const result = await authService.verifyLogin(req.body || {});
+    if (!result.valid) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const session = await authService.createSession(result, {
+      userAgent: req.headers["user-agent"],
+      ip: req.ip,
+    });
+    const access = await accessControl.loadAccess(session.address);
+    res.cookie(SESSION_COOKIE, session.token, { ...COOKIE_OPTIONS, expires: session.expiresAt });
+    res.json({
+      token: session.token,
+      address: session.address,
+      signatureType: result.signatureType,
+      expiresAt: session.expiresAt,
+      ...describeAccess(access),
+    });
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/logout — Ends the current session (bearer or cookie)
+// ─────────────────────────────────────────────────────────────────────────────
+async function logout(req, res) {
+  try {
+    const { token } = readSessionToken(req);
+    const signedOut = await authService.revokeSession(token);
+    res.clearCookie(SESSION_COOKIE, COOKIE_OPTIONS);
+    res.json({ signedOut });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/auth/session — Who the current session belongs to (requires auth)
+// ─────────────────────────────────────────────────────────────────────────────
+function getSession(req, res) {
+  const session = req.authSession;
+  res.json({
+    address: session.address,
+    method: session.method,
+    signatureType: session.signatureType || "ecdsa",
+    chainId: session.chainId,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    ...describeAccess(req.access),
+  });
+}
+
+module.exports = {
+  getNonce,
+  login,
+  logout,
+  getSession,
+};
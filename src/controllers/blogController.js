@@ -8,7 +8,6 @@ const mongoose = require("mongoose");
 const BlogPost = require("../models/BlogPost");
 const BlogAuditLog = require("../models/BlogAuditLog");
 const blockchainService = require("../services/blockchainService");
-const { isAdminWallet } = require("../middleware/adminMiddleware");
 
 const MAX_PAGE_SIZE = 24;
 const MAX_LOG_PAGE_SIZE = 50;
@@ -177,7 +176,7 @@ function responseFromBlog(post, opts = {}) {
 
 function requesterFlags(req, post = null) {
   const requesterWallet = String(req.walletAddress || req.adminAddress || "").toLowerCase();
-  const requesterIsAdmin = requesterWallet ? isAdminWallet(requesterWallet) : false;
+  const requesterIsAdmin = Boolean(req.access?.can("blogs:moderate"));
   const requesterIsOwner =
     post && requesterWallet
       ? String(post.authorWallet || "").toLowerCase() === requesterWallet
@@ -321,7 +320,7 @@ async function listMyBlogs(req, res) {
       blogs: posts.map((post) => responseFromBlog(post, {
         includeContent: false,
         isOwner: true,
-        isAdmin: isAdminWallet(wallet),
+        isAdmin: req.access.can("blogs:moderate"),
       })),
       pagination: {
         page,
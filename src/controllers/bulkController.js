@@ -7,33 +7,74 @@ const fs = require("fs");
 const archiver = require("archiver");
 const XLSX = require("xlsx");
 const { v4: uuidv4 } = require("uuid");
+const mongoose = require("mongoose");
 
+const BulkJob = require("../models/BulkJob");
 const { parseFile } = require("../utils/csvParser");
 const { validateBatch, validateColumns } = require("../utils/validator");
-const blockchainService = require("../services/blockchainService");
-const ipfsService = require("../services/ipfsService");
-const pdfService = require("../services/pdfService");
 const qrService = require("../services/qrService");
-const emailService = require("../services/emailService");
+const blockchainService = require("../services/blockchainService");
+const badgeService = require("../services/badgeService");
+const jobQueue = require("../services/jobQueue");
+const jobEvents = require("../services/jobEvents");
+const {
+  quotaForRows,
+  phaseProgress,
+  hasCheckpoint,
+  isRowFinished,
+} = require("../services/bulkPipeline");
+
+// ── Job store (MongoDB) ─────────────────────────────────────────────────────
+// Jobs run on a queue worker (services/jobQueue.js); handlers here only
+// change their status.
+
+function ensureMongoConnected(res) {
+  if (mongoose.connection.readyState !== 1) {
+    res.status(503).json({
+      error: "Database unavailable. Ensure MongoDB is connected before using bulk issuance.",
+    });
+    return false;
+  }
+  return true;
+}
 
-// ── In-memory job store (use Redis/DB in production) ────────────────────────
-const jobs = new Map();
+// Jobs belong to the institution they issue for and are visible to all of its
+// staff. Another institution's job is reported as not found rather than
+// forbidden.
+function findOwnedJob(jobId, institutionAddress) {
+  return BulkJob.findOne({ jobId, ownerWallet: institutionAddress }).lean();
+}
 
 // ── Upload & Validate CSV ───────────────────────────────────────────────────
 // POST /api/bulk/upload
-// Accepts a CSV/XLSX file, parses it, validates all rows, returns preview
+// Accepts a CSV/XLSX file, parses it, validates all rows, returns preview.
+// `quota` is the platform-wide signer quota (shared by every institution),
+// not this institution's.
 
 async function uploadCSV(req, res) {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No file uploaded" });
     }
+    if (!ensureMongoConnected(res)) {
+      fs.unlinkSync(req.file.path);
+      return;
+    }
 
     const filePath = req.file.path;
 
     // Parse CSV/Excel
     const records = await parseFile(filePath);
 
+    // The institution is always the caller's on-chain name — whatever the
+    // file says is ignored, so the column is optional.
+    const institutionName = req.institution.name;
+    let institutionOverrides = 0;
+    for (const record of records) {
+      if (record.institution && record.institution !== institutionName) institutionOverrides++;
+      record.institution = institutionName;
+    }
+
     // Check required columns exist
     const colCheck = validateColumns(records);
     if (!colCheck.valid) {
@@ -53,22 +94,33 @@ async function uploadCSV(req, res) {
     const jobId = uuidv4();
 
     // Store job data
-    jobs.set(jobId, {
-      id: jobId,
+    await BulkJob.create({
+      jobId,
+      ownerWallet: req.institution.address,
+      createdBy: req.walletAddress,
       status: "validated",
       filePath,
       fileName: req.file.originalname,
       records: validation.validRecords,
       invalidRecords: validation.invalidRecords,
-      validation,
-      createdAt: new Date().toISOString(),
-      progress: null,
-      results: null,
+      validation: {
+        totalRows: validation.totalRows,
+        validCount: validation.validCount,
+        invalidCount: validation.invalidCount,
+        hasErrors: validation.hasErrors,
+        errors: validation.errors,
+        warnings: validation.warnings,
+      },
     });
 
+    const quota = await quotaForRows(validation.validCount);
+
     res.json({
       jobId,
       fileName: req.file.originalname,
+      institution: institutionName,
+      quota,
+      institutionOverrides,
       totalRows: validation.totalRows,
       validCount: validation.validCount,
       invalidCount: validation.invalidCount,
@@ -86,50 +138,102 @@ async function uploadCSV(req, res) {
 
 // ── Process Batch ───────────────────────────────────────────────────────────
 // POST /api/bulk/process
-// Body: { jobId, templateName?, sendEmails? }
-// Issues certificates on blockchain, generates PDFs, QR codes, optionally sends emails
+// Body: { jobId, templateName?, sendEmails?, badges?, splitAcrossDays?, priority?, dryRun? }
+// Queues the job; a worker issues certificates on blockchain, generates PDFs,
+// QR codes and optionally Open Badges images and emails.
+// priority: "low" | "normal" | "high"
+// dryRun: true only simulates the on-chain issuance (see dryRunBatch) and
+// leaves the job as it is.
 
 async function processBatch(req, res) {
   try {
-    const { jobId, templateName = "default-certificate", sendEmails = false } = req.body;
+    const {
+      jobId,
+      templateName = "default-certificate",
+      sendEmails = false,
+      badges = false,
+      splitAcrossDays = false,
+      priority: priorityName,
+      dryRun = false,
+    } = req.body;
 
     if (!jobId) {
       return res.status(400).json({ error: "jobId is required" });
     }
+    const priority = jobQueue.parsePriority(priorityName);
+    if (priority === null) {
+      return res.status(400).json({
+        error: `priority must be one of: ${Object.keys(jobQueue.PRIORITIES).join(", ")}`,
+      });
+    }
+    if (!ensureMongoConnected(res)) return;
 
-    const job = jobs.get(jobId);
+    const job = await findOwnedJob(jobId, req.institution.address);
     if (!job) {
       return res.status(404).json({ error: "Job not found" });
     }
-    if (job.status === "processing") {
+    if (dryRun) {
+      return res.json(await dryRunBatch(job));
+    }
+    if (job.status === "queued" || job.status === "processing") {
       return res.status(409).json({ error: "Job is already being processed" });
     }
+    if (job.status !== "validated") {
+      return res.status(409).json({
+        error: `Job has already been processed (status: ${job.status})`,
+        hint: `POST /api/bulk/resume/${jobId} to retry unfinished rows`,
+      });
+    }
     if (job.records.length === 0) {
       return res.status(400).json({ error: "No valid records to process" });
     }
 
-    // Mark as processing
-    job.status = "processing";
-    job.progress = {
-      phase: "starting",
-      current: 0,
-      total: job.records.length,
-      percent: 0,
-    };
+    // Refuse up front rather than failing halfway with on-chain reverts
+    const quota = await quotaForRows(job.records.length);
+    if (quota && !quota.fitsToday && !splitAcrossDays) {
+      return res.status(409).json({
+        error: `Daily issuance limit exceeded: ${job.records.length} certificates requested, ${quota.remaining} of ${quota.limit} left today`,
+        quota,
+        hint: "Pass splitAcrossDays: true to issue what fits today and continue automatically after the daily reset",
+      });
+    }
+
+    // Queue it — the status filter makes this atomic, so two concurrent
+    // requests cannot both queue the job
+    const queued = await BulkJob.findOneAndUpdate(
+      { jobId, status: "validated" },
+      {
+        $set: {
+          status: "queued",
+          progress: phaseProgress("queued", 0, job.records.length),
+          templateName,
+          sendEmails: Boolean(sendEmails),
+          badges: Boolean(badges),
+          splitAcrossDays: Boolean(splitAcrossDays),
+          quota,
+          priority,
+          queuedAt: new Date(),
+          resuming: false,
+          error: null,
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!queued) {
+      return res.status(409).json({ error: "Job is already being processed" });
+    }
+
+    void jobEvents.publishStatus(jobId, "queued", { resuming: false });
+    jobQueue.poke();
 
-    // Respond immediately — processing continues in background
     res.json({
       jobId,
-      status: "processing",
+      status: "queued",
       totalRecords: job.records.length,
-      message: "Processing started. Poll /api/bulk/status/:jobId for progress.",
-    });
-
-    // ── Run the pipeline in background ────────────────────────────────────
-    processPipeline(job, templateName, sendEmails).catch((err) => {
-      console.error(`Job ${jobId} pipeline error:`, err);
-      job.status = "failed";
-      job.error = err.message;
+      priority: priorityName || "normal",
+      queuePosition: await jobQueue.getQueuePosition(queued),
+      quota,
+      message: "Job queued. Poll /api/bulk/status/:jobId for progress.",
     });
   } catch (err) {
     console.error("Process batch error:", err);
@@ -137,191 +241,355 @@ async function processBatch(req, res) {
   }
 }
 
-// ── The Processing Pipeline ─────────────────────────────────────────────────
+// Simulates issueCertificate for every row not yet confirmed on chain and
+// prices it at current fees. Nothing is rendered, pinned, sent or saved.
+// Duplicate and already-issued detection needs certificate IDs, which rows
+// only get once the job runs; rows without one are reported as not checked.
+async function dryRunBatch(job) {
+  const rows = job.records.filter((c) => !hasCheckpoint(c, "txConfirmed"));
+  const quota = await quotaForRows(rows.length);
+  const estimate = rows.length > 0 ? await blockchainService.estimateBatch(rows) : null;
+  const withoutId = rows.filter((c) => !c.certId).length;
+
+  return {
+    jobId: job.jobId,
+    dryRun: true,
+    status: job.status,
+    totalRecords: job.records.length,
+    estimatedRows: rows.length,
+    wouldIssue: estimate ? estimate.counts.ok : 0,
+    ...(estimate && {
+      counts: estimate.counts,
+      gas: estimate.gas,
+      fees: estimate.fees,
+      cost: estimate.cost,
+      signer: estimate.signer,
+      // Row numbers match the uploaded file
+      rows: estimate.rows.map(({ index, duplicateOf, ...r }) => ({
+        row: rows[index]._row,
+        ...r,
+        ...(duplicateOf !== undefined && { duplicateOfRow: rows[duplicateOf]._row }),
+      })),
+    }),
+    idCheck: {
+      checkedRows: rows.length - withoutId,
+      skippedRows: withoutId,
+      ...(withoutId > 0 && {
+        note: `${withoutId} row(s) have no certificate ID yet (IDs are assigned when the job runs), so they were not checked for duplicates or certificates already on chain`,
+      }),
+    },
+    quota,
+  };
+}
 
-async function processPipeline(job, templateName, sendEmails) {
-  const certs = job.records;
-  const results = [];
+// ── Resume Batch ────────────────────────────────────────────────────────────
+// POST /api/bulk/resume/:jobId
+// Continues a failed or interrupted job. Only rows that have not passed every
+// checkpoint are retried, and each is checked on-chain before re-issuing.
 
-  // PHASE 1: Generate certificate IDs
-  job.progress = { phase: "generating_ids", current: 0, total: certs.length, percent: 0 };
+async function resumeBatch(req, res) {
+  try {
+    if (!ensureMongoConnected(res)) return;
 
-  for (let i = 0; i < certs.length; i++) {
-    if (!certs[i].certId) {
-      certs[i].certId = await blockchainService.generateCertificateId();
+    const { jobId } = req.params;
+    const job = await findOwnedJob(jobId, req.institution.address);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
     }
+    if (jobQueue.isLeaseLive(job)) {
+      return res.status(409).json({ error: "Job is still running" });
+    }
+    if (job.status === "queued") {
+      return res.status(409).json({ error: "Job is already queued" });
+    }
+    if (job.status === "validated") {
+      return res.status(400).json({
+        error: "Job has not been started yet",
+        hint: "POST /api/bulk/process { jobId } to start it",
+      });
+    }
+
+    const unfinished = job.records.filter((c) => !isRowFinished(c, job)).length;
+    if (unfinished === 0) {
+      return res.status(409).json({ error: "All rows in this job are already finished" });
+    }
+
+    // Optimistic lock on updatedAt so two resume calls cannot both queue it
+    const queued = await BulkJob.findOneAndUpdate(
+      { jobId, status: job.status, updatedAt: job.updatedAt },
+      {
+        $set: {
+          status: "queued",
+          progress: phaseProgress("queued", 0, unfinished),
+          queuedAt: new Date(),
+          resuming: true,
+          resumedAt: new Date(),
+          workerId: null,
+          leaseExpiresAt: null,
+          cancelRequested: false,
+          error: null,
+        },
+        $inc: { resumeCount: 1 },
+      },
+      { new: true }
+    ).lean();
+    if (!queued) {
+      return res.status(409).json({ error: "Job is already being resumed" });
+    }
+
+    void jobEvents.publishStatus(jobId, "queued", { resuming: true });
+    jobQueue.poke();
+
+    res.json({
+      jobId,
+      status: "queued",
+      totalRecords: job.records.length,
+      unfinishedRecords: unfinished,
+      queuePosition: await jobQueue.getQueuePosition(queued),
+      message: "Unfinished rows queued. Poll /api/bulk/status/:jobId for progress.",
+    });
+  } catch (err) {
+    console.error("Resume batch error:", err);
+    res.status(500).json({ error: err.message });
   }
+}
 
-  // PHASE 2: Generate PDFs + QR codes
-  job.progress = { phase: "generating_pdfs", current: 0, total: certs.length, percent: 0 };
+// ── Get Job Status ──────────────────────────────────────────────────────────
+// GET /api/bulk/status/:jobId?results=false
+// results=false leaves out the per-row results of a completed job
 
-  const pdfResults = await pdfService.bulkGeneratePDFs(templateName, certs, (p) => {
-    job.progress = { phase: "generating_pdfs", ...p };
-  });
+async function getJobStatus(req, res) {
+  try {
+    if (!ensureMongoConnected(res)) return;
 
-  // PHASE 3: Upload PDFs to IPFS
-  job.progress = { phase: "uploading_ipfs", current: 0, total: certs.length, percent: 0 };
+    const { jobId } = req.params;
+    const job = await findOwnedJob(jobId, req.institution.address);
 
-  for (let i = 0; i < certs.length; i++) {
-    const pdfResult = pdfResults[i];
-    if (pdfResult.status === "success" && pdfResult.buffer) {
-      try {
-        const documentHash = ipfsService.computeContentHash(pdfResult.buffer);
-        certs[i].documentHash = documentHash;
-        const ipfsResult = await ipfsService.uploadBuffer(
-          pdfResult.buffer,
-          pdfResult.fileName,
-          { certId: certs[i].certId, type: "certificate", documentHash }
-        );
-        certs[i].ipfsHash = ipfsResult.ipfsHash;
-        certs[i].ipfsPinned = ipfsResult.pinned;
-        certs[i].ipfsGateway = ipfsResult.gateway;
-      } catch (err) {
-        certs[i].ipfsHash = "";
-        certs[i].ipfsError = err.message;
-      }
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
     }
-    job.progress = {
-      phase: "uploading_ipfs",
-      current: i + 1,
-      total: certs.length,
-      percent: Math.round(((i + 1) / certs.length) * 100),
+
+    const response = {
+      jobId: job.jobId,
+      status: job.status,
+      fileName: job.fileName,
+      totalRecords: job.records.length,
+      createdAt: job.createdAt,
+      progress: job.progress,
     };
-  }
 
-  // PHASE 4: Issue on blockchain
-  job.progress = { phase: "blockchain_issuance", current: 0, total: certs.length, percent: 0 };
-
-  const blockchainResults = await blockchainService.issueBatch(certs, (p) => {
-    job.progress = { phase: "blockchain_issuance", ...p };
-  });
-
-  // PHASE 5: Generate QR codes
-  job.progress = { phase: "generating_qrcodes", current: 0, total: certs.length, percent: 0 };
-
-  const successfulCerts = certs.filter((c, i) => blockchainResults.results[i]?.status === "success");
-  const qrResults = await qrService.bulkGenerateQR(successfulCerts);
-
-  // PHASE 6: Send emails (if enabled)
-  let emailResults = null;
-  if (sendEmails && emailService.isEmailConfigured()) {
-    job.progress = { phase: "sending_emails", current: 0, total: successfulCerts.length, percent: 0 };
-
-    const emailJobs = successfulCerts
-      .filter((c) => c.email)
-      .map((c, i) => ({
-        to: c.email,
-        studentName: c.studentName,
-        certId: c.certId,
-        degree: c.degree,
-        institution: c.institution,
-        issueDate: c.issueDate,
-        pdfBuffer: pdfResults.find((p) => p.certId === c.certId)?.buffer,
-        pdfFileName: pdfResults.find((p) => p.certId === c.certId)?.fileName,
-      }));
-
-    emailResults = await emailService.bulkSendEmails(emailJobs, (p) => {
-      job.progress = { phase: "sending_emails", ...p };
-    });
-  }
+    if (job.status === "completed") {
+      response.completedAt = job.completedAt;
+      response.summary = job.summary;
+      if (req.query.results !== "false") response.results = job.results;
+    }
 
-  // ── Compile final results ───────────────────────────────────────────────
-  for (let i = 0; i < certs.length; i++) {
-    const cert = certs[i];
-    const bcResult = blockchainResults.results[i];
-    const pdfResult = pdfResults[i];
-    const qrResult = qrResults.find((q) => q.certId === cert.certId);
-
-    results.push({
-      row: cert._row,
-      certId: cert.certId,
-      studentName: cert.studentName,
-      studentId: cert.studentId,
-      degree: cert.degree,
-      institution: cert.institution,
-      issueDate: cert.issueDate,
-      email: cert.email || null,
-      blockchain: {
-        status: bcResult?.status || "skipped",
-        txHash: bcResult?.txHash || null,
-        blockNumber: bcResult?.blockNumber || null,
-        gasUsed: bcResult?.gasUsed || null,
-        error: bcResult?.error || null,
-      },
-      pdf: {
-        status: pdfResult?.status || "skipped",
-        fileName: pdfResult?.fileName || null,
-        filePath: pdfResult?.filePath || null,
-      },
-      ipfs: {
-        hash: cert.ipfsHash || null,
-        documentHash: cert.documentHash || null,
-        pinned: cert.ipfsPinned || false,
-        gateway: cert.ipfsGateway || null,
-      },
-      qr: {
-        status: qrResult?.status || "skipped",
-        fileName: qrResult?.fileName || null,
-      },
-    });
+    if (job.status === "failed") {
+      response.error = job.error;
+    }
+
+    if (job.status === "scheduled") {
+      response.scheduledFor = job.scheduledFor;
+      response.summary = job.summary;
+    }
+
+    if (job.status === "queued") {
+      response.queuePosition = await jobQueue.getQueuePosition(job);
+    }
+
+    if (job.status === "cancelled") {
+      response.cancelledAt = job.cancelledAt;
+      response.summary = job.summary;
+    }
+
+    if (job.cancelRequested) {
+      response.cancelRequested = true;
+    }
+
+    if (job.quota) {
+      response.quota = job.quota;
+    }
+
+    // "processing" without a live worker lease means the worker that owned
+    // it died — the client can call /api/bulk/resume/:jobId
+    if (job.status === "processing" && !jobQueue.isLeaseLive(job)) {
+      response.interrupted = true;
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error("Get job status error:", err);
+    res.status(500).json({ error: err.message });
   }
+}
 
-  // Update job
-  job.status = "completed";
-  job.results = results;
-  job.completedAt = new Date().toISOString();
-  job.summary = {
-    total: certs.length,
-    blockchainSuccess: blockchainResults.succeeded,
-    blockchainFailed: blockchainResults.failed,
-    pdfsGenerated: pdfResults.filter((p) => p.status === "success").length,
-    qrCodesGenerated: qrResults.filter((q) => q.status === "success").length,
-    emailsSent: emailResults?.sent || 0,
-    emailsFailed: emailResults?.failed || 0,
-  };
-  job.progress = { phase: "completed", current: certs.length, total: certs.length, percent: 100 };
+// ── Stream Job Progress (SSE) ───────────────────────────────────────────────
+// GET /api/bulk/stream/:jobId?replay=true
+// Server-Sent Events. Starts with a "snapshot" of the job, then relays its
+// event feed (see models/BulkJobEvent.js) as "status", "progress" and "row"
+// events. The stream ends after a completed/failed/cancelled/scheduled
+// status. Each event's id is its per-job sequence number; a reconnecting
+// client sends it back as Last-Event-ID (or ?lastEventId=) and receives only
+// what it missed. replay=true sends the job's stored feed from the start.
+
+const STREAM_POLL_INTERVAL_MS = 500;
+const STREAM_BATCH_SIZE = 500;
+const STREAM_KEEPALIVE_MS = 15000;
 
-  // Clean up uploaded CSV
+async function streamJob(req, res) {
   try {
-    if (job.filePath && fs.existsSync(job.filePath)) {
-      fs.unlinkSync(job.filePath);
+    if (!ensureMongoConnected(res)) return;
+
+    const { jobId } = req.params;
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId || null;
+    if (lastEventId && !/^\d+$/.test(lastEventId)) {
+      return res.status(400).json({ error: "Invalid Last-Event-ID" });
     }
-  } catch { /* ignore cleanup errors */ }
 
-  console.log(`✅ Job ${job.id} completed:`, job.summary);
-}
+    const job = await BulkJob.findOne({ jobId, ownerWallet: req.institution.address })
+      .select("-records -invalidRecords -results")
+      .lean();
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
 
-// ── Get Job Status ──────────────────────────────────────────────────────────
-// GET /api/bulk/status/:jobId
+    // Without Last-Event-ID the stream starts after the last event counted
+    // when the snapshot was read
+    let cursor = job.eventSeq || 0;
+    if (lastEventId) cursor = Number(lastEventId);
+    else if (req.query.replay === "true") cursor = 0;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
 
-async function getJobStatus(req, res) {
-  const { jobId } = req.params;
-  const job = jobs.get(jobId);
+    const send = (event, data, id = null) => {
+      res.write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-  if (!job) {
-    return res.status(404).json({ error: "Job not found" });
-  }
+    send("snapshot", {
+      jobId,
+      status: job.status,
+      progress: job.progress,
+      totalRecords: job.validation?.validCount ?? null,
+      summary: job.summary,
+      scheduledFor: job.scheduledFor,
+      cancelRequested: Boolean(job.cancelRequested),
+      ...(job.status === "queued" && { queuePosition: await jobQueue.getQueuePosition(job) }),
+      ...(job.status === "failed" && { error: job.error }),
+    });
 
-  const response = {
-    jobId: job.id,
-    status: job.status,
-    fileName: job.fileName,
-    totalRecords: job.records.length,
-    createdAt: job.createdAt,
-    progress: job.progress,
-  };
+    let closed = false;
+    let pollTimer = null;
+    let lastWriteAt = Date.now();
+    const close = () => {
+      closed = true;
+      clearTimeout(pollTimer);
+      res.end();
+    };
+    req.on("close", close);
 
-  if (job.status === "completed") {
-    response.completedAt = job.completedAt;
-    response.summary = job.summary;
-    response.results = job.results;
-  }
+    // A client that connects after the job finished gets the snapshot (and
+    // the replay, if asked) and nothing more
+    let finished = jobEvents.TERMINAL_STATUSES.includes(job.status);
+
+    const poll = async () => {
+      if (closed) return;
+      try {
+        for (;;) {
+          const events = await jobEvents.readSince(jobId, cursor, STREAM_BATCH_SIZE);
+          for (const event of events) {
+            send(event.type, event.data, String(event.seq));
+            cursor = event.seq;
+            if (event.type === "status" && jobEvents.TERMINAL_STATUSES.includes(event.data?.status)) {
+              finished = true;
+            }
+          }
+          if (events.length > 0) lastWriteAt = Date.now();
+          if (events.length < STREAM_BATCH_SIZE) break;
+        }
+      } catch (err) {
+        console.warn(`⚠️  Job ${jobId} stream read failed:`, err.message);
+      }
 
-  if (job.status === "failed") {
-    response.error = job.error;
+      if (closed) return;
+      if (finished) return close();
+      if (Date.now() - lastWriteAt >= STREAM_KEEPALIVE_MS) {
+        res.write(": keep-alive\n\n");
+        lastWriteAt = Date.now();
+      }
+      pollTimer = setTimeout(poll, STREAM_POLL_INTERVAL_MS);
+    };
+    await poll();
+  } catch (err) {
+    console.error("Stream job error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: err.message });
   }
+}
+
+// ── Cancel Job ──────────────────────────────────────────────────────────────
+// DELETE /api/bulk/:jobId
+// A job that is not running is cancelled at once. A running job stops at the
+// next row boundary; rows already issued on chain stay issued, and the job
+// can still be resumed later.
+
+async function cancelJob(req, res) {
+  try {
+    if (!ensureMongoConnected(res)) return;
 
-  res.json(response);
+    const { jobId } = req.params;
+    const job = await findOwnedJob(jobId, req.institution.address);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    if (jobQueue.isLeaseLive(job)) {
+      await BulkJob.updateOne({ jobId, status: "processing" }, { $set: { cancelRequested: true } });
+      jobQueue.cancelLocalJob(jobId);
+      void jobEvents.publishStatus(jobId, "processing", { cancelRequested: true });
+      return res.status(202).json({
+        jobId,
+        status: "processing",
+        cancelRequested: true,
+        message: "Cancellation requested. The job stops after the rows in progress.",
+      });
+    }
+
+    if (!["validated", "queued", "scheduled", "processing"].includes(job.status)) {
+      return res.status(409).json({ error: `Job has already finished (status: ${job.status})` });
+    }
+
+    // Same optimistic lock as resume, so a worker claim cannot slip in between
+    const cancelled = await BulkJob.findOneAndUpdate(
+      { jobId, status: job.status, updatedAt: job.updatedAt },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledAt: new Date(),
+          cancelRequested: false,
+          scheduledFor: null,
+          workerId: null,
+          leaseExpiresAt: null,
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!cancelled) {
+      return res.status(409).json({ error: "Job changed state — check its status and try again" });
+    }
+    void jobEvents.publishStatus(jobId, "cancelled");
+
+    res.json({ jobId, status: "cancelled", cancelledAt: cancelled.cancelledAt });
+  } catch (err) {
+    console.error("Cancel job error:", err);
+    res.status(500).json({ error: err.message });
+  }
 }
 
 // ── Download Batch as ZIP ───────────────────────────────────────────────────
@@ -329,8 +597,10 @@ async function getJobStatus(req, res) {
 
 async function downloadBatch(req, res) {
   try {
+    if (!ensureMongoConnected(res)) return;
+
     const { jobId } = req.params;
-    const job = jobs.get(jobId);
+    const job = await findOwnedJob(jobId, req.institution.address);
 
     if (!job) {
       return res.status(404).json({ error: "Job not found" });
@@ -363,6 +633,13 @@ async function downloadBatch(req, res) {
           archive.file(qrPath, { name: `qrcodes/${result.qr.fileName}` });
         }
       }
+
+      // Add baked Open Badges (PNG + SVG)
+      for (const fileName of [result.badge?.pngFileName, result.badge?.svgFileName]) {
+        if (fileName && fs.existsSync(badgeService.badgePath(fileName))) {
+          archive.file(badgeService.badgePath(fileName), { name: `badges/${fileName}` });
+        }
+      }
     }
 
     // Add a summary JSON
@@ -382,8 +659,10 @@ async function downloadBatch(req, res) {
 
 async function generateReport(req, res) {
   try {
+    if (!ensureMongoConnected(res)) return;
+
     const { jobId } = req.params;
-    const job = jobs.get(jobId);
+    const job = await findOwnedJob(jobId, req.institution.address);
 
     if (!job) {
       return res.status(404).json({ error: "Job not found" });
@@ -455,7 +734,10 @@ async function generateReport(req, res) {
 module.exports = {
   uploadCSV,
   processBatch,
+  resumeBatch,
   getJobStatus,
+  streamJob,
+  cancelJob,
   downloadBatch,
   generateReport,
 };
@@ -6,15 +6,42 @@ const path = require("path");
 const fs = require("fs");
 const archiver = require("archiver");
 const crypto = require("crypto");
+const mongoose = require("mongoose");
+const XLSX = require("xlsx");
 
+const CertificateRevocation = require("../models/CertificateRevocation");
+const IndexedCertificate = require("../models/IndexedCertificate");
+const IssuedCertificate = require("../models/IssuedCertificate");
+const BulkJob = require("../models/BulkJob");
 const blockchainService = require("../services/blockchainService");
+const indexerService = require("../services/indexerService");
+const certificateRegistry = require("../services/certificateRegistry");
+const certificateManifest = require("../services/certificateManifest");
+const credentialService = require("../services/credentialService");
+const badgeService = require("../services/badgeService");
 const ipfsService = require("../services/ipfsService");
+const pinService = require("../services/pinService");
 const pdfService = require("../services/pdfService");
 const qrService = require("../services/qrService");
 const emailService = require("../services/emailService");
+const quotaService = require("../services/quotaService");
 const { validateCertificate } = require("../utils/validator");
 
 const TEMPLATES_DIR = path.join(__dirname, "..", "..", "templates");
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+function parsePagination(query = {}) {
+  const page = Math.max(1, parseInt(String(query.page || "1"), 10) || 1);
+  const rawLimit = parseInt(String(query.limit || "20"), 10) || 20;
+  const limit = Math.max(1, Math.min(MAX_PAGE_SIZE, rawLimit));
+  const skip = (page - 1) * limit;
+  return { page, limit, skip };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
 function sha256Hex(buffer) {
   return crypto.createHash("sha256").update(buffer).digest("hex");
@@ -35,43 +62,155 @@ async function fetchBufferWithTimeout(url, timeoutMs = 15000) {
   }
 }
 
+// This deployment's own storage first, then public gateways. Bytes that do
+// not hash to the CID are rejected (legacy non-CID hashes cannot be checked).
 async function fetchIpfsDocument(ipfsHash) {
-  const candidates = [
-    ipfsService.getGatewayUrl(ipfsHash),
-    `https://ipfs.io/ipfs/${ipfsHash}`,
-    `https://cloudflare-ipfs.com/ipfs/${ipfsHash}`,
-  ].filter((v, i, arr) => arr.indexOf(v) === i);
-
   const errors = [];
+  try {
+    const stored = await ipfsService.retrieve(ipfsHash);
+    if (stored) return { buffer: stored.buffer, url: null, provider: stored.provider };
+  } catch (err) {
+    errors.push(`storage -> ${err.message}`);
+  }
+
+  // The driver already tried its own gateway, if it has one
+  const candidates = [`https://ipfs.io/ipfs/${ipfsHash}`, `https://cloudflare-ipfs.com/ipfs/${ipfsHash}`];
+
   for (const url of candidates) {
     try {
       const buffer = await fetchBufferWithTimeout(url);
+      if (ipfsService.verifyCid(buffer, ipfsHash) === false) {
+        throw new Error("content does not match CID");
+      }
       return { buffer, url };
     } catch (err) {
       errors.push(`${url} -> ${err.message}`);
     }
   }
 
-  throw new Error(`Unable to fetch IPFS document from gateways. ${errors.join(" | ")}`);
+  throw new Error(`Unable to fetch IPFS document from storage or gateways. ${errors.join(" | ")}`);
+}
+
+// The pinned original, by CID from storage or IPFS; if neither answers, the
+// PDF kept at issuance — accepted only if the registry ties it to this CID
+// and its bytes still match the recorded document hash.
+async function loadReferenceDocument(certId, ipfsHash) {
+  try {
+    const { buffer, url, provider } = await fetchIpfsDocument(ipfsHash);
+    return { buffer, url, source: provider ? "storage" : "ipfs", provider };
+  } catch (err) {
+    const record = await certificateRegistry.findIssued(certId);
+    const localPath = record?.pdf?.filePath;
+    if (
+      record?.ipfs?.hash === ipfsHash &&
+      record.documentHash &&
+      localPath &&
+      fs.existsSync(localPath)
+    ) {
+      const buffer = fs.readFileSync(localPath);
+      if (sha256Hex(buffer) === record.documentHash) {
+        return { buffer, url: null, source: "local", gatewayError: err.message };
+      }
+    }
+    throw err;
+  }
+}
+
+// QR codes are square and at least 21 modules wide; anything else on the
+// page (backgrounds, logos) is not worth decoding
+function looksLikeQRCode({ width, height }) {
+  return width >= 21 && width <= 2048 && Math.abs(width - height) <= width * 0.1;
+}
+
+// Work out which certificate an uploaded PDF claims to be: embedded metadata,
+// then the verification QR code, then a known document hash. None of these
+// need to be trusted — the upload is still compared with the on-chain original.
+async function resolveDocumentCertId(buffer, sha256) {
+  try {
+    const { manifest, info } = await pdfService.extractMetadata(buffer);
+    const certId = manifest?.certId || info.certId;
+    if (certId) return { certId, resolvedBy: "metadata" };
+  } catch (err) {
+    console.warn("Could not read PDF metadata:", err.message);
+  }
+
+  try {
+    const images = await pdfService.extractImages(buffer, { filter: looksLikeQRCode });
+    for (const image of images) {
+      const qr = qrService.readQRCode(image);
+      if (qr?.certId) return { certId: qr.certId, resolvedBy: "qr" };
+    }
+  } catch (err) {
+    console.warn("Could not scan PDF for a QR code:", err.message);
+  }
+
+  const record = await certificateRegistry.findByDocumentHash(sha256);
+  if (record) return { certId: record.certId, resolvedBy: "documentHash" };
+
+  return null;
+}
+
+// Whether an uploaded PDF is the document issued for a certificate: its CID
+// against the on-chain ipfsHash, or for legacy non-CID hashes its SHA-256
+// against the registry's documentHash. An embedded manifest only claims an
+// identity; copying it into another PDF keeps the signature valid.
+async function compareIssuedDocument(buffer, sha256, certId, ipfsHash) {
+  const cidMatch = ipfsService.verifyCid(buffer, ipfsHash);
+  if (cidMatch !== null) {
+    return { checked: true, matches: cidMatch, against: "ipfsHash" };
+  }
+
+  const record = await certificateRegistry.findIssued(certId);
+  if (record?.documentHash && record.ipfs?.hash === ipfsHash) {
+    return { checked: true, matches: record.documentHash === sha256, against: "documentHash" };
+  }
+  return {
+    checked: false,
+    reason: "The on-chain IPFS hash is not a CID and no issued document hash is on record",
+  };
+}
+
+// Look up the off-chain revocation record for a revoked certificate.
+// Returns null when there is none or MongoDB is unavailable — verification
+// must keep working from the chain alone.
+async function findRevocation(certId) {
+  if (mongoose.connection.readyState !== 1) return null;
+  try {
+    const record = await CertificateRevocation.findOne({ certId }).lean();
+    if (!record) return null;
+    return {
+      reason: record.reason,
+      revokedAt: record.revokedAt,
+      revokedBy: record.revokedBy,
+      txHash: record.txHash,
+    };
+  } catch (err) {
+    console.error("Revocation lookup failed:", err.message);
+    return null;
+  }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // SINGLE CERTIFICATE ISSUANCE
 // ─────────────────────────────────────────────────────────────────────────────
-// POST /api/certificates/issue
-// Body: { studentName, studentId, degree, institution, issueDate, email?, templateName? }
+// POST /api/certificates/issue  (requires authorized institution wallet)
+// Body: { studentName, studentId, degree, issueDate, email?, templateName? }
+// The institution is always the caller's on-chain name; any body value is ignored.
+// A slot of the signer's daily quota (shared by all institutions) is reserved
+// before anything is generated.
 
 async function issueSingle(req, res) {
+  let reservation = null;
   try {
     const {
       studentName,
       studentId,
       degree,
-      institution,
       issueDate,
       email,
       templateName = "default-certificate",
     } = req.body;
+    const institution = req.institution.name;
 
     // Validate
     const cert = { studentName, studentId, degree, institution, issueDate, email };
@@ -80,21 +219,41 @@ async function issueSingle(req, res) {
       return res.status(400).json({ error: "Validation failed", errors: validation.errors });
     }
 
+    try {
+      reservation = await quotaService.reserve(1);
+    } catch (err) {
+      // Chain unreachable — the issuance below reports it
+      console.warn("Daily quota reservation failed:", err.message);
+    }
+    if (reservation && reservation.granted === 0) {
+      return res.status(409).json({
+        error: "Daily issuance limit reached",
+        details: "The limit is platform-wide: certificates of every institution are issued by the platform signer",
+        quota: reservation.quota,
+      });
+    }
+
     // Generate cert ID
     const certId = await blockchainService.generateCertificateId();
 
-    // Generate PDF + QR
-    const pdfResult = await pdfService.savePDF(templateName, {
-      ...cert,
-      certId,
-    });
+    // Generate PDF + QR, stamped with the signed manifest before it is hashed
+    const manifest = await certificateManifest.buildManifest(
+      { ...cert, certId },
+      { issuerWallet: req.institution.address }
+    );
+    const pdfResult = await pdfService.savePDF(
+      templateName,
+      { ...cert, certId },
+      { manifest }
+    );
     const documentHash = ipfsService.computeContentHash(pdfResult.buffer);
 
     // Upload PDF to IPFS
-    const ipfsResult = await ipfsService.uploadBuffer(
+    const ipfsResult = await pinService.pinDocument(
       pdfResult.buffer,
       pdfResult.fileName,
-      { certId, type: "certificate", documentHash }
+      { certId, type: "certificate", documentHash },
+      { filePath: pdfResult.filePath }
     );
 
     // Issue on blockchain
@@ -127,6 +286,40 @@ async function issueSingle(req, res) {
       });
     }
 
+    await certificateRegistry.recordIssued({
+      certId,
+      studentName,
+      studentId,
+      degree,
+      institution,
+      issueDate,
+      email: email || null,
+      issuedBy: req.institution.address,
+      requestedBy: req.walletAddress,
+      source: "single",
+      templateName,
+      pdf: { fileName: pdfResult.fileName, filePath: pdfResult.filePath },
+      qr: { fileName: qrResult.fileName },
+      documentHash,
+      ipfs: {
+        hash: ipfsResult.ipfsHash,
+        pinned: ipfsResult.pinned,
+        provider: ipfsResult.provider,
+        gateway: ipfsResult.gateway,
+      },
+      blockchain: {
+        txHash: txResult.txHash,
+        blockNumber: txResult.blockNumber,
+        gasUsed: txResult.gasUsed,
+      },
+      emailDelivery: {
+        sent: Boolean(emailResult?.sent),
+        messageId: emailResult?.messageId || null,
+        error: emailResult?.error || null,
+        sentAt: emailResult?.sent ? new Date() : null,
+      },
+    });
+
     res.json({
       success: true,
       certId,
@@ -139,6 +332,7 @@ async function issueSingle(req, res) {
         hash: ipfsResult.ipfsHash,
         documentHash,
         pinned: ipfsResult.pinned,
+        provider: ipfsResult.provider,
         gateway: ipfsResult.gateway,
       },
       pdf: {
@@ -156,6 +350,8 @@ async function issueSingle(req, res) {
   } catch (err) {
     console.error("Issue single error:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await quotaService.release(reservation, reservation?.granted || 0);
   }
 }
 
@@ -177,9 +373,11 @@ async function verifyCertificate(req, res) {
     }
 
     const qrDataUrl = await qrService.generateQRDataURL(certId);
+    const revocation = result.isValid ? null : await findRevocation(certId);
 
     res.json({
       ...result,
+      revocation,
       verifyUrl: qrService.getVerifyUrl(certId),
       qrDataUrl,
     });
@@ -193,22 +391,45 @@ async function verifyCertificate(req, res) {
 // VERIFY UPLOADED CERTIFICATE DOCUMENT
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /api/certificates/verify-file
-// multipart/form-data: { certId, document }
+// multipart/form-data: { document, certId? }
+// Without certId the certificate is identified from the PDF itself (see
+// resolveDocumentCertId). The reference copy comes from IPFS, or from the
+// locally stored original when no gateway is reachable.
 
 async function verifyCertificateDocument(req, res) {
   try {
-    const certId = String(req.body.certId || "").trim();
-    if (!certId) {
-      return res.status(400).json({ error: "certId is required" });
-    }
     if (!req.file || !req.file.buffer) {
       return res.status(400).json({ error: "document file is required" });
     }
 
+    const uploadedBuffer = req.file.buffer;
+    const uploadedSha256 = sha256Hex(uploadedBuffer);
+
+    let certId = String(req.body.certId || "").trim();
+    let resolvedBy = "request";
+    if (!certId) {
+      const resolved = await resolveDocumentCertId(uploadedBuffer, uploadedSha256);
+      if (!resolved) {
+        return res.status(404).json({
+          exists: false,
+          uploaded: {
+            fileName: req.file.originalname,
+            size: uploadedBuffer.length,
+            sha256: uploadedSha256,
+          },
+          message:
+            "Could not identify the certificate from this PDF (no embedded metadata, readable QR code or known document hash). Provide certId.",
+        });
+      }
+      ({ certId, resolvedBy } = resolved);
+    }
+
     const certificate = await blockchainService.verifyCertificate(certId);
     if (!certificate.exists) {
       return res.status(404).json({
         exists: false,
+        certId,
+        resolvedBy,
         message: `Certificate \"${certId}\" not found on blockchain`,
       });
     }
@@ -217,20 +438,19 @@ async function verifyCertificateDocument(req, res) {
       return res.status(409).json({
         exists: true,
         certId,
+        resolvedBy,
         error: "Certificate has no on-chain IPFS hash to compare against",
       });
     }
 
-    const uploadedBuffer = req.file.buffer;
-    const uploadedSha256 = sha256Hex(uploadedBuffer);
-
     let ipfsDoc;
     try {
-      ipfsDoc = await fetchIpfsDocument(certificate.ipfsHash);
+      ipfsDoc = await loadReferenceDocument(certId, certificate.ipfsHash);
     } catch (err) {
       return res.status(502).json({
         exists: true,
         certId,
+        resolvedBy,
         uploaded: {
           fileName: req.file.originalname,
           mimeType: req.file.mimetype,
@@ -245,6 +465,7 @@ async function verifyCertificateDocument(req, res) {
     }
 
     const ipfsSha256 = sha256Hex(ipfsDoc.buffer);
+    const revocation = certificate.isValid ? null : await findRevocation(certId);
     const hashMatch = uploadedSha256 === ipfsSha256;
     const exactBytesMatch =
       hashMatch &&
@@ -254,6 +475,7 @@ async function verifyCertificateDocument(req, res) {
     res.json({
       exists: true,
       certId,
+      resolvedBy,
       certificate: {
         isValid: certificate.isValid,
         studentName: certificate.studentName,
@@ -263,6 +485,7 @@ async function verifyCertificateDocument(req, res) {
         issuer: certificate.issuer,
         ipfsHash: certificate.ipfsHash,
       },
+      revocation,
       uploaded: {
         fileName: req.file.originalname,
         mimeType: req.file.mimetype,
@@ -271,7 +494,10 @@ async function verifyCertificateDocument(req, res) {
       },
       ipfs: {
         hash: certificate.ipfsHash,
+        source: ipfsDoc.source,
+        ...(ipfsDoc.provider ? { provider: ipfsDoc.provider } : {}),
         gatewayUrl: ipfsDoc.url,
+        ...(ipfsDoc.gatewayError ? { gatewayError: ipfsDoc.gatewayError } : {}),
         size: ipfsDoc.buffer.length,
         sha256: ipfsSha256,
       },
@@ -289,29 +515,752 @@ async function verifyCertificateDocument(req, res) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// GENERATE PDF FOR EXISTING CERTIFICATE
+// INSPECT EMBEDDED CERTIFICATE METADATA
 // ─────────────────────────────────────────────────────────────────────────────
-// GET /api/certificates/:certId/pdf?template=default-certificate
+// POST /api/certificates/inspect
+// multipart/form-data: { document }
+// Reads the signed manifest embedded at issuance, checks its signature and,
+// when it points at this backend's contract, compares it with the chain and
+// the uploaded bytes with the issued document. `verified` is null when every
+// other check passed but the document could not be compared.
+
+async function inspectCertificate(req, res) {
+  try {
+    if (!req.file || !req.file.buffer) {
+      return res.status(400).json({ error: "document file is required" });
+    }
 
-async function generatePDF(req, res) {
+    const uploaded = {
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.buffer.length,
+      sha256: sha256Hex(req.file.buffer),
+    };
+
+    let extracted;
+    try {
+      extracted = await pdfService.extractMetadata(req.file.buffer);
+    } catch (err) {
+      return res.status(422).json({ found: false, uploaded, error: `Not a readable PDF: ${err.message}` });
+    }
+
+    const { info, manifest } = extracted;
+    if (!manifest) {
+      return res.json({
+        found: false,
+        uploaded,
+        info,
+        message: extracted.error || "No embedded certificate metadata found in this PDF",
+      });
+    }
+
+    const signature = certificateManifest.verifyManifest(manifest);
+
+    const network = blockchainService.getNetworkInfo();
+    const sameDeployment =
+      Number(manifest.chainId) === network.chainId &&
+      String(manifest.contractAddress || "").toLowerCase() ===
+        String(network.contractAddress || "").toLowerCase();
+
+    let onChain = null;
+    let document = { checked: false, reason: "Certificate not found on this deployment's chain" };
+    if (!sameDeployment) {
+      onChain = {
+        checked: false,
+        reason: `Issued on chain ${manifest.chainId} at ${manifest.contractAddress}, not this deployment`,
+      };
+    } else {
+      const certificate = await blockchainService.verifyCertificate(manifest.certId);
+      if (!certificate.exists) {
+        onChain = { checked: true, exists: false };
+      } else {
+        const fields = {
+          studentName: certificate.studentName === manifest.studentName,
+          studentId: certificate.studentId === manifest.studentId,
+          degree: certificate.degree === manifest.degree,
+          institution: certificate.institution === manifest.institution,
+          issueDate: certificate.issueDate === Number(manifest.issueDate),
+          issuer: certificate.issuer.toLowerCase() === String(manifest.issuer || "").toLowerCase(),
+        };
+        onChain = {
+          checked: true,
+          exists: true,
+          isValid: certificate.isValid,
+          ipfsHash: certificate.ipfsHash,
+          fields,
+          matches: Object.values(fields).every(Boolean),
+          revocation: certificate.isValid ? null : await findRevocation(manifest.certId),
+        };
+        document = await compareIssuedDocument(
+          req.file.buffer,
+          uploaded.sha256,
+          manifest.certId,
+          certificate.ipfsHash
+        );
+      }
+    }
+
+    let verified = signature.valid && !!onChain?.exists && onChain.matches && onChain.isValid;
+    if (verified) verified = document.checked ? document.matches : null;
+
+    res.json({
+      found: true,
+      uploaded,
+      info,
+      manifest,
+      signature,
+      onChain,
+      document,
+      verified,
+      verifyUrl: qrService.getVerifyUrl(manifest.certId),
+    });
+  } catch (err) {
+    console.error("Inspect certificate error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VERIFIABLE CREDENTIALS
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/certificates/:certId/credential
+// The certificate as a W3C Verifiable Credential (Open Badges 3.0), signed by
+// the issuing wallet with an EIP-712 proof (see credentialService).
+
+async function getCredential(req, res) {
   try {
     const { certId } = req.params;
-    const templateName = req.query.template || "default-certificate";
+    const certificate = await blockchainService.verifyCertificate(certId);
+    if (!certificate.exists) {
+      return res.status(404).json({ error: `Certificate "${certId}" not found on blockchain` });
+    }
+    if (!certificate.isValid) {
+      return res.status(409).json({
+        error: "Certificate has been revoked",
+        revocation: await findRevocation(certId),
+      });
+    }
+
+    let credential;
+    try {
+      credential = await credentialService.buildCredential(certId, certificate);
+    } catch (err) {
+      if (err.code !== "ISSUER_MISMATCH") throw err;
+      return res.status(409).json({ error: err.message });
+    }
+
+    res.type("application/vc+ld+json").json(credential);
+  } catch (err) {
+    console.error("Credential export error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// GET /api/certificates/:certId/status
+// Revocation status read from the contract; the credentialStatus.id of every
+// exported credential points here.
+
+async function getCredentialStatus(req, res) {
+  try {
+    const { certId } = req.params;
+    const certificate = await blockchainService.verifyCertificate(certId);
+    if (!certificate.exists) {
+      return res.status(404).json({ error: `Certificate "${certId}" not found on blockchain` });
+    }
+
+    const { chainId, contractAddress } = blockchainService.getNetworkInfo();
+    res.json({
+      id: credentialService.statusUrl(certId),
+      type: credentialService.STATUS_TYPE,
+      certId,
+      chainId,
+      contractAddress,
+      revoked: !certificate.isValid,
+      revocation: certificate.isValid ? null : await findRevocation(certId),
+      checkedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error("Credential status error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Checks the proof, then the certificate it names on chain: it must exist,
+// still be valid and match the credential field by field.
+async function checkCredential(credential) {
+  const proof = credentialService.verifyProof(credential);
+  const target = credentialService.credentialTarget(credential);
+
+  let onChain;
+  if (!target.certId) {
+    onChain = { checked: false, reason: "Credential has no credentialStatus.certId" };
+  } else if (!target.sameDeployment) {
+    onChain = {
+      checked: false,
+      reason: `Issued on chain ${target.chainId} at ${target.contractAddress}, not this deployment`,
+    };
+  } else {
+    const certificate = await blockchainService.verifyCertificate(target.certId);
+    if (!certificate.exists) {
+      onChain = { checked: true, exists: false };
+    } else {
+      onChain = {
+        checked: true,
+        exists: true,
+        isValid: certificate.isValid,
+        ...credentialService.compareWithChain(credential, certificate),
+        revocation: certificate.isValid ? null : await findRevocation(target.certId),
+      };
+    }
+  }
+
+  return {
+    certId: target.certId,
+    proof,
+    onChain,
+    verified: proof.valid && !!onChain.exists && onChain.matches && onChain.isValid,
+    ...(target.certId && { verifyUrl: qrService.getVerifyUrl(target.certId) }),
+  };
+}
+
+// POST /api/credentials/verify
+// Body: the credential, or { credential }
+
+async function verifyCredential(req, res) {
+  try {
+    const credential = req.body?.credential || req.body;
+    if (!credential || typeof credential !== "object" || !credential.proof) {
+      return res.status(400).json({ error: "A signed credential is required in the request body" });
+    }
+
+    res.json(await checkCredential(credential));
+  } catch (err) {
+    console.error("Credential verify error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// POST /api/badges/verify
+// multipart/form-data: { badge } — a baked Open Badges PNG or SVG
+// Reads the credential out of the image and checks it like verifyCredential.
+
+async function verifyBadge(req, res) {
+  try {
+    if (!req.file || !req.file.buffer) {
+      return res.status(400).json({ error: "badge file is required" });
+    }
+
+    const uploaded = {
+      fileName: req.file.originalname,
+      size: req.file.buffer.length,
+      sha256: sha256Hex(req.file.buffer),
+    };
+
+    let extracted;
+    try {
+      extracted = badgeService.extractCredential(req.file.buffer);
+    } catch (err) {
+      return res.status(422).json({ found: false, uploaded, error: err.message });
+    }
+    if (!extracted.credential) {
+      return res.json({ found: false, uploaded, format: extracted.format, message: extracted.error });
+    }
+
+    res.json({
+      found: true,
+      uploaded,
+      format: extracted.format,
+      credential: extracted.credential,
+      ...(await checkCredential(extracted.credential)),
+    });
+  } catch (err) {
+    console.error("Badge verify error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REVOKE CERTIFICATE
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/certificates/:certId/revoke  (requires certificates:revoke)
+// Body: { reason, notifyEmail?, txHash? }
+// The chain is revoked first. If the off-chain record then fails to save, the
+// response still succeeds but says `recorded: false`; sending the request
+// again with the returned txHash records it for the already-revoked certificate,
+// once the chain confirms that tx revoked it (blockchainService.findRevocationTransaction).
+
+// Returns the saved revocation, or null (logged) if MongoDB rejected it.
+async function recordRevocation(fields) {
+  try {
+    return await CertificateRevocation.create(fields);
+  } catch (err) {
+    console.error(
+      `Revocation of ${fields.certId} is on chain (tx ${fields.txHash}) but was not recorded:`,
+      err.message
+    );
+    return null;
+  }
+}
+
+async function revokeCertificate(req, res) {
+  try {
+    const { certId } = req.params;
+    const reason = String(req.body.reason || "").trim();
+    const notifyEmail = String(req.body.notifyEmail || "").trim().toLowerCase();
+    const walletAddress = req.walletAddress;
+    const institution = req.institution;
+
+    if (!reason) {
+      return res.status(400).json({ error: "Revocation reason is required" });
+    }
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        error: "Database unavailable. Revocations cannot be recorded until MongoDB is connected.",
+      });
+    }
 
-    // Fetch certificate data from blockchain
     const cert = await blockchainService.verifyCertificate(certId);
     if (!cert.exists) {
-      return res.status(404).json({ error: "Certificate not found" });
+      return res.status(404).json({ error: `Certificate "${certId}" not found on blockchain` });
     }
 
-    const pdfBuffer = await pdfService.generatePDF(templateName, {
+    // Only the issuing wallet, or the authorized institution named on the
+    // certificate, may revoke it. The permission check already loaded the
+    // institution's on-chain record.
+    const isIssuer =
+      String(cert.issuer || "").toLowerCase() === institution.address ||
+      (institution.isAuthorized && institution.name === cert.institution);
+    if (!isIssuer) {
+      return res.status(403).json({
+        error: "Only the issuing institution can revoke this certificate",
+      });
+    }
+
+    if (!cert.isValid) {
+      const existing = await findRevocation(certId);
+      const txHash = String(req.body.txHash || "").trim().toLowerCase();
+      if (existing || !txHash) {
+        return res.status(409).json({
+          error: "Certificate is already revoked",
+          revocation: existing,
+          ...(existing ? {} : { hint: "Send the revocation txHash to record the missing revocation" }),
+        });
+      }
+      if (!/^0x[0-9a-f]{64}$/.test(txHash)) {
+        return res.status(400).json({ error: "txHash must be a transaction hash" });
+      }
+
+      // Verifiers are shown this tx as the revocation, so it must be one
+      const onChain = await blockchainService.findRevocationTransaction(certId, txHash);
+      if (!onChain.valid) {
+        return res.status(400).json({ error: "txHash is not this certificate's revocation", details: onChain.error });
+      }
+
+      const revocation = await recordRevocation({
+        certId,
+        reason,
+        revokedBy: walletAddress,
+        revokedAt: onChain.revokedAt,
+        txHash: onChain.txHash,
+        blockNumber: onChain.blockNumber,
+      });
+      if (!revocation) {
+        return res.status(500).json({ error: "Failed to record the revocation" });
+      }
+      await certificateRegistry.updateIssued(certId, { status: "revoked", revokedAt: onChain.revokedAt });
+      return res.json({
+        success: true,
+        certId,
+        recorded: true,
+        revocation: {
+          reason,
+          revokedAt: onChain.revokedAt,
+          revokedBy: walletAddress,
+          txHash: onChain.txHash,
+        },
+      });
+    }
+
+    let txResult;
+    try {
+      txResult = await blockchainService.revokeCertificate(certId);
+    } catch (err) {
+      return res.status(500).json({
+        error: "Blockchain revocation failed",
+        details: err.message,
+      });
+    }
+
+    const revokedAt = new Date();
+    const revocation = await recordRevocation({
       certId,
-      ...cert,
+      reason,
+      revokedBy: walletAddress,
+      revokedAt,
+      txHash: txResult.txHash,
+      blockNumber: txResult.blockNumber,
+      notification: { email: notifyEmail || null },
+    });
+    await certificateRegistry.updateIssued(certId, { status: "revoked", revokedAt });
+    // Listings read the index's revoked flag; don't wait for its next pass
+    await indexerService
+      .refreshRevocation(certId)
+      .catch((err) => console.warn(`Index revoked flag for ${certId} not refreshed:`, err.message));
+
+    // Notify the student (non-blocking)
+    let emailResult = null;
+    if (notifyEmail) {
+      emailResult = await emailService.sendRevocationEmail({
+        to: notifyEmail,
+        studentName: cert.studentName,
+        certId,
+        degree: cert.degree,
+        institution: cert.institution,
+        reason,
+        revokedAt,
+      });
+      if (revocation) {
+        revocation.notification.sent = emailResult.sent;
+        revocation.notification.error = emailResult.error || "";
+        try {
+          await revocation.save();
+        } catch (saveErr) {
+          console.error("Failed to record revocation email status:", saveErr.message);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      certId,
+      recorded: Boolean(revocation),
+      revocation: {
+        reason,
+        revokedAt,
+        revokedBy: walletAddress,
+        txHash: txResult.txHash,
+      },
+      blockchain: {
+        txHash: txResult.txHash,
+        blockNumber: txResult.blockNumber,
+        gasUsed: txResult.gasUsed,
+      },
+      email: emailResult,
     });
+  } catch (err) {
+    console.error("Revoke certificate error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LIST / SEARCH ISSUED CERTIFICATES
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/certificates  (requires certificates:read)
+// Query: degree, from, to, student, status (valid|revoked), jobId,
+//        page, limit, format (json|csv|xlsx)
+// Lists certificates issued for the caller's institution, read from the event
+// index, so certificates younger than INDEXER_CONFIRMATIONS blocks are not
+// listed yet. The on-chain issuer is always the backend signer, so index rows
+// are selected by the institution name stamped on them, then narrowed by the
+// registry: a row the registry records for another wallet is excluded, and a
+// row it has no record of (issued before the registry) is kept. Status is the
+// index's revoked flag, read from the contract.
+
+function parseDateParam(value, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+async function listCertificates(req, res) {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        error: "Database unavailable. Certificate search requires MongoDB.",
+      });
+    }
+
+    const walletAddress = req.institution.address;
+    const { page, limit, skip } = parsePagination(req.query);
+    const format = String(req.query.format || "json").toLowerCase();
+    const degree = String(req.query.degree || "").trim();
+    const student = String(req.query.student || "").trim();
+    const status = String(req.query.status || "").trim().toLowerCase();
+    const jobId = String(req.query.jobId || "").trim();
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+
+    if (!["json", "csv", "xlsx"].includes(format)) {
+      return res.status(400).json({ error: "format must be json, csv or xlsx" });
+    }
+    if (status && !["valid", "revoked"].includes(status)) {
+      return res.status(400).json({ error: "status must be valid or revoked" });
+    }
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "from/to must be valid dates (YYYY-MM-DD)" });
+    }
+
+    // The current on-chain name, plus any earlier names the registry recorded
+    const names = await certificateRegistry.listInstitutionNames(walletAddress);
+    const institutionNames = [...new Set([req.institution.name, ...names].filter(Boolean))];
+    const query = { institution: { $in: institutionNames } };
+    if (degree) {
+      query.degree = { $regex: escapeRegex(degree), $options: "i" };
+    }
+    if (student) {
+      const pattern = escapeRegex(student);
+      query.$or = [
+        { studentName: { $regex: pattern, $options: "i" } },
+        { studentId: { $regex: pattern, $options: "i" } },
+      ];
+    }
+    if (from || to) {
+      query.issueDate = {};
+      if (from) query.issueDate.$gte = from;
+      if (to) query.issueDate.$lte = to;
+    }
+
+    // Batch filter: restrict to the certIds the (owned) job wrote back
+    if (jobId) {
+      const job = await BulkJob.findOne({ jobId, ownerWallet: walletAddress })
+        .select("records.certId")
+        .lean();
+      if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+      query.certId = { $in: job.records.map((r) => r.certId).filter(Boolean) };
+    }
+    if (status === "valid") query.revoked = { $ne: true };
+    if (status === "revoked") query.revoked = true;
+
+    const pipeline = [
+      { $match: query },
+      {
+        $lookup: {
+          from: IssuedCertificate.collection.name,
+          localField: "certId",
+          foreignField: "certId",
+          pipeline: [{ $project: { _id: 0, issuedBy: 1 } }],
+          as: "registry",
+        },
+      },
+      { $match: { $or: [{ registry: { $size: 0 } }, { "registry.issuedBy": walletAddress }] } },
+      { $sort: { issueDate: -1, blockNumber: -1 } },
+    ];
+
+    const exporting = format !== "json";
+    const [result] = await IndexedCertificate.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          rows: [
+            ...(exporting ? [{ $limit: MAX_EXPORT_ROWS }] : [{ $skip: skip }, { $limit: limit }]),
+            // Reason and date of revocations the backend recorded
+            {
+              $lookup: {
+                from: CertificateRevocation.collection.name,
+                localField: "certId",
+                foreignField: "certId",
+                as: "revocation",
+              },
+            },
+            { $addFields: { revocation: { $arrayElemAt: ["$revocation", 0] } } },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+    const total = result.total[0]?.count || 0;
+
+    // Which batch job (if any) produced each certificate on this page
+    const certIds = result.rows.map((r) => r.certId).filter(Boolean);
+    const jobByCertId = new Map();
+    if (certIds.length > 0) {
+      const jobs = await BulkJob.find({ ownerWallet: walletAddress, "records.certId": { $in: certIds } })
+        .select("jobId records.certId")
+        .lean();
+      for (const job of jobs) {
+        for (const record of job.records) {
+          if (record.certId) jobByCertId.set(record.certId, job.jobId);
+        }
+      }
+    }
+
+    const certificates = result.rows.map((row) => ({
+      certId: row.certId,
+      studentName: row.studentName,
+      studentId: row.studentId,
+      degree: row.degree,
+      institution: row.institution,
+      issueDate: row.issueDate,
+      status: row.revoked ? "revoked" : "valid",
+      revocation: row.revoked
+        ? { reason: row.revocation?.reason || null, revokedAt: row.revocation?.revokedAt || null }
+        : null,
+      jobId: jobByCertId.get(row.certId) || null,
+      ipfsHash: row.ipfsHash,
+      txHash: row.txHash,
+      blockNumber: row.blockNumber,
+      verifyUrl: row.certId ? qrService.getVerifyUrl(row.certId) : null,
+    }));
+
+    if (!exporting) {
+      const indexer = indexerService.getStatus();
+      return res.json({
+        certificates,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+        indexer: {
+          backfilled: indexer.backfilled,
+          lastIndexedBlock: indexer.lastIndexedBlock,
+        },
+      });
+    }
+
+    const exportData = certificates.map((c) => ({
+      "Certificate ID": c.certId || "",
+      "Student Name": c.studentName,
+      "Student ID": c.studentId || "",
+      "Degree": c.degree || "",
+      "Institution": c.institution,
+      "Issue Date": c.issueDate ? c.issueDate.toISOString().split("T")[0] : "",
+      "Status": c.status,
+      "Revocation Reason": c.revocation?.reason || "",
+      "Batch Job": c.jobId || "",
+      "IPFS Hash": c.ipfsHash || "",
+      "TX Hash": c.txHash,
+      "Block Number": c.blockNumber,
+      "Verify URL": c.verifyUrl || "",
+    }));
+
+    const worksheet = XLSX.utils.json_to_sheet(exportData);
+    if (total > MAX_EXPORT_ROWS) {
+      res.setHeader("X-Export-Truncated", String(MAX_EXPORT_ROWS));
+    }
+
+    const stamp = new Date().toISOString().split("T")[0];
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="edulocka-certificates-${stamp}.csv"`);
+      return res.send(XLSX.utils.sheet_to_csv(worksheet));
+    }
+
+    worksheet["!cols"] = Object.keys(exportData[0] || {}).map((key) => ({
+      wch: Math.max(key.length, 20),
+    }));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, "Certificates");
+    const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
 
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="edulocka-certificates-${stamp}.xlsx"`);
+    res.send(buffer);
+  } catch (err) {
+    console.error("List certificates error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DOWNLOAD CERTIFICATE PDF
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/certificates/:certId/pdf
+//   Serves the originally issued document — the local file if its SHA-256
+//   still matches, otherwise the copy pinned on IPFS — so it passes verify-file.
+// GET /api/certificates/:certId/pdf?render=true&template=<name>
+//   Re-renders from the certificate data and watermarks it as non-verifiable.
+
+// Locate the issued PDF bytes. Returns { buffer, source } or throws with a
+// message suitable for the client.
+async function loadOriginalPdf(record, cert) {
+  const expectedHash = record?.documentHash || null;
+
+  const localPath = record?.pdf?.filePath;
+  if (localPath && fs.existsSync(localPath)) {
+    const buffer = fs.readFileSync(localPath);
+    if (!expectedHash || sha256Hex(buffer) === expectedHash) {
+      return { buffer, source: "local" };
+    }
+    console.warn(`Local PDF for ${cert.certId} does not match its stored hash — falling back to IPFS`);
+  }
+
+  const cid = record?.ipfs?.hash || cert.ipfsHash;
+  if (!cid) {
+    throw new Error("No stored copy of the issued PDF (no local file and no IPFS CID)");
+  }
+  const { buffer } = await fetchIpfsDocument(cid);
+  if (expectedHash && sha256Hex(buffer) !== expectedHash) {
+    throw new Error("IPFS copy does not match the issued document hash");
+  }
+  return { buffer, source: "ipfs" };
+}
+
+async function generatePDF(req, res) {
+  try {
+    const { certId } = req.params;
+    const render = ["1", "true", "yes"].includes(String(req.query.render || "").toLowerCase());
+
+    // Registry first; certificates issued before it existed come from the chain
+    const record = await certificateRegistry.findIssued(certId);
+    let cert = record;
+    if (!record) {
+      cert = await blockchainService.verifyCertificate(certId);
+      if (!cert.exists) {
+        return res.status(404).json({ error: "Certificate not found" });
+      }
+    }
+
+    if (render) {
+      const templateName = req.query.template || record?.templateName || "default-certificate";
+      const rendered = await pdfService.generatePDF(
+        templateName,
+        {
+          certId,
+          studentName: cert.studentName,
+          studentId: cert.studentId,
+          degree: cert.degree,
+          institution: cert.institution,
+          issueDate: cert.issueDate,
+        },
+        {},
+        record?.issuedBy || null
+      );
+      const pdfBuffer = await pdfService.watermarkPDF(rendered);
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="${certId}-copy.pdf"`);
+      res.setHeader("X-Document-Verifiable", "false");
+      return res.send(pdfBuffer);
+    }
+
+    let original;
+    try {
+      original = await loadOriginalPdf(record, { certId, ipfsHash: cert.ipfsHash });
+    } catch (err) {
+      return res.status(502).json({
+        error: `Original certificate PDF unavailable: ${err.message}`,
+        hint: `GET /api/certificates/${certId}/pdf?render=true for a watermarked, non-verifiable copy`,
+      });
+    }
+
+    const fileName = record?.pdf?.fileName || `${certId}.pdf`;
     res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("Content-Disposition", `inline; filename="${certId}.pdf"`);
-    res.send(pdfBuffer);
+    res.setHeader("Content-Disposition", `inline; filename="${fileName}"`);
+    res.setHeader("X-Document-SHA256", record?.documentHash || sha256Hex(original.buffer));
+    res.setHeader("X-Document-Source", original.source);
+    res.setHeader("X-Document-Verifiable", "true");
+    const cid = record?.ipfs?.hash || cert.ipfsHash;
+    if (cid) res.setHeader("X-IPFS-CID", cid);
+    res.send(original.buffer);
   } catch (err) {
     console.error("Generate PDF error:", err);
     res.status(500).json({ error: err.message });
@@ -322,7 +1271,7 @@ async function generatePDF(req, res) {
 // TEMPLATE MANAGEMENT (institution-scoped)
 // ─────────────────────────────────────────────────────────────────────────────
 
-// POST /api/templates/upload  (requires wallet auth)
+// POST /api/templates/upload  (requires templates:manage)
 async function uploadTemplate(req, res) {
   try {
     if (!req.file) {
@@ -335,8 +1284,8 @@ async function uploadTemplate(req, res) {
       return res.status(400).json({ error: "Only HTML template files are supported" });
     }
 
-    // Get the authenticated wallet address
-    const walletAddress = req.walletAddress;
+    // Templates are stored under the institution the caller acts for
+    const walletAddress = req.institution?.address;
     if (!walletAddress) {
       fs.unlinkSync(req.file.path);
       return res.status(401).json({ error: "Wallet authentication required to upload templates" });
@@ -375,7 +1324,7 @@ async function uploadTemplate(req, res) {
 // GET /api/templates  (optional wallet auth — unauthenticated gets defaults only)
 async function listTemplates(req, res) {
   try {
-    const walletAddress = req.walletAddress || null;
+    const walletAddress = req.institution?.address || req.walletAddress || null;
     const templates = pdfService.listTemplates(walletAddress);
     res.json({ templates });
   } catch (err) {
@@ -384,11 +1333,11 @@ async function listTemplates(req, res) {
 }
 
 // POST /api/templates/preview  (optional wallet auth for institution templates)
-// Body: { templateName, sampleData? }
+// Body: { templateName, sampleData?, format?: "html" | "pdf" }
 async function previewTemplate(req, res) {
   try {
-    const { templateName = "default-certificate", sampleData } = req.body;
-    const walletAddress = req.walletAddress || null;
+    const { templateName = "default-certificate", sampleData, format = "html" } = req.body;
+    const walletAddress = req.institution?.address || req.walletAddress || null;
 
     const data = sampleData || {
       certId: "CERT-2026-001-ABC",
@@ -399,6 +1348,13 @@ async function previewTemplate(req, res) {
       issueDate: "2026-06-15",
     };
 
+    if (format === "pdf") {
+      const pdfBuffer = await pdfService.generatePDF(templateName, data, {}, walletAddress);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="${templateName}-preview.pdf"`);
+      return res.send(pdfBuffer);
+    }
+
     const html = await pdfService.renderHTML(templateName, data, walletAddress);
     res.setHeader("Content-Type", "text/html");
     res.send(html);
@@ -486,37 +1442,51 @@ async function bulkExportQR(req, res) {
 
 // POST /api/email/send
 // Body: { to, certId, studentName, degree, institution, issueDate }
+// Unauthenticated, so a certificate in the registry is only ever sent to its
+// recorded email; `to` and the other fields are for certificates issued before it.
 async function sendEmail(req, res) {
   try {
-    const { to, certId, studentName, degree, institution, issueDate } = req.body;
+    const { certId } = req.body;
+    const record = certId ? await certificateRegistry.findIssued(certId) : null;
 
+    // Registry values win; body fields only cover certificates issued before it
+    const to = record ? record.email : req.body.to;
+    if (record && !to) {
+      return res.status(400).json({ error: `No email address is recorded for certificate "${certId}"` });
+    }
     if (!to || !certId) {
       return res.status(400).json({ error: "to (email) and certId are required" });
     }
 
-    // Try to find existing PDF
-    const certDir = path.join(__dirname, "..", "..", "output", "certificates");
     let pdfBuffer = null;
     let pdfFileName = null;
-
-    const files = fs.existsSync(certDir) ? fs.readdirSync(certDir) : [];
-    const matching = files.find((f) => f.startsWith(certId));
-    if (matching) {
-      pdfBuffer = fs.readFileSync(path.join(certDir, matching));
-      pdfFileName = matching;
+    if (record?.pdf?.filePath && fs.existsSync(record.pdf.filePath)) {
+      pdfBuffer = fs.readFileSync(record.pdf.filePath);
+      pdfFileName = record.pdf.fileName;
     }
 
     const result = await emailService.sendCertificateEmail({
       to,
-      studentName: studentName || certId,
+      studentName: record?.studentName || req.body.studentName || certId,
       certId,
-      degree: degree || "Certificate",
-      institution: institution || "Edulocka",
-      issueDate: issueDate || new Date().toISOString(),
+      degree: record?.degree || req.body.degree || "Certificate",
+      institution: record?.institution || req.body.institution || "Edulocka",
+      issueDate: record?.issueDate || req.body.issueDate || new Date().toISOString(),
       pdfBuffer,
       pdfFileName,
     });
 
+    if (record) {
+      await certificateRegistry.updateIssued(certId, {
+        emailDelivery: {
+          sent: Boolean(result.sent),
+          messageId: result.messageId || null,
+          error: result.error || null,
+          sentAt: result.sent ? new Date() : record.emailDelivery?.sentAt || null,
+        },
+      });
+    }
+
     res.json(result);
   } catch (err) {
     console.error("Send email error:", err);
@@ -542,6 +1512,13 @@ module.exports = {
   issueSingle,
   verifyCertificate,
   verifyCertificateDocument,
+  inspectCertificate,
+  getCredential,
+  getCredentialStatus,
+  verifyCredential,
+  verifyBadge,
+  revokeCertificate,
+  listCertificates,
   generatePDF,
   uploadTemplate,
   listTemplates,
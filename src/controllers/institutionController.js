@@ -5,6 +5,7 @@
 const InstitutionApplication = require("../models/InstitutionApplication");
 const { validateApplication } = require("../services/verificationService");
 const blockchainService = require("../services/blockchainService");
+const accessControl = require("../services/accessControl");
 
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /api/institution/apply — Submit a new institution application
@@ -146,8 +147,16 @@ async function getMyInstitutionInfo(req, res) {
       walletAddress: walletAddress.toLowerCase(),
     }).sort({ createdAt: -1 });
 
+    // Institutions this wallet works for as staff, with its roles there
+    const staffOf = req.access
+      .institutions()
+      .filter((institution) => institution !== walletAddress)
+      .map((institution) => ({ institution, roles: req.access.institutionRoles(institution) }));
+
     res.json({
       walletAddress,
+      platformRoles: req.access.platformRoles,
+      staffOf,
       application: application
         ? {
             id: application._id,
@@ -166,6 +175,80 @@ async function getMyInstitutionInfo(req, res) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/institution/staff — Staff of the caller's institution (owners only)
+// ─────────────────────────────────────────────────────────────────────────────
+async function listStaff(req, res) {
+  try {
+    if (!accessControl.isAvailable()) {
+      return res.status(503).json({ error: "Database unavailable. Staff roles are stored in MongoDB." });
+    }
+    const staff = await accessControl.listStaff(req.institution.address);
+    res.json({ institution: req.institution.address, name: req.institution.name, staff });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/institution/staff — Add a staff wallet
+// Body: { address, role: institution_issuer|institution_viewer|institution_owner, note? }
+// ─────────────────────────────────────────────────────────────────────────────
+async function addStaff(req, res) {
+  try {
+    if (!accessControl.isAvailable()) {
+      return res.status(503).json({ error: "Database unavailable. Staff roles are stored in MongoDB." });
+    }
+    const { address, role, note } = req.body || {};
+    if (!accessControl.INSTITUTION_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${accessControl.INSTITUTION_ROLES.join(", ")}`,
+      });
+    }
+
+    const assignment = await accessControl.grantRole(
+      { address, role, institution: req.institution.address, note },
+      req.walletAddress
+    );
+    res.status(201).json({ success: true, assignment });
+  } catch (err) {
+    if (err.code === "INVALID_ROLE") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Add staff error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DELETE /api/institution/staff/:address — Remove a staff wallet (?role= for one role)
+// ─────────────────────────────────────────────────────────────────────────────
+async function removeStaff(req, res) {
+  try {
+    if (!accessControl.isAvailable()) {
+      return res.status(503).json({ error: "Database unavailable. Staff roles are stored in MongoDB." });
+    }
+    const address = String(req.params.address || "").toLowerCase();
+    const role = req.query.role ? String(req.query.role) : undefined;
+    if (role && !accessControl.INSTITUTION_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${accessControl.INSTITUTION_ROLES.join(", ")}`,
+      });
+    }
+    if (address === req.institution.address) {
+      return res.status(409).json({ error: "The institution wallet itself cannot be removed from its staff" });
+    }
+
+    const removed = await accessControl.revokeRoles({ address, role, institution: req.institution.address });
+    if (removed === 0) {
+      return res.status(404).json({ error: "That wallet holds no such role at this institution" });
+    }
+    res.json({ success: true, address, removed });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /api/institution/check/:address — Quick auth check (no wallet sig needed)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -200,4 +283,7 @@ module.exports = {
   getApplicationStatus,
   getMyInstitutionInfo,
   checkAuthorization,
+  listStaff,
+  addStaff,
+  removeStaff,
 };
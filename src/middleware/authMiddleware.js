@@ -1,77 +1,97 @@
 // ============================================================================
 // Auth Middleware — Wallet-based authentication for institutions
 // ============================================================================
-// Verifies that the caller owns the wallet they claim to by checking a signed
-// message. This is the Web3-native way to authenticate — no passwords needed.
-
-const { ethers } = require("ethers");
+// Callers sign in once with their wallet (Sign-In With Ethereum, see
+// services/authService.js) and then send the session token on every request,
+// either as `Authorization: Bearer <token>` or in the HTTP-only session
+// cookie set by POST /api/auth/login. No passwords needed.
+
+const authService = require("../services/authService");
+const accessControl = require("../services/accessControl");
+
+const SESSION_COOKIE = "edulocka_session";
+const ALLOWED_ORIGIN = new URL(process.env.FRONTEND_URL || "http://localhost:3000").origin;
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
 
 /**
- * Verify a wallet signature against a message and expected address.
- * Used to prove wallet ownership without exposing private keys.
- *
- * @param {string} signature - The signature produced by wallet.signMessage()
- * @param {string} message - The original message that was signed
- * @param {string} expectedAddress - The address that should have signed
- * @returns {boolean} True if the signature is valid for the given address
+ * The session token sent with a request.
+ * @param {import("express").Request} req
+ * @returns {{ token: string|null, source: "bearer"|"cookie"|null }}
  */
-function verifyWalletSignature(signature, message, expectedAddress) {
-  try {
-    const recoveredAddress = ethers.verifyMessage(message, signature);
-    return recoveredAddress.toLowerCase() === expectedAddress.toLowerCase();
-  } catch {
-    return false;
-  }
+function readSessionToken(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  if (bearer) return { token: bearer[1], source: "bearer" };
+  const cookie = readCookie(req, SESSION_COOKIE);
+  return cookie ? { token: cookie, source: "cookie" } : { token: null, source: null };
 }
 
 /**
- * Express middleware: Requires a valid wallet signature in request headers.
- *
- * Expected headers:
- *   x-wallet-address: "0x..."
- *   x-wallet-signature: "0x..."
- *   x-wallet-message: "Edulocka Auth: <timestamp>"
- *
- * The message must be recent (within 5 minutes) to prevent replay attacks.
+ * Resolve the caller's session.
+ * Browsers attach the cookie to cross-site requests too, so a cookie only
+ * authenticates a state-changing request that comes from the frontend origin.
+ * @param {import("express").Request} req
+ * @returns {Promise<{ session?: object, status?: number, error?: string, details?: string }>}
  */
-function requireWalletAuth(req, res, next) {
-  const address = req.headers["x-wallet-address"];
-  const signature = req.headers["x-wallet-signature"];
-  const message = req.headers["x-wallet-message"];
-
-  if (!address || !signature || !message) {
-    return res.status(401).json({
+async function authenticate(req) {
+  const { token, source } = readSessionToken(req);
+  if (!token) {
+    return {
+      status: 401,
       error: "Authentication required",
-      details: "Missing wallet authentication headers (x-wallet-address, x-wallet-signature, x-wallet-message)",
-    });
+      details: "Sign in with POST /api/auth/login and send the session token as a Bearer token or cookie",
+    };
   }
-
-  // Validate address format
-  if (!ethers.isAddress(address)) {
-    return res.status(401).json({ error: "Invalid wallet address format" });
+  if (source === "cookie" && !SAFE_METHODS.has(req.method) && req.headers.origin &&
+      req.headers.origin !== ALLOWED_ORIGIN) {
+    return { status: 403, error: "Cross-origin request rejected" };
   }
-
-  // Verify message freshness (within 5 minutes to prevent replay attacks)
-  const timestampMatch = message.match(/Edulocka Auth: (\d+)/);
-  if (!timestampMatch) {
-    return res.status(401).json({ error: "Invalid auth message format. Expected: 'Edulocka Auth: <timestamp>'" });
+  if (!authService.isAvailable()) {
+    return { status: 503, error: "Database unavailable. Sessions cannot be checked until MongoDB is connected." };
   }
 
-  const messageTimestamp = parseInt(timestampMatch[1], 10);
-  const now = Math.floor(Date.now() / 1000);
-  const MAX_AGE_SECONDS = 5 * 60; // 5 minutes
-
-  if (Math.abs(now - messageTimestamp) > MAX_AGE_SECONDS) {
-    return res.status(401).json({ error: "Auth message expired. Please sign a fresh message." });
+  const session = await authService.resolveSession(token);
+  if (!session) {
+    return { status: 401, error: "Session expired or signed out. Please sign in again." };
   }
+  return { session };
+}
 
-  // Verify signature
-  if (!verifyWalletSignature(signature, message, address)) {
-    return res.status(401).json({ error: "Invalid wallet signature" });
+/**
+ * Express middleware: Requires a signed-in wallet.
+ * Attaches req.walletAddress (lowercase), req.authSession and req.access (the
+ * wallet's roles, see services/accessControl.js).
+ */
+async function requireWalletAuth(req, res, next) {
+  let result;
+  try {
+    result = await authenticate(req);
+    if (result.session) req.access = await accessControl.loadAccess(result.session.address);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  if (!result.session) {
+    return res.status(result.status).json({
+      error: result.error,
+      ...(result.details && { details: result.details }),
+    });
   }
 
-  // Attach verified address to request
-  req.walletAddress = address.toLowerCase();
+  req.authSession = result.session;
+  req.walletAddress = result.session.address;
   next();
 }
 
@@ -86,7 +106,7 @@ function walletRateLimit(maxRequests = 50, windowMs = 15 * 60 * 1000) {
   const requests = new Map(); // address -> { count, resetTime }
 
   return (req, res, next) => {
-    const address = req.walletAddress || req.headers["x-wallet-address"] || "unknown";
+    const address = req.walletAddress || req.ip || "unknown";
     const now = Date.now();
     const entry = requests.get(address);
 
@@ -109,54 +129,28 @@ function walletRateLimit(maxRequests = 50, windowMs = 15 * 60 * 1000) {
 
 /**
  * Optional wallet auth middleware.
- * If valid auth headers are present, attaches walletAddress to req.
+ * If a valid session is presented, attaches walletAddress to req.
  * If not, continues without error (walletAddress will be undefined).
  * Useful for routes that behave differently for authenticated vs anonymous users.
  */
-function optionalWalletAuth(req, res, next) {
-  const address = req.headers["x-wallet-address"];
-  const signature = req.headers["x-wallet-signature"];
-  const message = req.headers["x-wallet-message"];
-
-  // If no address at all, just continue
-  if (!address) {
-    return next();
-  }
-
-  // Validate address format
-  if (!ethers.isAddress(address)) {
-    return next(); // Skip auth silently
-  }
-
-  // If full auth headers are present, verify signature
-  if (signature && message) {
-    const timestampMatch = message.match(/Edulocka Auth: (\d+)/);
-    if (timestampMatch) {
-      const messageTimestamp = parseInt(timestampMatch[1], 10);
-      const now = Math.floor(Date.now() / 1000);
-      const MAX_AGE_SECONDS = 5 * 60;
-
-      if (
-        Math.abs(now - messageTimestamp) <= MAX_AGE_SECONDS &&
-        verifyWalletSignature(signature, message, address)
-      ) {
-        req.walletAddress = address.toLowerCase();
-        return next();
-      }
+async function optionalWalletAuth(req, res, next) {
+  try {
+    const result = await authenticate(req);
+    if (result.session) {
+      req.access = await accessControl.loadAccess(result.session.address);
+      req.authSession = result.session;
+      req.walletAddress = result.session.address;
     }
+  } catch (err) {
+    console.warn("Optional auth lookup failed:", err.message);
   }
-
-  // For GET (read-only) requests, accept address alone without signature.
-  // This lets template listing work without a MetaMask signing popup.
-  if (req.method === "GET") {
-    req.walletAddress = address.toLowerCase();
-  }
-
   next();
 }
 
 module.exports = {
-  verifyWalletSignature,
+  SESSION_COOKIE,
+  readSessionToken,
+  authenticate,
   requireWalletAuth,
   optionalWalletAuth,
   walletRateLimit,
@@ -0,0 +1,191 @@
+// ============================================================================
+// Permission Middleware — Role-based access to protected routes
+// ============================================================================
+// Routes name the permission they need; which roles grant it is defined in
+// services/accessControl.js. Platform permissions (admin dashboard, blog
+// moderation) are checked against the wallet's platform roles. Institution
+// permissions are checked for one institution: the one named in the
+// X-Institution-Address header, or the caller's only institution.
+//
+// Every institution permission needs the institution to be authorized
+// on-chain at request time, not just a stored role. A suspended institution
+// stays authorized (isAuthorized) but is inactive (isActive false), and its
+// application carries `suspended`. Either one blocks all of its permissions
+// until it is reactivated.
+
+const { ethers } = require("ethers");
+const InstitutionApplication = require("../models/InstitutionApplication");
+const accessControl = require("../services/accessControl");
+const { requireWalletAuth, optionalWalletAuth } = require("./authMiddleware");
+
+const INSTITUTION_HEADER = "x-institution-address";
+
+/**
+ * Pick the institution a request acts for.
+ * Without a header: the wallet's own institution if it has no staff roles
+ * elsewhere or is itself authorized on-chain; otherwise its only institution
+ * (preferring those where the role grants the permission). Staff of several
+ * institutions must choose with the header.
+ * @returns {Promise<{ address?: string, status?: number, error?: string, details?: string }>}
+ */
+async function selectInstitution(req, permission) {
+  const { access } = req;
+  const requested = req.get(INSTITUTION_HEADER);
+  if (requested) {
+    if (!ethers.isAddress(requested)) {
+      return { status: 400, error: `Invalid ${INSTITUTION_HEADER} header` };
+    }
+    return { address: requested.toLowerCase() };
+  }
+
+  const memberships = access.institutions().filter((institution) => institution !== access.address);
+  if (memberships.length === 0) return { address: access.address };
+
+  // Staff who are also an institution in their own right act for themselves
+  if ((await accessControl.getInstitutionInfo(access.address)).isAuthorized) return { address: access.address };
+
+  const allowed = memberships.filter((institution) =>
+    access.institutionPermissions(institution).includes(permission)
+  );
+  const candidates = allowed.length > 0 ? allowed : memberships;
+  if (candidates.length === 1) return { address: candidates[0] };
+  return {
+    status: 400,
+    error: "Select an institution",
+    details: `This wallet is staff of ${candidates.length} institutions; send the ${INSTITUTION_HEADER} header`,
+    institutions: candidates,
+  };
+}
+
+/**
+ * The stored suspension of an institution, if any.
+ * @returns {Promise<{ suspendedDate, suspensionReason }|null>}
+ */
+async function findSuspension(address) {
+  if (!accessControl.isAvailable()) return null;
+  return InstitutionApplication.findOne({ walletAddress: address, suspended: true })
+    .select("suspendedDate suspensionReason")
+    .lean();
+}
+
+/**
+ * Resolve the institution context and check the permission within it.
+ * @returns {Promise<{ institution?: object, status?: number, error?: string, details?: string }>}
+ */
+async function resolveInstitution(req, permission) {
+  const selected = await selectInstitution(req, permission);
+  if (!selected.address) return selected;
+
+  const { access } = req;
+  const roles = access.institutionRoles(selected.address);
+  const permissions = access.institutionPermissions(selected.address);
+  if (!permissions.includes(permission)) {
+    return {
+      status: 403,
+      error: "Access denied",
+      details: roles.length
+        ? `Your role (${roles.join(", ")}) at this institution does not allow ${permission}`
+        : "This wallet is not staff of that institution",
+    };
+  }
+
+  let info;
+  try {
+    info = await accessControl.getInstitutionInfo(selected.address);
+  } catch (err) {
+    return { status: 503, error: "Unable to verify institution authorization", details: err.message };
+  }
+  if (!info.isAuthorized) {
+    return {
+      status: 403,
+      error: "Access denied",
+      details: "This institution is not authorized on the blockchain",
+    };
+  }
+  const suspension = await findSuspension(selected.address);
+  if (suspension || !info.isActive) {
+    const since = suspension?.suspendedDate ? ` since ${new Date(suspension.suspendedDate).toISOString()}` : "";
+    const reason = suspension?.suspensionReason ? ` (${suspension.suspensionReason})` : "";
+    return {
+      status: 403,
+      error: "Institution suspended",
+      details: `This institution is suspended${since}${reason}. Its staff cannot act for it until it is reactivated.`,
+    };
+  }
+  return { institution: { ...info, address: selected.address, roles, permissions } };
+}
+
+function sendDenied(res, result) {
+  const { status, ...body } = result;
+  res.status(status).json(body);
+}
+
+function checkPermission(permission) {
+  const scope = accessControl.scopeOf(permission);
+  if (!scope) throw new Error(`Unknown permission "${permission}"`);
+
+  if (scope === "platform") {
+    return (req, res, next) => {
+      if (!req.access.can(permission)) {
+        return res.status(403).json({
+          error: "Access denied",
+          details: `Requires a role with the ${permission} permission`,
+        });
+      }
+      req.adminAddress = req.walletAddress;
+      next();
+    };
+  }
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await resolveInstitution(req, permission);
+    } catch (err) {
+      return res.status(503).json({ error: "Unable to verify institution authorization", details: err.message });
+    }
+    if (!result.institution) return sendDenied(res, result);
+    req.institution = result.institution;
+    next();
+  };
+}
+
+/**
+ * Express middleware: Requires a signed-in wallet holding `permission`.
+ * Platform permissions attach req.adminAddress. Institution permissions
+ * attach req.institution = { address, roles, permissions, name, ... } with
+ * the institution's on-chain record. req.walletAddress stays the acting
+ * (staff) wallet.
+ * @param {string} permission - e.g. "certificates:issue", "roles:manage"
+ */
+function requirePermission(permission) {
+  return [requireWalletAuth, checkPermission(permission)];
+}
+
+/**
+ * Like requirePermission for an institution permission, but anonymous
+ * callers and callers without the permission continue without
+ * req.institution.
+ * @param {string} permission
+ */
+function optionalPermission(permission) {
+  return [
+    optionalWalletAuth,
+    async (req, res, next) => {
+      if (!req.access) return next();
+      try {
+        const result = await resolveInstitution(req, permission);
+        if (result.institution) req.institution = result.institution;
+      } catch (err) {
+        console.warn("Optional permission check failed:", err.message);
+      }
+      next();
+    },
+  ];
+}
+
+module.exports = {
+  INSTITUTION_HEADER,
+  requirePermission,
+  optionalPermission,
+};
@@ -0,0 +1,31 @@
+// ============================================================================
+// AuthNonce Model — Single-use nonces for wallet sign-in
+// ============================================================================
+// GET /api/auth/nonce creates one; a successful login deletes it, so a signed
+// sign-in message can never be used twice. Unused nonces expire on their own.
+
+const mongoose = require("mongoose");
+
+const authNonceSchema = new mongoose.Schema(
+  {
+    nonce: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// MongoDB removes expired nonces
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthNonce = mongoose.model("AuthNonce", authNonceSchema);
+
+module.exports = AuthNonce;
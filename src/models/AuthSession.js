@@ -0,0 +1,64 @@
+// ============================================================================
+// AuthSession Model — Sessions created by wallet sign-in
+// ============================================================================
+// Only the SHA-256 of the session token is stored, so a database dump cannot
+// be replayed as a login. Logging out deletes the session; otherwise MongoDB
+// removes it once it expires.
+
+const mongoose = require("mongoose");
+
+const authSessionSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    address: {
+      type: String, // Wallet that signed in
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    method: {
+      type: String, // How the sign-in was signed
+      enum: ["siwe", "eip712"],
+      required: true,
+    },
+    signatureType: {
+      type: String, // ECDSA from an account key, or accepted by a contract wallet (EIP-1271)
+      enum: ["ecdsa", "eip1271"],
+      default: "ecdsa",
+    },
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    domain: {
+      type: String, // SIWE domain / EIP-712 domain the user approved
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = mongoose.model("AuthSession", authSessionSchema);
+
+module.exports = AuthSession;
@@ -0,0 +1,187 @@
+// ============================================================================
+// BulkJob Model — MongoDB schema for bulk CSV issuance jobs
+// ============================================================================
+// One document per uploaded CSV/XLSX. Survives restarts so status polling,
+// ZIP downloads and Excel reports keep working long after the job finished.
+// Job lifecycle (see services/jobQueue.js):
+//   validated -> queued -> processing -> completed
+//                                     -> failed
+//                                     -> scheduled -> queued (next quota day)
+//                                     -> queued (worker shut down mid-job)
+//                                     -> cancelled
+// Failed and cancelled jobs go back to queued when resumed.
+
+const mongoose = require("mongoose");
+
+const bulkJobSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    // ── Owner ─────────────────────────────────────────────────────────────
+    ownerWallet: {
+      type: String, // Authorized institution wallet the job issues for
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    createdBy: {
+      type: String, // Staff wallet that uploaded the file (may be ownerWallet itself)
+      default: null,
+      lowercase: true,
+      trim: true,
+    },
+
+    // ── Upload ────────────────────────────────────────────────────────────
+    fileName: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    filePath: {
+      type: String,
+      default: null,
+    },
+
+    // Validated rows as produced by validateBatch (with _row). The pipeline
+    // writes certId, pdf/ipfs/blockchain/qr state and per-step `checkpoints`
+    // back onto these so an interrupted job can be resumed.
+    records: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    invalidRecords: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    validation: {
+      totalRows: { type: Number, default: 0 },
+      validCount: { type: Number, default: 0 },
+      invalidCount: { type: Number, default: 0 },
+      hasErrors: { type: Boolean, default: false },
+      errors: { type: [mongoose.Schema.Types.Mixed], default: [] },
+      warnings: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    },
+
+    // ── Processing ────────────────────────────────────────────────────────
+    status: {
+      type: String,
+      enum: ["validated", "queued", "processing", "completed", "failed", "scheduled", "cancelled"],
+      default: "validated",
+      index: true,
+    },
+    templateName: {
+      type: String,
+      default: "default-certificate",
+    },
+    sendEmails: {
+      type: Boolean,
+      default: false,
+    },
+    badges: {
+      type: Boolean, // Bake an Open Badges PNG/SVG per certificate (badgeService.js)
+      default: false,
+    },
+    progress: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    resumeCount: {
+      type: Number, // How many times the job was resumed after a failure/crash
+      default: 0,
+    },
+    resumedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // ── Queue ─────────────────────────────────────────────────────────────
+    priority: {
+      type: Number, // Higher runs first (see jobQueue.PRIORITIES)
+      default: 0,
+    },
+    queuedAt: {
+      type: Date,
+      default: null,
+    },
+    resuming: {
+      type: Boolean, // The next run continues earlier work (reconciles the chain first)
+      default: false,
+    },
+    workerId: {
+      type: String, // host:pid of the worker running the job
+      default: null,
+    },
+    leaseExpiresAt: {
+      type: Date, // Renewed by the worker; a lapsed lease means the worker died
+      default: null,
+    },
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+
+    // ── Daily quota ───────────────────────────────────────────────────────
+    splitAcrossDays: {
+      type: Boolean, // Continue rows over the daily limit on the next day
+      default: false,
+    },
+    scheduledFor: {
+      type: Date, // When a "scheduled" job is picked up again
+      default: null,
+      index: true,
+    },
+    quota: {
+      type: mongoose.Schema.Types.Mixed, // Last quota snapshot seen by the pipeline
+      default: null,
+    },
+
+    // ── Results ───────────────────────────────────────────────────────────
+    results: {
+      type: [mongoose.Schema.Types.Mixed], // Per-row pipeline outcome
+      default: null,
+    },
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // ── Event feed ────────────────────────────────────────────────────────
+    eventSeq: {
+      type: Number, // seq of the last BulkJobEvent published for this job
+      default: 0,
+    },
+  },
+  {
+    timestamps: true, // adds createdAt and updatedAt
+  }
+);
+
+bulkJobSchema.index({ ownerWallet: 1, createdAt: -1 });
+bulkJobSchema.index({ status: 1, createdAt: -1 });
+bulkJobSchema.index({ status: 1, priority: -1, queuedAt: 1 });
+
+const BulkJob = mongoose.model("BulkJob", bulkJobSchema);
+
+module.exports = BulkJob;
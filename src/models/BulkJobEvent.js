@@ -0,0 +1,45 @@
+// ============================================================================
+// BulkJobEvent Model — Progress feed for GET /api/bulk/stream/:jobId
+// ============================================================================
+// Appended by whichever process runs the job (API server or bulk worker) and
+// read back in seq order by the SSE endpoint, which may be another process.
+// seq is taken from BulkJob.eventSeq, so it is one counter per job across
+// every process, and it is the SSE event id.
+// Events expire after a week; the job document keeps the final state.
+//   type "status"   — { status, ...details } job status changed
+//   type "progress" — the progress object the pipeline stored on the job
+//   type "row"      — { index, row, certId, changes } a row passed a step
+
+const mongoose = require("mongoose");
+
+const bulkJobEventSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["status", "progress", "row"],
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+bulkJobEventSchema.index({ jobId: 1, seq: 1 });
+bulkJobEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const BulkJobEvent = mongoose.model("BulkJobEvent", bulkJobEventSchema);
+
+module.exports = BulkJobEvent;
@@ -0,0 +1,65 @@
+// ============================================================================
+// CertificateRevocation Model — Off-chain record of revoked certificates
+// ============================================================================
+// The contract only stores isValid = false. This keeps the reason, who
+// revoked it and the revocation tx so verifiers can see why.
+
+const mongoose = require("mongoose");
+
+const certificateRevocationSchema = new mongoose.Schema(
+  {
+    certId: {
+      type: String,
+      required: [true, "Certificate ID is required"],
+      unique: true,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      required: [true, "Revocation reason is required"],
+      trim: true,
+      maxlength: 1000,
+    },
+    revokedBy: {
+      type: String, // Issuer wallet that requested the revocation
+      required: true,
+      lowercase: true,
+      trim: true,
+      match: [/^0x[a-fA-F0-9]{40}$/, "Invalid wallet address"],
+      index: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // ── Blockchain ────────────────────────────────────────────────────────
+    txHash: {
+      type: String,
+      required: true,
+    },
+    blockNumber: {
+      type: Number,
+      default: null,
+    },
+
+    // ── Student Notification ──────────────────────────────────────────────
+    notification: {
+      email: { type: String, default: null, lowercase: true, trim: true },
+      sent: { type: Boolean, default: false },
+      error: { type: String, default: "" },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+certificateRevocationSchema.index({ revokedAt: -1 });
+
+const CertificateRevocation = mongoose.model(
+  "CertificateRevocation",
+  certificateRevocationSchema
+);
+
+module.exports = CertificateRevocation;
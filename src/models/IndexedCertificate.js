@@ -0,0 +1,88 @@
+// ============================================================================
+// IndexedCertificate Model — CertificateIssued events mirrored from the chain
+// ============================================================================
+// Written only by the indexer service, and only for blocks past the
+// confirmation depth, so rows here are not expected to be reorged away.
+
+const mongoose = require("mongoose");
+
+const indexedCertificateSchema = new mongoose.Schema(
+  {
+    // The event indexes certificateId, so the log only carries its keccak256
+    // hash. The plain ID is decoded from the issuing transaction's calldata.
+    certId: {
+      type: String,
+      default: null,
+      trim: true,
+      index: true,
+    },
+    certIdHash: {
+      type: String,
+      required: true,
+      lowercase: true,
+      index: true,
+    },
+    studentName: {
+      type: String,
+      default: "",
+    },
+    // studentId, degree, issueDate and ipfsHash are not in the event; they
+    // come from the same calldata as certId and stay null if it can't be decoded
+    studentId: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    degree: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    issueDate: {
+      type: Date, // Issue date printed on the certificate
+      default: null,
+    },
+    ipfsHash: {
+      type: String,
+      default: null,
+    },
+    institution: {
+      type: String,
+      default: "",
+      index: true,
+    },
+    issuer: {
+      type: String,
+      required: true,
+      lowercase: true,
+      index: true,
+    },
+    issuedAt: {
+      type: Date, // Event timestamp (block time set by the contract)
+      default: null,
+    },
+    // Revocations emit no event; the indexer reads this from contract state
+    revoked: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    // ── Log position ──────────────────────────────────────────────────────
+    blockNumber: { type: Number, required: true },
+    blockHash: { type: String, required: true },
+    txHash: { type: String, required: true },
+    logIndex: { type: Number, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+indexedCertificateSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+indexedCertificateSchema.index({ blockNumber: -1 });
+indexedCertificateSchema.index({ issuer: 1, issueDate: -1 });
+
+const IndexedCertificate = mongoose.model("IndexedCertificate", indexedCertificateSchema);
+
+module.exports = IndexedCertificate;
@@ -0,0 +1,42 @@
+// ============================================================================
+// IndexedInstitution Model — Current on-chain state of each institution
+// ============================================================================
+// Projection maintained by the indexer from InstitutionEvent, so the admin
+// listing does not need N+1 RPC calls per institution.
+
+const mongoose = require("mongoose");
+
+const indexedInstitutionSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+    },
+    name: { type: String, default: "" },
+    registrationNumber: { type: String, default: "" },
+    country: { type: String, default: "" },
+    state: {
+      type: String,
+      enum: ["active", "suspended", "removed"],
+      default: "active",
+      index: true,
+    },
+    authorizedDate: {
+      type: Date, // Block time of the latest InstitutionAdded
+      default: null,
+    },
+
+    // Position of the last event applied, so replays are idempotent
+    lastEventBlock: { type: Number, default: 0 },
+    lastEventLogIndex: { type: Number, default: -1 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const IndexedInstitution = mongoose.model("IndexedInstitution", indexedInstitutionSchema);
+
+module.exports = IndexedInstitution;
@@ -0,0 +1,36 @@
+// ============================================================================
+// IndexerState Model — Cursor for the blockchain event indexer
+// ============================================================================
+// One document per indexed contract. lastIndexedBlock only ever advances to
+// (chain head - confirmations), which is what makes restarts reorg-safe.
+
+const mongoose = require("mongoose");
+
+const indexerStateSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String, // Contract address (lowercase)
+      required: true,
+      unique: true,
+    },
+    startBlock: { type: Number, default: 0 },
+    lastIndexedBlock: { type: Number, default: -1 },
+    chainHead: { type: Number, default: null },
+    backfilledAt: {
+      type: Date, // Set once the cursor first reaches the safe head
+      default: null,
+    },
+    lastError: { type: String, default: "" },
+    revocationTotal: {
+      type: Number, // totalRevocations() at the last revoked-flag pass
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const IndexerState = mongoose.model("IndexerState", indexerStateSchema);
+
+module.exports = IndexerState;
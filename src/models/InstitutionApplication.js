@@ -3,6 +3,7 @@
 // ============================================================================
 // Stores all data for institutions applying to be authorized on Edulocka.
 // Applications go through: pending → approved/rejected workflow.
+// Approved institutions can be suspended and reactivated (history is kept).
 
 const mongoose = require("mongoose");
 
@@ -123,6 +124,30 @@ const institutionApplicationSchema = new mongoose.Schema(
       default: false,
     },
 
+    // ── Suspension (temporary, reversible — unlike deauthorization) ───────
+    suspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspendedDate: {
+      type: Date,
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      default: null,
+    },
+    suspensionHistory: [
+      {
+        _id: false,
+        action: { type: String, enum: ["suspended", "reactivated"], required: true },
+        reason: { type: String, required: true, maxlength: 1000 },
+        by: { type: String, lowercase: true }, // Admin wallet address
+        date: { type: Date, default: Date.now },
+        txHash: { type: String, default: null },
+      },
+    ],
+
     // ── Admin Notes ───────────────────────────────────────────────────────
     adminNotes: {
       type: String,
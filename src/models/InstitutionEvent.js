@@ -0,0 +1,57 @@
+// ============================================================================
+// InstitutionEvent Model — Raw institution lifecycle events from the chain
+// ============================================================================
+// InstitutionAdded / Removed / Suspended / Reactivated, in chain order.
+// IndexedInstitution holds the current state folded from these.
+
+const mongoose = require("mongoose");
+
+const institutionEventSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: [
+        "InstitutionAdded",
+        "InstitutionRemoved",
+        "InstitutionSuspended",
+        "InstitutionReactivated",
+      ],
+      required: true,
+      index: true,
+    },
+    institution: {
+      type: String,
+      required: true,
+      lowercase: true,
+      index: true,
+    },
+    actor: {
+      type: String, // authorizedBy / removedBy / suspendedBy / reactivatedBy
+      lowercase: true,
+      default: null,
+    },
+
+    // Only present on InstitutionAdded
+    name: { type: String, default: null },
+    registrationNumber: { type: String, default: null },
+    country: { type: String, default: null },
+
+    blockTimestamp: { type: Date, default: null },
+
+    // ── Log position ──────────────────────────────────────────────────────
+    blockNumber: { type: Number, required: true },
+    blockHash: { type: String, required: true },
+    txHash: { type: String, required: true },
+    logIndex: { type: Number, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+institutionEventSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+institutionEventSchema.index({ institution: 1, blockNumber: 1, logIndex: 1 });
+
+const InstitutionEvent = mongoose.model("InstitutionEvent", institutionEventSchema);
+
+module.exports = InstitutionEvent;
@@ -0,0 +1,119 @@
+// ============================================================================
+// IssuedCertificate Model — Off-chain registry of every issued certificate
+// ============================================================================
+// Written by single issuance and by the bulk pipeline once a certificate is
+// confirmed on chain. Holds everything the chain does not: the student's
+// email, the template and generated files, the document hash and delivery
+// state. Keyed by certId.
+
+const mongoose = require("mongoose");
+
+const issuedCertificateSchema = new mongoose.Schema(
+  {
+    certId: {
+      type: String,
+      required: [true, "Certificate ID is required"],
+      unique: true,
+      trim: true,
+    },
+
+    // ── Certificate ───────────────────────────────────────────────────────
+    studentName: { type: String, required: true, trim: true },
+    studentId: { type: String, default: "", trim: true },
+    degree: { type: String, default: "", trim: true },
+    institution: { type: String, default: "", trim: true },
+    issueDate: {
+      type: String, // As submitted (YYYY-MM-DD), the value printed on the PDF
+      default: "",
+    },
+    email: {
+      type: String,
+      default: null,
+      lowercase: true,
+      trim: true,
+    },
+
+    // ── Origin ────────────────────────────────────────────────────────────
+    issuedBy: {
+      type: String, // Institution wallet that requested issuance
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    requestedBy: {
+      type: String, // Staff wallet that made the request (may be issuedBy itself)
+      default: null,
+      lowercase: true,
+      trim: true,
+    },
+    source: {
+      type: String,
+      enum: ["single", "bulk"],
+      required: true,
+    },
+    jobId: {
+      type: String, // BulkJob that produced it (bulk only)
+      default: null,
+      index: true,
+    },
+    templateName: {
+      type: String,
+      default: "default-certificate",
+    },
+
+    // ── Files ─────────────────────────────────────────────────────────────
+    pdf: {
+      fileName: { type: String, default: null },
+      filePath: { type: String, default: null },
+    },
+    qr: {
+      fileName: { type: String, default: null },
+    },
+    documentHash: {
+      type: String, // SHA-256 of the PDF bytes pinned to IPFS
+      default: null,
+      index: true,
+    },
+    ipfs: {
+      hash: { type: String, default: null },
+      pinned: { type: Boolean, default: false },
+      provider: { type: String, default: null }, // Storage driver that holds it
+      gateway: { type: String, default: null },
+    },
+
+    // ── Blockchain ────────────────────────────────────────────────────────
+    blockchain: {
+      txHash: { type: String, default: null },
+      blockNumber: { type: Number, default: null },
+      gasUsed: { type: Number, default: null },
+    },
+    status: {
+      type: String,
+      enum: ["issued", "revoked"],
+      default: "issued",
+      index: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // ── Email Delivery ────────────────────────────────────────────────────
+    emailDelivery: {
+      sent: { type: Boolean, default: false },
+      messageId: { type: String, default: null },
+      error: { type: String, default: null },
+      sentAt: { type: Date, default: null },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+issuedCertificateSchema.index({ issuedBy: 1, createdAt: -1 });
+
+const IssuedCertificate = mongoose.model("IssuedCertificate", issuedCertificateSchema);
+
+module.exports = IssuedCertificate;
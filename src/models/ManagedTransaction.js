@@ -0,0 +1,100 @@
+// ============================================================================
+// ManagedTransaction Model — Contract transactions sent by the backend signer
+// ============================================================================
+// Written by the transaction manager before each broadcast, so the nonce is
+// reserved even if the process dies before the tx is mined. Every broadcast
+// for the same nonce (original, speed-ups, cancellation) is kept in `attempts`.
+// The process watching a pending tx renews `watchedAt`; other processes only
+// take it over once that lease runs out.
+// Lifecycle:
+//   pending -> confirmed | failed (reverted) | cancelled | dropped
+
+const mongoose = require("mongoose");
+
+const attemptSchema = new mongoose.Schema(
+  {
+    hash: { type: String, required: true },
+    kind: {
+      type: String,
+      enum: ["original", "speedup", "cancel"],
+      default: "original",
+    },
+    maxFeePerGas: { type: String, default: null }, // wei, as decimal string
+    maxPriorityFeePerGas: { type: String, default: null },
+    gasPrice: { type: String, default: null }, // legacy (pre-EIP-1559) chains
+    raw: { type: String, default: null }, // signed tx, re-broadcast if the node drops it
+    sentAt: { type: Date, default: Date.now },
+    rebroadcastAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const managedTransactionSchema = new mongoose.Schema(
+  {
+    txId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    from: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    nonce: {
+      type: Number,
+      required: true,
+    },
+
+    // ── Call ──────────────────────────────────────────────────────────────
+    to: { type: String, required: true },
+    data: { type: String, required: true },
+    gasLimit: { type: String, required: true },
+    purpose: {
+      type: String, // Contract method, e.g. "issueCertificate"
+      required: true,
+    },
+    label: {
+      type: String, // Human reference, e.g. certId or institution address
+      default: "",
+    },
+
+    // ── State ─────────────────────────────────────────────────────────────
+    status: {
+      type: String,
+      enum: ["pending", "confirmed", "failed", "cancelled", "dropped"],
+      default: "pending",
+      index: true,
+    },
+    attempts: {
+      type: [attemptSchema],
+      default: [],
+    },
+    txHash: {
+      type: String, // Hash of the attempt that was mined
+      default: null,
+    },
+    blockNumber: { type: Number, default: null },
+    gasUsed: { type: Number, default: null },
+    error: { type: String, default: "" },
+    finalizedAt: { type: Date, default: null },
+
+    // ── Watcher ───────────────────────────────────────────────────────────
+    watcher: { type: String, default: null }, // "host:pid" of the watching process
+    watchedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+managedTransactionSchema.index({ from: 1, chainId: 1, nonce: -1 });
+managedTransactionSchema.index({ "attempts.hash": 1 });
+
+const ManagedTransaction = mongoose.model("ManagedTransaction", managedTransactionSchema);
+
+module.exports = ManagedTransaction;
@@ -0,0 +1,69 @@
+// ============================================================================
+// PinRecord Model — Inventory of stored certificate documents
+// ============================================================================
+// One document per certificate, written when its PDF is uploaded and kept
+// current by the pin audit job (pinService). Backfilled from IssuedCertificate
+// for certificates stored before the inventory existed.
+//
+// status:
+//   pending      — not audited yet (backfilled)
+//   pinned       — available from the storage driver at the last check
+//   failed       — the upload itself failed; retried from the local copy
+//   missing      — no longer stored and no local copy to restore it from
+//   unresolvable — the certificate's on-chain ipfsHash cannot be fetched
+//                  (gone with no local copy, or not a real CID)
+
+const mongoose = require("mongoose");
+
+const pinRecordSchema = new mongoose.Schema(
+  {
+    certId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    cid: {
+      type: String, // CID the document was uploaded under
+      default: null,
+      index: true,
+    },
+    chainIpfsHash: {
+      type: String, // ipfsHash recorded on chain; null until issued and looked up
+      default: null,
+    },
+    provider: { type: String, default: null },
+    fileName: { type: String, default: null },
+    localPath: {
+      type: String, // PDF kept on this server, used to re-pin
+      default: null,
+    },
+    size: { type: Number, default: null },
+    status: {
+      type: String,
+      enum: ["pending", "pinned", "failed", "missing", "unresolvable"],
+      default: "pending",
+      index: true,
+    },
+    pinnedAt: { type: Date, default: null },
+
+    // ── Audit ─────────────────────────────────────────────────────────────
+    lastCheckedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    lastAvailableAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    consecutiveFailures: { type: Number, default: 0 },
+    repinCount: { type: Number, default: 0 },
+    lastRepinnedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PinRecord = mongoose.model("PinRecord", pinRecordSchema);
+
+module.exports = PinRecord;
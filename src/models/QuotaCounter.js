@@ -0,0 +1,36 @@
+// ============================================================================
+// QuotaCounter Model — Daily issuance slots reserved by the backend
+// ============================================================================
+// One document per issuer and UTC quota day. `inFlight` counts slots taken by
+// quotaService.reserve() whose txs are not mined yet; the chain's own count
+// covers them once they are. Counters expire two days after they are created.
+
+const mongoose = require("mongoose");
+
+const quotaCounterSchema = new mongoose.Schema(
+  {
+    issuer: {
+      type: String, // The wallet the contract counts against (backend signer)
+      required: true,
+      lowercase: true,
+    },
+    day: {
+      type: Number, // Days since the unix epoch, UTC
+      required: true,
+    },
+    inFlight: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+quotaCounterSchema.index({ issuer: 1, day: 1 }, { unique: true });
+quotaCounterSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+const QuotaCounter = mongoose.model("QuotaCounter", quotaCounterSchema);
+
+module.exports = QuotaCounter;
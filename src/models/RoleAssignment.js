@@ -0,0 +1,66 @@
+// ============================================================================
+// RoleAssignment Model — Roles granted to wallets
+// ============================================================================
+// One document per (wallet, role, institution). Platform roles (super_admin,
+// reviewer, blog_moderator) have no institution; institution roles
+// (institution_owner, institution_issuer, institution_viewer) name the
+// on-chain authorized institution wallet they act for. What each role may do
+// is defined in services/accessControl.js.
+
+const mongoose = require("mongoose");
+
+const WALLET_PATTERN = [/^0x[a-fA-F0-9]{40}$/, "Invalid wallet address"];
+
+const roleAssignmentSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String, // Wallet that holds the role
+      required: true,
+      lowercase: true,
+      trim: true,
+      match: WALLET_PATTERN,
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: [
+        "super_admin",
+        "reviewer",
+        "blog_moderator",
+        "institution_owner",
+        "institution_issuer",
+        "institution_viewer",
+      ],
+      required: true,
+    },
+    institution: {
+      type: String, // Institution wallet for institution roles, null for platform roles
+      default: null,
+      lowercase: true,
+      trim: true,
+      match: WALLET_PATTERN,
+      index: true,
+    },
+    grantedBy: {
+      type: String, // Wallet that granted the role
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+roleAssignmentSchema.index({ address: 1, role: 1, institution: 1 }, { unique: true });
+
+const RoleAssignment = mongoose.model("RoleAssignment", roleAssignmentSchema);
+
+module.exports = RoleAssignment;
@@ -0,0 +1,35 @@
+// ============================================================================
+// ServiceLock Model — Leases shared between backend processes
+// ============================================================================
+// One document per lock name (e.g. "signer"). A holder owns the lock while
+// expiresAt is in the future and extends it while working; a crashed holder
+// simply lets it expire.
+
+const mongoose = require("mongoose");
+
+const serviceLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    token: {
+      type: String, // Random per acquisition, so only the holder can renew/release
+      required: true,
+    },
+    holder: {
+      type: String, // host:pid, for debugging
+      default: "",
+    },
+    acquiredAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ServiceLock = mongoose.model("ServiceLock", serviceLockSchema);
+
+module.exports = ServiceLock;
@@ -0,0 +1,29 @@
+// ============================================================================
+// StorageUsage Model — Monthly upload counters per storage driver
+// ============================================================================
+// Incremented on every successful upload, including re-pins, so hosted
+// plans with monthly limits (Pinata free tier: 500 uploads) can be tracked.
+
+const mongoose = require("mongoose");
+
+const storageUsageSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    month: {
+      type: String, // UTC, YYYY-MM
+      required: true,
+    },
+    uploads: { type: Number, default: 0 },
+    repins: { type: Number, default: 0 },
+    bytes: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+storageUsageSchema.index({ provider: 1, month: 1 }, { unique: true });
+
+const StorageUsage = mongoose.model("StorageUsage", storageUsageSchema);
+
+module.exports = StorageUsage;
@@ -1,56 +1,84 @@
 // ============================================================================
 // Admin Routes — Protected endpoints for the Edulocka admin dashboard
 // ============================================================================
-// All routes require admin wallet authentication.
+// Every route needs a signed-in wallet whose platform roles grant the
+// route's permission (see services/accessControl.js).
 
 const express = require("express");
 const router = express.Router();
 
 const adminController = require("../controllers/adminController");
 const blogController = require("../controllers/blogController");
-const { requireAdminAuth } = require("../middleware/adminMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 
-// All admin routes require authentication
-router.use(requireAdminAuth);
+const canRead = requirePermission("applications:read");
+const canReview = requirePermission("applications:review");
+const canManageInstitutions = requirePermission("institutions:manage");
+const canManagePlatform = requirePermission("platform:manage");
+const canModerate = requirePermission("blogs:moderate");
 
 // ── Application Management ──────────────────────────────────────────────────
 
 // List all applications (with filters: ?status=pending&search=MIT&page=1)
-router.get("/applications", adminController.listApplications);
+router.get("/applications", canRead, adminController.listApplications);
 
 // Get full application details
-router.get("/applications/:id", adminController.getApplicationDetails);
+router.get("/applications/:id", canRead, adminController.getApplicationDetails);
 
 // Approve an application (calls blockchain to authorize)
-router.post("/approve/:id", adminController.approveApplication);
+router.post("/approve/:id", canReview, adminController.approveApplication);
 
 // Reject an application (requires reason in body)
-router.post("/reject/:id", adminController.rejectApplication);
+router.post("/reject/:id", canReview, adminController.rejectApplication);
 
 // Update verification checklist for an application
-router.post("/update-checks/:id", adminController.updateChecklist);
+router.post("/update-checks/:id", canReview, adminController.updateChecklist);
 
 // Generate verification report
-router.get("/report/:id", adminController.getVerificationReport);
+router.get("/report/:id", canRead, adminController.getVerificationReport);
 
 // Serve uploaded document files
-router.get("/documents/:id/:docType", adminController.serveDocument);
+router.get("/documents/:id/:docType", canRead, adminController.serveDocument);
 
 // ── Institution Management ──────────────────────────────────────────────────
 
 // List all authorized institutions (from blockchain + database)
-router.get("/institutions", adminController.listAuthorizedInstitutions);
+router.get("/institutions", requirePermission("institutions:read"), adminController.listAuthorizedInstitutions);
 
 // Deauthorize an institution (removes from blockchain)
-router.post("/deauthorize/:address", adminController.deauthorizeInstitution);
+router.post("/deauthorize/:address", canManageInstitutions, adminController.deauthorizeInstitution);
+
+// Temporarily suspend / reactivate an institution (requires reason in body)
+router.post("/suspend/:address", canManageInstitutions, adminController.suspendInstitution);
+router.post("/reactivate/:address", canManageInstitutions, adminController.reactivateInstitution);
 
 // ── Dashboard Stats ─────────────────────────────────────────────────────────
-router.get("/stats", adminController.getStats);
+router.get("/stats", requirePermission("stats:read"), adminController.getStats);
+
+// Change the on-chain daily issuance limit (body: { limit })
+router.post("/daily-limit", canManagePlatform, adminController.setDailyLimit);
+
+// ── Signer Transactions ─────────────────────────────────────────────────────
+router.get("/transactions", canManagePlatform, adminController.listTransactions);
+router.post("/transactions/:txId/speed-up", canManagePlatform, adminController.speedUpTransaction);
+router.post("/transactions/:txId/cancel", canManagePlatform, adminController.cancelTransaction);
+
+// ── Document Storage ────────────────────────────────────────────────────────
+// Quota usage, failed/missing pins and unresolvable on-chain hashes
+router.get("/pins", canManagePlatform, adminController.getPinReport);
+router.post("/pins/audit", canManagePlatform, adminController.runPinAudit);
 
 // ── Blog Management ─────────────────────────────────────────────────────────
-router.get("/blogs", blogController.listBlogsForAdmin);
-router.get("/blog-logs", blogController.listBlogAuditLogs);
-router.post("/blogs/:id/review", blogController.reviewBlog);
-router.delete("/blogs/:id", blogController.deleteBlog);
+router.get("/blogs", canModerate, blogController.listBlogsForAdmin);
+router.get("/blog-logs", canModerate, blogController.listBlogAuditLogs);
+router.post("/blogs/:id/review", canModerate, blogController.reviewBlog);
+router.delete("/blogs/:id", canModerate, blogController.deleteBlog);
+
+// ── Roles ───────────────────────────────────────────────────────────────────
+// List (?role=&address=&institution=), grant (body: { address, role,
+// institution?, note? }) and revoke role assignments
+router.get("/roles", requirePermission("roles:manage"), adminController.listRoles);
+router.post("/roles", requirePermission("roles:manage"), adminController.grantRole);
+router.delete("/roles/:id", requirePermission("roles:manage"), adminController.revokeRole);
 
 module.exports = router;
@@ -10,8 +10,8 @@ const router = express.Router();
 const bulkController = require("../controllers/bulkController");
 const certificateController = require("../controllers/certificateController");
 const blogController = require("../controllers/blogController");
-const { requireWalletAuth, optionalWalletAuth } = require("../middleware/authMiddleware");
-const { requireAdminAuth } = require("../middleware/adminMiddleware");
+const { requireWalletAuth } = require("../middleware/authMiddleware");
+const { requirePermission, optionalPermission } = require("../middleware/permissionMiddleware");
 
 // ── File upload config ──────────────────────────────────────────────────────
 const storage = multer.diskStorage({
@@ -64,21 +64,50 @@ const certificateVerifyUpload = multer({
   limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
 });
 
+const badgeVerifyUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if ([".png", ".svg"].includes(ext) || ["image/png", "image/svg+xml"].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only PNG and SVG badge images are allowed"));
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+});
+
+// Issuance endpoints spend gas from the server signer, so the caller must be
+// staff allowed to issue for an institution authorized on-chain. Jobs and
+// certificates are scoped to the institution, so all of its staff see them
+// (see middleware/permissionMiddleware.js).
+const requireIssuer = requirePermission("certificates:issue");
+const requireReader = requirePermission("certificates:read");
+
 // ─────────────────────────────────────────────────────────────────────────────
 // BULK ISSUANCE ENDPOINTS
 // ─────────────────────────────────────────────────────────────────────────────
 
 // Upload & validate CSV → returns preview with validation results
-router.post("/bulk/upload", csvUpload.single("file"), bulkController.uploadCSV);
+router.post("/bulk/upload", requireIssuer, csvUpload.single("file"), bulkController.uploadCSV);
+
+// Queue the validated batch → a worker issues on blockchain, generates PDFs, etc.
+router.post("/bulk/process", requireIssuer, bulkController.processBatch);
 
-// Process the validated batch → issues on blockchain, generates PDFs, etc.
-router.post("/bulk/process", bulkController.processBatch);
+// Resume a failed/interrupted/cancelled job — only unfinished rows are retried
+router.post("/bulk/resume/:jobId", requireIssuer, bulkController.resumeBatch);
 
 // Get status of an in-progress bulk job
-router.get("/bulk/status/:jobId", bulkController.getJobStatus);
+router.get("/bulk/status/:jobId", requireReader, bulkController.getJobStatus);
+
+// Live progress as Server-Sent Events (phase changes, per-row outcomes, summary)
+router.get("/bulk/stream/:jobId", requireReader, bulkController.streamJob);
 
 // Download all generated certificates for a job as ZIP
-router.get("/bulk/download/:jobId", bulkController.downloadBatch);
+router.get("/bulk/download/:jobId", requireReader, bulkController.downloadBatch);
+
+// Cancel a queued or running job
+router.delete("/bulk/:jobId", requireIssuer, bulkController.cancelJob);
 
 // ─────────────────────────────────────────────────────────────────────────────
 // BLOG ENDPOINTS
@@ -91,9 +120,9 @@ router.post("/blogs", requireWalletAuth, blogController.createBlog);
 router.put("/blogs/:id", requireWalletAuth, blogController.updateBlog);
 router.delete("/blogs/:id", requireWalletAuth, blogController.deleteBlog);
 
-// Admin moderation routes
-router.get("/blogs/pending-review", requireAdminAuth, blogController.listPendingReviewBlogs);
-router.post("/blogs/:id/review", requireAdminAuth, blogController.reviewBlog);
+// Moderation routes (blog moderators and super admins)
+router.get("/blogs/pending-review", requirePermission("blogs:moderate"), blogController.listPendingReviewBlogs);
+router.post("/blogs/:id/review", requirePermission("blogs:moderate"), blogController.reviewBlog);
 
 // Public blog feed + detail (published only)
 router.get("/blogs", blogController.listPublishedBlogs);
@@ -103,38 +132,64 @@ router.get("/blogs/:slug", blogController.getPublishedBlog);
 // CERTIFICATE TEMPLATE ENDPOINTS
 // ─────────────────────────────────────────────────────────────────────────────
 
-// Upload a custom certificate HTML template (requires wallet auth)
+// Upload a custom certificate HTML template for the caller's institution
 router.post(
   "/templates/upload",
-  requireWalletAuth,
+  requirePermission("templates:manage"),
   templateUpload.single("template"),
   certificateController.uploadTemplate
 );
 
 // List available templates (optional auth — defaults for all, + institution-specific when authenticated)
-router.get("/templates", optionalWalletAuth, certificateController.listTemplates);
+router.get("/templates", optionalPermission("templates:manage"), certificateController.listTemplates);
 
 // Preview a template with sample data (optional auth for institution templates)
-router.post("/templates/preview", optionalWalletAuth, certificateController.previewTemplate);
+router.post("/templates/preview", optionalPermission("templates:manage"), certificateController.previewTemplate);
 
 // ─────────────────────────────────────────────────────────────────────────────
 // SINGLE CERTIFICATE ENDPOINTS
 // ─────────────────────────────────────────────────────────────────────────────
 
+// List/search certificates issued by the caller's institution (JSON, or CSV/XLSX export)
+router.get("/certificates", requireReader, certificateController.listCertificates);
+
 // Issue a single certificate (with PDF + QR + optional email)
-router.post("/certificates/issue", certificateController.issueSingle);
+router.post("/certificates/issue", requireIssuer, certificateController.issueSingle);
 
 // Verify a certificate by ID
 router.get("/certificates/verify/:certId", certificateController.verifyCertificate);
 
 // Verify an uploaded certificate document by hashing and comparing with on-chain IPFS file
+// (certId is optional — it is read from the PDF's metadata, QR code or document hash)
 router.post(
   "/certificates/verify-file",
   certificateVerifyUpload.single("document"),
   certificateController.verifyCertificateDocument
 );
 
-// Generate PDF for an existing certificate
+// Read the signed metadata embedded in an issued PDF and check it against the chain
+router.post(
+  "/certificates/inspect",
+  certificateVerifyUpload.single("document"),
+  certificateController.inspectCertificate
+);
+
+// W3C Verifiable Credential (Open Badges 3.0) for a certificate, signed with an EIP-712 proof
+router.get("/certificates/:certId/credential", certificateController.getCredential);
+
+// Revocation status read from the chain (credentialStatus of exported credentials)
+router.get("/certificates/:certId/status", certificateController.getCredentialStatus);
+
+// Check a credential's proof and the on-chain certificate it names
+router.post("/credentials/verify", certificateController.verifyCredential);
+
+// Read the credential baked into an Open Badges PNG/SVG and verify it
+router.post("/badges/verify", badgeVerifyUpload.single("badge"), certificateController.verifyBadge);
+
+// Revoke a certificate (issuing institution's owners only)
+router.post("/certificates/:certId/revoke", requirePermission("certificates:revoke"), certificateController.revokeCertificate);
+
+// Download the issued PDF (?render=true for a watermarked, non-verifiable re-render)
 router.get("/certificates/:certId/pdf", certificateController.generatePDF);
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -162,6 +217,6 @@ router.post("/email/bulk-send/:jobId", certificateController.bulkSendEmails);
 // ─────────────────────────────────────────────────────────────────────────────
 
 // Generate Excel report for a batch job
-router.get("/reports/:jobId", bulkController.generateReport);
+router.get("/reports/:jobId", requireReader, bulkController.generateReport);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+// ============================================================================
+// Auth Routes — Wallet sign-in (SIWE / EIP-712) and sessions
+// ============================================================================
+
+const express = require("express");
+const router = express.Router();
+
+const authController = require("../controllers/authController");
+const { requireWalletAuth } = require("../middleware/authMiddleware");
+
+// Single-use nonce and the domain/URI/chain the sign-in message must name
+router.get("/nonce", authController.getNonce);
+
+// Verify a signed sign-in message → session token (also set as HTTP-only cookie)
+router.post("/login", authController.login);
+
+// End the current session
+router.post("/logout", authController.logout);
+
+// Current session's wallet and expiry
+router.get("/session", requireWalletAuth, authController.getSession);
+
+module.exports = router;
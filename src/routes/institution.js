@@ -9,6 +9,7 @@ const router = express.Router();
 
 const institutionController = require("../controllers/institutionController");
 const { requireWalletAuth } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 
 // ── File upload config for institution documents ────────────────────────────
 const docStorage = multer.diskStorage({
@@ -52,6 +53,13 @@ router.get("/status/:id", institutionController.getApplicationStatus);
 // Get institution info for the connected wallet (requires wallet auth)
 router.get("/my-info", requireWalletAuth, institutionController.getMyInstitutionInfo);
 
+// ── Staff (institution owners only) ─────────────────────────────────────────
+// Wallets that issue or view certificates for the caller's institution.
+// Add: body { address, role: institution_issuer|institution_viewer|institution_owner, note? }
+router.get("/staff", requirePermission("staff:manage"), institutionController.listStaff);
+router.post("/staff", requirePermission("staff:manage"), institutionController.addStaff);
+router.delete("/staff/:address", requirePermission("staff:manage"), institutionController.removeStaff);
+
 // Quick authorization check for any address (public, no auth needed)
 router.get("/check/:address", institutionController.checkAuthorization);
 
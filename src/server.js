@@ -16,6 +16,14 @@ const { ethers } = require("ethers");
 const apiRoutes = require("./routes/api");
 const institutionRoutes = require("./routes/institution");
 const adminRoutes = require("./routes/admin");
+const authRoutes = require("./routes/auth");
+const indexerService = require("./services/indexerService");
+const blockchainService = require("./services/blockchainService");
+const ipfsService = require("./services/ipfsService");
+const pinService = require("./services/pinService");
+const browserPool = require("./services/browserPool");
+const jobQueue = require("./services/jobQueue");
+const { connectMongo, mongoStateLabel } = require("./services/database");
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -27,6 +35,7 @@ const dirs = [
   path.join(__dirname, "..", "output"),
   path.join(__dirname, "..", "output", "certificates"),
   path.join(__dirname, "..", "output", "qrcodes"),
+  path.join(__dirname, "..", "output", "badges"),
   path.join(__dirname, "..", "output", "exports"),
 ];
 dirs.forEach((dir) => {
@@ -34,95 +43,8 @@ dirs.forEach((dir) => {
 });
 
 // ── MongoDB Connection ──────────────────────────────────────────────────────
-const MONGODB_URI = process.env.MONGODB_URI || "mongodb://localhost:27017/edulocka";
-const MONGODB_RETRY_DELAY_MS = Math.max(
-  1000,
-  parseInt(process.env.MONGODB_RETRY_DELAY_MS || "5000", 10) || 5000
-);
-let mongoConnectPromise = null;
-let mongoRetryTimer = null;
-let mongoRetryDisabled = false;
-
-function mongoStateLabel() {
-  if (mongoRetryDisabled) return "auth_failed";
-  switch (mongoose.connection.readyState) {
-    case 1:
-      return "connected";
-    case 2:
-      return "connecting";
-    case 3:
-      return "disconnecting";
-    default:
-      return "disconnected";
-  }
-}
-
-function isPermanentMongoError(err) {
-  const message = String(err?.message || "").toLowerCase();
-  const name = String(err?.name || "").toLowerCase();
-  const code = Number(err?.code);
-
-  return (
-    code === 18 ||
-    name.includes("mongoauthenticationerror") ||
-    message.includes("authentication failed") ||
-    message.includes("bad auth") ||
-    message.includes("auth failed")
-  );
-}
-
-async function connectMongo() {
-  if (mongoRetryDisabled) return;
-  if (mongoose.connection.readyState === 1 || mongoose.connection.readyState === 2) return;
-  if (mongoConnectPromise) return mongoConnectPromise;
-
-  mongoConnectPromise = mongoose
-    .connect(MONGODB_URI, {
-      serverSelectionTimeoutMS: 10000,
-    })
-    .then(() => {
-      console.log("✅ MongoDB connected:", MONGODB_URI);
-    })
-    .catch((err) => {
-      console.warn("⚠️  MongoDB connection failed:", err.message);
-      if (isPermanentMongoError(err)) {
-        mongoRetryDisabled = true;
-        console.error("❌ MongoDB authentication failed. Disable retries until config is fixed and service restarts.");
-        return;
-      }
-      scheduleMongoReconnect("initial connection failure");
-    })
-    .finally(() => {
-      mongoConnectPromise = null;
-    });
-
-  return mongoConnectPromise;
-}
-
-function scheduleMongoReconnect(reason) {
-  if (mongoRetryDisabled) return;
-  if (mongoRetryTimer) return;
-  console.warn(`⚠️  Scheduling MongoDB reconnect in ${MONGODB_RETRY_DELAY_MS}ms (${reason}).`);
-  mongoRetryTimer = setTimeout(() => {
-    mongoRetryTimer = null;
-    void connectMongo();
-  }, MONGODB_RETRY_DELAY_MS);
-}
-
-mongoose.connection.on("disconnected", () => {
-  if (mongoRetryDisabled) return;
-  scheduleMongoReconnect("connection dropped");
-});
-
-mongoose.connection.on("error", (err) => {
-  console.warn("⚠️  MongoDB connection error:", err.message);
-  if (isPermanentMongoError(err)) {
-    mongoRetryDisabled = true;
-    console.error("❌ MongoDB authentication failed. Disable retries until config is fixed and service restarts.");
-    return;
-  }
-  scheduleMongoReconnect("connection error");
-});
+// Pick up signer txs a stopped process left in the mempool
+if (process.env.PRIVATE_KEY && process.env.RPC_URL) blockchainService.startTransactionRecovery();
 
 void connectMongo();
 
@@ -159,6 +81,7 @@ app.use(
 );
 
 // ── Routes ──────────────────────────────────────────────────────────────────
+app.use("/api/auth", authRoutes);
 app.use("/api", apiRoutes);
 app.use("/api/institution", institutionRoutes);
 app.use("/api/admin", adminRoutes);
@@ -168,6 +91,11 @@ app.get("/health", (req, res) => {
   res.json({
     status: "ok",
     db: mongoStateLabel(),
+    indexer: indexerService.getStatus(),
+    storage: ipfsService.getStorageInfo(),
+    pinAudit: pinService.getStatus(),
+    pdfRenderer: browserPool.getStatus(),
+    bulkQueue: jobQueue.getStatus(),
     timestamp: new Date().toISOString(),
   });
 });
@@ -200,12 +128,35 @@ app.listen(PORT, () => {
     console.log(`   Signer:      ${signerAddress}`);
   }
 
+  const storage = ipfsService.getStorageInfo();
+  if (storage.error) {
+    console.warn(`⚠️  ${storage.error}`);
+  } else {
+    console.log(`   Storage:     ${storage.driver}${storage.configured ? "" : " (not configured)"}`);
+  }
+  console.log(`   Bulk worker: ${jobQueue.WORKER_MODE === "inline" ? "inline" : "external (npm run worker)"}`);
+
   const adminWallet = (process.env.ADMIN_WALLET_ADDRESS || "").toLowerCase();
   if (adminWallet && signerAddress && adminWallet !== signerAddress.toLowerCase()) {
     console.warn("⚠️  ADMIN_WALLET_ADDRESS does not match PRIVATE_KEY signer. Admin approvals may fail on-chain.");
   }
 
   console.log("");
+  indexerService.start();
+  pinService.start();
+  if (jobQueue.WORKER_MODE === "inline") jobQueue.start();
 });
 
+// ── Shutdown ────────────────────────────────────────────────────────────────
+// Running bulk jobs go back to the queue at the next row boundary instead of
+// waiting for their lease to lapse.
+async function shutdown(signal) {
+  console.log(`\n${signal} received — shutting down`);
+  await jobQueue.stop();
+  await browserPool.shutdown();
+  process.exit(0);
+}
+process.once("SIGTERM", () => void shutdown("SIGTERM"));
+process.once("SIGINT", () => void shutdown("SIGINT"));
+
 module.exports = app;
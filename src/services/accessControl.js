@@ -0,0 +1,277 @@
+// ============================================================================
+// Access Control — Roles, permissions and institution staff
+// ============================================================================
+// Wallets hold roles (models/RoleAssignment.js); roles grant permissions.
+// Platform roles act on the whole platform. Institution roles act for one
+// on-chain authorized institution wallet, so a registrar's office can have
+// several staff wallets issuing under the same institution.
+//
+// Two roles are implicit and never stored:
+//   - ADMIN_WALLET_ADDRESS is always a super_admin (the bootstrap admin who
+//     grants everyone else their roles)
+//   - every wallet is the institution_owner of its own institution, which
+//     matters once that wallet is authorized on-chain
+//
+// Institution roles only count while the institution is authorized on-chain.
+// Its on-chain record is read once per INSTITUTION_INFO_TTL_MS per process;
+// admin actions that change it call forgetInstitution().
+
+const mongoose = require("mongoose");
+const RoleAssignment = require("../models/RoleAssignment");
+const blockchainService = require("./blockchainService");
+
+const ADMIN_WALLET_ADDRESS = (process.env.ADMIN_WALLET_ADDRESS || "").toLowerCase();
+const INSTITUTION_INFO_TTL_MS = Math.max(
+  1000,
+  parseInt(process.env.INSTITUTION_INFO_TTL_MS || "30000", 10) || 30000
+);
+
+const ROLES = {
+  super_admin: {
+    scope: "platform",
+    permissions: [
+      "applications:read",
+      "applications:review",
+      "institutions:read",
+      "institutions:manage",
+      "platform:manage",
+      "stats:read",
+      "roles:manage",
+      "blogs:moderate",
+    ],
+  },
+  reviewer: {
+    scope: "platform",
+    permissions: ["applications:read", "applications:review", "institutions:read", "stats:read"],
+  },
+  blog_moderator: {
+    scope: "platform",
+    permissions: ["blogs:moderate"],
+  },
+  institution_owner: {
+    scope: "institution",
+    permissions: [
+      "certificates:read",
+      "certificates:issue",
+      "certificates:revoke",
+      "templates:manage",
+      "staff:manage",
+    ],
+  },
+  institution_issuer: {
+    scope: "institution",
+    permissions: ["certificates:read", "certificates:issue", "templates:manage"],
+  },
+  institution_viewer: {
+    scope: "institution",
+    permissions: ["certificates:read"],
+  },
+};
+
+const PLATFORM_ROLES = Object.keys(ROLES).filter((role) => ROLES[role].scope === "platform");
+const INSTITUTION_ROLES = Object.keys(ROLES).filter((role) => ROLES[role].scope === "institution");
+
+function isAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function isBootstrapAdmin(address) {
+  return Boolean(ADMIN_WALLET_ADDRESS) && String(address || "").toLowerCase() === ADMIN_WALLET_ADDRESS;
+}
+
+function scopeOf(permission) {
+  for (const role of Object.values(ROLES)) {
+    if (role.permissions.includes(permission)) return role.scope;
+  }
+  return null;
+}
+
+function permissionsOf(roles) {
+  return [...new Set(roles.flatMap((role) => ROLES[role]?.permissions || []))];
+}
+
+// ── Access ──────────────────────────────────────────────────────────────────
+
+/**
+ * Load everything a wallet may do.
+ * @param {string} address
+ * @returns {Promise<object>} {
+ *   address, roles: [{ role, institution }], platformRoles, platformPermissions,
+ *   can(permission), institutions(), institutionRoles(institution),
+ *   institutionPermissions(institution)
+ * }
+ */
+async function loadAccess(address) {
+  const wallet = String(address || "").toLowerCase();
+  const assignments = isAvailable()
+    ? await RoleAssignment.find({ address: wallet }).select("role institution").lean()
+    : [];
+
+  const roles = assignments.map(({ role, institution }) => ({ role, institution: institution || null }));
+  if (isBootstrapAdmin(wallet) && !roles.some((r) => r.role === "super_admin")) {
+    roles.unshift({ role: "super_admin", institution: null, implicit: true });
+  }
+
+  const platformRoles = roles.filter((r) => ROLES[r.role].scope === "platform").map((r) => r.role);
+  const platformPermissions = permissionsOf(platformRoles);
+
+  function institutionRoles(institution) {
+    const target = String(institution || "").toLowerCase();
+    const held = roles.filter((r) => r.institution === target).map((r) => r.role);
+    if (target === wallet && !held.includes("institution_owner")) held.unshift("institution_owner");
+    return held;
+  }
+
+  return {
+    address: wallet,
+    roles,
+    platformRoles,
+    platformPermissions,
+    can: (permission) => platformPermissions.includes(permission),
+    // Institutions this wallet holds a stored role for (its own is implicit)
+    institutions: () => [...new Set(roles.map((r) => r.institution).filter(Boolean))],
+    institutionRoles,
+    institutionPermissions: (institution) => permissionsOf(institutionRoles(institution)),
+  };
+}
+
+// ── Institution Records ─────────────────────────────────────────────────────
+
+const institutionInfo = new Map(); // address -> { expiresAt, info: Promise<object> }
+
+/**
+ * The on-chain record of an institution, cached for INSTITUTION_INFO_TTL_MS.
+ * Concurrent callers share one RPC call; failed reads are not cached.
+ * @param {string} address - Institution wallet
+ * @returns {Promise<object>} blockchainService.getInstitutionInfo() result
+ */
+function getInstitutionInfo(address) {
+  const target = String(address || "").toLowerCase();
+  const cached = institutionInfo.get(target);
+  if (cached && cached.expiresAt > Date.now()) return cached.info;
+
+  const entry = { expiresAt: Date.now() + INSTITUTION_INFO_TTL_MS };
+  entry.info = blockchainService.getInstitutionInfo(target).catch((err) => {
+    if (institutionInfo.get(target) === entry) institutionInfo.delete(target);
+    throw err;
+  });
+  institutionInfo.set(target, entry);
+  return entry.info;
+}
+
+/**
+ * Drop the cached on-chain record after this process changed it.
+ * @param {string} address - Institution wallet
+ */
+function forgetInstitution(address) {
+  institutionInfo.delete(String(address || "").toLowerCase());
+}
+
+// ── Role Management ─────────────────────────────────────────────────────────
+
+/**
+ * Check a role grant before it is stored.
+ * @param {object} grant - { address, role, institution? }
+ * @returns {{ valid: boolean, error?: string, grant?: object }} grant is normalized
+ */
+function validateGrant({ address, role, institution }) {
+  const wallet = String(address || "").trim().toLowerCase();
+  const target = institution ? String(institution).trim().toLowerCase() : null;
+  if (!/^0x[a-f0-9]{40}$/.test(wallet)) return { valid: false, error: "A valid wallet address is required" };
+  if (!ROLES[role]) {
+    return { valid: false, error: `role must be one of: ${Object.keys(ROLES).join(", ")}` };
+  }
+  if (ROLES[role].scope === "institution") {
+    if (!target || !/^0x[a-f0-9]{40}$/.test(target)) {
+      return { valid: false, error: `${role} needs the institution wallet address it acts for` };
+    }
+    if (target === wallet && role === "institution_owner") {
+      return { valid: false, error: "An institution wallet already owns its own institution" };
+    }
+  } else if (target) {
+    return { valid: false, error: `${role} is a platform role and takes no institution` };
+  }
+  return { valid: true, grant: { address: wallet, role, institution: target } };
+}
+
+/**
+ * Grant a role. Granting a role the wallet already holds is a no-op.
+ * @param {object} grant - { address, role, institution?, note? }
+ * @param {string} grantedBy - Wallet granting the role
+ * @returns {Promise<object>} The stored assignment
+ * @throws with err.code = "INVALID_ROLE" if the grant fails validateGrant()
+ */
+async function grantRole(grant, grantedBy) {
+  const check = validateGrant(grant);
+  if (!check.valid) {
+    const err = new Error(check.error);
+    err.code = "INVALID_ROLE";
+    throw err;
+  }
+  return RoleAssignment.findOneAndUpdate(
+    check.grant,
+    {
+      $setOnInsert: {
+        ...check.grant,
+        grantedBy: String(grantedBy || "").toLowerCase() || null,
+        note: String(grant.note || "").trim().slice(0, 300),
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+/**
+ * Remove role assignments.
+ * @param {object} filter - { address, role?, institution? }; institution null for platform roles
+ * @returns {Promise<number>} How many assignments were removed
+ */
+async function revokeRoles({ address, role, institution }) {
+  const query = { address: String(address || "").toLowerCase() };
+  if (role) query.role = role;
+  if (institution !== undefined) query.institution = institution ? String(institution).toLowerCase() : null;
+  const result = await RoleAssignment.deleteMany(query);
+  return result.deletedCount;
+}
+
+/**
+ * Staff of an institution: stored assignments, plus the implicit owner.
+ * @param {string} institution - Institution wallet
+ * @returns {Promise<object[]>} [{ address, roles, implicit?, assignments: [{ role, grantedBy, createdAt }] }]
+ */
+async function listStaff(institution) {
+  const target = String(institution || "").toLowerCase();
+  const assignments = await RoleAssignment.find({ institution: target }).sort({ createdAt: 1 }).lean();
+
+  const staff = new Map([
+    [target, { address: target, roles: ["institution_owner"], implicit: true, assignments: [] }],
+  ]);
+  for (const assignment of assignments) {
+    const member = staff.get(assignment.address) || { address: assignment.address, roles: [], assignments: [] };
+    member.roles.push(assignment.role);
+    member.assignments.push({
+      role: assignment.role,
+      grantedBy: assignment.grantedBy,
+      createdAt: assignment.createdAt,
+    });
+    staff.set(assignment.address, member);
+  }
+  return [...staff.values()];
+}
+
+module.exports = {
+  BOOTSTRAP_ADMIN: ADMIN_WALLET_ADDRESS || null,
+  ROLES,
+  PLATFORM_ROLES,
+  INSTITUTION_ROLES,
+  isAvailable,
+  isBootstrapAdmin,
+  scopeOf,
+  loadAccess,
+  getInstitutionInfo,
+  forgetInstitution,
+  validateGrant,
+  grantRole,
+  revokeRoles,
+  listStaff,
+};
@@ -0,0 +1,329 @@
+// ============================================================================
+// Auth Service — Wallet sign-in (EIP-4361 / EIP-712) and sessions
+// ============================================================================
+// A wallet proves ownership once, by signing a Sign-In With Ethereum message
+// (or the same fields as EIP-712 typed data) that carries a server-issued
+// nonce. The message is bound to this site's domain and URI and to the chain
+// the backend issues on, and its nonce is deleted on use, so a captured
+// signature cannot be replayed. Smart-contract wallets such as a Safe multisig
+// sign in the same way; their signature is checked with EIP-1271
+// isValidSignature instead of ECDSA recovery. The login returns a short-lived
+// session token that authenticates every later request (see
+// middleware/authMiddleware.js).
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+
+const AuthNonce = require("../models/AuthNonce");
+const AuthSession = require("../models/AuthSession");
+const blockchainService = require("./blockchainService");
+
+const NONCE_TTL_MS = Math.max(30000, parseInt(process.env.AUTH_NONCE_TTL_MS || "300000", 10) || 300000);
+const SESSION_TTL_MS = Math.max(60000, parseInt(process.env.AUTH_SESSION_TTL_MS || "3600000", 10) || 3600000);
+// The site users sign in to. SIWE messages must name its host as `domain`
+// and a URI on the same origin.
+const SIWE_URI = process.env.SIWE_URI || process.env.FRONTEND_URL || "http://localhost:3000";
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || new URL(SIWE_URI).host;
+const SIWE_STATEMENT = "Sign in to Edulocka.";
+const CLOCK_SKEW_MS = 60000;
+
+const LOGIN_TYPES = {
+  Login: [
+    { name: "domain", type: "string" },
+    { name: "address", type: "address" },
+    { name: "statement", type: "string" },
+    { name: "uri", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "nonce", type: "string" },
+    { name: "issuedAt", type: "string" },
+    { name: "expirationTime", type: "string" },
+  ],
+};
+
+function isAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function typedDataDomain(chainId) {
+  return { name: "Edulocka", version: "1", chainId };
+}
+
+/**
+ * What a client needs to build a sign-in message besides the nonce.
+ * @returns {object} { domain, uri, chainId, version, statement, eip712 }
+ */
+function loginParams() {
+  const { chainId } = blockchainService.getNetworkInfo();
+  return {
+    domain: SIWE_DOMAIN,
+    uri: SIWE_URI,
+    chainId,
+    version: "1",
+    statement: SIWE_STATEMENT,
+    eip712: { domain: typedDataDomain(chainId), types: LOGIN_TYPES, primaryType: "Login" },
+  };
+}
+
+// ── SIWE Messages (EIP-4361) ────────────────────────────────────────────────
+
+/**
+ * Render SIWE fields as the message text a wallet signs.
+ * @param {object} fields - { domain, address, statement?, uri, version, chainId, nonce, issuedAt, expirationTime?, notBefore?, requestId?, resources? }
+ * @returns {string}
+ */
+function buildSiweMessage(fields) {
+  const lines = [`${fields.domain} wants you to sign in with your Ethereum account:`, fields.address, ""];
+  if (fields.statement) lines.push(fields.statement, "");
+  lines.push(
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+  if (fields.expirationTime) lines.push(`Expiration Time: ${fields.expirationTime}`);
+  if (fields.notBefore) lines.push(`Not Before: ${fields.notBefore}`);
+  if (fields.requestId) lines.push(`Request ID: ${fields.requestId}`);
+  if (fields.resources?.length) lines.push("Resources:", ...fields.resources.map((r) => `- ${r}`));
+  return lines.join("\n");
+}
+
+const SIWE_FIELDS = {
+  "URI": "uri",
+  "Version": "version",
+  "Chain ID": "chainId",
+  "Nonce": "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+  "Not Before": "notBefore",
+  "Request ID": "requestId",
+};
+
+/**
+ * Parse SIWE message text.
+ * @param {string} message
+ * @returns {object|null} Fields as accepted by buildSiweMessage, or null if malformed
+ */
+function parseSiweMessage(message) {
+  const lines = String(message).split("\n");
+  const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || "");
+  if (!header || !ethers.isAddress(lines[1] || "") || lines[2] !== "") return null;
+
+  const fields = { domain: header[1], address: lines[1], statement: null };
+  let i = 3;
+  if (lines[i] && !lines[i].startsWith("URI: ")) {
+    fields.statement = lines[i];
+    if (lines[i + 1] !== "") return null;
+    i += 2;
+  }
+  for (; i < lines.length; i++) {
+    if (lines[i] === "Resources:") {
+      fields.resources = lines.slice(i + 1).map((line) => line.replace(/^- /, ""));
+      break;
+    }
+    const match = /^([A-Za-z ]+): (.*)$/.exec(lines[i]);
+    if (!match || !SIWE_FIELDS[match[1]]) return null;
+    fields[SIWE_FIELDS[match[1]]] = match[2];
+  }
+  if (!fields.uri || !fields.version || !fields.chainId || !fields.nonce || !fields.issuedAt) return null;
+  fields.chainId = Number(fields.chainId);
+  // The same text must come back out, or the parser and the wallet disagree
+  return buildSiweMessage(fields) === message ? fields : null;
+}
+
+// ── Login ───────────────────────────────────────────────────────────────────
+
+/**
+ * Issue a single-use sign-in nonce.
+ * @returns {Promise<{ nonce: string, expiresAt: Date }>}
+ */
+async function issueNonce() {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const expiresAt = new Date(Date.now() + NONCE_TTL_MS);
+  await AuthNonce.create({ nonce, expiresAt });
+  return { nonce, expiresAt };
+}
+
+function checkFields(fields) {
+  const { chainId } = blockchainService.getNetworkInfo();
+  const now = Date.now();
+  const time = (value) => (value ? Date.parse(value) : null);
+
+  if (fields.domain !== SIWE_DOMAIN) return `Message domain must be ${SIWE_DOMAIN}`;
+  let origin;
+  try {
+    origin = new URL(fields.uri).origin;
+  } catch {
+    return "Message URI is not a valid URI";
+  }
+  if (origin !== new URL(SIWE_URI).origin) return `Message URI must be on ${new URL(SIWE_URI).origin}`;
+  if (fields.version !== "1") return "Message version must be 1";
+  if (Number(fields.chainId) !== chainId) return `Message chain ID must be ${chainId}`;
+
+  const issuedAt = time(fields.issuedAt);
+  if (!Number.isFinite(issuedAt) || issuedAt > now + CLOCK_SKEW_MS) return "Message issuedAt is invalid";
+  const expirationTime = time(fields.expirationTime);
+  if (expirationTime !== null && !(expirationTime > now)) return "Message has expired";
+  const notBefore = time(fields.notBefore);
+  if (notBefore !== null && !(notBefore <= now + CLOCK_SKEW_MS)) return "Message is not valid yet";
+  return null;
+}
+
+/**
+ * The fields of a sign-in message and the hash its signer signed.
+ * @param {string|object} message - SIWE text, or the EIP-712 Login fields
+ * @returns {{ method: "siwe"|"eip712", fields: object, digest: string }|null} null if malformed
+ * @throws if the EIP-712 fields cannot be encoded
+ */
+function loginDigest(message) {
+  if (typeof message === "string") {
+    const fields = parseSiweMessage(message);
+    return fields ? { method: "siwe", fields, digest: ethers.hashMessage(message) } : null;
+  }
+  const fields = { ...message, chainId: Number(message.chainId), expirationTime: message.expirationTime || "" };
+  const digest = ethers.TypedDataEncoder.hash(typedDataDomain(fields.chainId), LOGIN_TYPES, fields);
+  return { method: "eip712", fields, digest };
+}
+
+/**
+ * Check that `address` signed `digest`. Accounts with a key are checked by
+ * ECDSA recovery; when that fails and the address holds contract code, the
+ * contract is asked via EIP-1271 isValidSignature (Safe multisigs and other
+ * smart-contract wallets).
+ * @param {string} address
+ * @param {string} digest - 32-byte hash
+ * @param {string} signature
+ * @returns {Promise<{ valid: boolean, signatureType?: "ecdsa"|"eip1271", error?: string }>}
+ */
+async function verifySignature(address, digest, signature) {
+  try {
+    if (ethers.recoverAddress(digest, signature) === ethers.getAddress(address)) {
+      return { valid: true, signatureType: "ecdsa" };
+    }
+  } catch {
+    // Not a 65-byte ECDSA signature; contract wallets use their own formats
+  }
+
+  let accepted;
+  try {
+    accepted = await blockchainService.isValidContractSignature(address, digest, signature);
+  } catch (err) {
+    return { valid: false, error: `Could not check the contract wallet signature: ${err.message}` };
+  }
+  if (accepted === null) return { valid: false, error: "Signature does not match the message address" };
+  if (!accepted) return { valid: false, error: "The contract wallet did not accept the signature (EIP-1271)" };
+  return { valid: true, signatureType: "eip1271" };
+}
+
+/**
+ * Verify a sign-in and consume its nonce.
+ * @param {object} login - { message, signature }. message is SIWE text, or
+ *   the Login fields signed as EIP-712 typed data (see loginParams().eip712)
+ * @returns {Promise<{ valid: boolean, address?: string, method?: string, signatureType?: string, fields?: object, error?: string }>}
+ */
+async function verifyLogin({ message, signature }) {
+  if (!message || typeof signature !== "string") {
+    return { valid: false, error: "message and signature are required" };
+  }
+
+  let login;
+  try {
+    login = loginDigest(message);
+  } catch (err) {
+    return { valid: false, error: `Malformed sign-in: ${err.shortMessage || err.message}` };
+  }
+  if (!login) return { valid: false, error: "Malformed Sign-In With Ethereum message" };
+  const { method, fields, digest } = login;
+  if (!ethers.isAddress(fields.address)) {
+    return { valid: false, error: "Message address is not a valid address" };
+  }
+
+  // Checked before the signature so stale messages never cost an RPC call
+  const fieldError = checkFields(fields);
+  if (fieldError) return { valid: false, error: fieldError };
+
+  const signed = await verifySignature(fields.address, digest, signature);
+  if (!signed.valid) return { valid: false, error: signed.error };
+
+  // Deleting the nonce is what makes it single-use, even across processes
+  const nonce = await AuthNonce.findOneAndDelete({
+    nonce: String(fields.nonce),
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!nonce) return { valid: false, error: "Nonce is unknown, expired or already used" };
+
+  return {
+    valid: true,
+    address: fields.address.toLowerCase(),
+    method,
+    signatureType: signed.signatureType,
+    fields,
+  };
+}
+
+// ── Sessions ────────────────────────────────────────────────────────────────
+
+/**
+ * Start a session for a verified login.
+ * @param {object} login - verifyLogin() result
+ * @param {object} [client] - { userAgent, ip }
+ * @returns {Promise<{ token: string, address: string, expiresAt: Date }>}
+ */
+async function createSession(login, { userAgent = "", ip = "" } = {}) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await AuthSession.create({
+    tokenHash: sha256Hex(token),
+    address: login.address,
+    method: login.method,
+    signatureType: login.signatureType,
+    chainId: Number(login.fields.chainId),
+    domain: login.fields.domain,
+    userAgent: String(userAgent).slice(0, 300),
+    ip,
+    expiresAt,
+  });
+  return { token, address: login.address, expiresAt };
+}
+
+/**
+ * Look up a live session by token.
+ * @param {string} token
+ * @returns {Promise<object|null>} The session, or null if unknown or expired
+ */
+async function resolveSession(token) {
+  if (!token || !isAvailable()) return null;
+  return AuthSession.findOne({ tokenHash: sha256Hex(token), expiresAt: { $gt: new Date() } }).lean();
+}
+
+/**
+ * End a session.
+ * @param {string} token
+ * @returns {Promise<boolean>} Whether a session was deleted
+ */
+async function revokeSession(token) {
+  if (!token || !isAvailable()) return false;
+  const result = await AuthSession.deleteOne({ tokenHash: sha256Hex(token) });
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  isAvailable,
+  loginParams,
+  buildSiweMessage,
+  parseSiweMessage,
+  loginDigest,
+  verifySignature,
+  issueNonce,
+  verifyLogin,
+  createSession,
+  resolveSession,
+  revokeSession,
+};
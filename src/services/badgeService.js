@@ -0,0 +1,115 @@
+// ============================================================================
+// Badge Service — Open Badges 3.0 baked badge images
+// ============================================================================
+// A badge is the certificate's verification QR code (PNG and SVG, from
+// qrService) with its signed Verifiable Credential baked in, as Open Badges
+// 3.0 specifies: an `openbadgecredential` iTXt chunk in the PNG, and an
+// <openbadges:credential> element in the SVG. Any badge-aware wallet can read
+// the credential back; scanning the image leads to the verify page.
+
+const path = require("path");
+const fs = require("fs");
+
+const blockchainService = require("./blockchainService");
+const credentialService = require("./credentialService");
+const qrService = require("./qrService");
+const { isPng, writeITXt, readITXt } = require("../utils/png");
+
+const OUTPUT_DIR = path.join(__dirname, "..", "..", "output", "badges");
+const PNG_KEYWORD = "openbadgecredential";
+const SVG_NAMESPACE = "https://purl.imsglobal.org/ob/v3p0";
+const SVG_CREDENTIAL_PATTERN = /<openbadges:credential\b[^>]*>([\s\S]*?)<\/openbadges:credential>/;
+
+// ── Baking ──────────────────────────────────────────────────────────────────
+
+function bakePng(png, credential) {
+  return writeITXt(png, PNG_KEYWORD, JSON.stringify(credential));
+}
+
+function bakeSvg(svg, credential) {
+  // "]]>" cannot appear inside CDATA, so split the section around it
+  const cdata = JSON.stringify(credential).replace(/]]>/g, "]]]]><![CDATA[>");
+  return svg.replace(
+    /<svg\b([^>]*)>/,
+    (open, attrs) =>
+      `<svg${attrs} xmlns:openbadges="${SVG_NAMESPACE}">` +
+      `<openbadges:credential><![CDATA[${cdata}]]></openbadges:credential>`
+  );
+}
+
+/**
+ * Sign the credential for a freshly issued bulk row and write its baked badges.
+ * @param {object} cert - Pipeline row: certId, studentName, studentId, degree,
+ *   institution, issueDate, ipfsHash
+ * @returns {Promise<{ pngFileName: string, svgFileName: string }>}
+ */
+async function createBadges(cert) {
+  const credential = await credentialService.buildCredential(cert.certId, {
+    studentName: cert.studentName,
+    studentId: cert.studentId || "",
+    degree: cert.degree || "",
+    institution: cert.institution || "",
+    issueDate: blockchainService.toChainTimestamp(cert.issueDate),
+    ipfsHash: cert.ipfsHash || "",
+    issuer: blockchainService.getSigner().address,
+  });
+
+  const [png, svg] = await Promise.all([
+    qrService.generateQRBuffer(cert.certId, { width: 600 }),
+    qrService.generateQRSVG(cert.certId, { width: 600 }),
+  ]);
+
+  if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  const pngFileName = `${cert.certId}.png`;
+  const svgFileName = `${cert.certId}.svg`;
+  fs.writeFileSync(path.join(OUTPUT_DIR, pngFileName), bakePng(png, credential));
+  fs.writeFileSync(path.join(OUTPUT_DIR, svgFileName), bakeSvg(svg, credential));
+  return { pngFileName, svgFileName };
+}
+
+function badgePath(fileName) {
+  return path.join(OUTPUT_DIR, fileName);
+}
+
+// ── Extraction ──────────────────────────────────────────────────────────────
+
+/**
+ * Read the credential baked into a badge image.
+ * @param {Buffer} buffer - PNG or SVG file contents
+ * @returns {{ format: "png"|"svg", credential: object|null, error?: string }}
+ * @throws if the file is neither a PNG nor an SVG
+ */
+function extractCredential(buffer) {
+  let format;
+  let text;
+  if (isPng(buffer)) {
+    format = "png";
+    try {
+      text = readITXt(buffer, PNG_KEYWORD);
+    } catch (err) {
+      return { format, credential: null, error: `Unreadable PNG: ${err.message}` };
+    }
+  } else {
+    const source = buffer.toString("utf8");
+    if (!/<svg\b/.test(source)) throw new Error("Badge must be a PNG or SVG image");
+    format = "svg";
+    const match = SVG_CREDENTIAL_PATTERN.exec(source);
+    text = match
+      ? match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1").trim()
+      : null;
+  }
+
+  if (!text) return { format, credential: null, error: "No baked Open Badges credential found" };
+  try {
+    return { format, credential: JSON.parse(text) };
+  } catch {
+    // OB 3.0 also allows a compact JWS here; only JSON credentials are issued by this backend
+    return { format, credential: null, error: "Baked credential is not JSON" };
+  }
+}
+
+module.exports = {
+  createBadges,
+  badgePath,
+  extractCredential,
+};
@@ -6,6 +6,7 @@
 const { ethers } = require("ethers");
 const path = require("path");
 const fs = require("fs");
+const txManager = require("./txManager");
 
 // Load ABI from the compiled Hardhat artifacts
 const ARTIFACT_PATH = path.join(
@@ -130,6 +131,11 @@ function getSigner() {
   return _cachedSigner;
 }
 
+// Chain and contract this backend issues to (stamped into certificate metadata)
+function getNetworkInfo() {
+  return { chainId: RPC_CHAIN_ID, contractAddress: CONTRACT_ADDRESS || null };
+}
+
 function getReadContract() {
   return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, getProvider());
 }
@@ -138,6 +144,29 @@ function getWriteContract() {
   return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, getSigner());
 }
 
+// ── Managed Writes ──────────────────────────────────────────────────────────
+// All contract writes go through the transaction manager, which owns nonces,
+// EIP-1559 fees and stuck-tx replacement (see txManager.js). Gas is estimated
+// on the contract so revert reasons are decoded before any nonce is used.
+
+async function sendContractTransaction(method, args, { context, label = "", onEvent } = {}) {
+  const contract = getWriteContract();
+  return withRpcContext(context, async () => {
+    const gasLimit = await contract[method].estimateGas(...args);
+    const data = contract.interface.encodeFunctionData(method, args);
+    const result = await txManager.sendTransaction(
+      getSigner(),
+      { to: CONTRACT_ADDRESS, data, gasLimit, purpose: method, label },
+      { onEvent }
+    );
+    return {
+      txHash: result.txHash,
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+    };
+  });
+}
+
 // ── Certificate ID Generation ───────────────────────────────────────────────
 
 async function generateCertificateId() {
@@ -151,127 +180,227 @@ async function generateCertificateId() {
   return `CERT-${year}-${seq}-${rand}`;
 }
 
+// Issue dates go on chain as unix seconds; callers pass either that or a date string
+function toChainTimestamp(issueDate) {
+  return typeof issueDate === "number"
+    ? issueDate
+    : Math.floor(new Date(issueDate).getTime() / 1000);
+}
+
 // ── Single Certificate Issuance ─────────────────────────────────────────────
 
-async function issueCertificate({
-  certId,
-  studentName,
-  studentId,
-  degree,
-  institution,
-  issueDate,
-  ipfsHash,
-}) {
-  const contract = getWriteContract();
-  const timestamp =
-    typeof issueDate === "number"
-      ? issueDate
-      : Math.floor(new Date(issueDate).getTime() / 1000);
-
-  const tx = await withRpcContext("Failed to submit certificate issuance transaction", () =>
-    contract.issueCertificate(
-      certId,
-      studentName,
-      studentId,
-      degree,
-      institution,
-      timestamp,
-      ipfsHash || ""
-    )
-  );
-  const receipt = await withRpcContext("Failed while waiting for issuance transaction confirmation", () =>
-    tx.wait()
+async function issueCertificate(
+  { certId, studentName, studentId, degree, institution, issueDate, ipfsHash },
+  { onEvent } = {}
+) {
+  return sendContractTransaction(
+    "issueCertificate",
+    issueArgs({ certId, studentName, studentId, degree, institution, issueDate, ipfsHash }),
+    { context: `Failed to issue certificate ${certId}`, label: certId, onEvent }
   );
+}
 
-  return {
-    txHash: tx.hash,
-    blockNumber: receipt.blockNumber,
-    gasUsed: Number(receipt.gasUsed),
-  };
+function issueArgs({ certId, studentName, studentId, degree, institution, issueDate, ipfsHash }) {
+  const timestamp = toChainTimestamp(issueDate);
+  return [certId, studentName, studentId, degree, institution, timestamp, ipfsHash || ""];
 }
 
 // ── Batch Certificate Issuance ──────────────────────────────────────────────
-// Issues certificates one-by-one with explicit nonce management.
-// ethers.js v6's JsonRpcProvider caches getTransactionCount responses, so
-// rapid sequential transactions can reuse a stale nonce (causing alternating
-// failures). We fetch the nonce once upfront and manually increment it.
-
-async function issueBatch(certificates, onProgress) {
-  const signer = getSigner();
-  const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
-  const results = [];
+// Submits certificates through the transaction manager without waiting for
+// each receipt: rows are broadcast back to back, in row order and with
+// sequential nonces, while up to `window` txs are in flight at once. Receipts
+// are collected concurrently. window = 1 is strictly one-at-a-time.
+//
+// Optional hooks let callers checkpoint each row as it moves through the chain:
+//   onSubmitted(index, txHash) — tx accepted by the node, or replaced (awaited)
+//   onResult(result)           — row confirmed or failed (awaited)
+//   onTxEvent(index, event)    — every tx lifecycle event (see txManager.js)
+//   shouldStop()               — checked before each new row; once true, rows
+//                                not yet started are left out of the results
+
+const BATCH_TX_WINDOW = Math.max(1, parseInt(process.env.BATCH_TX_WINDOW || "5", 10) || 5);
+
+async function issueBatch(certificates, onProgress, hooks = {}, { window = BATCH_TX_WINDOW } = {}) {
+  const results = new Array(certificates.length);
   let succeeded = 0;
   let failed = 0;
+  let nextIndex = 0;
+
+  // Row i is only handed to the tx manager once row i-1 was broadcast (or
+  // failed before broadcast), so nonces follow row order.
+  const broadcastGates = certificates.map(() => {
+    let open;
+    const promise = new Promise((resolve) => {
+      open = resolve;
+    });
+    return { promise, open };
+  });
 
-  // Fetch the current nonce once — we'll manage it manually from here
-  let nonce = await signer.getNonce("pending");
-
-  for (let i = 0; i < certificates.length; i++) {
+  async function issueRow(i) {
     const cert = certificates[i];
+    if (i > 0) await broadcastGates[i - 1].promise;
+
+    let result;
     try {
-      const timestamp =
-        typeof cert.issueDate === "number"
-          ? cert.issueDate
-          : Math.floor(new Date(cert.issueDate).getTime() / 1000);
-
-      const tx = await contract.issueCertificate(
-        cert.certId,
-        cert.studentName,
-        cert.studentId,
-        cert.degree,
-        cert.institution,
-        timestamp,
-        cert.ipfsHash || "",
-        { nonce } // Explicit nonce to bypass provider cache
-      );
-
-      // Transaction was accepted — nonce is consumed regardless of revert
-      nonce++;
-
-      const receipt = await tx.wait();
+      const receipt = await issueCertificate(cert, {
+        onEvent: async (event) => {
+          if (hooks.onSubmitted && (event.type === "submitted" || event.type === "replaced")) {
+            await hooks.onSubmitted(i, event.hash);
+          }
+          if (event.type === "submitted") broadcastGates[i].open();
+          if (hooks.onTxEvent) await hooks.onTxEvent(i, event);
+        },
+      });
 
       succeeded++;
-      results.push({
+      result = {
         index: i,
         certId: cert.certId,
         status: "success",
-        txHash: tx.hash,
+        txHash: receipt.txHash,
         blockNumber: receipt.blockNumber,
-        gasUsed: Number(receipt.gasUsed),
-      });
+        gasUsed: receipt.gasUsed,
+      };
     } catch (err) {
       failed++;
-      results.push({
+      result = {
         index: i,
         certId: cert.certId,
         status: "failed",
         error: err.reason || err.message,
-      });
-
-      // If the error happened before tx submission (e.g. gas estimation revert),
-      // the nonce was NOT consumed — re-fetch to stay in sync
-      try {
-        nonce = await signer.getNonce("pending");
-      } catch {
-        // If nonce fetch fails, keep current value
-      }
+      };
+    } finally {
+      broadcastGates[i].open();
     }
 
-    // Report progress
+    results[i] = result;
+    if (hooks.onResult) await hooks.onResult(result);
+
+    // Report progress by rows finished, not by row index
     if (onProgress) {
+      const done = succeeded + failed;
       onProgress({
-        current: i + 1,
+        current: done,
         total: certificates.length,
         succeeded,
         failed,
-        percent: Math.round(((i + 1) / certificates.length) * 100),
+        inFlight: Math.max(0, nextIndex - done),
+        percent: Math.round((done / certificates.length) * 100),
       });
     }
   }
 
+  async function worker() {
+    while (nextIndex < certificates.length) {
+      if (hooks.shouldStop && hooks.shouldStop()) return;
+      await issueRow(nextIndex++);
+    }
+  }
+
+  const workers = Math.min(Math.max(1, window), certificates.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+
   return { results, succeeded, failed, total: certificates.length };
 }
 
+// ── Batch Dry Run ───────────────────────────────────────────────────────────
+// Simulates issueCertificate for each row from the signer (staticCall, then
+// estimateGas) without sending anything, and prices the total at current fee
+// data. A reverting row is checked on-chain so an existing certificate is
+// reported as such. A certId that repeats within the batch is reported on its
+// later rows, which would revert once the first one is issued.
+//
+// Rows without a certId or ipfsHash are simulated with placeholders of the
+// same shape as the real values (lowercase "dry" never comes out of
+// generateCertificateId), so the estimate covers the same calldata and storage.
+
+const DRY_RUN_CONCURRENCY = 4;
+const PLACEHOLDER_IPFS_HASH = `bafkrei${"a".repeat(52)}`; // CIDv1, raw, sha2-256
+
+async function estimateBatch(certificates) {
+  const contract = getWriteContract();
+  const signer = getSigner();
+  const year = new Date().getFullYear();
+  const rows = new Array(certificates.length);
+  const firstIndex = new Map();
+  let nextIndex = 0;
+
+  async function estimateRow(i) {
+    const cert = certificates[i];
+    const certId = cert.certId || `CERT-${year}-${String(i + 1).padStart(3, "0")}-dry`;
+    const row = { index: i, certId, placeholderId: !cert.certId };
+
+    if (cert.certId && firstIndex.get(cert.certId) !== i) {
+      return { ...row, status: "duplicate", duplicateOf: firstIndex.get(cert.certId) };
+    }
+
+    const args = issueArgs({ ...cert, certId, ipfsHash: cert.ipfsHash || PLACEHOLDER_IPFS_HASH });
+    try {
+      await contract.issueCertificate.staticCall(...args);
+    } catch (err) {
+      if (err.code !== "CALL_EXCEPTION") throw wrapRpcError(err, `Failed to simulate certificate ${certId}`);
+      if (cert.certId && (await certificateExists(certId))) {
+        return { ...row, status: "exists", error: "Certificate already exists on-chain" };
+      }
+      return { ...row, status: "revert", error: err.reason || err.shortMessage || err.message };
+    }
+
+    const gas = await withRpcContext(`Failed to estimate gas for certificate ${certId}`, () =>
+      contract.issueCertificate.estimateGas(...args)
+    );
+    return { ...row, status: "ok", gas };
+  }
+
+  certificates.forEach((cert, i) => {
+    if (cert.certId && !firstIndex.has(cert.certId)) firstIndex.set(cert.certId, i);
+  });
+
+  async function worker() {
+    while (nextIndex < certificates.length) {
+      const i = nextIndex++;
+      rows[i] = await estimateRow(i);
+    }
+  }
+  const workers = Math.min(DRY_RUN_CONCURRENCY, certificates.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  const [fees, balance] = await withRpcContext("Failed to fetch fee data", () =>
+    Promise.all([txManager.quoteFees(getProvider()), getProvider().getBalance(signer.address)])
+  );
+
+  const totalGas = rows.reduce((sum, r) => (r.status === "ok" ? sum + r.gas : sum), 0n);
+  const expectedCost = totalGas * fees.expectedFeePerGas;
+  // What the signer must hold for every tx to be accepted: the buffered gas
+  // limit at the fee cap
+  const maxCost =
+    ((totalGas * BigInt(fees.gasLimitBufferPercent)) / 100n) * fees.maxFeePerGas;
+  const counts = { ok: 0, exists: 0, duplicate: 0, revert: 0 };
+  for (const r of rows) counts[r.status]++;
+
+  return {
+    rows: rows.map((r) => (r.status === "ok" ? { ...r, gas: r.gas.toString() } : r)),
+    counts,
+    gas: {
+      total: totalGas.toString(),
+      averagePerRow: counts.ok ? (totalGas / BigInt(counts.ok)).toString() : "0",
+    },
+    fees: {
+      type: fees.type,
+      expectedFeePerGasGwei: ethers.formatUnits(fees.expectedFeePerGas, "gwei"),
+      maxFeePerGasGwei: ethers.formatUnits(fees.maxFeePerGas, "gwei"),
+    },
+    cost: {
+      expectedEth: ethers.formatEther(expectedCost),
+      maxEth: ethers.formatEther(maxCost),
+    },
+    signer: {
+      address: signer.address,
+      balanceEth: ethers.formatEther(balance),
+      sufficientFunds: balance >= maxCost,
+    },
+  };
+}
+
 // ── Verification ────────────────────────────────────────────────────────────
 
 async function verifyCertificate(certId) {
@@ -298,6 +427,76 @@ async function verifyCertificate(certId) {
   };
 }
 
+/**
+ * Check whether a certificate ID is already recorded on-chain.
+ * @param {string} certId
+ * @returns {Promise<boolean>}
+ */
+async function certificateExists(certId) {
+  const contract = getReadContract();
+  return await withRpcContext(`Failed to check certificate existence for ${certId}`, () =>
+    contract.certificateExistsCheck(certId)
+  );
+}
+
+// ── Revocation ──────────────────────────────────────────────────────────────
+
+/**
+ * Revoke a certificate on the blockchain.
+ * The contract flips isValid to false; the certificate record itself remains.
+ * @param {string} certId - Certificate ID to revoke
+ */
+async function revokeCertificate(certId) {
+  return sendContractTransaction("revokeCertificate", [certId], {
+    context: `Failed to revoke certificate ${certId}`,
+    label: certId,
+  });
+}
+
+/**
+ * Check that a transaction is this backend's successful revocation of a
+ * certificate, for recording a revocation whose off-chain record was lost.
+ * The signer must have sent it to the registry contract, and its input must
+ * be revokeCertificate(certId).
+ * @param {string} certId
+ * @param {string} txHash
+ * @returns {Promise<{ valid: boolean, error?: string, txHash?: string, blockNumber?: number, revokedAt?: Date }>}
+ */
+async function findRevocationTransaction(certId, txHash) {
+  const provider = getProvider();
+  const [tx, receipt] = await withRpcContext(`Failed to load transaction ${txHash}`, () =>
+    Promise.all([provider.getTransaction(txHash), provider.getTransactionReceipt(txHash)])
+  );
+  if (!tx || !receipt) return { valid: false, error: "Transaction not found or not yet mined" };
+  if (receipt.status !== 1) return { valid: false, error: "Transaction failed on-chain" };
+  if (
+    String(receipt.to || "").toLowerCase() !== String(CONTRACT_ADDRESS || "").toLowerCase() ||
+    receipt.from.toLowerCase() !== getSigner().address.toLowerCase()
+  ) {
+    return { valid: false, error: "Transaction was not sent to the registry contract by this backend" };
+  }
+
+  let call = null;
+  try {
+    call = getReadContract().interface.parseTransaction({ data: tx.data });
+  } catch {
+    // Input that does not decode against the registry ABI
+  }
+  if (call?.name !== "revokeCertificate" || call.args[0] !== certId) {
+    return { valid: false, error: `Transaction is not a revocation of certificate ${certId}` };
+  }
+
+  const block = await withRpcContext(`Failed to load block ${receipt.blockNumber}`, () =>
+    provider.getBlock(receipt.blockNumber)
+  );
+  return {
+    valid: true,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    revokedAt: new Date(block.timestamp * 1000),
+  };
+}
+
 // ── Stats ───────────────────────────────────────────────────────────────────
 
 async function getStats() {
@@ -314,6 +513,54 @@ async function getStats() {
   };
 }
 
+// ── Daily Issuance Quota ────────────────────────────────────────────────────
+// The contract caps certificates per institution per day (maxDailyCertificates)
+// and tracks dailyIssued/lastIssuedDate on the institution record. The issuer
+// on chain is msg.sender, i.e. the backend signer, so that is whose quota
+// bulk jobs consume.
+
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Remaining issuance quota for today (UTC day of the latest block).
+ * @param {string} [walletAddress] - Defaults to the backend signer
+ * @returns {Promise<{ issuer, limit, usedToday, remaining, resetsAt }>}
+ */
+async function getDailyQuota(walletAddress) {
+  const issuer = walletAddress || getSigner().address;
+  const contract = getReadContract();
+  const [limit, inst, block] = await Promise.all([
+    withRpcContext("Failed to fetch daily certificate limit", () => contract.maxDailyCertificates()),
+    withRpcContext(`Failed to load institution record for ${issuer}`, () => contract.getInstitution(issuer)),
+    withRpcContext("Failed to fetch latest block", () => getProvider().getBlock("latest")),
+  ]);
+
+  const today = Math.floor(block.timestamp / SECONDS_PER_DAY);
+  // lastIssuedDate is either a day number or a unix timestamp
+  const lastIssued = Number(inst.lastIssuedDate);
+  const lastDay = lastIssued >= SECONDS_PER_DAY ? Math.floor(lastIssued / SECONDS_PER_DAY) : lastIssued;
+  const usedToday = lastDay === today ? Number(inst.dailyIssued) : 0;
+
+  return {
+    issuer,
+    limit: Number(limit),
+    usedToday,
+    remaining: Math.max(0, Number(limit) - usedToday),
+    resetsAt: new Date((today + 1) * SECONDS_PER_DAY * 1000),
+  };
+}
+
+/**
+ * Change the per-institution daily issuance limit (contract owner only).
+ * @param {number} limit
+ */
+async function setMaxDailyCertificates(limit) {
+  return sendContractTransaction("setMaxDailyCertificates", [limit], {
+    context: `Failed to set daily certificate limit to ${limit}`,
+    label: String(limit),
+  });
+}
+
 // ── Check authorization ─────────────────────────────────────────────────────
 
 async function isAuthorized() {
@@ -331,25 +578,11 @@ async function isAuthorized() {
  * @param {object} data - { name, registrationNumber, country }
  */
 async function authorizeInstitution(walletAddress, data) {
-  const contract = getWriteContract();
-  const tx = await withRpcContext(
-    `Failed to submit institution authorization tx for ${walletAddress}`,
-    () =>
-      contract.addInstitution(
-        walletAddress,
-        data.name,
-        data.registrationNumber,
-        data.country
-      )
-  );
-  const receipt = await withRpcContext("Failed while waiting for institution authorization confirmation", () =>
-    tx.wait()
+  return sendContractTransaction(
+    "addInstitution",
+    [walletAddress, data.name, data.registrationNumber, data.country],
+    { context: `Failed to authorize institution ${walletAddress}`, label: walletAddress }
   );
-  return {
-    txHash: tx.hash,
-    blockNumber: receipt.blockNumber,
-    gasUsed: Number(receipt.gasUsed),
-  };
 }
 
 /**
@@ -357,18 +590,33 @@ async function authorizeInstitution(walletAddress, data) {
  * @param {string} walletAddress - Institution's wallet address
  */
 async function deauthorizeInstitution(walletAddress) {
-  const contract = getWriteContract();
-  const tx = await withRpcContext(`Failed to submit deauthorization tx for ${walletAddress}`, () =>
-    contract.removeInstitution(walletAddress)
-  );
-  const receipt = await withRpcContext("Failed while waiting for deauthorization confirmation", () =>
-    tx.wait()
-  );
-  return {
-    txHash: tx.hash,
-    blockNumber: receipt.blockNumber,
-    gasUsed: Number(receipt.gasUsed),
-  };
+  return sendContractTransaction("removeInstitution", [walletAddress], {
+    context: `Failed to deauthorize institution ${walletAddress}`,
+    label: walletAddress,
+  });
+}
+
+/**
+ * Temporarily suspend an institution. Unlike removal, the institution record
+ * is kept and can be reactivated later.
+ * @param {string} walletAddress - Institution's wallet address
+ */
+async function suspendInstitution(walletAddress) {
+  return sendContractTransaction("suspendInstitution", [walletAddress], {
+    context: `Failed to suspend institution ${walletAddress}`,
+    label: walletAddress,
+  });
+}
+
+/**
+ * Reactivate a previously suspended institution.
+ * @param {string} walletAddress - Institution's wallet address
+ */
+async function reactivateInstitution(walletAddress) {
+  return sendContractTransaction("reactivateInstitution", [walletAddress], {
+    context: `Failed to reactivate institution ${walletAddress}`,
+    label: walletAddress,
+  });
 }
 
 /**
@@ -450,20 +698,85 @@ async function getAllInstitutions() {
   return institutions;
 }
 
+// ── Contract Wallet Signatures (EIP-1271) ───────────────────────────────────
+
+const EIP1271_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+const EIP1271_MAGIC_VALUE = "0x1626ba7e";
+
+/**
+ * Ask a smart-contract wallet (e.g. a Safe) whether it accepts a signature.
+ * @param {string} address - Wallet address
+ * @param {string} digest - 32-byte hash that was signed
+ * @param {string} signature - Signature bytes in the wallet's own format
+ * @returns {Promise<boolean|null>} null if the address has no contract code
+ */
+async function isValidContractSignature(address, digest, signature) {
+  const provider = getProvider();
+  const code = await withRpcContext(`Failed to load contract code for ${address}`, () =>
+    provider.getCode(address)
+  );
+  if (code === "0x") return null;
+
+  const wallet = new ethers.Contract(address, EIP1271_ABI, provider);
+  try {
+    const result = await wallet.isValidSignature(digest, signature);
+    return String(result).toLowerCase() === EIP1271_MAGIC_VALUE;
+  } catch (err) {
+    // A revert or a malformed return means the wallet does not accept it
+    if (err.code === "CALL_EXCEPTION" || err.code === "BAD_DATA") return false;
+    throw wrapRpcError(err, `Failed to check signature with contract wallet ${address}`);
+  }
+}
+
+// ── Managed Transaction Admin ───────────────────────────────────────────────
+
+/**
+ * Resume watching signer txs left pending by a previous process.
+ * @returns {Promise<number>} Number of transactions recovered
+ */
+async function recoverPendingTransactions() {
+  return txManager.recoverPending(getSigner());
+}
+
+/**
+ * Keep recovering txs of stopped processes for as long as this one runs.
+ * Call once from every process that holds the signer (API server, workers).
+ */
+function startTransactionRecovery() {
+  txManager.startRecovery(getSigner);
+}
+
 module.exports = {
   getProvider,
   getSigner,
+  getNetworkInfo,
   getReadContract,
   getWriteContract,
   generateCertificateId,
+  toChainTimestamp,
   issueCertificate,
   issueBatch,
+  estimateBatch,
   verifyCertificate,
+  certificateExists,
+  revokeCertificate,
+  findRevocationTransaction,
   getStats,
+  getDailyQuota,
+  setMaxDailyCertificates,
   isAuthorized,
   authorizeInstitution,
   deauthorizeInstitution,
+  suspendInstitution,
+  reactivateInstitution,
   checkIfAuthorized,
   getInstitutionInfo,
   getAllInstitutions,
+  isValidContractSignature,
+  recoverPendingTransactions,
+  startTransactionRecovery,
+  listTransactions: txManager.listTransactions,
+  speedUpTransaction: txManager.speedUpTransaction,
+  cancelTransaction: txManager.cancelTransaction,
+  txEvents: txManager.txEvents,
 };
@@ -0,0 +1,278 @@
+// ============================================================================
+// Browser Pool — Shared, bounded Chromium instances for PDF rendering
+// ============================================================================
+// Launching Chromium costs ~1s and a few hundred MB, so single issuance,
+// previews and bulk jobs all render through this pool instead:
+//   - at most PDF_POOL_BROWSERS browsers, each with at most
+//     PDF_POOL_PAGES_PER_BROWSER pages rendering at once; further callers
+//     queue until a page frees up (or PDF_POOL_ACQUIRE_TIMEOUT_MS passes)
+//   - idle pages are kept open and reused
+//   - a browser is retired after PDF_POOL_MAX_RENDERS renders (Chromium
+//     leaks memory over time) and replaced on the next request
+//   - a periodic health check closes browsers that stopped responding or
+//     have been idle for PDF_POOL_IDLE_TIMEOUT_MS
+
+const puppeteer = require("puppeteer");
+
+function envInt(name, fallback, min = 1) {
+  return Math.max(min, parseInt(process.env[name] || String(fallback), 10) || fallback);
+}
+
+const POOL_BROWSERS = envInt("PDF_POOL_BROWSERS", 1);
+const PAGES_PER_BROWSER = envInt("PDF_POOL_PAGES_PER_BROWSER", 4);
+const MAX_RENDERS = envInt("PDF_POOL_MAX_RENDERS", 200);
+const ACQUIRE_TIMEOUT_MS = envInt("PDF_POOL_ACQUIRE_TIMEOUT_MS", 60000);
+const IDLE_TIMEOUT_MS = envInt("PDF_POOL_IDLE_TIMEOUT_MS", 300000);
+const HEALTH_CHECK_INTERVAL_MS = envInt("PDF_POOL_HEALTH_CHECK_INTERVAL_MS", 30000);
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+};
+
+// { id, browser, ready, active, renders, idlePages, retiring, lastUsedAt }
+const entries = [];
+const waiters = [];
+let nextId = 1;
+let healthTimer = null;
+const stats = { launched: 0, retired: 0, unhealthy: 0, renders: 0, failures: 0 };
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// ── Browser lifecycle ───────────────────────────────────────────────────────
+
+function removeEntry(entry) {
+  const index = entries.indexOf(entry);
+  if (index !== -1) entries.splice(index, 1);
+}
+
+async function closeEntry(entry) {
+  removeEntry(entry);
+  entry.idlePages = [];
+  try {
+    const browser = await entry.ready;
+    await browser.close();
+  } catch {
+    // Already gone
+  }
+  notifyWaiter();
+}
+
+function launchEntry() {
+  const entry = {
+    id: nextId++,
+    browser: null,
+    active: 0,
+    renders: 0,
+    idlePages: [],
+    retiring: false,
+    lastUsedAt: Date.now(),
+  };
+
+  entry.ready = puppeteer.launch(LAUNCH_OPTIONS).then(
+    (browser) => {
+      entry.browser = browser;
+      stats.launched++;
+      browser.on("disconnected", () => {
+        if (entries.includes(entry)) {
+          console.warn(`⚠️  PDF browser #${entry.id} disconnected`);
+          removeEntry(entry);
+          notifyWaiter();
+        }
+      });
+      return browser;
+    },
+    (err) => {
+      removeEntry(entry);
+      notifyWaiter();
+      throw err;
+    }
+  );
+  // Callers await `ready` themselves; don't report the rejection twice
+  entry.ready.catch(() => {});
+
+  entries.push(entry);
+  ensureHealthTimer();
+  return entry;
+}
+
+function retireIfDone(entry) {
+  if (entry.retiring && entry.active === 0) {
+    stats.retired++;
+    void closeEntry(entry);
+  }
+}
+
+// ── Slots ───────────────────────────────────────────────────────────────────
+
+function notifyWaiter() {
+  const waiter = waiters.shift();
+  if (waiter) waiter();
+}
+
+// Least-busy browser with a free page slot
+function pickEntry() {
+  let best = null;
+  for (const entry of entries) {
+    if (entry.retiring || entry.active >= PAGES_PER_BROWSER) continue;
+    if (entry.browser && !entry.browser.connected) continue;
+    if (!best || entry.active < best.active) best = entry;
+  }
+  return best;
+}
+
+function waitForSlot(deadline) {
+  return new Promise((resolve, reject) => {
+    const waiter = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      const index = waiters.indexOf(waiter);
+      if (index !== -1) waiters.splice(index, 1);
+      reject(new Error(`PDF renderer busy — no browser page free after ${ACQUIRE_TIMEOUT_MS}ms`));
+    }, Math.max(0, deadline - Date.now()));
+    waiters.push(waiter);
+  });
+}
+
+async function acquire() {
+  const deadline = Date.now() + ACQUIRE_TIMEOUT_MS;
+  for (;;) {
+    let entry = pickEntry();
+    if (!entry && entries.length < POOL_BROWSERS) entry = launchEntry();
+    if (entry) {
+      entry.active++;
+      try {
+        const browser = await entry.ready;
+        let page = entry.idlePages.pop();
+        while (page && page.isClosed()) page = entry.idlePages.pop();
+        return { entry, page: page || (await browser.newPage()) };
+      } catch (err) {
+        entry.active--;
+        notifyWaiter();
+        throw err;
+      }
+    }
+    await waitForSlot(deadline);
+  }
+}
+
+async function release(entry, page, healthy) {
+  entry.active--;
+  entry.renders++;
+  entry.lastUsedAt = Date.now();
+  stats.renders++;
+  if (entry.renders >= MAX_RENDERS) entry.retiring = true;
+
+  if (healthy && !entry.retiring && !page.isClosed() && entries.includes(entry)) {
+    entry.idlePages.push(page);
+  } else {
+    await page.close().catch(() => {});
+  }
+
+  retireIfDone(entry);
+  notifyWaiter();
+}
+
+/**
+ * Run `fn` with a pooled page. The page is reused afterwards unless `fn`
+ * throws, so callers must not leave state on it beyond the document.
+ * @template T
+ * @param {(page: import("puppeteer").Page) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withPage(fn) {
+  const { entry, page } = await acquire();
+  let healthy = false;
+  try {
+    const result = await fn(page);
+    healthy = true;
+    return result;
+  } catch (err) {
+    stats.failures++;
+    throw err;
+  } finally {
+    await release(entry, page, healthy);
+  }
+}
+
+// ── Health checks ───────────────────────────────────────────────────────────
+
+async function checkHealth() {
+  for (const entry of [...entries]) {
+    if (!entry.browser || entry.active > 0) continue;
+
+    if (Date.now() - entry.lastUsedAt > IDLE_TIMEOUT_MS) {
+      await closeEntry(entry);
+      continue;
+    }
+    try {
+      await withTimeout(entry.browser.version(), HEALTH_CHECK_TIMEOUT_MS, "health check timed out");
+    } catch (err) {
+      stats.unhealthy++;
+      console.warn(`⚠️  PDF browser #${entry.id} unhealthy (${err.message}) — replacing`);
+      await closeEntry(entry);
+    }
+  }
+
+  if (entries.length === 0 && healthTimer) {
+    clearInterval(healthTimer);
+    healthTimer = null;
+  }
+}
+
+function ensureHealthTimer() {
+  if (healthTimer) return;
+  healthTimer = setInterval(() => void checkHealth(), HEALTH_CHECK_INTERVAL_MS);
+  // Never keep the process alive just to check idle browsers
+  healthTimer.unref();
+}
+
+// ── Status / shutdown ───────────────────────────────────────────────────────
+
+/** Total pages that can render at once across the pool. */
+function getCapacity() {
+  return POOL_BROWSERS * PAGES_PER_BROWSER;
+}
+
+function getStatus() {
+  return {
+    maxBrowsers: POOL_BROWSERS,
+    pagesPerBrowser: PAGES_PER_BROWSER,
+    maxRendersPerBrowser: MAX_RENDERS,
+    browsers: entries.map((entry) => ({
+      id: entry.id,
+      active: entry.active,
+      idlePages: entry.idlePages.length,
+      renders: entry.renders,
+      retiring: entry.retiring,
+    })),
+    waiting: waiters.length,
+    ...stats,
+  };
+}
+
+async function shutdown() {
+  if (healthTimer) {
+    clearInterval(healthTimer);
+    healthTimer = null;
+  }
+  await Promise.all([...entries].map(closeEntry));
+}
+
+module.exports = {
+  withPage,
+  getCapacity,
+  getStatus,
+  shutdown,
+};
@@ -0,0 +1,634 @@
+// ============================================================================
+// Bulk Pipeline — Runs a bulk issuance job from IDs to emails
+// ============================================================================
+// Executed by the job queue worker (jobQueue.js), never directly by a
+// request handler. Phases, in order:
+//   ids → PDFs → storage → chain → QR codes → badges → emails → registry
+// A worker stops a job between rows when it is cancelled or shutting down.
+
+const fs = require("fs");
+
+const BulkJob = require("../models/BulkJob");
+const blockchainService = require("./blockchainService");
+const ipfsService = require("./ipfsService");
+const pinService = require("./pinService");
+const pdfService = require("./pdfService");
+const qrService = require("./qrService");
+const emailService = require("./emailService");
+const certificateRegistry = require("./certificateRegistry");
+const certificateManifest = require("./certificateManifest");
+const badgeService = require("./badgeService");
+const jobEvents = require("./jobEvents");
+const quotaService = require("./quotaService");
+
+// Progress changes many times per second during a run; writes within the same
+// phase are throttled to one per interval.
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+// Start a split job a little after midnight UTC so the chain's day has rolled over
+const SCHEDULE_GRACE_MS = 2 * 60 * 1000;
+
+// ── Job store (MongoDB) ─────────────────────────────────────────────────────
+
+function updateJob(jobId, fields) {
+  return BulkJob.updateOne({ jobId }, { $set: fields });
+}
+
+// Returns a setProgress(progress) function that persists progress in order,
+// skipping intermediate updates within a phase. Every write is also published
+// to the job's event feed.
+function createProgressWriter(jobId) {
+  let chain = Promise.resolve();
+  let lastPhase = null;
+  let lastWriteAt = 0;
+
+  return (progress) => {
+    const now = Date.now();
+    const isPhaseChange = progress.phase !== lastPhase;
+    const isPhaseEnd = progress.percent === 100;
+    if (!isPhaseChange && !isPhaseEnd && now - lastWriteAt < PROGRESS_WRITE_INTERVAL_MS) {
+      return chain;
+    }
+
+    lastPhase = progress.phase;
+    lastWriteAt = now;
+    void jobEvents.publish(jobId, "progress", progress);
+    chain = chain
+      .then(() => updateJob(jobId, { progress }))
+      .catch((err) => console.error(`Job ${jobId} progress write failed:`, err.message));
+    return chain;
+  };
+}
+
+// What a quota snapshot means for `rows` certificates
+function quotaOutlook(quota, rows) {
+  return {
+    ...quota,
+    requested: rows,
+    fitsToday: rows <= quota.remaining,
+    daysNeeded:
+      quota.limit > 0
+        ? 1 + Math.ceil(Math.max(0, rows - quota.remaining) / quota.limit)
+        : null,
+  };
+}
+
+// The signer's (platform-wide) quota for `rows` certificates. Returns null if
+// the chain can't be reached — callers then proceed and let the pipeline check.
+// A preview only: the pipeline reserves its slots when it gets to the chain.
+async function quotaForRows(rows) {
+  try {
+    return quotaOutlook(await quotaService.getQuota(), rows);
+  } catch (err) {
+    console.warn("Daily quota lookup failed:", err.message);
+    return null;
+  }
+}
+
+// ── Per-row checkpoints ─────────────────────────────────────────────────────
+// Every record carries a `checkpoints` object that is written to MongoDB as
+// soon as a row passes a step. A crashed job can then be resumed without
+// re-generating IDs or PDFs, and without double-issuing on chain.
+//   idAssigned → pdfGenerated → ipfsUploaded → txSubmitted → txConfirmed
+//   → qrGenerated → badgeGenerated → emailSent
+// badgeGenerated is only expected for jobs that asked for badges.
+
+function hasCheckpoint(cert, name) {
+  return Boolean(cert.checkpoints && cert.checkpoints[name]);
+}
+
+function isRowFinished(cert, { sendEmails, badges }) {
+  if (!hasCheckpoint(cert, "txConfirmed") || !hasCheckpoint(cert, "qrGenerated")) return false;
+  if (badges && !hasCheckpoint(cert, "badgeGenerated")) return false;
+  if (sendEmails && cert.email && emailService.isEmailConfigured()) {
+    return hasCheckpoint(cert, "emailSent");
+  }
+  return true;
+}
+
+function phaseProgress(phase, current, total) {
+  return {
+    phase,
+    current,
+    total,
+    percent: total > 0 ? Math.round((current / total) * 100) : 100,
+  };
+}
+
+// Apply `fields` (dot-paths relative to the record) to certs[index] in memory
+// and persist them to records.<index> in one write. The same fields are
+// published as a "row" event.
+async function checkpointRow(jobId, certs, index, fields) {
+  const $set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    const parts = key.split(".");
+    let target = certs[index];
+    for (const part of parts.slice(0, -1)) {
+      if (!target[part] || typeof target[part] !== "object") target[part] = {};
+      target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+    $set[`records.${index}.${key}`] = value;
+  }
+  await BulkJob.updateOne({ jobId }, { $set });
+  void jobEvents.publish(jobId, "row", {
+    index,
+    row: certs[index]._row,
+    certId: certs[index].certId || null,
+    changes: fields,
+  });
+}
+
+// The worker sets signal.stopReason to stop a job; the pipeline checks it
+// between rows and unwinds with this error.
+const STOP_MESSAGES = {
+  cancelled: "Job cancelled",
+  shutdown: "Worker shutting down",
+  lease_lost: "Job lease expired",
+};
+
+function throwIfStopped(signal) {
+  if (!signal.stopReason) return;
+  const err = new Error(STOP_MESSAGES[signal.stopReason] || "Job stopped");
+  err.stopReason = signal.stopReason;
+  throw err;
+}
+
+// ── The Processing Pipeline ─────────────────────────────────────────────────
+// Each phase only touches rows that have not yet passed its checkpoint, so the
+// same function serves both a fresh run and a resume. A stopped job still
+// records its issued rows and results, then rethrows the stop error so the
+// worker can mark it cancelled or put it back in the queue.
+
+async function processPipeline(
+  job,
+  { templateName, sendEmails, resuming = false, signal = { stopReason: null } }
+) {
+  const jobId = job.jobId;
+  const certs = job.records;
+  const setProgress = createProgressWriter(jobId);
+  const save = (index, fields) => checkpointRow(jobId, certs, index, fields);
+  const rowsWhere = (predicate) =>
+    certs.reduce((acc, cert, i) => (predicate(cert) ? [...acc, i] : acc), []);
+  const isIssued = (cert) => hasCheckpoint(cert, "txConfirmed");
+  const shouldStop = () => Boolean(signal.stopReason);
+
+  // PDFs generated during this run; earlier runs are read back from disk
+  const pdfBuffers = new Map();
+  const readPdf = (index) => {
+    if (pdfBuffers.has(index)) return pdfBuffers.get(index);
+    const filePath = certs[index].pdf?.filePath;
+    return filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  };
+
+  let deferred = [];
+  let quota = null;
+  let stopError = null;
+  try {
+    // PHASE 1: Generate certificate IDs
+    const needIds = rowsWhere((c) => !hasCheckpoint(c, "idAssigned"));
+    setProgress(phaseProgress("generating_ids", 0, needIds.length));
+
+    for (let n = 0; n < needIds.length; n++) {
+      throwIfStopped(signal);
+      const i = needIds[n];
+      const certId = certs[i].certId || (await blockchainService.generateCertificateId());
+      await save(i, { certId, "checkpoints.idAssigned": true });
+      setProgress(phaseProgress("generating_ids", n + 1, needIds.length));
+    }
+
+    // PHASE 2: Generate PDFs
+    // A PDF that was already pinned to IPFS is never re-rendered — its hash is
+    // what goes on chain.
+    const needPdfs = rowsWhere(
+      (c) =>
+        !isIssued(c) &&
+        !hasCheckpoint(c, "ipfsUploaded") &&
+        !(hasCheckpoint(c, "pdfGenerated") && c.pdf?.filePath && fs.existsSync(c.pdf.filePath))
+    );
+    setProgress(phaseProgress("generating_pdfs", 0, needPdfs.length));
+
+    const pdfResults = await pdfService.bulkGeneratePDFs(
+      templateName,
+      needPdfs.map((i) => certs[i]),
+      (p) => {
+        setProgress({ phase: "generating_pdfs", ...p });
+      },
+      null,
+      {
+        metadataFor: (cert) =>
+          certificateManifest.buildManifest(cert, { issuerWallet: job.ownerWallet }),
+        shouldStop,
+      }
+    );
+
+    for (let n = 0; n < needPdfs.length; n++) {
+      const i = needPdfs[n];
+      const pdfResult = pdfResults[n];
+      if (!pdfResult) continue; // Not started before the job was stopped
+      if (pdfResult.status === "success") {
+        pdfBuffers.set(i, pdfResult.buffer);
+        await save(i, {
+          pdf: { status: "success", fileName: pdfResult.fileName, filePath: pdfResult.filePath },
+          "checkpoints.pdfGenerated": true,
+        });
+      } else {
+        await save(i, {
+          pdf: { status: "failed", fileName: null, filePath: null, error: pdfResult.error },
+          "checkpoints.pdfGenerated": false,
+        });
+      }
+    }
+
+    throwIfStopped(signal);
+
+    // PHASE 3: Upload PDFs to IPFS
+    const needIpfs = rowsWhere(
+      (c) => !isIssued(c) && !hasCheckpoint(c, "ipfsUploaded") && hasCheckpoint(c, "pdfGenerated")
+    );
+    setProgress(phaseProgress("uploading_ipfs", 0, needIpfs.length));
+
+    for (let n = 0; n < needIpfs.length; n++) {
+      throwIfStopped(signal);
+      const i = needIpfs[n];
+      const buffer = readPdf(i);
+      if (!buffer) {
+        await save(i, { ipfsHash: "", ipfsError: "Generated PDF is missing from disk" });
+      } else {
+        try {
+          const documentHash = ipfsService.computeContentHash(buffer);
+          const ipfsResult = await pinService.pinDocument(
+            buffer,
+            certs[i].pdf.fileName,
+            { certId: certs[i].certId, type: "certificate", documentHash },
+            { filePath: certs[i].pdf.filePath }
+          );
+          await save(i, {
+            documentHash,
+            ipfsHash: ipfsResult.ipfsHash,
+            ipfsPinned: ipfsResult.pinned,
+            ipfsProvider: ipfsResult.provider,
+            ipfsGateway: ipfsResult.gateway,
+            ipfsError: null,
+            "checkpoints.ipfsUploaded": true,
+          });
+        } catch (err) {
+          await save(i, { ipfsHash: "", ipfsError: err.message });
+        }
+      }
+      setProgress(phaseProgress("uploading_ipfs", n + 1, needIpfs.length));
+    }
+
+    // PHASE 4: Issue on blockchain
+    let needTx = rowsWhere((c) => !isIssued(c));
+
+    // On resume, a row may have been mined after the last checkpoint was
+    // written. Ask the chain before retrying so nothing is issued twice.
+    if (resuming && needTx.length > 0) {
+      setProgress(phaseProgress("reconciling_chain", 0, needTx.length));
+      const stillPending = [];
+      for (let n = 0; n < needTx.length; n++) {
+        throwIfStopped(signal);
+        const i = needTx[n];
+        const cert = certs[i];
+        const exists = await blockchainService.certificateExists(cert.certId);
+        if (exists) {
+          const txHash = cert.blockchain?.txHash || null;
+          let receipt = null;
+          if (txHash) {
+            try {
+              receipt = await blockchainService.getProvider().getTransactionReceipt(txHash);
+            } catch {
+              // Receipt lookup is best effort — the on-chain record is what matters
+            }
+          }
+          await save(i, {
+            blockchain: {
+              status: "success",
+              txHash,
+              blockNumber: receipt ? receipt.blockNumber : null,
+              gasUsed: receipt ? Number(receipt.gasUsed) : null,
+              error: null,
+              reconciled: true,
+            },
+            "checkpoints.txConfirmed": true,
+          });
+        } else {
+          stillPending.push(i);
+        }
+        setProgress(phaseProgress("reconciling_chain", n + 1, needTx.length));
+      }
+      needTx = stillPending;
+    }
+
+    // Only submit what today's quota allows; the rest would revert on chain.
+    // The slots are reserved first, so concurrent jobs and single issuances
+    // never count on the same ones. Deferred rows keep no txConfirmed
+    // checkpoint, so a later run picks them up.
+    let reservation = null;
+    if (needTx.length > 0) {
+      try {
+        reservation = await quotaService.reserve(needTx.length);
+        quota = quotaOutlook(reservation.quota, needTx.length);
+      } catch (err) {
+        console.warn("Daily quota reservation failed:", err.message);
+      }
+    }
+    try {
+      if (reservation && reservation.granted < needTx.length) {
+        deferred = needTx.slice(reservation.granted);
+        needTx = needTx.slice(0, reservation.granted);
+        const resumeAt = new Date(quota.resetsAt.getTime() + SCHEDULE_GRACE_MS);
+        for (const i of deferred) {
+          await save(i, {
+            blockchain: {
+              status: "deferred",
+              txHash: null,
+              blockNumber: null,
+              gasUsed: null,
+              error: job.splitAcrossDays
+                ? `Daily issuance limit reached — scheduled for ${resumeAt.toISOString()}`
+                : "Daily issuance limit reached — resume the job after the daily reset",
+            },
+          });
+        }
+      }
+      if (quota) await updateJob(jobId, { quota });
+
+      // lastTx surfaces the tx manager's lifecycle (submitted, replaced, stuck...)
+      let txProgress = phaseProgress("blockchain_issuance", 0, needTx.length);
+      let lastTx = null;
+      setProgress(txProgress);
+
+      await blockchainService.issueBatch(
+        needTx.map((i) => certs[i]),
+        (p) => {
+          txProgress = { phase: "blockchain_issuance", ...p };
+          setProgress({ ...txProgress, lastTx });
+        },
+        {
+          onTxEvent: (n, event) => {
+            lastTx = {
+              certId: certs[needTx[n]].certId,
+              event: event.type,
+              txHash: event.hash,
+              nonce: event.nonce,
+              attempts: event.attempts,
+            };
+            setProgress({ ...txProgress, lastTx });
+          },
+          onSubmitted: (n, txHash) =>
+            save(needTx[n], { "blockchain.txHash": txHash, "checkpoints.txSubmitted": true }),
+          onResult: (result) => {
+            const i = needTx[result.index];
+            if (result.status === "success") {
+              return save(i, {
+                blockchain: {
+                  status: "success",
+                  txHash: result.txHash,
+                  blockNumber: result.blockNumber,
+                  gasUsed: result.gasUsed,
+                  error: null,
+                },
+                "checkpoints.txConfirmed": true,
+              });
+            }
+            return save(i, {
+              blockchain: {
+                status: "failed",
+                txHash: certs[i].blockchain?.txHash || null,
+                blockNumber: null,
+                gasUsed: null,
+                error: result.error,
+              },
+            });
+          },
+          shouldStop,
+        }
+      );
+    } finally {
+      // Mined slots are on the chain's count now; unsent ones are free again
+      await quotaService.release(reservation, reservation?.granted || 0);
+    }
+    throwIfStopped(signal);
+
+    // PHASE 5: Generate QR codes
+    const needQr = rowsWhere((c) => isIssued(c) && !hasCheckpoint(c, "qrGenerated"));
+    setProgress(phaseProgress("generating_qrcodes", 0, needQr.length));
+
+    const qrResults = await qrService.bulkGenerateQR(needQr.map((i) => certs[i]));
+    for (let n = 0; n < needQr.length; n++) {
+      const qrResult = qrResults[n];
+      await save(needQr[n], qrResult.status === "success"
+        ? { qr: { status: "success", fileName: qrResult.fileName }, "checkpoints.qrGenerated": true }
+        : { qr: { status: "failed", fileName: null, error: qrResult.error } });
+    }
+
+    throwIfStopped(signal);
+
+    // PHASE 6: Bake Open Badges (if enabled)
+    if (job.badges) {
+      const needBadges = rowsWhere((c) => isIssued(c) && !hasCheckpoint(c, "badgeGenerated"));
+      setProgress(phaseProgress("generating_badges", 0, needBadges.length));
+
+      for (let n = 0; n < needBadges.length; n++) {
+        throwIfStopped(signal);
+        const i = needBadges[n];
+        try {
+          const { pngFileName, svgFileName } = await badgeService.createBadges(certs[i]);
+          await save(i, {
+            badge: { status: "success", pngFileName, svgFileName, error: null },
+            "checkpoints.badgeGenerated": true,
+          });
+        } catch (err) {
+          await save(i, { badge: { status: "failed", pngFileName: null, svgFileName: null, error: err.message } });
+        }
+        setProgress(phaseProgress("generating_badges", n + 1, needBadges.length));
+      }
+    }
+
+    throwIfStopped(signal);
+
+    // PHASE 7: Send emails (if enabled)
+    if (sendEmails && emailService.isEmailConfigured()) {
+      const needEmail = rowsWhere((c) => isIssued(c) && c.email && !hasCheckpoint(c, "emailSent"));
+      setProgress(phaseProgress("sending_emails", 0, needEmail.length));
+
+      const emailJobs = needEmail.map((i) => {
+        const c = certs[i];
+        return {
+          to: c.email,
+          studentName: c.studentName,
+          certId: c.certId,
+          degree: c.degree,
+          institution: c.institution,
+          issueDate: c.issueDate,
+          pdfBuffer: readPdf(i),
+          pdfFileName: c.pdf?.fileName,
+        };
+      });
+
+      await emailService.bulkSendEmails(
+        emailJobs,
+        (p) => {
+          setProgress({ phase: "sending_emails", ...p });
+        },
+        {
+          onResult: (result) =>
+            save(needEmail[result.index], {
+              emailDelivery: {
+                sent: result.sent,
+                messageId: result.messageId || null,
+                error: result.error || null,
+                sentAt: result.sent ? new Date() : null,
+              },
+              "checkpoints.emailSent": Boolean(result.sent),
+            }),
+        }
+      );
+    }
+  } catch (err) {
+    if (!err.stopReason) throw err;
+    stopError = err;
+  }
+
+  // ── Record issued certificates in the registry ──────────────────────────
+  // Upserts are idempotent, so a resumed job simply rewrites earlier rows.
+  await certificateRegistry.recordManyIssued(
+    certs.filter(isIssued).map((cert) => ({
+      certId: cert.certId,
+      studentName: cert.studentName,
+      studentId: cert.studentId || "",
+      degree: cert.degree || "",
+      institution: cert.institution || "",
+      issueDate: cert.issueDate || "",
+      email: cert.email || null,
+      issuedBy: job.ownerWallet,
+      requestedBy: job.createdBy || job.ownerWallet,
+      source: "bulk",
+      jobId,
+      templateName,
+      pdf: { fileName: cert.pdf?.fileName || null, filePath: cert.pdf?.filePath || null },
+      qr: { fileName: cert.qr?.fileName || null },
+      documentHash: cert.documentHash || null,
+      ipfs: {
+        hash: cert.ipfsHash || null,
+        pinned: Boolean(cert.ipfsPinned),
+        provider: cert.ipfsProvider || null,
+        gateway: cert.ipfsGateway || null,
+      },
+      blockchain: {
+        txHash: cert.blockchain?.txHash || null,
+        blockNumber: cert.blockchain?.blockNumber || null,
+        gasUsed: cert.blockchain?.gasUsed || null,
+      },
+      emailDelivery: {
+        sent: Boolean(cert.emailDelivery?.sent),
+        messageId: cert.emailDelivery?.messageId || null,
+        error: cert.emailDelivery?.error || null,
+        sentAt: cert.emailDelivery?.sentAt || null,
+      },
+    }))
+  );
+
+  // ── Compile final results ───────────────────────────────────────────────
+  const results = certs.map((cert) => ({
+    row: cert._row,
+    certId: cert.certId,
+    studentName: cert.studentName,
+    studentId: cert.studentId,
+    degree: cert.degree,
+    institution: cert.institution,
+    issueDate: cert.issueDate,
+    email: cert.email || null,
+    blockchain: {
+      status: cert.blockchain?.status || "skipped",
+      txHash: cert.blockchain?.txHash || null,
+      blockNumber: cert.blockchain?.blockNumber || null,
+      gasUsed: cert.blockchain?.gasUsed || null,
+      error: cert.blockchain?.error || null,
+    },
+    pdf: {
+      status: cert.pdf?.status || "skipped",
+      fileName: cert.pdf?.fileName || null,
+      filePath: cert.pdf?.filePath || null,
+    },
+    ipfs: {
+      hash: cert.ipfsHash || null,
+      documentHash: cert.documentHash || null,
+      pinned: cert.ipfsPinned || false,
+      provider: cert.ipfsProvider || null,
+      gateway: cert.ipfsGateway || null,
+    },
+    qr: {
+      status: cert.qr?.status || "skipped",
+      fileName: cert.qr?.fileName || null,
+    },
+    badge: {
+      status: cert.badge?.status || "skipped",
+      pngFileName: cert.badge?.pngFileName || null,
+      svgFileName: cert.badge?.svgFileName || null,
+    },
+    checkpoints: { ...(cert.checkpoints || {}) },
+  }));
+
+  // Update job
+  const count = (predicate) => certs.filter(predicate).length;
+  const summary = {
+    total: certs.length,
+    blockchainSuccess: count(isIssued),
+    blockchainFailed: count((c) => c.blockchain?.status === "failed"),
+    pdfsGenerated: count((c) => hasCheckpoint(c, "pdfGenerated")),
+    qrCodesGenerated: count((c) => hasCheckpoint(c, "qrGenerated")),
+    badgesGenerated: count((c) => hasCheckpoint(c, "badgeGenerated")),
+    emailsSent: count((c) => hasCheckpoint(c, "emailSent")),
+    emailsFailed: count((c) => c.emailDelivery && !c.emailDelivery.sent),
+    unfinished: count((c) => !isRowFinished(c, { sendEmails, badges: job.badges })),
+    quotaDeferred: deferred.length,
+  };
+
+  if (stopError) {
+    const phase = stopError.stopReason === "cancelled" ? "cancelled" : "interrupted";
+    await setProgress(phaseProgress(phase, certs.length - summary.unfinished, certs.length));
+    await updateJob(jobId, { results, summary });
+    stopError.summary = summary;
+    throw stopError;
+  }
+
+  // Split jobs continue on the next quota day via the job queue
+  if (deferred.length > 0 && job.splitAcrossDays) {
+    const scheduledFor = new Date(quota.resetsAt.getTime() + SCHEDULE_GRACE_MS);
+    await setProgress(phaseProgress("scheduled", certs.length - deferred.length, certs.length));
+    await updateJob(jobId, { status: "scheduled", scheduledFor, results, summary });
+    await jobEvents.publishStatus(jobId, "scheduled", { scheduledFor, summary });
+    console.log(`⏳ Job ${jobId}: ${deferred.length} row(s) over the daily limit, continuing at ${scheduledFor.toISOString()}`);
+    return;
+  }
+
+  // Let any queued progress write land first so it cannot overwrite "completed"
+  await setProgress(phaseProgress("completed", certs.length, certs.length));
+  await updateJob(jobId, {
+    status: "completed",
+    scheduledFor: null,
+    results,
+    summary,
+    completedAt: new Date(),
+  });
+  await jobEvents.publishStatus(jobId, "completed", { summary });
+
+  // Clean up uploaded CSV
+  try {
+    if (job.filePath && fs.existsSync(job.filePath)) {
+      fs.unlinkSync(job.filePath);
+    }
+  } catch { /* ignore cleanup errors */ }
+
+  console.log(`✅ Job ${jobId} ${resuming ? "resumed and completed" : "completed"}:`, summary);
+}
+
+module.exports = {
+  processPipeline,
+  quotaForRows,
+  phaseProgress,
+  hasCheckpoint,
+  isRowFinished,
+};
@@ -0,0 +1,95 @@
+// ============================================================================
+// Certificate Manifest — Signed description of a certificate's on-chain record
+// ============================================================================
+// The manifest is embedded in every issued PDF (see pdfService.embedMetadata).
+// It carries the same fields that were written to the contract plus where to
+// find them (chain ID, contract address), and is signed by the backend issuing
+// wallet so a holder can check it offline before querying the chain.
+
+const { ethers } = require("ethers");
+const blockchainService = require("./blockchainService");
+
+const MANIFEST_SCHEMA = "edulocka-certificate/v1";
+
+// Stable JSON: keys sorted so the signed bytes do not depend on insertion order
+function canonicalize(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function signingPayload(manifest) {
+  const { signature, ...fields } = manifest;
+  return canonicalize(fields);
+}
+
+/**
+ * Build and sign the manifest for a certificate about to be issued.
+ * @param {object} cert - { certId, studentName, studentId, degree, institution, issueDate }
+ * @param {object} [opts]
+ * @param {string} [opts.issuerWallet] - Institution wallet that requested issuance
+ * @returns {Promise<object>} Manifest; signature is null if no signer is configured
+ */
+async function buildManifest(cert, { issuerWallet = null } = {}) {
+  const { chainId, contractAddress } = blockchainService.getNetworkInfo();
+
+  let signer = null;
+  try {
+    signer = blockchainService.getSigner();
+  } catch {
+    // No PRIVATE_KEY — the manifest is still useful, just unsigned
+  }
+
+  const manifest = {
+    schema: MANIFEST_SCHEMA,
+    certId: cert.certId,
+    studentName: cert.studentName,
+    studentId: cert.studentId || "",
+    degree: cert.degree || "",
+    institution: cert.institution || "",
+    issueDate: blockchainService.toChainTimestamp(cert.issueDate),
+    issuer: signer ? signer.address : null,
+    institutionWallet: issuerWallet ? issuerWallet.toLowerCase() : null,
+    chainId,
+    contractAddress,
+    createdAt: new Date().toISOString(),
+  };
+
+  manifest.signature = signer ? await signer.signMessage(signingPayload(manifest)) : null;
+  return manifest;
+}
+
+/**
+ * Check a manifest's signature.
+ * @param {object} manifest
+ * @returns {{ valid: boolean, recoveredAddress: string|null, error?: string }}
+ */
+function verifyManifest(manifest) {
+  if (!manifest?.signature) {
+    return { valid: false, recoveredAddress: null, error: "Manifest is not signed" };
+  }
+  try {
+    const recoveredAddress = ethers.verifyMessage(signingPayload(manifest), manifest.signature);
+    const valid =
+      !!manifest.issuer && recoveredAddress.toLowerCase() === manifest.issuer.toLowerCase();
+    return {
+      valid,
+      recoveredAddress,
+      ...(valid ? {} : { error: "Signature does not match the stated issuer" }),
+    };
+  } catch (err) {
+    return { valid: false, recoveredAddress: null, error: `Malformed signature: ${err.message}` };
+  }
+}
+
+module.exports = {
+  MANIFEST_SCHEMA,
+  buildManifest,
+  verifyManifest,
+};
@@ -0,0 +1,124 @@
+// ============================================================================
+// Certificate Registry — Read/write helpers for the IssuedCertificate collection
+// ============================================================================
+// Issuance has already happened on chain by the time these run, so a MongoDB
+// outage is logged rather than failing the request that issued the certificate.
+
+const mongoose = require("mongoose");
+
+const IssuedCertificate = require("../models/IssuedCertificate");
+
+function isAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Create or overwrite the registry record for an issued certificate.
+ * @param {object} record - IssuedCertificate fields, must include certId
+ * @returns {Promise<boolean>} Whether the record was written
+ */
+async function recordIssued(record) {
+  if (!isAvailable()) {
+    console.error(`Registry unavailable — certificate ${record.certId} not recorded`);
+    return false;
+  }
+  try {
+    await IssuedCertificate.updateOne({ certId: record.certId }, { $set: record }, { upsert: true });
+    return true;
+  } catch (err) {
+    console.error(`Registry write failed for ${record.certId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Upsert many records in one round-trip (bulk pipeline).
+ * @param {object[]} records
+ * @returns {Promise<number>} Number of records written
+ */
+async function recordManyIssued(records) {
+  if (records.length === 0) return 0;
+  if (!isAvailable()) {
+    console.error(`Registry unavailable — ${records.length} certificate(s) not recorded`);
+    return 0;
+  }
+  try {
+    const result = await IssuedCertificate.bulkWrite(
+      records.map((record) => ({
+        updateOne: {
+          filter: { certId: record.certId },
+          update: { $set: record },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    return result.upsertedCount + result.matchedCount;
+  } catch (err) {
+    console.error("Registry bulk write failed:", err.message);
+    return 0;
+  }
+}
+
+/**
+ * Patch an existing record (email delivery, revocation, ...).
+ * @param {string} certId
+ * @param {object} fields - $set fields, dot paths allowed
+ */
+async function updateIssued(certId, fields) {
+  if (!isAvailable()) return;
+  try {
+    await IssuedCertificate.updateOne({ certId }, { $set: fields });
+  } catch (err) {
+    console.error(`Registry update failed for ${certId}:`, err.message);
+  }
+}
+
+/**
+ * @param {string} certId
+ * @returns {Promise<object|null>} Lean record, or null if missing or DB is down
+ */
+async function findIssued(certId) {
+  if (!isAvailable()) return null;
+  try {
+    return await IssuedCertificate.findOne({ certId }).lean();
+  } catch (err) {
+    console.error(`Registry lookup failed for ${certId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Find the certificate whose issued PDF has this SHA-256.
+ * @param {string} documentHash - Hex digest, as stored at issuance
+ * @returns {Promise<object|null>} Lean record, or null if missing or DB is down
+ */
+async function findByDocumentHash(documentHash) {
+  if (!isAvailable()) return null;
+  try {
+    return await IssuedCertificate.findOne({ documentHash }).lean();
+  } catch (err) {
+    console.error("Registry lookup by document hash failed:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Institution names an institution wallet has issued under (a handful; more
+ * than one only if it was renamed on chain). Unlike the helpers above,
+ * database errors are thrown to the caller.
+ * @param {string} institution - Institution wallet (issuedBy)
+ * @returns {Promise<string[]>}
+ */
+async function listInstitutionNames(institution) {
+  return IssuedCertificate.distinct("institution", { issuedBy: String(institution || "").toLowerCase() });
+}
+
+module.exports = {
+  recordIssued,
+  recordManyIssued,
+  updateIssued,
+  findIssued,
+  findByDocumentHash,
+  listInstitutionNames,
+};
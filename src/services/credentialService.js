@@ -0,0 +1,255 @@
+// ============================================================================
+// Credential Service — W3C Verifiable Credentials for issued certificates
+// ============================================================================
+// Exports an on-chain certificate as a Verifiable Credential (VC Data Model
+// 2.0, typed as an Open Badges 3.0 OpenBadgeCredential). The credential is
+// signed by the backend issuing wallet with an EthereumEip712Signature2021
+// proof: the credential itself, minus the proof, is the EIP-712 message, and
+// its struct types are derived from the document's shape. Its credentialStatus
+// points at GET /api/certificates/:certId/status, which reads the contract.
+
+const { ethers } = require("ethers");
+const blockchainService = require("./blockchainService");
+
+const PUBLIC_API_URL = (
+  process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 4000}`
+).replace(/\/+$/, "");
+
+const VC_CONTEXT = [
+  "https://www.w3.org/ns/credentials/v2",
+  "https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json",
+];
+const PROOF_TYPE = "EthereumEip712Signature2021";
+const PRIMARY_TYPE = "VerifiableCredential";
+const STATUS_TYPE = "EdulockaCertificateStatus";
+const DOMAIN_NAME = "Edulocka Verifiable Credential";
+const DOMAIN_VERSION = "1";
+
+function credentialUrl(certId) {
+  return `${PUBLIC_API_URL}/api/certificates/${encodeURIComponent(certId)}/credential`;
+}
+
+function statusUrl(certId) {
+  return `${PUBLIC_API_URL}/api/certificates/${encodeURIComponent(certId)}/status`;
+}
+
+// did:pkh identifies an account on a CAIP-2 chain
+function issuerDid(chainId, address) {
+  return `did:pkh:eip155:${chainId}:${ethers.getAddress(address)}`;
+}
+
+function parseIssuerDid(did) {
+  const match = /^did:pkh:eip155:(\d+):(0x[a-fA-F0-9]{40})$/.exec(String(did || ""));
+  return match ? { chainId: Number(match[1]), address: ethers.getAddress(match[2]) } : null;
+}
+
+// ── EIP-712 Types ───────────────────────────────────────────────────────────
+// One struct per nested object, named after its key. Fields are sorted so the
+// same document always yields the same types. Documents may only hold strings,
+// booleans, arrays of strings and objects of the same.
+
+function structName(key) {
+  const name = key.replace(/[^a-zA-Z0-9]/g, "");
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function eip712Types(document, primaryType = PRIMARY_TYPE) {
+  const types = {};
+
+  function define(name, object, path) {
+    if (types[name]) throw new Error(`Duplicate struct ${name} at ${path}`);
+    types[name] = [];
+    for (const key of Object.keys(object).sort()) {
+      const value = object[key];
+      if (value === undefined) continue;
+      let type;
+      if (typeof value === "string") type = "string";
+      else if (typeof value === "boolean") type = "bool";
+      else if (Array.isArray(value) && value.every((item) => typeof item === "string")) type = "string[]";
+      else if (value && typeof value === "object" && !Array.isArray(value)) {
+        type = structName(key);
+        define(type, value, `${path}.${key}`);
+      } else {
+        throw new Error(`Unsupported value at ${path}.${key}`);
+      }
+      types[name].push({ name: key, type });
+    }
+  }
+
+  define(primaryType, document, "credential");
+  return types;
+}
+
+function eip712Domain(chainId, contractAddress) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    ...(contractAddress && { verifyingContract: contractAddress }),
+  };
+}
+
+// ── Build ───────────────────────────────────────────────────────────────────
+
+/**
+ * Build and sign the credential for an on-chain certificate.
+ * @param {string} certId
+ * @param {object} certificate - blockchainService.verifyCertificate() result (exists: true)
+ * @returns {Promise<object>} Signed VC
+ * @throws if no signer is configured or the signer is not the certificate's on-chain issuer
+ */
+async function buildCredential(certId, certificate) {
+  const signer = blockchainService.getSigner();
+  if (signer.address.toLowerCase() !== String(certificate.issuer).toLowerCase()) {
+    const err = new Error(
+      `Certificate was issued by ${certificate.issuer}, not by this backend's signer (${signer.address})`
+    );
+    err.code = "ISSUER_MISMATCH";
+    throw err;
+  }
+
+  const { chainId, contractAddress } = blockchainService.getNetworkInfo();
+  const issuer = issuerDid(chainId, signer.address);
+  const issuedOn = new Date(certificate.issueDate * 1000).toISOString();
+
+  const credential = {
+    "@context": VC_CONTEXT,
+    id: credentialUrl(certId),
+    type: ["VerifiableCredential", "OpenBadgeCredential"],
+    name: certificate.degree,
+    issuer: {
+      id: issuer,
+      type: ["Profile"],
+      name: certificate.institution,
+    },
+    validFrom: issuedOn,
+    credentialSubject: {
+      type: ["AchievementSubject"],
+      name: certificate.studentName,
+      studentId: certificate.studentId,
+      achievement: {
+        id: `urn:edulocka:${chainId}:${contractAddress}:${certId}`,
+        type: ["Achievement"],
+        name: certificate.degree,
+        description: `${certificate.degree} awarded by ${certificate.institution}`,
+        criteria: {
+          narrative: `Recorded on chain ${chainId} in contract ${contractAddress} as certificate ${certId}`,
+        },
+      },
+    },
+    credentialStatus: {
+      id: statusUrl(certId),
+      type: STATUS_TYPE,
+      certId,
+      chainId: String(chainId),
+      contractAddress,
+    },
+  };
+  if (certificate.ipfsHash) {
+    credential.evidence = {
+      id: `ipfs://${certificate.ipfsHash}`,
+      type: ["Evidence"],
+      name: "Issued certificate PDF",
+    };
+  }
+
+  const types = eip712Types(credential);
+  const domain = eip712Domain(chainId, contractAddress);
+  const proofValue = await signer.signTypedData(domain, types, credential);
+
+  return {
+    ...credential,
+    proof: {
+      type: PROOF_TYPE,
+      created: new Date().toISOString(),
+      proofPurpose: "assertionMethod",
+      verificationMethod: `${issuer}#blockchainAccountId`,
+      proofValue,
+      eip712: { domain, types, primaryType: PRIMARY_TYPE },
+    },
+  };
+}
+
+// ── Verify ──────────────────────────────────────────────────────────────────
+
+/**
+ * Check a credential's EIP-712 proof. Types are derived again from the
+ * document, so fields added after signing fail the check.
+ * @param {object} credential
+ * @returns {{ valid: boolean, recoveredAddress: string|null, issuer: object|null, error?: string }}
+ */
+function verifyProof(credential) {
+  const { proof, ...document } = credential || {};
+  const issuer = parseIssuerDid(document.issuer?.id);
+  const fail = (error, recoveredAddress = null) => ({ valid: false, recoveredAddress, issuer, error });
+
+  if (!proof || proof.type !== PROOF_TYPE) return fail(`Expected a ${PROOF_TYPE} proof`);
+  if (!proof.proofValue || !proof.eip712?.domain) return fail("Proof is missing proofValue or eip712.domain");
+  if (!issuer) return fail("Issuer is not a did:pkh:eip155 account");
+
+  const domain = proof.eip712.domain;
+  if (Number(domain.chainId) !== issuer.chainId) {
+    return fail("Proof domain chainId does not match the issuer DID");
+  }
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = ethers.verifyTypedData(domain, eip712Types(document), document, proof.proofValue);
+  } catch (err) {
+    return fail(`Malformed credential or proof: ${err.message}`);
+  }
+  if (recoveredAddress !== issuer.address) {
+    return fail("Signature does not match the issuer", recoveredAddress);
+  }
+  return { valid: true, recoveredAddress, issuer };
+}
+
+/**
+ * Compare a credential with the on-chain certificate it names.
+ * @param {object} credential
+ * @param {object} certificate - blockchainService.verifyCertificate() result (exists: true)
+ * @returns {{ fields: object, matches: boolean }}
+ */
+function compareWithChain(credential, certificate) {
+  const subject = credential.credentialSubject || {};
+  const fields = {
+    studentName: subject.name === certificate.studentName,
+    studentId: subject.studentId === certificate.studentId,
+    degree: subject.achievement?.name === certificate.degree,
+    institution: credential.issuer?.name === certificate.institution,
+    issueDate: Date.parse(credential.validFrom) === certificate.issueDate * 1000,
+    issuer:
+      parseIssuerDid(credential.issuer?.id)?.address.toLowerCase() ===
+      String(certificate.issuer).toLowerCase(),
+  };
+  return { fields, matches: Object.values(fields).every(Boolean) };
+}
+
+/**
+ * The certificate a credential refers to, and whether that is on this deployment.
+ * @param {object} credential
+ * @returns {{ certId: string|null, chainId: number|null, contractAddress: string|null, sameDeployment: boolean }}
+ */
+function credentialTarget(credential) {
+  const status = credential?.credentialStatus || {};
+  const network = blockchainService.getNetworkInfo();
+  const chainId = status.chainId ? Number(status.chainId) : null;
+  const contractAddress = status.contractAddress || null;
+  return {
+    certId: status.certId || null,
+    chainId,
+    contractAddress,
+    sameDeployment:
+      chainId === network.chainId &&
+      String(contractAddress || "").toLowerCase() === String(network.contractAddress || "").toLowerCase(),
+  };
+}
+
+module.exports = {
+  STATUS_TYPE,
+  statusUrl,
+  buildCredential,
+  verifyProof,
+  compareWithChain,
+  credentialTarget,
+};
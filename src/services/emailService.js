@@ -150,9 +150,72 @@ async function sendCertificateEmail({
   }
 }
 
+// ── Revocation notice ───────────────────────────────────────────────────────
+
+/**
+ * Tell a student their certificate has been revoked.
+ * @param {object} params - { to, studentName, certId, degree, institution, reason, revokedAt }
+ */
+async function sendRevocationEmail({
+  to,
+  studentName,
+  certId,
+  degree,
+  institution,
+  reason,
+  revokedAt,
+}) {
+  const transporter = createTransporter();
+  if (!transporter) {
+    return { sent: false, error: "Email not configured" };
+  }
+
+  const template = Handlebars.compile(`
+    <div style="font-family:system-ui,sans-serif;max-width:600px;margin:0 auto;padding:24px;">
+      <h2 style="color:#dc2626;">Certificate Revoked</h2>
+      <p>Dear <strong>{{studentName}}</strong>,</p>
+      <p>Your certificate for <strong>{{degree}}</strong> issued by <strong>{{institution}}</strong>
+         has been revoked by the issuing institution and will no longer verify as valid.</p>
+      <p><strong>Certificate ID:</strong> <code>{{certId}}</code></p>
+      <p><strong>Revoked On:</strong> {{revokedAt}}</p>
+      {{#if reason}}<p><strong>Reason:</strong> {{reason}}</p>{{/if}}
+      <p>If you believe this is a mistake, please contact {{institution}} directly.</p>
+      <p>Verification status: <a href="{{verifyUrl}}" style="color:#2563eb;">{{verifyUrl}}</a></p>
+    </div>
+  `);
+
+  const html = template({
+    studentName,
+    certId,
+    degree,
+    institution,
+    reason,
+    revokedAt: new Date(revokedAt || Date.now()).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    }),
+    verifyUrl: qrService.getVerifyUrl(certId),
+  });
+
+  try {
+    const info = await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject: `Certificate Revoked — ${certId}`,
+      html,
+    });
+    return { sent: true, messageId: info.messageId, to };
+  } catch (err) {
+    return { sent: false, to, error: err.message };
+  }
+}
+
 // ── Bulk send emails ────────────────────────────────────────────────────────
+// hooks.onResult(result) is awaited after each send so callers can record
+// delivery before moving on to the next recipient.
 
-async function bulkSendEmails(emailJobs, onProgress) {
+async function bulkSendEmails(emailJobs, onProgress, hooks = {}) {
   const results = [];
   let sent = 0;
   let failed = 0;
@@ -167,7 +230,9 @@ async function bulkSendEmails(emailJobs, onProgress) {
       failed++;
     }
 
-    results.push({ index: i, certId: job.certId, ...result });
+    const entry = { index: i, certId: job.certId, ...result };
+    results.push(entry);
+    if (hooks.onResult) await hooks.onResult(entry);
 
     if (onProgress) {
       onProgress({
@@ -213,7 +278,7 @@ function loadInstitutionTemplate(templateName) {
 /**
  * Send an institution notification email.
  * @param {string} to - Recipient email
- * @param {"received"|"approved"|"rejected"} type - Notification type
+ * @param {"received"|"approved"|"rejected"|"suspended"|"reactivated"} type - Notification type
  * @param {object} data - { institutionName, walletAddress, reason?, txHash? }
  */
 async function sendInstitutionEmail(to, type, data) {
@@ -226,6 +291,8 @@ async function sendInstitutionEmail(to, type, data) {
     received: `📋 Application Received — ${data.institutionName}`,
     approved: `✅ Institution Authorized — ${data.institutionName}`,
     rejected: `❌ Application Not Approved — ${data.institutionName}`,
+    suspended: `⏸️ Institution Suspended — ${data.institutionName}`,
+    reactivated: `▶️ Institution Reactivated — ${data.institutionName}`,
   };
 
   const templateFile = `institution-${type}.html`;
@@ -262,6 +329,27 @@ async function sendInstitutionEmail(to, type, data) {
           <p>You may address the concerns and reapply.</p>
           <p>Best regards,<br/>EduLocka Admin Team</p>
         </div>`,
+      suspended: `
+        <div style="font-family:system-ui,sans-serif;max-width:600px;margin:0 auto;padding:24px;">
+          <h2 style="color:#d97706;">⏸️ Institution Suspended</h2>
+          <p>Dear <strong>{{institutionName}}</strong>,</p>
+          <p>Your institution's authorization to issue certificates on EduLocka has been temporarily suspended.</p>
+          <p><strong>Wallet Address:</strong> <code>{{walletAddress}}</code></p>
+          {{#if reason}}<p><strong>Reason:</strong> {{reason}}</p>{{/if}}
+          {{#if txHash}}<p><strong>Blockchain TX:</strong> <code>{{txHash}}</code></p>{{/if}}
+          <p>Certificates you have already issued remain valid. Please contact the EduLocka team to resolve the suspension.</p>
+          <p>Best regards,<br/>EduLocka Admin Team</p>
+        </div>`,
+      reactivated: `
+        <div style="font-family:system-ui,sans-serif;max-width:600px;margin:0 auto;padding:24px;">
+          <h2 style="color:#16a34a;">▶️ Institution Reactivated</h2>
+          <p>Dear <strong>{{institutionName}}</strong>,</p>
+          <p>Your institution's authorization on EduLocka has been restored. You can issue certificates again.</p>
+          <p><strong>Wallet Address:</strong> <code>{{walletAddress}}</code></p>
+          {{#if reason}}<p><strong>Note:</strong> {{reason}}</p>{{/if}}
+          {{#if txHash}}<p><strong>Blockchain TX:</strong> <code>{{txHash}}</code></p>{{/if}}
+          <p>Best regards,<br/>EduLocka Admin Team</p>
+        </div>`,
     };
     templateSource = templates[type] || templates.received;
   }
@@ -287,6 +375,7 @@ async function sendInstitutionEmail(to, type, data) {
 
 module.exports = {
   sendCertificateEmail,
+  sendRevocationEmail,
   bulkSendEmails,
   verifyConnection,
   isEmailConfigured,
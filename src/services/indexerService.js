@@ -0,0 +1,399 @@
+// ============================================================================
+// Indexer Service — Mirror CertificateRegistry events into MongoDB
+// ============================================================================
+// Backfills from INDEXER_START_BLOCK, then polls for new blocks. Only blocks
+// at least INDEXER_CONFIRMATIONS deep are indexed, so a reorg near the head
+// never reaches the database. Reads that would otherwise fan out to the RPC
+// (admin institution listing, stats) are served from these collections.
+// Revocations emit no event, so each certificate's revoked flag is read from
+// contract state (see syncRevocations).
+
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+
+const blockchainService = require("./blockchainService");
+const IndexedCertificate = require("../models/IndexedCertificate");
+const IndexedInstitution = require("../models/IndexedInstitution");
+const InstitutionEvent = require("../models/InstitutionEvent");
+const IndexerState = require("../models/IndexerState");
+const CertificateRevocation = require("../models/CertificateRevocation");
+
+const INDEXER_ENABLED = process.env.INDEXER_ENABLED !== "false";
+const START_BLOCK = Math.max(0, parseInt(process.env.INDEXER_START_BLOCK || "0", 10) || 0);
+const CONFIRMATIONS = Math.max(0, parseInt(process.env.INDEXER_CONFIRMATIONS || "6", 10) || 0);
+const POLL_INTERVAL_MS = Math.max(
+  1000,
+  parseInt(process.env.INDEXER_POLL_INTERVAL_MS || "15000", 10) || 15000
+);
+const BLOCK_BATCH_SIZE = Math.max(
+  1,
+  parseInt(process.env.INDEXER_BLOCK_BATCH_SIZE || "2000", 10) || 2000
+);
+
+const INSTITUTION_EVENTS = [
+  "InstitutionAdded",
+  "InstitutionRemoved",
+  "InstitutionSuspended",
+  "InstitutionReactivated",
+];
+
+const STATE_FOR_EVENT = {
+  InstitutionAdded: "active",
+  InstitutionRemoved: "removed",
+  InstitutionSuspended: "suspended",
+  InstitutionReactivated: "active",
+};
+
+// In-memory mirror of the persisted cursor, for /health without a DB round-trip
+const status = {
+  running: false,
+  lastIndexedBlock: null,
+  chainHead: null,
+  backfilled: false,
+  lastError: "",
+  lastRunAt: null,
+};
+
+let pollTimer = null;
+let stopped = true;
+
+function stateKey() {
+  return String(process.env.CONTRACT_ADDRESS || "").toLowerCase();
+}
+
+// ── Block timestamps (one RPC call per block, cached per batch) ─────────────
+
+function createBlockTimeLookup(provider) {
+  const cache = new Map();
+  return async (blockNumber) => {
+    if (!cache.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      cache.set(blockNumber, block ? new Date(Number(block.timestamp) * 1000) : null);
+    }
+    return cache.get(blockNumber);
+  };
+}
+
+// The indexed certificateId topic is a hash; recover the plain ID (and the
+// fields the event leaves out) from the issueCertificate calldata, checking
+// the ID hashes to the same topic.
+async function decodeIssueCall(provider, contract, log) {
+  try {
+    const tx = await provider.getTransaction(log.transactionHash);
+    if (!tx) return null;
+    const parsed = contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+    if (!parsed || parsed.name !== "issueCertificate") return null;
+    const [certId, , studentId, degree, , issueDate, ipfsHash] = parsed.args;
+    if (ethers.id(certId) !== log.topics[1]) return null;
+    return {
+      certId,
+      studentId,
+      degree,
+      issueDate: new Date(Number(issueDate) * 1000),
+      ipfsHash: ipfsHash || null,
+    };
+  } catch {
+    // Issued through a wrapper contract (e.g. a multisig) — calldata differs
+    return null;
+  }
+}
+
+// ── Apply logs ──────────────────────────────────────────────────────────────
+
+async function indexCertificateLogs(logs, { provider, contract }) {
+  for (const log of logs) {
+    const call = await decodeIssueCall(provider, contract, log);
+    await IndexedCertificate.updateOne(
+      { txHash: log.transactionHash, logIndex: log.index },
+      {
+        $set: {
+          certId: call?.certId ?? null,
+          studentId: call?.studentId ?? null,
+          degree: call?.degree ?? null,
+          issueDate: call?.issueDate ?? null,
+          ipfsHash: call?.ipfsHash ?? null,
+          certIdHash: log.topics[1],
+          studentName: log.args.studentName,
+          institution: log.args.institution,
+          issuer: String(log.args.issuer).toLowerCase(),
+          issuedAt: new Date(Number(log.args.timestamp) * 1000),
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+        },
+      },
+      { upsert: true }
+    );
+  }
+}
+
+async function indexInstitutionLogs(logs, { blockTime }) {
+  // Fold events in chain order so the projection ends in the latest state
+  const ordered = [...logs].sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+  );
+
+  for (const log of ordered) {
+    const event = log.fragment.name;
+    const address = String(log.args[0]).toLowerCase();
+    const actor = log.args[1] ? String(log.args[1]).toLowerCase() : null;
+    const timestamp = await blockTime(log.blockNumber);
+    const isAdded = event === "InstitutionAdded";
+
+    await InstitutionEvent.updateOne(
+      { txHash: log.transactionHash, logIndex: log.index },
+      {
+        $set: {
+          event,
+          institution: address,
+          actor,
+          name: isAdded ? log.args.name : null,
+          registrationNumber: isAdded ? log.args.registrationNumber : null,
+          country: isAdded ? log.args.country : null,
+          blockTimestamp: timestamp,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+        },
+      },
+      { upsert: true }
+    );
+
+    const projection = { state: STATE_FOR_EVENT[event], lastEventBlock: log.blockNumber, lastEventLogIndex: log.index };
+    if (isAdded) {
+      projection.name = log.args.name;
+      projection.registrationNumber = log.args.registrationNumber;
+      projection.country = log.args.country;
+      projection.authorizedDate = timestamp;
+    }
+
+    // Skip if a later event was already applied (replay after a crash)
+    await IndexedInstitution.updateOne(
+      {
+        address,
+        $or: [
+          { lastEventBlock: { $lt: log.blockNumber } },
+          { lastEventBlock: log.blockNumber, lastEventLogIndex: { $lt: log.index } },
+        ],
+      },
+      { $set: projection },
+      { upsert: true }
+    ).catch((err) => {
+      // Duplicate key = the $or filter missed an existing, newer row — fine
+      if (err.code !== 11000) throw err;
+    });
+  }
+}
+
+// ── Revocations ─────────────────────────────────────────────────────────────
+// A full pass over the rows not yet flagged runs only when totalRevocations()
+// has changed since the last one. The backend's own revocations are flagged
+// right away through refreshRevocation(). Revocation is final on chain, so a
+// flagged row is never checked again.
+
+async function readRevoked(contract, certId) {
+  const cert = await contract.getCertificate(certId);
+  return Boolean(cert.exists) && !cert.isValid;
+}
+
+async function syncRevocations(contract, state) {
+  const total = Number(await contract.totalRevocations());
+  if (state.revocationTotal === total) return;
+
+  const unrevoked = IndexedCertificate.find({ certId: { $ne: null }, revoked: { $ne: true } })
+    .select("certId")
+    .lean()
+    .cursor();
+  for await (const doc of unrevoked) {
+    if (stopped) return;
+    if (await readRevoked(contract, doc.certId)) {
+      await IndexedCertificate.updateOne({ _id: doc._id }, { $set: { revoked: true } });
+    }
+  }
+  state.revocationTotal = total;
+}
+
+// ── One indexing pass ───────────────────────────────────────────────────────
+
+async function runOnce() {
+  const provider = blockchainService.getProvider();
+  const contract = blockchainService.getReadContract();
+  const key = stateKey();
+
+  let state = await IndexerState.findOne({ key });
+  if (!state) {
+    state = await IndexerState.create({ key, startBlock: START_BLOCK, lastIndexedBlock: START_BLOCK - 1 });
+  }
+
+  const chainHead = await provider.getBlockNumber();
+  const safeHead = chainHead - CONFIRMATIONS;
+  status.chainHead = chainHead;
+
+  let from = state.lastIndexedBlock + 1;
+  while (from <= safeHead && !stopped) {
+    const to = Math.min(from + BLOCK_BATCH_SIZE - 1, safeHead);
+    const ctx = { provider, contract, blockTime: createBlockTimeLookup(provider) };
+
+    const certificateLogs = await contract.queryFilter("CertificateIssued", from, to);
+    const institutionLogs = [];
+    for (const eventName of INSTITUTION_EVENTS) {
+      institutionLogs.push(...(await contract.queryFilter(eventName, from, to)));
+    }
+
+    await indexCertificateLogs(certificateLogs, ctx);
+    await indexInstitutionLogs(institutionLogs, ctx);
+
+    state.lastIndexedBlock = to;
+    state.chainHead = chainHead;
+    state.lastError = "";
+    await state.save();
+
+    status.lastIndexedBlock = to;
+    from = to + 1;
+  }
+
+  if (!stopped) await syncRevocations(contract, state);
+
+  if (!state.backfilledAt && state.lastIndexedBlock >= safeHead) {
+    state.backfilledAt = new Date();
+  }
+  state.chainHead = chainHead;
+  await state.save();
+
+  status.lastIndexedBlock = state.lastIndexedBlock;
+  status.backfilled = Boolean(state.backfilledAt);
+  status.lastError = "";
+}
+
+async function tick() {
+  pollTimer = null;
+  if (stopped) return;
+
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await runOnce();
+    } catch (err) {
+      status.lastError = err.message;
+      console.warn("⚠️  Indexer pass failed:", err.message);
+      IndexerState.updateOne({ key: stateKey() }, { $set: { lastError: err.message } }).catch(() => {});
+    }
+    status.lastRunAt = new Date();
+  }
+
+  if (!stopped) {
+    pollTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  }
+}
+
+// ── Lifecycle ───────────────────────────────────────────────────────────────
+
+function start() {
+  if (!INDEXER_ENABLED || !stopped) return;
+  if (!process.env.CONTRACT_ADDRESS || !process.env.RPC_URL) {
+    console.warn("⚠️  Indexer disabled: CONTRACT_ADDRESS and RPC_URL are required.");
+    return;
+  }
+  stopped = false;
+  status.running = true;
+  void tick();
+}
+
+function stop() {
+  stopped = true;
+  status.running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Indexer progress for /health.
+ * lagBlocks counts from the chain head, so it never drops below CONFIRMATIONS.
+ */
+function getStatus() {
+  const lagBlocks =
+    status.chainHead !== null && status.lastIndexedBlock !== null
+      ? Math.max(0, status.chainHead - status.lastIndexedBlock)
+      : null;
+  return {
+    enabled: INDEXER_ENABLED,
+    running: status.running,
+    startBlock: START_BLOCK,
+    confirmations: CONFIRMATIONS,
+    lastIndexedBlock: status.lastIndexedBlock,
+    chainHead: status.chainHead,
+    lagBlocks,
+    backfilled: status.backfilled,
+    lastError: status.lastError || null,
+    lastRunAt: status.lastRunAt,
+  };
+}
+
+/**
+ * The index is only trusted once the initial backfill has reached the safe head.
+ * Callers fall back to live RPC reads until then.
+ */
+function isReady() {
+  return INDEXER_ENABLED && status.backfilled && mongoose.connection.readyState === 1;
+}
+
+// ── Queries ─────────────────────────────────────────────────────────────────
+
+/**
+ * All institutions ever added, in the same shape as
+ * blockchainService.getAllInstitutions().
+ */
+async function getInstitutions() {
+  const [institutions, issuedCounts] = await Promise.all([
+    IndexedInstitution.find().sort({ authorizedDate: 1 }).lean(),
+    IndexedCertificate.aggregate([{ $group: { _id: "$issuer", count: { $sum: 1 } } }]),
+  ]);
+  const issuedByAddress = new Map(issuedCounts.map((c) => [c._id, c.count]));
+
+  return institutions.map((inst) => ({
+    address: ethers.getAddress(inst.address),
+    name: inst.name,
+    registrationNumber: inst.registrationNumber,
+    country: inst.country,
+    isActive: inst.state === "active",
+    isAuthorized: inst.state !== "removed",
+    authorizedDate: inst.authorizedDate ? Math.floor(inst.authorizedDate.getTime() / 1000) : 0,
+    totalIssued: issuedByAddress.get(inst.address) || 0,
+  }));
+}
+
+/**
+ * Read a certificate's revoked flag from the contract now, e.g. right after
+ * the backend revoked it, instead of waiting for the next pass.
+ * @param {string} certId
+ * @returns {Promise<boolean|null>} The flag, or null without MongoDB
+ */
+async function refreshRevocation(certId) {
+  if (mongoose.connection.readyState !== 1) return null;
+  const revoked = await readRevoked(blockchainService.getReadContract(), certId);
+  await IndexedCertificate.updateMany({ certId }, { $set: { revoked } });
+  return revoked;
+}
+
+/**
+ * Totals in the same shape as blockchainService.getStats().
+ * Revocations emit no event, so they come from the backend's own records.
+ */
+async function getStats() {
+  const [totalCertificates, totalInstitutions, totalRevocations] = await Promise.all([
+    IndexedCertificate.countDocuments(),
+    IndexedInstitution.countDocuments({ state: { $ne: "removed" } }),
+    CertificateRevocation.countDocuments(),
+  ]);
+  return { totalCertificates, totalInstitutions, totalRevocations };
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getStatus,
+  isReady,
+  getInstitutions,
+  getStats,
+  refreshRevocation,
+};
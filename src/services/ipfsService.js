@@ -1,76 +1,96 @@
 // ============================================================================
-// IPFS Service — Upload files to Pinata (free tier)
+// IPFS Service — Content-addressed storage for certificate documents
 // ============================================================================
-// Pinata free tier: 500 uploads/month, 1GB storage
-// Falls back to SHA-256 content hash if Pinata is not configured
+// Every document is identified by its real CIDv1, computed locally
+// (utils/cid.js), whichever storage driver holds the bytes:
+//   pinata — Pinata's hosted pinning API
+//   kubo   — a local IPFS node's HTTP RPC API
+//   s3     — S3-compatible object storage (AWS, MinIO), keyed by CID
+//   local  — files on this server's disk, keyed by CID
+// Selected with STORAGE_DRIVER; defaults to pinata when PINATA_JWT is set,
+// otherwise local. The CID written on chain can always be checked against
+// the document bytes, so offline and dev setups stay verifiable.
 
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 
-const PINATA_JWT = process.env.PINATA_JWT;
-const PINATA_GATEWAY = process.env.PINATA_GATEWAY || "https://gateway.pinata.cloud";
+const { computeCid, isVerifiableCid, verifyCid } = require("../utils/cid");
+
+const DRIVERS = {
+  pinata: require("./storage/pinata"),
+  kubo: require("./storage/kubo"),
+  s3: require("./storage/s3"),
+  local: require("./storage/local"),
+};
+
+const CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+};
 
 function computeContentHash(buffer) {
   return crypto.createHash("sha256").update(buffer).digest("hex");
 }
 
 function isPinataConfigured() {
-  return (
-    PINATA_JWT &&
-    PINATA_JWT !== "your_pinata_jwt_token_here" &&
-    PINATA_JWT.length > 50
-  );
+  return DRIVERS.pinata.isConfigured();
 }
 
-// ── Upload a file buffer to IPFS via Pinata ─────────────────────────────────
+let _driver = null;
 
-async function uploadBuffer(buffer, fileName, metadata = {}) {
-  if (!isPinataConfigured()) {
-    // Fallback: SHA-256 content hash (acts as a unique identifier)
-    const hash = computeContentHash(buffer);
-    const cidHash = "Qm" + hash.slice(0, 44);
+function getDriver() {
+  if (_driver) return _driver;
+
+  const requested = (process.env.STORAGE_DRIVER || "").trim().toLowerCase();
+  if (requested && !DRIVERS[requested]) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${requested}" (expected one of: ${Object.keys(DRIVERS).join(", ")})`
+    );
+  }
+  _driver = DRIVERS[requested || (isPinataConfigured() ? "pinata" : "local")];
+  return _driver;
+}
+
+// For /health and the startup banner
+function getStorageInfo() {
+  try {
+    const driver = getDriver();
     return {
-      ipfsHash: cidHash,
-      pinned: false,
-      gateway: null,
-      message: "Pinata not configured — using local content hash",
+      driver: driver.name,
+      configured: driver.isConfigured(),
+      onIpfsNetwork: driver.onIpfsNetwork,
     };
+  } catch (err) {
+    return { driver: null, configured: false, error: err.message };
   }
+}
+
+// ── Upload a file buffer ────────────────────────────────────────────────────
 
-  // Dynamic import for node-fetch if needed (Node 18+ has global fetch)
-  const formData = new FormData();
-  const blob = new Blob([buffer]);
-  formData.append("file", blob, fileName);
-
-  const pinataMetadata = JSON.stringify({
-    name: fileName,
-    keyvalues: metadata,
-  });
-  formData.append("pinataMetadata", pinataMetadata);
-
-  const pinataOptions = JSON.stringify({ cidVersion: 1 });
-  formData.append("pinataOptions", pinataOptions);
-
-  const response = await fetch("https://api.pinata.cloud/pinning/pinFileToIPFS", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${PINATA_JWT}`,
-    },
-    body: formData,
-  });
-
-  if (!response.ok) {
-    const errBody = await response.text();
-    throw new Error(`Pinata upload failed (${response.status}): ${errBody}`);
+async function uploadBuffer(buffer, fileName, metadata = {}) {
+  const driver = getDriver();
+  const cid = computeCid(buffer);
+  const contentType =
+    CONTENT_TYPES[path.extname(fileName || "").toLowerCase()] || "application/octet-stream";
+
+  const stored = await driver.put(buffer, { cid, fileName, contentType, metadata });
+
+  // A remote node that chunks differently would return another CID for the
+  // same bytes; keep the one that resolves, but flag it
+  if (stored.cid !== cid) {
+    console.warn(`${driver.name} returned CID ${stored.cid} for ${fileName}, computed ${cid}`);
   }
 
-  const data = await response.json();
   return {
-    ipfsHash: data.IpfsHash,
-    pinned: true,
-    gateway: `${PINATA_GATEWAY}/ipfs/${data.IpfsHash}`,
-    pinSize: data.PinSize,
+    ipfsHash: stored.cid,
+    // pinned = retrievable from the public IPFS network by CID
+    pinned: driver.onIpfsNetwork,
+    provider: driver.name,
+    gateway: driver.gatewayUrl(stored.cid),
+    pinSize: stored.size,
   };
 }
 
@@ -85,51 +105,55 @@ async function uploadFile(filePath, metadata = {}) {
 // ── Upload JSON data ────────────────────────────────────────────────────────
 
 async function uploadJSON(jsonData, name = "metadata.json") {
-  if (!isPinataConfigured()) {
-    const hash = computeContentHash(Buffer.from(JSON.stringify(jsonData)));
-    return {
-      ipfsHash: "Qm" + hash.slice(0, 44),
-      pinned: false,
-      gateway: null,
-    };
-  }
+  return uploadBuffer(Buffer.from(JSON.stringify(jsonData)), name);
+}
 
-  const response = await fetch("https://api.pinata.cloud/pinning/pinJSONToIPFS", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${PINATA_JWT}`,
-    },
-    body: JSON.stringify({
-      pinataContent: jsonData,
-      pinataMetadata: { name },
-    }),
-  });
-
-  if (!response.ok) {
-    const errBody = await response.text();
-    throw new Error(`Pinata JSON upload failed (${response.status}): ${errBody}`);
+// ── Read back from the configured driver ────────────────────────────────────
+
+/**
+ * Fetch a document from this deployment's own storage.
+ * @param {string} cid
+ * @returns {Promise<{ buffer: Buffer, provider: string }|null>} null if the
+ *   driver does not have it
+ * @throws if the stored bytes do not match the CID
+ */
+async function retrieve(cid) {
+  const driver = getDriver();
+  const buffer = await driver.get(cid);
+  if (!buffer) return null;
+  if (verifyCid(buffer, cid) === false) {
+    throw new Error(`${driver.name} storage returned bytes that do not match CID ${cid}`);
   }
+  return { buffer, provider: driver.name };
+}
 
-  const data = await response.json();
-  return {
-    ipfsHash: data.IpfsHash,
-    pinned: true,
-    gateway: `${PINATA_GATEWAY}/ipfs/${data.IpfsHash}`,
-  };
+/**
+ * Whether the configured driver still holds (pins) a CID, without downloading it.
+ * @param {string} cid
+ * @returns {Promise<boolean>}
+ */
+async function isStored(cid) {
+  return getDriver().has(cid);
 }
 
 // ── Get gateway URL for a hash ──────────────────────────────────────────────
+// null when the driver has no HTTP gateway (local disk, private bucket)
 
 function getGatewayUrl(ipfsHash) {
-  return `${PINATA_GATEWAY}/ipfs/${ipfsHash}`;
+  return getDriver().gatewayUrl(ipfsHash);
 }
 
 module.exports = {
   computeContentHash,
+  computeCid,
+  isVerifiableCid,
+  verifyCid,
   uploadBuffer,
   uploadFile,
   uploadJSON,
+  retrieve,
+  isStored,
   getGatewayUrl,
+  getStorageInfo,
   isPinataConfigured,
 };
@@ -0,0 +1,86 @@
+// ============================================================================
+// Job Events — Publish and read the bulk job progress feed
+// ============================================================================
+// The pipeline, the job queue and the bulk controller publish here; the SSE
+// endpoint reads. Events go through MongoDB (BulkJobEvent) because the job
+// may run in a worker process other than the one serving the stream.
+//
+// Each event gets the next number of its job's counter (BulkJob.eventSeq,
+// $inc) before it is stored. ObjectIds are only ordered within one process,
+// so a reader resuming after an _id could skip an event another process
+// stored a moment later; a per-job sequence has no such gap.
+
+const mongoose = require("mongoose");
+
+const BulkJob = require("../models/BulkJob");
+const BulkJobEvent = require("../models/BulkJobEvent");
+
+// Statuses after which a job produces no more events until someone acts
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled", "scheduled"];
+// A number taken but not stored yet (another process is between the $inc and
+// the insert) holds readers back this long; after that it is presumed lost
+const GAP_WAIT_MS = 5000;
+
+// Inserts run one at a time, so a reader never sees an event before an
+// earlier one from this process
+let chain = Promise.resolve();
+
+/**
+ * Append an event to a job's feed. Best effort: never throws.
+ * @param {string} jobId
+ * @param {"status"|"progress"|"row"} type
+ * @param {object} data
+ * @returns {Promise<void>} settles once the event is stored
+ */
+function publish(jobId, type, data) {
+  if (mongoose.connection.readyState !== 1) return chain;
+  chain = chain
+    .then(async () => {
+      const job = await BulkJob.findOneAndUpdate(
+        { jobId },
+        { $inc: { eventSeq: 1 } },
+        { new: true, projection: { eventSeq: 1 } }
+      ).lean();
+      if (!job) throw new Error("job not found");
+      await BulkJobEvent.create({ jobId, seq: job.eventSeq, type, data });
+    })
+    .then(
+      () => {},
+      (err) => console.warn(`⚠️  Job ${jobId} ${type} event not stored:`, err.message)
+    );
+  return chain;
+}
+
+function publishStatus(jobId, status, details = {}) {
+  return publish(jobId, "status", { status, ...details });
+}
+
+/**
+ * Events after `afterSeq`, in seq order. Stops short of a missing number
+ * until it is stored or GAP_WAIT_MS has passed, so a reader that moves its
+ * cursor to the last event it got never skips one.
+ * @param {string} jobId
+ * @param {number} afterSeq - 0 for the whole feed
+ * @param {number} [limit]
+ */
+async function readSince(jobId, afterSeq, limit = 500) {
+  const events = await BulkJobEvent.find({ jobId, seq: { $gt: afterSeq } })
+    .sort({ seq: 1 })
+    .limit(limit)
+    .lean();
+
+  let expected = afterSeq + 1;
+  for (let i = 0; i < events.length; i++) {
+    const waited = Date.now() - new Date(events[i].createdAt).getTime();
+    if (events[i].seq !== expected && waited < GAP_WAIT_MS) return events.slice(0, i);
+    expected = events[i].seq + 1;
+  }
+  return events;
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  publish,
+  publishStatus,
+  readSince,
+};
@@ -0,0 +1,398 @@
+// ============================================================================
+// Job Queue — Persisted bulk job queue and worker (MongoDB)
+// ============================================================================
+// Request handlers never run a bulk job themselves: POST /bulk/process and
+// /bulk/resume only mark it "queued", and a worker claims it and runs the
+// pipeline (bulkPipeline.js). The worker runs inside the API server
+// (BULK_WORKER_MODE=inline, the default) or as its own process
+// (`npm run worker`, with BULK_WORKER_MODE=external on the API server).
+// Any number of workers can share one database:
+//   - at most BULK_MAX_CONCURRENT_JOBS jobs run at once across all workers,
+//     and at most BULK_MAX_JOBS_PER_INSTITUTION per institution, so one large
+//     uploader cannot hold every slot
+//   - next job: highest priority, then the institution with fewer running
+//     jobs, then the oldest
+//   - claims happen under the "bulk-queue" lock; signer transactions take the
+//     "signer" lock in txManager (both lockService)
+//   - a running job holds a lease its worker renews every few seconds. If the
+//     worker dies the lease lapses and the job is marked failed (resumable)
+//   - cancellation and worker shutdown stop a job between rows; a job stopped
+//     by shutdown goes back to the queue
+
+const os = require("os");
+const mongoose = require("mongoose");
+
+const BulkJob = require("../models/BulkJob");
+const lockService = require("./lockService");
+const jobEvents = require("./jobEvents");
+const { processPipeline, phaseProgress, isRowFinished } = require("./bulkPipeline");
+
+const WORKER_MODE = (process.env.BULK_WORKER_MODE || "inline").trim().toLowerCase();
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.BULK_MAX_CONCURRENT_JOBS || "2", 10) || 2);
+const MAX_JOBS_PER_INSTITUTION = Math.max(
+  1,
+  parseInt(process.env.BULK_MAX_JOBS_PER_INSTITUTION || "1", 10) || 1
+);
+const POLL_INTERVAL_MS = Math.max(500, parseInt(process.env.BULK_QUEUE_POLL_INTERVAL_MS || "2000", 10) || 2000);
+const LEASE_MS = 30000;
+const HEARTBEAT_MS = 5000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Accepted by POST /api/bulk/process { priority }
+const PRIORITIES = { low: -10, normal: 0, high: 10 };
+
+// jobId -> { signal, done } for jobs running in this process
+const running = new Map();
+let pollTimer = null;
+let stopped = true;
+const status = {
+  lastRunAt: null,
+  lastError: "",
+  started: 0,
+  completed: 0,
+  failed: 0,
+  cancelled: 0,
+  requeued: 0,
+};
+
+function dbReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Map a priority name to its stored value.
+ * @param {string} [name] - "low" | "normal" | "high" (default "normal")
+ * @returns {number|null} null for an unknown name
+ */
+function parsePriority(name) {
+  if (name === undefined || name === null) return PRIORITIES.normal;
+  return Object.prototype.hasOwnProperty.call(PRIORITIES, name) ? PRIORITIES[name] : null;
+}
+
+function isLeaseLive(job) {
+  return (
+    job.status === "processing" &&
+    Boolean(job.leaseExpiresAt) &&
+    new Date(job.leaseExpiresAt).getTime() > Date.now()
+  );
+}
+
+/**
+ * 1-based place in the queue. Approximate: ignores the per-institution limit.
+ * @param {object} job - queued BulkJob
+ * @returns {Promise<number>}
+ */
+async function getQueuePosition(job) {
+  const ahead = await BulkJob.countDocuments({
+    status: "queued",
+    jobId: { $ne: job.jobId },
+    $or: [
+      { priority: { $gt: job.priority } },
+      { priority: job.priority, queuedAt: { $lt: job.queuedAt } },
+    ],
+  });
+  return ahead + 1;
+}
+
+// ── Housekeeping ────────────────────────────────────────────────────────────
+
+// A worker that died leaves its jobs "processing" with a lapsed lease
+async function failAbandonedJobs(now) {
+  const abandoned = await BulkJob.find({ status: "processing", leaseExpiresAt: { $lt: now } })
+    .select("jobId workerId")
+    .lean();
+
+  for (const { jobId, workerId } of abandoned) {
+    const result = await BulkJob.updateOne(
+      { jobId, status: "processing", leaseExpiresAt: { $lt: now } },
+      {
+        $set: {
+          status: "failed",
+          error: `Worker ${workerId || "unknown"} stopped while processing — resume the job to continue`,
+          workerId: null,
+          leaseExpiresAt: null,
+        },
+      }
+    );
+    if (result.modifiedCount) {
+      console.warn(`⚠️  Job ${jobId} abandoned by worker ${workerId}`);
+      void jobEvents.publishStatus(jobId, "failed", { error: "Worker stopped while processing" });
+    }
+  }
+}
+
+// Split jobs go back in the queue once their next quota day has started
+async function queueDueScheduledJobs(now) {
+  const due = await BulkJob.find({ status: "scheduled", scheduledFor: { $lte: now } })
+    .select("jobId")
+    .lean();
+
+  for (const { jobId } of due) {
+    const result = await BulkJob.updateOne(
+      { jobId, status: "scheduled" },
+      {
+        $set: { status: "queued", queuedAt: now, resuming: true, resumedAt: now, error: null },
+        $inc: { resumeCount: 1 },
+      }
+    );
+    if (result.modifiedCount) {
+      console.log(`⏰ Continuing scheduled job ${jobId}`);
+      void jobEvents.publishStatus(jobId, "queued", { resuming: true });
+    }
+  }
+}
+
+// ── Claiming ────────────────────────────────────────────────────────────────
+
+async function claimNextJob() {
+  return lockService.withLock("bulk-queue", async () => {
+    const now = new Date();
+    const active = await BulkJob.find({ status: "processing", leaseExpiresAt: { $gt: now } })
+      .select("ownerWallet")
+      .lean();
+    if (active.length >= MAX_CONCURRENT_JOBS) return null;
+
+    const runningFor = new Map();
+    for (const { ownerWallet } of active) {
+      runningFor.set(ownerWallet, (runningFor.get(ownerWallet) || 0) + 1);
+    }
+    const load = (job) => runningFor.get(job.ownerWallet) || 0;
+
+    const queued = await BulkJob.find({ status: "queued" })
+      .sort({ priority: -1, queuedAt: 1 })
+      .select("jobId ownerWallet priority queuedAt resuming")
+      .limit(200)
+      .lean();
+    const candidates = queued
+      .filter((job) => load(job) < MAX_JOBS_PER_INSTITUTION)
+      .sort((a, b) => b.priority - a.priority || load(a) - load(b) || a.queuedAt - b.queuedAt);
+
+    for (const candidate of candidates) {
+      const job = await BulkJob.findOneAndUpdate(
+        { jobId: candidate.jobId, status: "queued" },
+        {
+          $set: {
+            status: "processing",
+            workerId: WORKER_ID,
+            leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+            cancelRequested: false,
+            error: null,
+            ...(!candidate.resuming && { startedAt: now }),
+          },
+        },
+        { new: true }
+      ).lean();
+      if (job) return job;
+    }
+    return null;
+  });
+}
+
+// ── Running ─────────────────────────────────────────────────────────────────
+
+// Renews the lease and picks up cancellation requested through another process
+async function renewLease(jobId, signal) {
+  try {
+    const job = await BulkJob.findOneAndUpdate(
+      { jobId, status: "processing", workerId: WORKER_ID },
+      { $set: { leaseExpiresAt: new Date(Date.now() + LEASE_MS) } },
+      { new: true }
+    )
+      .select("cancelRequested")
+      .lean();
+    if (signal.stopReason) return;
+    if (!job) signal.stopReason = "lease_lost";
+    else if (job.cancelRequested) signal.stopReason = "cancelled";
+  } catch (err) {
+    console.warn(`⚠️  Job ${jobId} lease renewal failed:`, err.message);
+  }
+}
+
+async function settleStoppedJob(jobId, err) {
+  let fields;
+  switch (err.stopReason) {
+    case "cancelled":
+      status.cancelled++;
+      console.log(`🛑 Job ${jobId} cancelled`);
+      fields = { status: "cancelled", cancelledAt: new Date(), cancelRequested: false, error: null };
+      break;
+    case "shutdown":
+      // Keeps its queuedAt, so it is first in line for the next worker
+      status.requeued++;
+      console.log(`↩️  Job ${jobId} returned to the queue (worker shutting down)`);
+      fields = { status: "queued", resuming: true, error: null };
+      break;
+    case "lease_lost":
+      // Another worker already declared the job abandoned
+      console.warn(`⚠️  Job ${jobId} stopped: its lease was lost`);
+      return;
+    default:
+      status.failed++;
+      console.error(`Job ${jobId} pipeline error:`, err);
+      fields = { status: "failed", error: err.message };
+  }
+
+  try {
+    await BulkJob.updateOne({ jobId, workerId: WORKER_ID }, { $set: fields });
+    await jobEvents.publishStatus(jobId, fields.status, {
+      ...(fields.error && { error: fields.error }),
+      ...(err.summary && { summary: err.summary }),
+    });
+  } catch (writeErr) {
+    console.error(`Job ${jobId} status write failed:`, writeErr.message);
+  }
+}
+
+function runJob(job) {
+  const { jobId } = job;
+  const signal = { stopReason: null };
+  const heartbeat = setInterval(() => void renewLease(jobId, signal), HEARTBEAT_MS);
+  status.started++;
+
+  const done = (async () => {
+    try {
+      const remaining = job.resuming
+        ? job.records.filter((c) => !isRowFinished(c, job)).length
+        : job.records.length;
+      await BulkJob.updateOne(
+        { jobId },
+        { $set: { progress: phaseProgress(job.resuming ? "resuming" : "starting", 0, remaining) } }
+      );
+
+      await processPipeline(job, {
+        templateName: job.templateName,
+        sendEmails: job.sendEmails,
+        resuming: job.resuming,
+        signal,
+      });
+      status.completed++;
+    } catch (err) {
+      await settleStoppedJob(jobId, err);
+    } finally {
+      clearInterval(heartbeat);
+      running.delete(jobId);
+      await BulkJob.updateOne(
+        { jobId, workerId: WORKER_ID },
+        { $set: { workerId: null, leaseExpiresAt: null } }
+      ).catch(() => {});
+      poke();
+    }
+  })();
+
+  running.set(jobId, { signal, done });
+}
+
+/**
+ * Stop a job running in this process at the next row boundary. Jobs running
+ * in another process see BulkJob.cancelRequested on their next heartbeat.
+ * @param {string} jobId
+ * @returns {boolean} whether the job was running here
+ */
+function cancelLocalJob(jobId) {
+  const entry = running.get(jobId);
+  if (!entry) return false;
+  if (!entry.signal.stopReason) entry.signal.stopReason = "cancelled";
+  return true;
+}
+
+// ── Worker loop ─────────────────────────────────────────────────────────────
+
+async function tick() {
+  pollTimer = null;
+  if (stopped) return;
+
+  if (dbReady()) {
+    try {
+      const now = new Date();
+      await failAbandonedJobs(now);
+      await queueDueScheduledJobs(now);
+      while (!stopped && running.size < MAX_CONCURRENT_JOBS) {
+        const job = await claimNextJob();
+        if (!job) break;
+        console.log(`▶️  Job ${job.jobId} started on ${WORKER_ID}`);
+        void jobEvents.publishStatus(job.jobId, "processing", { resuming: job.resuming });
+        runJob(job);
+      }
+      status.lastError = "";
+    } catch (err) {
+      status.lastError = err.message;
+      console.warn("⚠️  Job queue poll failed:", err.message);
+    }
+    status.lastRunAt = new Date();
+  }
+
+  if (!stopped && !pollTimer) {
+    pollTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  }
+}
+
+// Check the queue now instead of at the next poll (e.g. right after enqueueing)
+function poke() {
+  if (stopped || !pollTimer) return;
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  void tick();
+}
+
+// ── Lifecycle ───────────────────────────────────────────────────────────────
+
+function start() {
+  if (!stopped) return;
+  stopped = false;
+  void tick();
+}
+
+/**
+ * Stop claiming jobs and hand running ones back to the queue.
+ * @param {object} [options] - { timeoutMs } how long to wait for jobs to reach a row boundary
+ */
+async function stop({ timeoutMs = 30000 } = {}) {
+  stopped = true;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  for (const { signal } of running.values()) {
+    if (!signal.stopReason) signal.stopReason = "shutdown";
+  }
+  let timer;
+  await Promise.race([
+    Promise.all([...running.values()].map((entry) => entry.done)),
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, timeoutMs);
+    }),
+  ]);
+  clearTimeout(timer);
+}
+
+function getStatus() {
+  return {
+    mode: WORKER_MODE,
+    workerId: WORKER_ID,
+    running: !stopped,
+    maxConcurrentJobs: MAX_CONCURRENT_JOBS,
+    maxJobsPerInstitution: MAX_JOBS_PER_INSTITUTION,
+    activeJobs: [...running.keys()],
+    started: status.started,
+    completed: status.completed,
+    failed: status.failed,
+    cancelled: status.cancelled,
+    requeued: status.requeued,
+    lastRunAt: status.lastRunAt,
+    lastError: status.lastError || null,
+  };
+}
+
+module.exports = {
+  WORKER_MODE,
+  PRIORITIES,
+  parsePriority,
+  isLeaseLive,
+  getQueuePosition,
+  cancelLocalJob,
+  poke,
+  start,
+  stop,
+  getStatus,
+};
@@ -0,0 +1,91 @@
+// ============================================================================
+// Lock Service — Mutual exclusion across backend processes
+// ============================================================================
+// The API server and bulk workers share one signer key and one job queue.
+// withLock() serializes a critical section across all of them through a
+// ServiceLock lease in MongoDB. The lease is renewed while the section runs,
+// so a long section keeps it and a crashed holder loses it after LOCK_TTL_MS.
+// Without MongoDB there is only one process to coordinate, and fn runs
+// directly.
+
+const os = require("os");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const ServiceLock = require("../models/ServiceLock");
+
+const LOCK_TTL_MS = 30000;
+const RETRY_DELAY_MS = 100;
+const HOLDER = `${os.hostname()}:${process.pid}`;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function tryAcquire(name, token, ttlMs) {
+  const now = new Date();
+  try {
+    // Matches only an expired lease; a live one makes the upsert collide on
+    // the unique name instead
+    const lock = await ServiceLock.findOneAndUpdate(
+      { name, expiresAt: { $lte: now } },
+      {
+        $set: {
+          token,
+          holder: HOLDER,
+          acquiredAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { upsert: true, new: true }
+    ).lean();
+    return lock.token === token;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Run `fn` while holding the named lock.
+ * @template T
+ * @param {string} name
+ * @param {() => Promise<T>} fn
+ * @param {object} [options] - { ttlMs, timeoutMs } timeoutMs bounds the wait
+ * @returns {Promise<T>}
+ * @throws if the lock is not free within timeoutMs
+ */
+async function withLock(name, fn, { ttlMs = LOCK_TTL_MS, timeoutMs = 60000 } = {}) {
+  if (mongoose.connection.readyState !== 1) return fn();
+
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + timeoutMs;
+  while (!(await tryAcquire(name, token, ttlMs))) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out after ${timeoutMs}ms waiting for the "${name}" lock`);
+    }
+    await sleep(RETRY_DELAY_MS);
+  }
+
+  const renewal = setInterval(() => {
+    ServiceLock.updateOne({ name, token }, { $set: { expiresAt: new Date(Date.now() + ttlMs) } })
+      .catch((err) => console.warn(`⚠️  Could not renew "${name}" lock:`, err.message));
+  }, Math.floor(ttlMs / 3));
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(renewal);
+    try {
+      await ServiceLock.updateOne({ name, token }, { $set: { expiresAt: new Date(0) } });
+    } catch (err) {
+      // The lease runs out on its own
+      console.warn(`⚠️  Could not release "${name}" lock:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  HOLDER,
+  withLock,
+};
@@ -3,17 +3,42 @@
 // ============================================================================
 // Uses Puppeteer to render HTML templates into pixel-perfect PDFs
 // Supports custom HTML templates with Handlebars placeholders
+// Rendering goes through the shared browser pool (browserPool.js)
 
-const puppeteer = require("puppeteer");
 const Handlebars = require("handlebars");
-const { PDFDocument } = require("pdf-lib");
+const {
+  PDFDocument,
+  PDFDict,
+  PDFArray,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFHexString,
+  PDFString,
+  StandardFonts,
+  rgb,
+  degrees,
+  decodePDFRawStream,
+} = require("pdf-lib");
 const fs = require("fs");
 const path = require("path");
 const qrService = require("./qrService");
+const browserPool = require("./browserPool");
 
 const TEMPLATES_DIR = path.join(__dirname, "..", "..", "templates");
 const INSTITUTION_TEMPLATES_DIR = path.join(TEMPLATES_DIR, "institutions");
 const OUTPUT_DIR = path.join(__dirname, "..", "..", "output", "certificates");
+const METADATA_ATTACHMENT = "edulocka-certificate.json";
+const XMP_NAMESPACE = "https://edulocka.io/ns/certificate/1.0/";
+
+// Document-info keys holding the manifest's lookup fields
+const INFO_KEYS = {
+  certId: "EdulockaCertId",
+  issuer: "EdulockaIssuer",
+  institutionWallet: "EdulockaInstitutionWallet",
+  chainId: "EdulockaChainId",
+  contractAddress: "EdulockaContract",
+};
 
 // Ensure institution templates directory exists
 if (!fs.existsSync(INSTITUTION_TEMPLATES_DIR)) {
@@ -90,49 +115,40 @@ async function renderHTML(templateName, data, walletAddress = null) {
 
 // ── Generate PDF from HTML ──────────────────────────────────────────────────
 
-async function generatePDF(templateName, data, options = {}, walletAddress = null) {
-  const html = await renderHTML(templateName, data, walletAddress);
-
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-      ],
-    });
-
-    const page = await browser.newPage();
-
+// Render one HTML document on a pooled page
+async function renderPDF(html, pdfOptions) {
+  return browserPool.withPage(async (page) => {
     await page.setContent(html, {
       waitUntil: "networkidle0",
       timeout: 30000,
     });
+    const pdfBuffer = await page.pdf({ printBackground: true, ...pdfOptions });
+    return Buffer.from(pdfBuffer);
+  });
+}
 
-    const pdfBuffer = await page.pdf({
-      format: options.format || "A4",
-      landscape: options.landscape || true,
-      printBackground: true,
-      margin: {
-        top: options.marginTop || "0",
-        right: options.marginRight || "0",
-        bottom: options.marginBottom || "0",
-        left: options.marginLeft || "0",
-      },
-    });
+async function generatePDF(templateName, data, options = {}, walletAddress = null) {
+  const html = await renderHTML(templateName, data, walletAddress);
 
-    return Buffer.from(pdfBuffer);
-  } finally {
-    if (browser) await browser.close();
-  }
+  return renderPDF(html, {
+    format: options.format || "A4",
+    landscape: options.landscape || true,
+    margin: {
+      top: options.marginTop || "0",
+      right: options.marginRight || "0",
+      bottom: options.marginBottom || "0",
+      left: options.marginLeft || "0",
+    },
+  });
 }
 
 // ── Save PDF to disk ────────────────────────────────────────────────────────
 
 async function savePDF(templateName, data, options = {}, walletAddress = null) {
-  const pdfBuffer = await generatePDF(templateName, data, options, walletAddress);
+  let pdfBuffer = await generatePDF(templateName, data, options, walletAddress);
+  if (options.manifest) {
+    pdfBuffer = await embedMetadata(pdfBuffer, options.manifest);
+  }
 
   const sanitizedName = data.studentName.replace(/[^a-zA-Z0-9\s]/g, "").replace(/\s+/g, "_");
   const fileName =
@@ -149,79 +165,351 @@ async function savePDF(templateName, data, options = {}, walletAddress = null) {
   };
 }
 
-// ── Bulk PDF generation ─────────────────────────────────────────────────────
-// Uses a single browser instance for efficiency
+// ── Watermark re-rendered copies ────────────────────────────────────────────
+// A re-render never has the same bytes as the issued PDF, so it must not look
+// like a document that can be checked against the chain.
+
+async function watermarkPDF(buffer, text = "COPY — NOT VERIFIABLE") {
+  const pdfDoc = await PDFDocument.load(buffer);
+  const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const footerFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const footer =
+    "Re-rendered copy. Verify using the original issued PDF or the certificate ID.";
+
+  for (const page of pdfDoc.getPages()) {
+    const { width, height } = page.getSize();
+    const size = Math.min(width, height) / 9;
+    const textWidth = font.widthOfTextAtSize(text, size);
+    const angle = Math.atan2(height, width);
+
+    page.drawText(text, {
+      x: width / 2 - (textWidth / 2) * Math.cos(angle),
+      y: height / 2 - (textWidth / 2) * Math.sin(angle),
+      size,
+      font,
+      color: rgb(0.85, 0.1, 0.1),
+      opacity: 0.25,
+      rotate: degrees((angle * 180) / Math.PI),
+    });
+    page.drawText(footer, {
+      x: 24,
+      y: 12,
+      size: 9,
+      font: footerFont,
+      color: rgb(0.85, 0.1, 0.1),
+    });
+  }
+
+  pdfDoc.setSubject("Non-verifiable re-rendered copy");
+  pdfDoc.setKeywords(["edulocka", "non-verifiable-copy"]);
+  return Buffer.from(await pdfDoc.save());
+}
+
+// ── Embedded certificate metadata ───────────────────────────────────────────
+// Issued PDFs carry the signed manifest (certificateManifest.js) three ways:
+// document-info keys and XMP for viewers and indexers, and the full manifest
+// as a JSON attachment for extractMetadata / POST /api/certificates/inspect.
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function buildXmp(manifest, title) {
+  const fields = Object.entries(INFO_KEYS)
+    .map(([field]) => `      <edulocka:${field}>${escapeXml(manifest[field])}</edulocka:${field}>`)
+    .join("\n");
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:edulocka="${XMP_NAMESPACE}">
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(title)}</rdf:li></rdf:Alt></dc:title>
+      <dc:creator><rdf:Seq><rdf:li>${escapeXml(manifest.institution)}</rdf:li></rdf:Seq></dc:creator>
+      <dc:identifier>${escapeXml(manifest.certId)}</dc:identifier>
+      <pdf:Producer>Edulocka</pdf:Producer>
+      <xmp:CreatorTool>Edulocka Certificate Service</xmp:CreatorTool>
+      <xmp:CreateDate>${escapeXml(manifest.createdAt)}</xmp:CreateDate>
+${fields}
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Stamp a certificate PDF with its signed manifest.
+ * @param {Buffer} buffer - Rendered PDF
+ * @param {object} manifest - From certificateManifest.buildManifest
+ * @returns {Promise<Buffer>} PDF bytes to hash, pin and store
+ */
+async function embedMetadata(buffer, manifest) {
+  const pdfDoc = await PDFDocument.load(buffer);
+  const title = `${manifest.degree} — ${manifest.studentName}`;
+  const createdAt = new Date(manifest.createdAt);
+
+  pdfDoc.setTitle(title);
+  pdfDoc.setSubject(`Blockchain certificate ${manifest.certId}`);
+  pdfDoc.setAuthor(manifest.institution);
+  pdfDoc.setKeywords(["edulocka", "certificate", manifest.certId]);
+  pdfDoc.setCreator("Edulocka Certificate Service");
+  pdfDoc.setProducer("Edulocka");
+  pdfDoc.setCreationDate(createdAt);
+  pdfDoc.setModificationDate(createdAt);
+
+  const infoDict = pdfDoc.getInfoDict();
+  for (const [field, key] of Object.entries(INFO_KEYS)) {
+    if (manifest[field] !== null && manifest[field] !== undefined) {
+      infoDict.set(PDFName.of(key), PDFHexString.fromText(String(manifest[field])));
+    }
+  }
+
+  const xmp = pdfDoc.context.stream(buildXmp(manifest, title), {
+    Type: "Metadata",
+    Subtype: "XML",
+  });
+  pdfDoc.catalog.set(PDFName.of("Metadata"), pdfDoc.context.register(xmp));
+
+  await pdfDoc.attach(Buffer.from(JSON.stringify(manifest, null, 2)), METADATA_ATTACHMENT, {
+    mimeType: "application/json",
+    description: "Signed certificate manifest (on-chain fields)",
+    creationDate: createdAt,
+    modificationDate: createdAt,
+  });
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+function decodeText(value) {
+  return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null;
+}
 
-async function bulkGeneratePDFs(templateName, certificates, onProgress, walletAddress = null) {
-  const results = [];
-  let browser;
+// Walk the EmbeddedFiles name tree (flat Names or nested Kids) for one file
+function findAttachment(node, fileName) {
+  const names = node.lookupMaybe(PDFName.of("Names"), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      if (decodeText(names.lookup(i)) !== fileName) continue;
+      const fileSpec = names.lookup(i + 1, PDFDict);
+      const stream = fileSpec.lookup(PDFName.of("EF"), PDFDict).lookup(PDFName.of("F"));
+      return Buffer.from(decodePDFRawStream(stream).decode());
+    }
+  }
+  const kids = node.lookupMaybe(PDFName.of("Kids"), PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) {
+      const found = findAttachment(kids.lookup(i, PDFDict), fileName);
+      if (found) return found;
+    }
+  }
+  return null;
+}
 
+/**
+ * Read embedded certificate metadata back out of a PDF.
+ * @param {Buffer} buffer
+ * @returns {Promise<{ info: object, manifest: object|null, error?: string }>}
+ */
+async function extractMetadata(buffer) {
+  const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false, ignoreEncryption: true });
+
+  const info = {
+    title: pdfDoc.getTitle() || null,
+    subject: pdfDoc.getSubject() || null,
+    author: pdfDoc.getAuthor() || null,
+    creator: pdfDoc.getCreator() || null,
+    producer: pdfDoc.getProducer() || null,
+  };
+  const infoDict = pdfDoc.getInfoDict();
+  for (const [field, key] of Object.entries(INFO_KEYS)) {
+    info[field] = decodeText(infoDict.lookup(PDFName.of(key))) || null;
+  }
+
+  const names = pdfDoc.catalog.lookupMaybe(PDFName.of("Names"), PDFDict);
+  const embeddedFiles = names?.lookupMaybe(PDFName.of("EmbeddedFiles"), PDFDict);
+  const attachment = embeddedFiles
+    ? findAttachment(embeddedFiles, METADATA_ATTACHMENT)
+    : null;
+
+  if (!attachment) return { info, manifest: null };
   try {
-    browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-      ],
-    });
+    return { info, manifest: JSON.parse(attachment.toString("utf8")) };
+  } catch (err) {
+    return { info, manifest: null, error: `Embedded manifest is not valid JSON: ${err.message}` };
+  }
+}
 
-    for (let i = 0; i < certificates.length; i++) {
-      const cert = certificates[i];
-      try {
-        const html = await renderHTML(templateName, cert, walletAddress);
-        const page = await browser.newPage();
+// ── Embedded images ─────────────────────────────────────────────────────────
+// Chromium stores <img> content as Flate-compressed 8-bit RGB or grayscale
+// image XObjects, which is all we need to find the QR code again. JPEG
+// (DCTDecode) and indexed images are skipped.
 
-        await page.setContent(html, {
-          waitUntil: "networkidle0",
-          timeout: 30000,
-        });
+const IMAGE_CHANNELS = { DeviceRGB: 3, DeviceGray: 1 };
 
-        const pdfBuffer = await page.pdf({
-          format: "A4",
-          landscape: true,
-          printBackground: true,
-          margin: { top: "0", right: "0", bottom: "0", left: "0" },
-        });
+function imageChannels(colorSpace) {
+  if (colorSpace instanceof PDFName) return IMAGE_CHANNELS[colorSpace.decodeText()] || null;
+  // [/ICCBased stream] — the component count is on the ICC profile stream
+  if (colorSpace instanceof PDFArray && colorSpace.lookup(0) instanceof PDFName) {
+    if (colorSpace.lookup(0, PDFName).decodeText() !== "ICCBased") return null;
+    const n = colorSpace.lookup(1).dict.lookup(PDFName.of("N"));
+    return n instanceof PDFNumber && [1, 3].includes(n.asNumber()) ? n.asNumber() : null;
+  }
+  return null;
+}
 
-        await page.close();
+function decodeImage(stream) {
+  const dict = stream.dict;
+  const width = dict.lookup(PDFName.of("Width"), PDFNumber).asNumber();
+  const height = dict.lookup(PDFName.of("Height"), PDFNumber).asNumber();
+  const bits = dict.lookup(PDFName.of("BitsPerComponent"));
+  const channels = imageChannels(dict.lookup(PDFName.of("ColorSpace")));
+  if (!channels || !(bits instanceof PDFNumber) || bits.asNumber() !== 8) return null;
+
+  const pixels = decodePDFRawStream(stream).decode();
+  if (pixels.length < width * height * channels) return null;
+
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    const src = p * channels;
+    rgba[p * 4] = pixels[src];
+    rgba[p * 4 + 1] = pixels[src + (channels === 3 ? 1 : 0)];
+    rgba[p * 4 + 2] = pixels[src + (channels === 3 ? 2 : 0)];
+    rgba[p * 4 + 3] = 255;
+  }
+  return { width, height, data: rgba };
+}
 
-        const sanitizedName = cert.studentName
-          .replace(/[^a-zA-Z0-9\s]/g, "")
-          .replace(/\s+/g, "_");
-        const fileName = `${cert.certId}-${sanitizedName}.pdf`;
-        const filePath = path.join(OUTPUT_DIR, fileName);
+/**
+ * Decode the raster images placed on a PDF's pages.
+ * @param {Buffer} buffer
+ * @param {object} [opts]
+ * @param {(dims: { width: number, height: number }) => boolean} [opts.filter] - Skip images before decoding
+ * @returns {Promise<Array<{ width: number, height: number, data: Uint8ClampedArray }>>} RGBA pixels
+ */
+async function extractImages(buffer, { filter = null } = {}) {
+  const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false, ignoreEncryption: true });
+  const images = [];
+  const seen = new Set();
+
+  const visit = (resources, depth) => {
+    const xObjects = resources?.lookupMaybe(PDFName.of("XObject"), PDFDict);
+    if (!xObjects) return;
+    for (const [, ref] of xObjects.entries()) {
+      const key = ref.toString();
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const stream = pdfDoc.context.lookup(ref);
+      if (!(stream instanceof PDFRawStream)) continue;
+      const subtype = stream.dict.lookup(PDFName.of("Subtype"));
+
+      if (subtype === PDFName.of("Form") && depth < 3) {
+        visit(stream.dict.lookupMaybe(PDFName.of("Resources"), PDFDict), depth + 1);
+      } else if (subtype === PDFName.of("Image")) {
+        const width = stream.dict.lookup(PDFName.of("Width"));
+        const height = stream.dict.lookup(PDFName.of("Height"));
+        if (!(width instanceof PDFNumber) || !(height instanceof PDFNumber)) continue;
+        if (filter && !filter({ width: width.asNumber(), height: height.asNumber() })) continue;
+        try {
+          const image = decodeImage(stream);
+          if (image) images.push(image);
+        } catch {
+          // Unsupported filter or malformed stream — not a candidate
+        }
+      }
+    }
+  };
+
+  for (const page of pdfDoc.getPages()) {
+    visit(page.node.Resources(), 0);
+  }
+  return images;
+}
 
-        fs.writeFileSync(filePath, pdfBuffer);
+// ── Bulk PDF generation ─────────────────────────────────────────────────────
+// Renders PDF_BULK_CONCURRENCY certificates at a time through the browser
+// pool; results keep the input order. Once shouldStop() returns true no new
+// certificates are started, and their result slots stay undefined.
+
+const BULK_CONCURRENCY = Math.max(1, parseInt(process.env.PDF_BULK_CONCURRENCY || "2", 10) || 2);
+
+async function bulkGeneratePDFs(
+  templateName,
+  certificates,
+  onProgress,
+  walletAddress = null,
+  { metadataFor = null, concurrency = BULK_CONCURRENCY, shouldStop = null } = {}
+) {
+  const results = new Array(certificates.length);
+  let nextIndex = 0;
+  let completed = 0;
+
+  async function renderOne(cert) {
+    const html = await renderHTML(templateName, cert, walletAddress);
+    let pdfBuffer = await renderPDF(html, {
+      format: "A4",
+      landscape: true,
+      margin: { top: "0", right: "0", bottom: "0", left: "0" },
+    });
 
-        results.push({
-          certId: cert.certId,
-          filePath,
-          fileName,
-          size: pdfBuffer.length,
-          buffer: Buffer.from(pdfBuffer),
-          status: "success",
-        });
+    if (metadataFor) {
+      pdfBuffer = await embedMetadata(pdfBuffer, await metadataFor(cert));
+    }
+
+    const sanitizedName = cert.studentName
+      .replace(/[^a-zA-Z0-9\s]/g, "")
+      .replace(/\s+/g, "_");
+    const fileName = `${cert.certId}-${sanitizedName}.pdf`;
+    const filePath = path.join(OUTPUT_DIR, fileName);
+
+    fs.writeFileSync(filePath, pdfBuffer);
+
+    return {
+      certId: cert.certId,
+      filePath,
+      fileName,
+      size: pdfBuffer.length,
+      buffer: pdfBuffer,
+      status: "success",
+    };
+  }
+
+  async function worker() {
+    while (nextIndex < certificates.length) {
+      if (shouldStop && shouldStop()) return;
+      const i = nextIndex++;
+      const cert = certificates[i];
+      try {
+        results[i] = await renderOne(cert);
       } catch (err) {
-        results.push({
+        results[i] = {
           certId: cert.certId,
           status: "failed",
           error: err.message,
-        });
+        };
       }
 
+      completed++;
       if (onProgress) {
         onProgress({
-          current: i + 1,
+          current: completed,
           total: certificates.length,
-          percent: Math.round(((i + 1) / certificates.length) * 100),
+          percent: Math.round((completed / certificates.length) * 100),
         });
       }
     }
-  } finally {
-    if (browser) await browser.close();
   }
 
+  const workers = Math.min(Math.max(1, concurrency), certificates.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+
   return results;
 }
 
@@ -292,6 +580,10 @@ module.exports = {
   renderHTML,
   generatePDF,
   savePDF,
+  watermarkPDF,
+  embedMetadata,
+  extractMetadata,
+  extractImages,
   bulkGeneratePDFs,
   listTemplates,
   getInstitutionTemplateDir,
@@ -0,0 +1,445 @@
+// ============================================================================
+// Pin Service — Pin inventory, storage usage and periodic pin health audit
+// ============================================================================
+// Certificate PDFs are uploaded through pinDocument, which records a
+// PinRecord per certId and counts the upload against the month's storage
+// usage. The audit job then re-checks each document with the storage driver,
+// re-pins anything that disappeared from the local copy kept at issuance,
+// and flags certificates whose on-chain ipfsHash can no longer be resolved.
+// Like the registry, inventory writes are best effort: a MongoDB outage must
+// not fail an issuance whose upload already succeeded.
+
+const fs = require("fs");
+const mongoose = require("mongoose");
+
+const ipfsService = require("./ipfsService");
+const blockchainService = require("./blockchainService");
+const PinRecord = require("../models/PinRecord");
+const StorageUsage = require("../models/StorageUsage");
+const IssuedCertificate = require("../models/IssuedCertificate");
+
+const PIN_AUDIT_ENABLED = process.env.PIN_AUDIT_ENABLED !== "false";
+const PIN_AUDIT_INTERVAL_MS = Math.max(
+  60000,
+  parseInt(process.env.PIN_AUDIT_INTERVAL_MS || "21600000", 10) || 21600000
+);
+const PIN_AUDIT_BATCH_SIZE = Math.max(
+  1,
+  parseInt(process.env.PIN_AUDIT_BATCH_SIZE || "100", 10) || 100
+);
+// Re-check a record at most this often, so each pass works through the backlog
+const PIN_RECHECK_AFTER_MS = PIN_AUDIT_INTERVAL_MS / 2;
+const QUOTA_WARN_RATIO = 0.9;
+
+const status = {
+  running: false,
+  auditing: false,
+  lastRunAt: null,
+  lastRun: null,
+  lastError: "",
+};
+
+let auditTimer = null;
+let stopped = true;
+
+function isAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function currentMonth(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+// ── Quota ───────────────────────────────────────────────────────────────────
+
+// PIN_MONTHLY_QUOTA overrides; Pinata defaults to its free-tier 500 uploads
+function monthlyQuota(provider) {
+  if (process.env.PIN_MONTHLY_QUOTA) {
+    const limit = parseInt(process.env.PIN_MONTHLY_QUOTA, 10);
+    return limit > 0 ? limit : null;
+  }
+  return provider === "pinata" ? 500 : null;
+}
+
+async function recordUsage(provider, bytes, { repin = false } = {}) {
+  if (!isAvailable()) return;
+  try {
+    const usage = await StorageUsage.findOneAndUpdate(
+      { provider, month: currentMonth() },
+      { $inc: { uploads: 1, bytes: bytes || 0, ...(repin ? { repins: 1 } : {}) } },
+      { upsert: true, new: true }
+    ).lean();
+
+    const limit = monthlyQuota(provider);
+    if (limit && usage.uploads >= limit * QUOTA_WARN_RATIO) {
+      console.warn(`⚠️  ${provider} uploads this month: ${usage.uploads}/${limit}`);
+    }
+  } catch (err) {
+    console.error("Storage usage update failed:", err.message);
+  }
+}
+
+/**
+ * Upload counts for the current month against the driver's quota.
+ * @returns {Promise<object>}
+ */
+async function getQuotaUsage() {
+  const { driver: provider } = ipfsService.getStorageInfo();
+  const month = currentMonth();
+  const usage = isAvailable()
+    ? await StorageUsage.findOne({ provider, month }).lean()
+    : null;
+  const limit = monthlyQuota(provider);
+  const uploads = usage?.uploads || 0;
+
+  return {
+    provider,
+    month,
+    uploads,
+    repins: usage?.repins || 0,
+    bytes: usage?.bytes || 0,
+    limit,
+    remaining: limit ? Math.max(0, limit - uploads) : null,
+  };
+}
+
+// ── Inventory ───────────────────────────────────────────────────────────────
+
+async function saveRecord(certId, fields) {
+  if (!isAvailable()) {
+    console.error(`Pin inventory unavailable — ${certId} not recorded`);
+    return;
+  }
+  try {
+    await PinRecord.updateOne({ certId }, { $set: fields }, { upsert: true });
+  } catch (err) {
+    console.error(`Pin inventory write failed for ${certId}:`, err.message);
+  }
+}
+
+/**
+ * Upload a certificate document and record it in the pin inventory.
+ * Same result and errors as ipfsService.uploadBuffer.
+ * @param {Buffer} buffer
+ * @param {string} fileName
+ * @param {object} metadata - Must include certId
+ * @param {object} [opts]
+ * @param {string} [opts.filePath] - Local copy used to re-pin later
+ */
+async function pinDocument(buffer, fileName, metadata, { filePath = null } = {}) {
+  const { certId } = metadata;
+
+  let result;
+  try {
+    result = await ipfsService.uploadBuffer(buffer, fileName, metadata);
+  } catch (err) {
+    await saveRecord(certId, {
+      cid: ipfsService.computeCid(buffer),
+      fileName,
+      localPath: filePath,
+      size: buffer.length,
+      status: "failed",
+      lastError: err.message,
+    });
+    throw err;
+  }
+
+  await Promise.all([
+    saveRecord(certId, {
+      cid: result.ipfsHash,
+      provider: result.provider,
+      fileName,
+      localPath: filePath,
+      size: buffer.length,
+      status: "pinned",
+      pinnedAt: new Date(),
+      lastAvailableAt: new Date(),
+      lastError: null,
+      consecutiveFailures: 0,
+    }),
+    recordUsage(result.provider, buffer.length),
+  ]);
+  return result;
+}
+
+// Certificates in the registry that predate the inventory
+async function backfillFromRegistry(limit) {
+  const rows = await IssuedCertificate.aggregate([
+    { $match: { "ipfs.hash": { $nin: [null, ""] } } },
+    { $lookup: { from: PinRecord.collection.name, localField: "certId", foreignField: "certId", as: "pin" } },
+    { $match: { pin: { $size: 0 } } },
+    { $limit: limit },
+    { $project: { certId: 1, ipfs: 1, pdf: 1, createdAt: 1 } },
+  ]);
+
+  if (rows.length === 0) return 0;
+  await PinRecord.bulkWrite(
+    rows.map((row) => ({
+      updateOne: {
+        filter: { certId: row.certId },
+        update: {
+          $setOnInsert: {
+            certId: row.certId,
+            cid: row.ipfs.hash,
+            chainIpfsHash: row.ipfs.hash, // The registry only holds certificates confirmed on chain
+            provider: row.ipfs.provider || null,
+            fileName: row.pdf?.fileName || null,
+            localPath: row.pdf?.filePath || null,
+            pinnedAt: row.createdAt,
+            status: "pending",
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return rows.length;
+}
+
+// ── Audit ───────────────────────────────────────────────────────────────────
+
+// The PDF kept on this server, if it is still exactly the document behind `cid`
+function readLocalCopy(record, cid) {
+  if (!record.localPath || !fs.existsSync(record.localPath)) return null;
+  const buffer = fs.readFileSync(record.localPath);
+  return ipfsService.verifyCid(buffer, cid) ? buffer : null;
+}
+
+async function auditRecord(record, totals) {
+  const now = new Date();
+  const update = { lastCheckedAt: now };
+
+  // The chain value is what verifiers fetch; it never changes once issued
+  if (!record.chainIpfsHash) {
+    try {
+      const onChain = await blockchainService.verifyCertificate(record.certId);
+      if (onChain.exists) update.chainIpfsHash = onChain.ipfsHash || "";
+    } catch (err) {
+      totals.errors++;
+      update.lastError = `Chain lookup failed: ${err.message}`;
+    }
+  }
+  const chainIpfsHash = update.chainIpfsHash ?? record.chainIpfsHash;
+  const target = chainIpfsHash ?? record.cid;
+
+  // A legacy placeholder ("Qm" + truncated SHA-256) or empty hash cannot be
+  // resolved by anyone, however the PDF is stored
+  if (!ipfsService.isVerifiableCid(target)) {
+    totals.unresolvable++;
+    await PinRecord.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          ...update,
+          status: "unresolvable",
+          lastError: target ? `"${target}" is not a verifiable CID` : "No IPFS hash recorded on chain",
+        },
+      }
+    );
+    return;
+  }
+
+  let available = false;
+  try {
+    available = await ipfsService.isStored(target);
+  } catch (err) {
+    // Driver unreachable — not evidence that the pin is gone
+    totals.errors++;
+    await PinRecord.updateOne(
+      { _id: record._id },
+      { $set: { ...update, lastError: `Availability check failed: ${err.message}` } }
+    );
+    return;
+  }
+
+  if (available) {
+    totals.available++;
+    await PinRecord.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          ...update,
+          cid: target,
+          status: "pinned",
+          lastAvailableAt: now,
+          lastError: update.lastError || null,
+          consecutiveFailures: 0,
+        },
+      }
+    );
+    return;
+  }
+
+  const localCopy = readLocalCopy(record, target);
+  if (localCopy) {
+    try {
+      const result = await ipfsService.uploadBuffer(localCopy, record.fileName || `${record.certId}.pdf`, {
+        certId: record.certId,
+        type: "certificate",
+        repin: "true",
+      });
+      await recordUsage(result.provider, localCopy.length, { repin: true });
+      totals.repinned++;
+      await PinRecord.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            ...update,
+            cid: result.ipfsHash,
+            provider: result.provider,
+            status: "pinned",
+            lastAvailableAt: now,
+            lastRepinnedAt: now,
+            lastError: null,
+            consecutiveFailures: 0,
+          },
+          $inc: { repinCount: 1 },
+        }
+      );
+      return;
+    } catch (err) {
+      update.lastError = `Re-pin failed: ${err.message}`;
+    }
+  } else {
+    update.lastError = "Not stored and no matching local copy to re-pin from";
+  }
+
+  const nextStatus = record.status === "failed" ? "failed" : chainIpfsHash ? "unresolvable" : "missing";
+  totals[nextStatus === "unresolvable" ? "unresolvable" : "missing"]++;
+  await PinRecord.updateOne(
+    { _id: record._id },
+    { $set: { ...update, status: nextStatus }, $inc: { consecutiveFailures: 1 } }
+  );
+}
+
+/**
+ * One audit pass: backfill the inventory, then re-check the least recently
+ * checked records (up to PIN_AUDIT_BATCH_SIZE).
+ * @returns {Promise<object>} Totals for the pass
+ */
+async function runAudit() {
+  if (!isAvailable()) throw new Error("MongoDB is not connected");
+  if (status.auditing) throw new Error("A pin audit is already running");
+
+  status.auditing = true;
+  const startedAt = new Date();
+  const totals = { backfilled: 0, checked: 0, available: 0, repinned: 0, missing: 0, unresolvable: 0, errors: 0 };
+
+  try {
+    totals.backfilled = await backfillFromRegistry(PIN_AUDIT_BATCH_SIZE);
+
+    const due = new Date(Date.now() - PIN_RECHECK_AFTER_MS);
+    const records = await PinRecord.find({
+      $or: [{ lastCheckedAt: null }, { lastCheckedAt: { $lt: due } }],
+    })
+      .sort({ lastCheckedAt: 1 })
+      .limit(PIN_AUDIT_BATCH_SIZE)
+      .lean();
+
+    for (const record of records) {
+      totals.checked++;
+      await auditRecord(record, totals);
+    }
+
+    status.lastRun = { startedAt, finishedAt: new Date(), ...totals };
+    status.lastError = "";
+    return status.lastRun;
+  } finally {
+    status.auditing = false;
+    status.lastRunAt = new Date();
+  }
+}
+
+async function tick() {
+  auditTimer = null;
+  if (stopped) return;
+
+  if (isAvailable() && !status.auditing) {
+    try {
+      const run = await runAudit();
+      if (run.repinned || run.missing || run.unresolvable) {
+        console.warn(
+          `⚠️  Pin audit: ${run.repinned} re-pinned, ${run.missing} missing, ${run.unresolvable} unresolvable`
+        );
+      }
+    } catch (err) {
+      status.lastError = err.message;
+      console.warn("⚠️  Pin audit failed:", err.message);
+    }
+  }
+
+  if (!stopped) {
+    auditTimer = setTimeout(tick, PIN_AUDIT_INTERVAL_MS);
+  }
+}
+
+// ── Lifecycle ───────────────────────────────────────────────────────────────
+
+function start() {
+  if (!PIN_AUDIT_ENABLED || !stopped) return;
+  stopped = false;
+  status.running = true;
+  // First pass after a minute, once MongoDB and the indexer have settled
+  auditTimer = setTimeout(tick, 60000);
+}
+
+function stop() {
+  stopped = true;
+  status.running = false;
+  if (auditTimer) {
+    clearTimeout(auditTimer);
+    auditTimer = null;
+  }
+}
+
+function getStatus() {
+  return {
+    enabled: PIN_AUDIT_ENABLED,
+    running: status.running,
+    auditing: status.auditing,
+    intervalMs: PIN_AUDIT_INTERVAL_MS,
+    batchSize: PIN_AUDIT_BATCH_SIZE,
+    lastRunAt: status.lastRunAt,
+    lastRun: status.lastRun,
+    lastError: status.lastError || null,
+  };
+}
+
+// ── Admin report ────────────────────────────────────────────────────────────
+
+/**
+ * Inventory summary for the admin dashboard.
+ * @param {object} [opts]
+ * @param {number} [opts.limit] - Max records per problem list
+ */
+async function getReport({ limit = 50 } = {}) {
+  const fields = "certId cid chainIpfsHash provider status lastCheckedAt lastError consecutiveFailures repinCount";
+  const [counts, failed, missing, unresolvable, quota] = await Promise.all([
+    PinRecord.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    PinRecord.find({ status: "failed" }).select(fields).sort({ updatedAt: -1 }).limit(limit).lean(),
+    PinRecord.find({ status: "missing" }).select(fields).sort({ updatedAt: -1 }).limit(limit).lean(),
+    PinRecord.find({ status: "unresolvable" }).select(fields).sort({ updatedAt: -1 }).limit(limit).lean(),
+    getQuotaUsage(),
+  ]);
+
+  return {
+    storage: ipfsService.getStorageInfo(),
+    quota,
+    counts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+    failed,
+    missing,
+    unresolvable,
+    audit: getStatus(),
+  };
+}
+
+module.exports = {
+  pinDocument,
+  runAudit,
+  getQuotaUsage,
+  getReport,
+  start,
+  stop,
+  getStatus,
+};
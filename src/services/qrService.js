@@ -3,8 +3,10 @@
 // ============================================================================
 // Creates QR codes that link to the verification page
 // Supports: individual PNG, labeled (with student name), bulk ZIP
+// Also reads a verification QR code back out of decoded image pixels
 
 const QRCode = require("qrcode");
+const jsQR = require("jsqr");
 const path = require("path");
 const fs = require("fs");
 
@@ -124,8 +126,39 @@ async function bulkGenerateQR(certificates, options = {}) {
   return results;
 }
 
+// ── Read a verification QR code back ────────────────────────────────────────
+
+// Certificate ID from a scanned verification link (?certId=... or /verify/<id>)
+function parseVerifyUrl(text) {
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return null;
+  }
+  const fromQuery = url.searchParams.get("certId");
+  if (fromQuery) return fromQuery.trim() || null;
+
+  const segments = url.pathname.split("/").filter(Boolean);
+  const at = segments.lastIndexOf("verify");
+  return at >= 0 && segments[at + 1] ? decodeURIComponent(segments[at + 1]) : null;
+}
+
+/**
+ * Decode a verification QR code from raw pixels.
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image - RGBA
+ * @returns {{ text: string, certId: string|null }|null} null if no QR code was found
+ */
+function readQRCode(image) {
+  const code = jsQR(image.data, image.width, image.height, { inversionAttempts: "dontInvert" });
+  if (!code) return null;
+  return { text: code.data, certId: parseVerifyUrl(code.data) };
+}
+
 module.exports = {
   getVerifyUrl,
+  parseVerifyUrl,
+  readQRCode,
   generateQRBuffer,
   generateQRDataURL,
   generateQRSVG,
@@ -0,0 +1,121 @@
+// ============================================================================
+// Quota Service — Reserving the signer's daily issuance quota
+// ============================================================================
+// The contract counts certificates per issuer per UTC day, and the issuer on
+// chain is always the backend signer. The quota is therefore platform-wide:
+// every institution, every bulk job and every single issuance draws from it.
+// The chain only counts mined txs, so two jobs reading it at the same time
+// would both plan to use the same remaining slots.
+//
+// reserve() takes slots before any tx is sent. Under the "quota" lock it adds
+// the slots already reserved and not yet mined (QuotaCounter) to the chain's
+// count, grants what is left, and records the grant. release() gives the
+// slots back once their txs are mined or have failed. Without MongoDB the
+// counter is kept in memory.
+
+const mongoose = require("mongoose");
+
+const QuotaCounter = require("../models/QuotaCounter");
+const blockchainService = require("./blockchainService");
+const lockService = require("./lockService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCOPE_NOTE =
+  "Platform-wide: certificates of every institution are issued on chain by the backend signer and share its daily limit";
+
+// "issuer:day" -> inFlight, used while MongoDB is unavailable
+const memoryCounters = new Map();
+let reserveLock = Promise.resolve();
+
+// Serialized within this process too: without MongoDB withLock runs fn directly
+function withReserveLock(fn) {
+  const locked = () => lockService.withLock("quota", fn);
+  const run = reserveLock.then(locked, locked);
+  reserveLock = run.catch(() => {});
+  return run;
+}
+
+function dbReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function counterKey(quota) {
+  return {
+    issuer: quota.issuer.toLowerCase(),
+    day: Math.floor(quota.resetsAt.getTime() / DAY_MS) - 1,
+  };
+}
+
+async function readInFlight({ issuer, day }) {
+  if (!dbReady()) return memoryCounters.get(`${issuer}:${day}`) || 0;
+  const counter = await QuotaCounter.findOne({ issuer, day }).select("inFlight").lean();
+  return counter?.inFlight || 0;
+}
+
+async function addInFlight({ issuer, day }, delta) {
+  if (!dbReady()) {
+    const key = `${issuer}:${day}`;
+    memoryCounters.set(key, Math.max(0, (memoryCounters.get(key) || 0) + delta));
+    return;
+  }
+  await QuotaCounter.updateOne({ issuer, day }, { $inc: { inFlight: delta } }, { upsert: true });
+}
+
+function describe(quota, inFlight) {
+  return {
+    ...quota,
+    scope: "platform",
+    note: SCOPE_NOTE,
+    inFlight,
+    remaining: Math.max(0, quota.remaining - inFlight),
+  };
+}
+
+/**
+ * Today's quota, less the slots reserved for txs that are not mined yet.
+ * @returns {Promise<object>} { issuer, limit, usedToday, inFlight, remaining, resetsAt, scope, note }
+ */
+async function getQuota() {
+  const quota = await blockchainService.getDailyQuota();
+  return describe(quota, await readInFlight(counterKey(quota)));
+}
+
+/**
+ * Reserve up to `count` slots of today's quota.
+ * @param {number} count
+ * @returns {Promise<{ granted: number, quota: object, issuer: string, day: number }>}
+ *   quota is the state before this reservation
+ * @throws if the chain can't be reached
+ */
+async function reserve(count) {
+  return withReserveLock(async () => {
+    const chainQuota = await blockchainService.getDailyQuota();
+    const key = counterKey(chainQuota);
+    const quota = describe(chainQuota, await readInFlight(key));
+    const granted = Math.min(count, quota.remaining);
+    if (granted > 0) await addInFlight(key, granted);
+    return { granted, quota, ...key };
+  });
+}
+
+/**
+ * Give back reserved slots whose txs were mined (the chain counts them now)
+ * or will not be sent. Never throws.
+ * @param {object} reservation - As returned by reserve()
+ * @param {number} count
+ */
+async function release(reservation, count) {
+  if (!reservation || count <= 0) return;
+  try {
+    await addInFlight(reservation, -count);
+  } catch (err) {
+    // The counter expires with its day
+    console.warn(`⚠️  Could not release ${count} quota slot(s):`, err.message);
+  }
+}
+
+module.exports = {
+  getQuota,
+  reserve,
+  release,
+};
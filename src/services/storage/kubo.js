@@ -0,0 +1,73 @@
+// ============================================================================
+// Storage Driver: Kubo — Add and pin through a local IPFS node's HTTP RPC API
+// ============================================================================
+// Works against `ipfs daemon` (Kubo) on the same host or network. Nothing
+// leaves the deployment unless the node itself is connected to the swarm.
+
+const KUBO_API_URL = (process.env.KUBO_API_URL || "http://127.0.0.1:5001").replace(/\/+$/, "");
+const KUBO_GATEWAY_URL = (process.env.KUBO_GATEWAY_URL || "http://127.0.0.1:8080").replace(/\/+$/, "");
+const KUBO_API_AUTH = process.env.KUBO_API_AUTH || null; // Authorization header value, if the API is behind auth
+
+function isConfigured() {
+  return Boolean(KUBO_API_URL);
+}
+
+function gatewayUrl(cid) {
+  return `${KUBO_GATEWAY_URL}/ipfs/${cid}`;
+}
+
+// The RPC API only accepts POST
+function rpc(command, params, body) {
+  const url = `${KUBO_API_URL}/api/v0/${command}?${new URLSearchParams(params)}`;
+  return fetch(url, {
+    method: "POST",
+    headers: KUBO_API_AUTH ? { Authorization: KUBO_API_AUTH } : {},
+    body,
+    signal: AbortSignal.timeout(60000),
+  });
+}
+
+async function put(buffer, { fileName }) {
+  const formData = new FormData();
+  formData.append("file", new Blob([buffer]), fileName);
+
+  // Same layout as computeCid: CIDv1, raw leaves, default 256 KiB chunker
+  const response = await rpc("add", { "cid-version": "1", "raw-leaves": "true", pin: "true" }, formData);
+  if (!response.ok) {
+    const errBody = await response.text();
+    throw new Error(`Kubo add failed (${response.status}): ${errBody}`);
+  }
+
+  const data = await response.json();
+  return { cid: data.Hash, size: Number(data.Size) };
+}
+
+async function get(cid) {
+  const response = await rpc("cat", { arg: cid });
+  if (response.status === 500) {
+    const errBody = await response.text();
+    if (/not found|no link named/i.test(errBody)) return null;
+    throw new Error(`Kubo cat failed: ${errBody}`);
+  }
+  if (!response.ok) throw new Error(`Kubo cat failed (${response.status})`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Pinned on the node (recursively), not merely cached
+async function has(cid) {
+  const response = await rpc("pin/ls", { arg: cid, type: "recursive" });
+  if (response.ok) return true;
+  const errBody = await response.text();
+  if (/not pinned|not found/i.test(errBody)) return false;
+  throw new Error(`Kubo pin/ls failed (${response.status}): ${errBody}`);
+}
+
+module.exports = {
+  name: "kubo",
+  onIpfsNetwork: true,
+  isConfigured,
+  gatewayUrl,
+  put,
+  get,
+  has,
+};
@@ -0,0 +1,51 @@
+// ============================================================================
+// Storage Driver: Local — Files on this server's disk, named by CID
+// ============================================================================
+// For development and offline deployments. Documents are not reachable from
+// the IPFS network, but their CIDs are real, so anyone who later pins the
+// same bytes gets the same identifier.
+
+const fs = require("fs");
+const path = require("path");
+
+const STORAGE_LOCAL_DIR =
+  process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "..", "..", "output", "ipfs");
+
+function isConfigured() {
+  return true;
+}
+
+function gatewayUrl() {
+  return null;
+}
+
+function filePathFor(cid) {
+  // CIDs are base32 — reject anything else before it reaches the filesystem
+  if (!/^[a-z2-7]+$/.test(cid)) throw new Error(`Invalid CID "${cid}"`);
+  return path.join(STORAGE_LOCAL_DIR, cid);
+}
+
+async function put(buffer, { cid }) {
+  fs.mkdirSync(STORAGE_LOCAL_DIR, { recursive: true });
+  fs.writeFileSync(filePathFor(cid), buffer);
+  return { cid, size: buffer.length };
+}
+
+async function get(cid) {
+  const filePath = filePathFor(cid);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+}
+
+async function has(cid) {
+  return fs.existsSync(filePathFor(cid));
+}
+
+module.exports = {
+  name: "local",
+  onIpfsNetwork: false,
+  isConfigured,
+  gatewayUrl,
+  put,
+  get,
+  has,
+};
@@ -0,0 +1,79 @@
+// ============================================================================
+// Storage Driver: Pinata — Pin to IPFS through Pinata's hosted API
+// ============================================================================
+// Pinata free tier: 500 uploads/month, 1GB storage
+
+const PINATA_JWT = process.env.PINATA_JWT;
+const PINATA_GATEWAY = process.env.PINATA_GATEWAY || "https://gateway.pinata.cloud";
+
+function isConfigured() {
+  return Boolean(
+    PINATA_JWT &&
+    PINATA_JWT !== "your_pinata_jwt_token_here" &&
+    PINATA_JWT.length > 50
+  );
+}
+
+function gatewayUrl(cid) {
+  return `${PINATA_GATEWAY}/ipfs/${cid}`;
+}
+
+async function put(buffer, { fileName, metadata = {} }) {
+  if (!isConfigured()) {
+    throw new Error("Pinata storage selected but PINATA_JWT is not set");
+  }
+
+  const formData = new FormData();
+  formData.append("file", new Blob([buffer]), fileName);
+  formData.append("pinataMetadata", JSON.stringify({ name: fileName, keyvalues: metadata }));
+  formData.append("pinataOptions", JSON.stringify({ cidVersion: 1 }));
+
+  const response = await fetch("https://api.pinata.cloud/pinning/pinFileToIPFS", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${PINATA_JWT}`,
+    },
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const errBody = await response.text();
+    throw new Error(`Pinata upload failed (${response.status}): ${errBody}`);
+  }
+
+  const data = await response.json();
+  return { cid: data.IpfsHash, size: data.PinSize };
+}
+
+// Content is public on the IPFS network, so reads go through the gateway
+async function get(cid) {
+  const response = await fetch(gatewayUrl(cid), { signal: AbortSignal.timeout(15000) });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`Pinata gateway returned HTTP ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Pin status from Pinata's pin list — cheaper than downloading the document
+async function has(cid) {
+  if (!isConfigured()) {
+    throw new Error("Pinata storage selected but PINATA_JWT is not set");
+  }
+  const params = new URLSearchParams({ hashContains: cid, status: "pinned", pageLimit: "1" });
+  const response = await fetch(`https://api.pinata.cloud/data/pinList?${params}`, {
+    headers: { Authorization: `Bearer ${PINATA_JWT}` },
+    signal: AbortSignal.timeout(15000),
+  });
+  if (!response.ok) throw new Error(`Pinata pin list failed (${response.status})`);
+  const data = await response.json();
+  return data.count > 0;
+}
+
+module.exports = {
+  name: "pinata",
+  onIpfsNetwork: true,
+  isConfigured,
+  gatewayUrl,
+  put,
+  get,
+  has,
+};
@@ -0,0 +1,149 @@
+// ============================================================================
+// Storage Driver: S3 — S3-compatible object storage (AWS S3, MinIO, R2, ...)
+// ============================================================================
+// Objects are keyed by CID. The bucket is not an IPFS node, so the CID is
+// computed locally and checked again on every read. Requests are signed with
+// AWS Signature V4 and use path-style URLs, which MinIO requires.
+
+const crypto = require("crypto");
+
+const S3_ENDPOINT = (process.env.S3_ENDPOINT || "").replace(/\/+$/, "");
+const S3_REGION = process.env.S3_REGION || "us-east-1";
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID;
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY;
+const S3_PREFIX = process.env.S3_PREFIX || "certificates/";
+const S3_PUBLIC_URL = (process.env.S3_PUBLIC_URL || "").replace(/\/+$/, "");
+
+function isConfigured() {
+  return Boolean(S3_ENDPOINT && S3_BUCKET && S3_ACCESS_KEY_ID && S3_SECRET_ACCESS_KEY);
+}
+
+function objectKey(cid) {
+  return `${S3_PREFIX}${cid}`;
+}
+
+function gatewayUrl(cid) {
+  return S3_PUBLIC_URL ? `${S3_PUBLIC_URL}/${objectKey(cid)}` : null;
+}
+
+// ── Signature V4 ────────────────────────────────────────────────────────────
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding per path segment, as SigV4 expects
+function encodePath(pathname) {
+  return pathname
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+    )
+    .join("/");
+}
+
+// Headers for a signed request; `now` is injectable so signing can be checked
+// against AWS's published examples
+function signHeaders(method, url, { headers = {}, body = null, now = new Date() } = {}) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || "");
+
+  const allHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)])),
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const signedHeaders = Object.keys(allHeaders).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    "",
+    ...signedHeaders.map((name) => `${name}:${allHeaders[name].trim()}`),
+    "",
+    signedHeaders.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (k, part) => hmac(k, part),
+    hmac(hmac(`AWS4${S3_SECRET_ACCESS_KEY}`, dateStamp), S3_REGION)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  // fetch sets Host itself from the URL
+  const { host, ...sendHeaders } = allHeaders;
+  return {
+    ...sendHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`,
+  };
+}
+
+function s3Request(method, key, { body = null, headers = {} } = {}) {
+  const url = new URL(`${S3_ENDPOINT}${encodePath(`/${S3_BUCKET}/${key}`)}`);
+  return fetch(url, {
+    method,
+    headers: signHeaders(method, url, { headers, body }),
+    body,
+    signal: AbortSignal.timeout(60000),
+  });
+}
+
+// ── Driver ──────────────────────────────────────────────────────────────────
+
+async function put(buffer, { cid, contentType, metadata = {} }) {
+  if (!isConfigured()) {
+    throw new Error("S3 storage selected but S3_ENDPOINT, S3_BUCKET or credentials are not set");
+  }
+
+  // Object metadata must be ASCII header values
+  const metaHeaders = {};
+  for (const [name, value] of Object.entries(metadata)) {
+    const safe = String(value).replace(/[^\x20-\x7e]/g, "");
+    if (safe) metaHeaders[`x-amz-meta-${name.toLowerCase()}`] = safe;
+  }
+
+  const response = await s3Request("PUT", objectKey(cid), {
+    body: buffer,
+    headers: { "content-type": contentType, ...metaHeaders },
+  });
+  if (!response.ok) {
+    const errBody = await response.text();
+    throw new Error(`S3 upload failed (${response.status}): ${errBody}`);
+  }
+  return { cid, size: buffer.length };
+}
+
+async function get(cid) {
+  if (!isConfigured()) return null;
+  const response = await s3Request("GET", objectKey(cid));
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`S3 download failed (${response.status})`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function has(cid) {
+  if (!isConfigured()) return false;
+  const response = await s3Request("HEAD", objectKey(cid));
+  if (response.status === 404) return false;
+  if (!response.ok) throw new Error(`S3 HEAD failed (${response.status})`);
+  return true;
+}
+
+module.exports = {
+  name: "s3",
+  onIpfsNetwork: false,
+  isConfigured,
+  gatewayUrl,
+  put,
+  get,
+  has,
+};
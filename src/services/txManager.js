@@ -0,0 +1,678 @@
+// ============================================================================
+// Transaction Manager — Nonces, EIP-1559 fees, speed-up and cancellation
+// ============================================================================
+// Every contract write from the backend signer goes through sendTransaction():
+//   1. Gas is estimated first, so a revert never burns a nonce.
+//   2. A nonce is reserved under a lock and the tx is persisted
+//      (ManagedTransaction) before it is broadcast. The lock is held across
+//      processes (lockService "signer"), so the API server and bulk workers
+//      never hand out the same nonce.
+//   3. The tx is watched until mined. If it sits in the mempool longer than
+//      TX_STUCK_TIMEOUT_MS it is re-sent with the same nonce and higher fees
+//      (replace-by-fee), up to TX_MAX_REPLACEMENTS times and TX_MAX_FEE_GWEI.
+//      If the node no longer knows the latest attempt (dropped from the
+//      mempool, node restarted) the same signed tx is broadcast again, with
+//      no limit, so later nonces never wait behind a gap.
+//   4. The caller waits at most TX_WAIT_TIMEOUT_MS. After that it gets an
+//      error (txStatus "pending") while the tx keeps being watched.
+// Each pending tx is watched by the process that sent it, which renews a
+// lease on its record. startRecovery() runs recoverPending() on every process
+// that holds the signer, under the "tx-recovery" lock, and it only takes over
+// txs whose lease ran out (the sending process died or was restarted). Two
+// live processes therefore never replace the same nonce.
+//
+// Lifecycle events are emitted on `txEvents` ("transaction") and passed to the
+// caller's onEvent callback:
+//   submitted | replaced | rebroadcast | stuck | cancelling | confirmed | failed | cancelled | dropped
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+
+const ManagedTransaction = require("../models/ManagedTransaction");
+const lockService = require("./lockService");
+
+const MAX_FEE_WEI = ethers.parseUnits(process.env.TX_MAX_FEE_GWEI || "200", "gwei");
+const PRIORITY_FEE_WEI = process.env.TX_PRIORITY_FEE_GWEI
+  ? ethers.parseUnits(process.env.TX_PRIORITY_FEE_GWEI, "gwei")
+  : null;
+const FEE_BUMP_PERCENT = BigInt(Math.max(10, parseInt(process.env.TX_FEE_BUMP_PERCENT || "15", 10) || 15));
+const STUCK_TIMEOUT_MS = Math.max(5000, parseInt(process.env.TX_STUCK_TIMEOUT_MS || "180000", 10) || 180000);
+const MAX_REPLACEMENTS = Math.max(0, parseInt(process.env.TX_MAX_REPLACEMENTS || "3", 10) || 0);
+const POLL_INTERVAL_MS = Math.max(500, parseInt(process.env.TX_POLL_INTERVAL_MS || "4000", 10) || 4000);
+const WAIT_TIMEOUT_MS = Math.max(1000, parseInt(process.env.TX_WAIT_TIMEOUT_MS || "1800000", 10) || 1800000);
+const RECOVERY_INTERVAL_MS = Math.max(
+  5000,
+  parseInt(process.env.TX_RECOVERY_INTERVAL_MS || "60000", 10) || 60000
+);
+const WATCH_LEASE_MS = 60000;
+const GAS_LIMIT_BUFFER_PERCENT = 120n;
+
+const txEvents = new EventEmitter();
+
+// txId -> { record, signer, onEvent, lock, done }
+const tracked = new Map();
+// from address -> next nonce we expect to use
+const nextNonces = new Map();
+let sendLock = Promise.resolve();
+
+function withSendLock(fn) {
+  const locked = () => lockService.withLock("signer", fn);
+  const run = sendLock.then(locked, locked);
+  sendLock = run.catch(() => {});
+  return run;
+}
+
+function dbReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Persistence is best-effort: with MongoDB down, txs are still sent and
+// watched in memory, they just won't survive a restart.
+async function saveRecord(record) {
+  if (!dbReady()) return;
+  // createdAt/updatedAt are maintained by the schema timestamps
+  const { createdAt, updatedAt, ...fields } = record;
+  try {
+    await ManagedTransaction.updateOne({ txId: record.txId }, { $set: fields }, { upsert: true });
+  } catch (err) {
+    console.error(`Failed to persist tx ${record.txId}:`, err.message);
+  }
+}
+
+function toPublic(record) {
+  const last = record.attempts[record.attempts.length - 1] || null;
+  return {
+    txId: record.txId,
+    purpose: record.purpose,
+    label: record.label,
+    nonce: record.nonce,
+    status: record.status,
+    hash: record.txHash || last?.hash || null,
+    attempts: record.attempts.length,
+    lastAttemptKind: last?.kind || null,
+    maxFeePerGas: last?.maxFeePerGas || null,
+    gasPrice: last?.gasPrice || null,
+    blockNumber: record.blockNumber,
+    error: record.error || null,
+    createdAt: record.createdAt,
+  };
+}
+
+async function notify(entry, type) {
+  const event = { type, ...toPublic(entry.record) };
+  txEvents.emit("transaction", event);
+  if (entry.onEvent) {
+    try {
+      await entry.onEvent(event);
+    } catch (err) {
+      console.error(`Tx ${entry.record.txId} ${type} handler failed:`, err.message);
+    }
+  }
+}
+
+// ── Fees ────────────────────────────────────────────────────────────────────
+
+function clampFees(fees) {
+  if (fees.gasPrice !== undefined) {
+    return { gasPrice: fees.gasPrice > MAX_FEE_WEI ? MAX_FEE_WEI : fees.gasPrice };
+  }
+  const maxFeePerGas = fees.maxFeePerGas > MAX_FEE_WEI ? MAX_FEE_WEI : fees.maxFeePerGas;
+  const maxPriorityFeePerGas =
+    fees.maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : fees.maxPriorityFeePerGas;
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+function feesFor(block, feeData) {
+  if (block?.baseFeePerGas != null) {
+    const priority =
+      PRIORITY_FEE_WEI ?? feeData.maxPriorityFeePerGas ?? ethers.parseUnits("1.5", "gwei");
+    return clampFees({
+      maxFeePerGas: block.baseFeePerGas * 2n + priority,
+      maxPriorityFeePerGas: priority,
+    });
+  }
+  // Chain without EIP-1559
+  return clampFees({ gasPrice: feeData.gasPrice ?? ethers.parseUnits("1", "gwei") });
+}
+
+async function suggestFees(provider) {
+  const [block, feeData] = await Promise.all([provider.getBlock("latest"), provider.getFeeData()]);
+  return feesFor(block, feeData);
+}
+
+/**
+ * Price gas at current fee data, for cost estimates.
+ * @param {import("ethers").Provider} provider
+ * @returns {Promise<object>} { type, expectedFeePerGas, maxFeePerGas, gasLimitBufferPercent }
+ *   expectedFeePerGas is what a tx included now pays; maxFeePerGas is the cap
+ *   sendTransaction would offer. Both in wei.
+ */
+async function quoteFees(provider) {
+  const [block, feeData] = await Promise.all([provider.getBlock("latest"), provider.getFeeData()]);
+  const fees = feesFor(block, feeData);
+
+  if (fees.gasPrice !== undefined) {
+    return {
+      type: "legacy",
+      expectedFeePerGas: fees.gasPrice,
+      maxFeePerGas: fees.gasPrice,
+      gasLimitBufferPercent: Number(GAS_LIMIT_BUFFER_PERCENT),
+    };
+  }
+  const expected = block.baseFeePerGas + fees.maxPriorityFeePerGas;
+  return {
+    type: "eip1559",
+    expectedFeePerGas: expected > fees.maxFeePerGas ? fees.maxFeePerGas : expected,
+    maxFeePerGas: fees.maxFeePerGas,
+    gasLimitBufferPercent: Number(GAS_LIMIT_BUFFER_PERCENT),
+  };
+}
+
+function attemptFees(attempt) {
+  if (attempt.gasPrice) return { gasPrice: BigInt(attempt.gasPrice) };
+  return {
+    maxFeePerGas: BigInt(attempt.maxFeePerGas),
+    maxPriorityFeePerGas: BigInt(attempt.maxPriorityFeePerGas),
+  };
+}
+
+function bump(value) {
+  return (value * (100n + FEE_BUMP_PERCENT) + 99n) / 100n;
+}
+
+// Nodes only accept a replacement that raises the fees by ~10%, so take the
+// higher of the bumped previous fees and the current network suggestion.
+// Returns null when the cap leaves no room for a valid replacement.
+function replacementFees(previous, suggested) {
+  let next;
+  if (previous.gasPrice !== undefined) {
+    const bumped = bump(previous.gasPrice);
+    const market = suggested.gasPrice ?? 0n;
+    next = clampFees({ gasPrice: bumped > market ? bumped : market });
+    return next.gasPrice >= bump(previous.gasPrice) ? next : null;
+  }
+
+  const bumpedMax = bump(previous.maxFeePerGas);
+  const bumpedTip = bump(previous.maxPriorityFeePerGas);
+  next = clampFees({
+    maxFeePerGas: bumpedMax > (suggested.maxFeePerGas ?? 0n) ? bumpedMax : suggested.maxFeePerGas,
+    maxPriorityFeePerGas:
+      bumpedTip > (suggested.maxPriorityFeePerGas ?? 0n) ? bumpedTip : suggested.maxPriorityFeePerGas,
+  });
+  if (next.maxFeePerGas < bumpedMax || next.maxPriorityFeePerGas < bumpedTip) return null;
+  return next;
+}
+
+// ── Nonces & broadcast ──────────────────────────────────────────────────────
+
+async function reserveNonce(provider, from, chainId, { resync = false, excludeTxId = null } = {}) {
+  if (resync) nextNonces.delete(from);
+
+  let nonce = await provider.getTransactionCount(from, "pending");
+  const cached = nextNonces.get(from);
+  if (cached !== undefined && cached > nonce) nonce = cached;
+
+  // A persisted pending tx may have been dropped by the node after a restart;
+  // never hand out its nonce again — its watcher re-broadcasts it (checkOnce).
+  if (dbReady()) {
+    const last = await ManagedTransaction.findOne({
+      from,
+      chainId,
+      status: "pending",
+      ...(excludeTxId && { txId: { $ne: excludeTxId } }),
+    })
+      .sort({ nonce: -1 })
+      .select("nonce")
+      .lean();
+    if (last && last.nonce + 1 > nonce) nonce = last.nonce + 1;
+  }
+  return nonce;
+}
+
+// Fully specified, so it can be signed without asking the node for anything
+function buildTx(record, kind, fees) {
+  const call =
+    kind === "cancel"
+      ? { to: record.from, value: 0n, data: "0x", gasLimit: 21000n }
+      : { to: record.to, value: 0n, data: record.data, gasLimit: BigInt(record.gasLimit) };
+  return {
+    ...call,
+    ...fees,
+    ...(fees.gasPrice === undefined && { type: 2 }),
+    nonce: record.nonce,
+    chainId: record.chainId,
+  };
+}
+
+// The signed bytes are kept with the attempt so it can be re-broadcast as is
+async function broadcast(signer, record, kind, fees) {
+  const raw = await signer.signTransaction(buildTx(record, kind, fees));
+  const tx = await signer.provider.broadcastTransaction(raw);
+
+  record.attempts.push({
+    hash: tx.hash,
+    kind,
+    raw,
+    maxFeePerGas: fees.maxFeePerGas?.toString() ?? null,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString() ?? null,
+    gasPrice: fees.gasPrice?.toString() ?? null,
+    sentAt: new Date(),
+  });
+  await saveRecord(record);
+  return tx.hash;
+}
+
+function isNonceError(err) {
+  const message = String(err?.shortMessage || err?.message || "").toLowerCase();
+  return err?.code === "NONCE_EXPIRED" || message.includes("nonce too low") || message.includes("already known");
+}
+
+// ── Watching ────────────────────────────────────────────────────────────────
+
+async function findReceipt(provider, record) {
+  for (const attempt of [...record.attempts].reverse()) {
+    const receipt = await provider.getTransactionReceipt(attempt.hash);
+    if (receipt) return { receipt, attempt };
+  }
+  return null;
+}
+
+async function finalize(entry, status, fields = {}) {
+  Object.assign(entry.record, { status, finalizedAt: new Date() }, fields);
+  await saveRecord(entry.record);
+  await notify(entry, status);
+}
+
+async function replace(entry, kind) {
+  const { record, signer } = entry;
+  const last = record.attempts[record.attempts.length - 1];
+  const fees = replacementFees(attemptFees(last), await suggestFees(signer.provider));
+  if (!fees) {
+    if (!entry.stuckNotified) {
+      entry.stuckNotified = true;
+      await notify(entry, "stuck");
+    }
+    return false;
+  }
+
+  try {
+    await broadcast(signer, record, kind, fees);
+  } catch (err) {
+    // Usually "replacement underpriced" or the original just got mined
+    console.warn(`Tx ${record.txId} ${kind} rejected:`, err.shortMessage || err.message);
+    return false;
+  }
+  await notify(entry, kind === "cancel" ? "cancelling" : "replaced");
+  return true;
+}
+
+// Send an attempt the node has forgotten again, byte for byte. Attempts
+// stored before raw txs were kept are signed again from their fields, which
+// gives the same hash.
+async function rebroadcast(entry, attempt) {
+  const { record, signer } = entry;
+  const raw = attempt.raw || (await signer.signTransaction(buildTx(record, attempt.kind, attemptFees(attempt))));
+  try {
+    await signer.provider.broadcastTransaction(raw);
+  } catch (err) {
+    // Known again, or the nonce got mined meanwhile: the next check sorts it out
+    if (isNonceError(err)) return true;
+    console.warn(`Tx ${record.txId} re-broadcast rejected:`, err.shortMessage || err.message);
+    return false;
+  }
+  attempt.raw = raw;
+  attempt.rebroadcastAt = new Date();
+  await saveRecord(record);
+  await notify(entry, "rebroadcast");
+  return true;
+}
+
+async function checkOnce(entry) {
+  const { record, signer } = entry;
+  const provider = signer.provider;
+  const latest = record.attempts[record.attempts.length - 1];
+  await provider.waitForTransaction(latest.hash, 1, POLL_INTERVAL_MS).catch(() => null);
+
+  const mined = await findReceipt(provider, record);
+  if (mined) {
+    const { receipt, attempt } = mined;
+    const fields = {
+      txHash: attempt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: Number(receipt.gasUsed),
+    };
+    if (attempt.kind === "cancel") {
+      await finalize(entry, "cancelled", { ...fields, error: "Transaction was cancelled" });
+    } else if (receipt.status === 1) {
+      await finalize(entry, "confirmed", fields);
+    } else {
+      await finalize(entry, "failed", { ...fields, error: "Transaction reverted on-chain" });
+    }
+    return;
+  }
+
+  // The nonce was used by a tx we never sent (e.g. the key is shared)
+  const minedNonce = await provider.getTransactionCount(record.from, "latest");
+  if (minedNonce > record.nonce && !(await findReceipt(provider, record))) {
+    await finalize(entry, "dropped", { error: "Nonce was consumed by another transaction" });
+    return;
+  }
+
+  // Dropped from the mempool: replacements are capped, re-sending is not
+  const lastSent = new Date(latest.rebroadcastAt || latest.sentAt).getTime();
+  if (Date.now() - lastSent >= POLL_INTERVAL_MS && !(await provider.getTransaction(latest.hash))) {
+    if (await entry.lock(() => rebroadcast(entry, latest))) return;
+  }
+
+  const speedups = record.attempts.filter((a) => a.kind === "speedup").length;
+  const waited = Date.now() - new Date(latest.sentAt).getTime();
+  if (waited >= STUCK_TIMEOUT_MS && speedups < MAX_REPLACEMENTS) {
+    await entry.lock(() => replace(entry, latest.kind === "cancel" ? "cancel" : "speedup"));
+  }
+}
+
+// Keep this process's lease on the record. Returns false when another
+// process took the tx over (this one stalled past the lease).
+async function renewWatch(record) {
+  if (!dbReady()) return true;
+  if (Date.now() - new Date(record.watchedAt).getTime() < WATCH_LEASE_MS / 3) return true;
+  const taken = await ManagedTransaction.exists({
+    txId: record.txId,
+    watcher: { $nin: [lockService.HOLDER, null] },
+  });
+  if (taken) return false;
+  record.watcher = lockService.HOLDER;
+  record.watchedAt = new Date();
+  await saveRecord(record);
+  return true;
+}
+
+async function watch(entry) {
+  const { record } = entry;
+  while (record.status === "pending") {
+    try {
+      if (!(await renewWatch(record))) {
+        console.warn(`Tx ${record.txId} is now watched by another process`);
+        break;
+      }
+      await checkOnce(entry);
+    } catch (err) {
+      // RPC hiccup — the tx is still out there, keep watching
+      console.warn(`Tx ${record.txId} watch error:`, err.shortMessage || err.message);
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+  tracked.delete(record.txId);
+  return record;
+}
+
+function track(record, signer, onEvent) {
+  let lock = Promise.resolve();
+  const entry = {
+    record,
+    signer,
+    onEvent,
+    lock(fn) {
+      const run = lock.then(fn, fn);
+      lock = run.catch(() => {});
+      return run;
+    },
+  };
+  tracked.set(record.txId, entry);
+  entry.done = watch(entry);
+  return entry;
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Send a contract call and wait until it is mined, replacing it if it stalls.
+ * Rejects with err.txStatus = "pending" if it is not mined within
+ * TX_WAIT_TIMEOUT_MS; the tx is still watched after that.
+ * @param {ethers.Wallet} signer
+ * @param {object} request - { to, data, gasLimit, purpose, label? }
+ * @param {object} [options] - { onEvent(event) } awaited on every lifecycle event
+ * @returns {Promise<{ txId, txHash, blockNumber, gasUsed, nonce, attempts }>}
+ */
+async function sendTransaction(signer, request, options = {}) {
+  const provider = signer.provider;
+  const from = (await signer.getAddress()).toLowerCase();
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const gasLimit = (BigInt(request.gasLimit) * GAS_LIMIT_BUFFER_PERCENT) / 100n;
+
+  const record = await withSendLock(async () => {
+    const fees = await suggestFees(provider);
+    const pending = {
+      txId: crypto.randomUUID(),
+      from,
+      chainId,
+      nonce: await reserveNonce(provider, from, chainId),
+      to: request.to,
+      data: request.data,
+      gasLimit: gasLimit.toString(),
+      purpose: request.purpose,
+      label: request.label || "",
+      status: "pending",
+      attempts: [],
+      txHash: null,
+      blockNumber: null,
+      gasUsed: null,
+      error: "",
+      finalizedAt: null,
+      watcher: lockService.HOLDER,
+      watchedAt: new Date(),
+      createdAt: new Date(),
+    };
+    await saveRecord(pending);
+
+    try {
+      await broadcast(signer, pending, "original", fees);
+    } catch (err) {
+      let error = err;
+      if (isNonceError(err)) {
+        // Someone else used the nonce — resync from the chain and retry once
+        try {
+          pending.nonce = await reserveNonce(provider, from, chainId, {
+            resync: true,
+            excludeTxId: pending.txId,
+          });
+          await broadcast(signer, pending, "original", fees);
+          error = null;
+        } catch (retryErr) {
+          error = retryErr;
+        }
+      }
+      if (error) {
+        // Not broadcast, so the nonce is free again
+        pending.status = "failed";
+        pending.error = error.shortMessage || error.message;
+        pending.finalizedAt = new Date();
+        await saveRecord(pending);
+        throw error;
+      }
+    }
+
+    nextNonces.set(from, pending.nonce + 1);
+    return pending;
+  });
+
+  const entry = track(record, signer, options.onEvent);
+  await notify(entry, "submitted");
+
+  let timer;
+  const timedOut = await Promise.race([
+    entry.done.then(() => false),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(true), WAIT_TIMEOUT_MS);
+    }),
+  ]);
+  clearTimeout(timer);
+  if (timedOut) {
+    const last = record.attempts[record.attempts.length - 1];
+    const err = new Error(
+      `Transaction ${record.txId} (nonce ${record.nonce}) not mined after ${Math.round(WAIT_TIMEOUT_MS / 1000)}s; ` +
+        "it is still being watched and can be sped up or cancelled"
+    );
+    err.txStatus = "pending";
+    err.txId = record.txId;
+    err.txHash = last?.hash || null;
+    throw err;
+  }
+
+  if (record.status !== "confirmed") {
+    const err = new Error(record.error || `Transaction ${record.status}`);
+    err.txStatus = record.status;
+    err.txHash = record.txHash;
+    throw err;
+  }
+  return {
+    txId: record.txId,
+    txHash: record.txHash,
+    blockNumber: record.blockNumber,
+    gasUsed: record.gasUsed,
+    nonce: record.nonce,
+    attempts: record.attempts.length,
+  };
+}
+
+/**
+ * Resume watching pending txs whose watcher is gone (its lease ran out).
+ * Txs another live process is watching are left alone. Safe to call
+ * repeatedly and from several processes at once.
+ * @returns {Promise<number>} Number of transactions picked up
+ */
+async function recoverPending(signer) {
+  if (!dbReady()) return 0;
+  const from = (await signer.getAddress()).toLowerCase();
+  const chainId = Number((await signer.provider.getNetwork()).chainId);
+
+  return lockService.withLock("tx-recovery", async () => {
+    const orphaned = () => ({
+      status: "pending",
+      $or: [{ watchedAt: null }, { watchedAt: { $lt: new Date(Date.now() - WATCH_LEASE_MS) } }],
+    });
+    const pending = await ManagedTransaction.find({ from, chainId, ...orphaned() })
+      .sort({ nonce: 1 })
+      .lean();
+
+    let recovered = 0;
+    for (const doc of pending) {
+      if (tracked.has(doc.txId)) continue;
+      // Never broadcast — reserved but the process died before sending
+      if (doc.attempts.length === 0) {
+        await ManagedTransaction.updateOne(
+          { txId: doc.txId, ...orphaned() },
+          { $set: { status: "dropped", error: "Never broadcast", finalizedAt: new Date() } }
+        );
+        continue;
+      }
+      const watchedAt = new Date();
+      const claimed = await ManagedTransaction.updateOne(
+        { txId: doc.txId, ...orphaned() },
+        { $set: { watcher: lockService.HOLDER, watchedAt } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+      const { _id, __v, ...record } = doc;
+      track({ ...record, watcher: lockService.HOLDER, watchedAt }, signer, null);
+      recovered++;
+    }
+    return recovered;
+  });
+}
+
+let recoveryTimer = null;
+
+/**
+ * Run recoverPending() on every MongoDB (re)connect and every
+ * TX_RECOVERY_INTERVAL_MS, so txs of a process that died are picked up by
+ * one that is still running. Call once in each process that sends with the
+ * signer.
+ * @param {() => ethers.Wallet} getSigner
+ */
+function startRecovery(getSigner) {
+  if (recoveryTimer) return;
+  let running = false;
+  const run = () => {
+    if (running || !dbReady()) return;
+    running = true;
+    recoverPending(getSigner())
+      .then((count) => {
+        if (count > 0) console.log(`🔁 Watching ${count} pending transaction(s) left by a stopped process.`);
+      })
+      .catch((err) => console.warn("⚠️  Pending transaction recovery failed:", err.message))
+      .finally(() => {
+        running = false;
+      });
+  };
+  mongoose.connection.on("connected", run);
+  recoveryTimer = setInterval(run, RECOVERY_INTERVAL_MS);
+  recoveryTimer.unref();
+  run();
+}
+
+/**
+ * Re-send a pending tx with higher fees right away.
+ * @returns {Promise<object|null>} Updated tx, or null if it is not pending here
+ */
+async function speedUpTransaction(txId) {
+  const entry = tracked.get(txId);
+  if (!entry) return null;
+  const kind = entry.record.attempts[entry.record.attempts.length - 1].kind === "cancel" ? "cancel" : "speedup";
+  const replaced = await entry.lock(() => replace(entry, kind));
+  if (!replaced) {
+    throw new Error("Replacement was not accepted (fee cap reached or tx already mined)");
+  }
+  return toPublic(entry.record);
+}
+
+/**
+ * Cancel a pending tx by sending a 0-value self-transfer with the same nonce.
+ * The original caller receives a "Transaction was cancelled" error.
+ * @returns {Promise<object|null>} Updated tx, or null if it is not pending here
+ */
+async function cancelTransaction(txId) {
+  const entry = tracked.get(txId);
+  if (!entry) return null;
+  const replaced = await entry.lock(() => replace(entry, "cancel"));
+  if (!replaced) {
+    throw new Error("Cancellation was not accepted (fee cap reached or tx already mined)");
+  }
+  return toPublic(entry.record);
+}
+
+/**
+ * Recent managed transactions, newest first.
+ * Falls back to the in-memory set when MongoDB is unavailable.
+ */
+async function listTransactions({ status, limit = 50 } = {}) {
+  if (!dbReady()) {
+    return [...tracked.values()]
+      .map((entry) => toPublic(entry.record))
+      .filter((tx) => !status || tx.status === status);
+  }
+  const query = status ? { status } : {};
+  const docs = await ManagedTransaction.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+  return docs.map(toPublic);
+}
+
+function isTracked(txId) {
+  return tracked.has(txId);
+}
+
+module.exports = {
+  txEvents,
+  sendTransaction,
+  quoteFees,
+  recoverPending,
+  startRecovery,
+  speedUpTransaction,
+  cancelTransaction,
+  listTransactions,
+  isTracked,
+};
@@ -0,0 +1,201 @@
+// ============================================================================
+// CID — Compute IPFS CIDv1 values locally
+// ============================================================================
+// Reproduces what `ipfs add --cid-version=1` (Kubo, Pinata) returns for a
+// single file: 256 KiB fixed-size chunks stored as raw leaves, joined by a
+// balanced UnixFS tree of dag-pb nodes with up to 174 links each. A file that
+// fits in one chunk is just a raw block. Any storage driver can therefore
+// produce a real, verifiable CID without talking to an IPFS node.
+
+const crypto = require("crypto");
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+const UNIXFS_FILE = 2;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+// ── Encoding primitives ─────────────────────────────────────────────────────
+
+function varint(value) {
+  const bytes = [];
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+function readVarint(buffer, offset) {
+  let value = 0;
+  let shift = 1;
+  let pos = offset;
+  for (;;) {
+    if (pos >= buffer.length) throw new Error("Truncated varint");
+    const byte = buffer[pos++];
+    value += (byte & 0x7f) * shift;
+    if (byte < 0x80) return { value, next: pos };
+    shift *= 0x80;
+  }
+}
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// Protobuf field: tag (field number + wire type) followed by its payload
+function field(number, wireType, payload) {
+  const tag = varint(number * 8 + wireType);
+  if (wireType === 0) return Buffer.concat([tag, varint(payload)]);
+  return Buffer.concat([tag, varint(payload.length), payload]);
+}
+
+// ── CIDs ────────────────────────────────────────────────────────────────────
+
+function cidBytes(codec, bytes) {
+  const digest = crypto.createHash("sha256").update(bytes).digest();
+  return Buffer.concat([
+    varint(1),
+    varint(codec),
+    varint(MULTIHASH_SHA2_256),
+    varint(digest.length),
+    digest,
+  ]);
+}
+
+// dag-pb node for an interior UnixFS file node (Links are encoded before Data)
+function encodeFileNode(children) {
+  const unixfs = Buffer.concat([
+    field(1, 0, UNIXFS_FILE),
+    field(3, 0, children.reduce((sum, child) => sum + child.fileSize, 0)),
+    ...children.map((child) => field(4, 0, child.fileSize)),
+  ]);
+  const links = children.map((child) =>
+    field(
+      2,
+      2,
+      Buffer.concat([field(1, 2, child.cid), field(2, 2, Buffer.alloc(0)), field(3, 0, child.tsize)])
+    )
+  );
+  return Buffer.concat([...links, field(1, 2, unixfs)]);
+}
+
+/**
+ * Compute the CIDv1 (base32) an IPFS node would assign to this file.
+ * @param {Buffer} buffer - File contents
+ * @returns {string} e.g. "bafkrei..." (single chunk) or "bafybei..." (chunked)
+ */
+function computeCid(buffer) {
+  let level = [];
+  for (let offset = 0; offset < buffer.length || level.length === 0; offset += CHUNK_SIZE) {
+    const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+    level.push({ cid: cidBytes(CODEC_RAW, chunk), fileSize: chunk.length, tsize: chunk.length });
+  }
+
+  while (level.length > 1) {
+    const parents = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      const children = level.slice(i, i + MAX_LINKS);
+      const node = encodeFileNode(children);
+      parents.push({
+        cid: cidBytes(CODEC_DAG_PB, node),
+        fileSize: children.reduce((sum, child) => sum + child.fileSize, 0),
+        tsize: node.length + children.reduce((sum, child) => sum + child.tsize, 0),
+      });
+    }
+    level = parents;
+  }
+
+  return `b${base32Encode(level[0].cid)}`;
+}
+
+/**
+ * Parse a base32 CIDv1 string.
+ * @param {string} cid
+ * @returns {{ version: number, codec: number, hashCode: number, digest: Buffer }|null}
+ *   null for anything else (CIDv0 "Qm...", other bases, malformed input)
+ */
+function parseCid(cid) {
+  if (typeof cid !== "string" || !cid.startsWith("b")) return null;
+  try {
+    const bytes = base32Decode(cid.slice(1));
+    const version = readVarint(bytes, 0);
+    const codec = readVarint(bytes, version.next);
+    const hashCode = readVarint(bytes, codec.next);
+    const length = readVarint(bytes, hashCode.next);
+    const digest = bytes.subarray(length.next);
+    if (version.value !== 1 || digest.length !== length.value) return null;
+    return { version: version.value, codec: codec.value, hashCode: hashCode.value, digest };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a CID uses the parameters computeCid produces (CIDv1, sha2-256,
+ * raw or dag-pb), so that documents can be checked against it locally.
+ * @param {string} cid
+ * @returns {boolean}
+ */
+function isVerifiableCid(cid) {
+  const parsed = parseCid(cid);
+  return (
+    !!parsed &&
+    parsed.hashCode === MULTIHASH_SHA2_256 &&
+    [CODEC_RAW, CODEC_DAG_PB].includes(parsed.codec)
+  );
+}
+
+/**
+ * Check that a file's bytes are what a CID names.
+ * @param {Buffer} buffer
+ * @param {string} cid
+ * @returns {boolean|null} null when the CID was not produced by computeCid's
+ *   parameters (CIDv0, other hash functions), so it cannot be checked locally
+ */
+function verifyCid(buffer, cid) {
+  if (!isVerifiableCid(cid)) return null;
+  return computeCid(buffer) === cid;
+}
+
+module.exports = {
+  computeCid,
+  parseCid,
+  isVerifiableCid,
+  verifyCid,
+};
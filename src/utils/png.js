@@ -0,0 +1,131 @@
+// ============================================================================
+// PNG — Read and write text chunks in PNG files
+// ============================================================================
+// Open Badges are "baked" by storing the credential in an iTXt chunk. These
+// helpers insert such a chunk before IEND and read it back, without decoding
+// the image.
+
+const zlib = require("zlib");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// ── CRC-32 (ISO 3309, as required by the PNG spec) ──────────────────────────
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ── Chunks ──────────────────────────────────────────────────────────────────
+
+function isPng(buffer) {
+  return buffer.length >= PNG_SIGNATURE.length && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Split a PNG into its chunks.
+ * @param {Buffer} buffer
+ * @returns {{ type: string, data: Buffer, start: number, end: number }[]}
+ * @throws if the buffer is not a well-formed PNG
+ */
+function readChunks(buffer) {
+  if (!isPng(buffer)) throw new Error("Not a PNG file");
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) throw new Error("Truncated PNG chunk");
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) throw new Error(`Truncated PNG chunk ${type}`);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (crc32(buffer.subarray(offset + 4, offset + 8 + length)) !== buffer.readUInt32BE(end - 4)) {
+      throw new Error(`Bad CRC in PNG chunk ${type}`);
+    }
+    chunks.push({ type, data, start: offset, end });
+    offset = end;
+    if (type === "IEND") break;
+  }
+  return chunks;
+}
+
+function encodeChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// iTXt: keyword \0 compression-flag compression-method language \0 translated-keyword \0 text
+function encodeITXt(keyword, text) {
+  return Buffer.concat([
+    Buffer.from(keyword, "latin1"),
+    Buffer.from([0, 0, 0, 0, 0]),
+    Buffer.from(text, "utf8"),
+  ]);
+}
+
+function decodeITXt(data) {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd < 0) return null;
+  const keyword = data.toString("latin1", 0, keywordEnd);
+  const compressed = data[keywordEnd + 1] === 1;
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = languageEnd < 0 ? -1 : data.indexOf(0, languageEnd + 1);
+  if (translatedEnd < 0) return null;
+  return { keyword, compressed, text: data.subarray(translatedEnd + 1) };
+}
+
+/**
+ * Add an uncompressed iTXt chunk, replacing any existing one with the same keyword.
+ * @param {Buffer} png
+ * @param {string} keyword
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function writeITXt(png, keyword, text) {
+  const parts = [PNG_SIGNATURE];
+  for (const chunk of readChunks(png)) {
+    if (chunk.type === "iTXt" && decodeITXt(chunk.data)?.keyword === keyword) continue;
+    if (chunk.type === "IEND") parts.push(encodeChunk("iTXt", encodeITXt(keyword, text)));
+    parts.push(png.subarray(chunk.start, chunk.end));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Read the text of the iTXt chunk with this keyword.
+ * @param {Buffer} png
+ * @param {string} keyword
+ * @returns {string|null} null if there is no such chunk
+ */
+function readITXt(png, keyword) {
+  for (const chunk of readChunks(png)) {
+    if (chunk.type !== "iTXt") continue;
+    const entry = decodeITXt(chunk.data);
+    if (entry?.keyword !== keyword) continue;
+    return (entry.compressed ? zlib.inflateSync(entry.text) : entry.text).toString("utf8");
+  }
+  return null;
+}
+
+module.exports = {
+  isPng,
+  crc32,
+  readChunks,
+  writeITXt,
+  readITXt,
+};
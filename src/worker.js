@@ -0,0 +1,44 @@
+// ============================================================================
+// Edulocka Bulk Worker — Runs queued bulk issuance jobs outside the API server
+// ============================================================================
+// Start with `npm run worker` and set BULK_WORKER_MODE=external on the API
+// server so it only queues jobs. Several workers can run against the same
+// MongoDB; see services/jobQueue.js for how they share the work.
+
+require("dotenv").config();
+const path = require("path");
+const fs = require("fs");
+
+const jobQueue = require("./services/jobQueue");
+const browserPool = require("./services/browserPool");
+const blockchainService = require("./services/blockchainService");
+const { connectMongo } = require("./services/database");
+
+// The pipeline writes PDFs, QR codes and badges here
+[
+  path.join(__dirname, "..", "output", "certificates"),
+  path.join(__dirname, "..", "output", "qrcodes"),
+  path.join(__dirname, "..", "output", "badges"),
+].forEach((dir) => {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+});
+
+// Jobs send txs with the shared signer; watch those a stopped process left
+if (process.env.PRIVATE_KEY && process.env.RPC_URL) blockchainService.startTransactionRecovery();
+
+void connectMongo();
+jobQueue.start();
+
+const status = jobQueue.getStatus();
+console.log(`\n🛠️  Edulocka bulk worker ${status.workerId}`);
+console.log(`   Max jobs:    ${status.maxConcurrentJobs} (${status.maxJobsPerInstitution} per institution)`);
+console.log(`   RPC:         ${process.env.RPC_URL}\n`);
+
+async function shutdown(signal) {
+  console.log(`\n${signal} received — returning running jobs to the queue`);
+  await jobQueue.stop();
+  await browserPool.shutdown();
+  process.exit(0);
+}
+process.once("SIGTERM", () => void shutdown("SIGTERM"));
+process.once("SIGINT", () => void shutdown("SIGINT"));
@@ -0,0 +1,193 @@
+// Role → permission resolution and the institution permission gate, against
+// in-memory role assignments and a stubbed contract.
+
+process.env.ADMIN_WALLET_ADDRESS = "0x0000000000000000000000000000000000000A11";
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { stubModules, fakeResponse } = require("./helpers/stubModules");
+
+const ADMIN = "0x0000000000000000000000000000000000000a11";
+const UNIVERSITY = "0x1111111111111111111111111111111111111111";
+const COLLEGE = "0x2222222222222222222222222222222222222222";
+const REGISTRAR = "0x3333333333333333333333333333333333333333";
+
+// ── State ───────────────────────────────────────────────────────────────────
+
+const assignments = [];
+const chain = new Map(); // address -> on-chain record
+const rpcCalls = [];
+let rpcDown = false;
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    lean: async () => result,
+  };
+  return chain;
+}
+
+stubModules({
+  "src/models/RoleAssignment": {
+    find: ({ address }) => query(assignments.filter((a) => a.address === address)),
+  },
+  "src/models/InstitutionApplication": { findOne: () => query(null) },
+  "src/middleware/authMiddleware": {
+    requireWalletAuth: (req, res, next) => next(),
+    optionalWalletAuth: (req, res, next) => next(),
+  },
+  "src/services/blockchainService": {
+    async getInstitutionInfo(address) {
+      rpcCalls.push(address);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      if (rpcDown) throw new Error("RPC unreachable");
+      return { ...(chain.get(address) || { name: "", isActive: false, isAuthorized: false }) };
+    },
+  },
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const accessControl = require("../src/services/accessControl");
+const { requirePermission } = require("../src/middleware/permissionMiddleware");
+
+beforeEach(() => {
+  assignments.length = 0;
+  rpcCalls.length = 0;
+  rpcDown = false;
+  chain.clear();
+  chain.set(UNIVERSITY, { name: "Test University", isActive: true, isAuthorized: true });
+  chain.set(COLLEGE, { name: "Other College", isActive: true, isAuthorized: true });
+  for (const address of [UNIVERSITY, COLLEGE, REGISTRAR]) accessControl.forgetInstitution(address);
+});
+
+// Runs the permission gate for `wallet`, optionally with X-Institution-Address
+async function gate(wallet, permission, header) {
+  const [, check] = requirePermission(permission);
+  const req = {
+    walletAddress: wallet,
+    access: await accessControl.loadAccess(wallet),
+    get: (name) => (name === "x-institution-address" ? header : undefined),
+  };
+  const res = fakeResponse();
+  let passed = false;
+  await check(req, res, () => {
+    passed = true;
+  });
+  return { passed, res, institution: req.institution };
+}
+
+// ── Roles ───────────────────────────────────────────────────────────────────
+
+test("roles resolve to permissions, with the two implicit roles", async () => {
+  assignments.push({ address: REGISTRAR, role: "institution_viewer", institution: UNIVERSITY });
+  assignments.push({ address: REGISTRAR, role: "blog_moderator", institution: null });
+
+  const admin = await accessControl.loadAccess(ADMIN);
+  assert.deepEqual(admin.platformRoles, ["super_admin"]);
+  assert.equal(admin.can("roles:manage"), true);
+
+  const registrar = await accessControl.loadAccess(REGISTRAR);
+  assert.deepEqual(registrar.platformRoles, ["blog_moderator"]);
+  assert.equal(registrar.can("roles:manage"), false);
+  assert.deepEqual(registrar.institutions(), [UNIVERSITY]);
+  assert.deepEqual(registrar.institutionPermissions(UNIVERSITY), ["certificates:read"]);
+  assert.deepEqual(registrar.institutionPermissions(COLLEGE), []);
+
+  const owner = await accessControl.loadAccess(UNIVERSITY);
+  assert.deepEqual(owner.institutionRoles(UNIVERSITY), ["institution_owner"]);
+  assert.ok(owner.institutionPermissions(UNIVERSITY).includes("staff:manage"));
+});
+
+test("grants are validated against the role's scope", () => {
+  assert.equal(accessControl.validateGrant({ address: REGISTRAR, role: "institution_issuer" }).valid, false);
+  assert.equal(
+    accessControl.validateGrant({ address: REGISTRAR, role: "reviewer", institution: UNIVERSITY }).valid,
+    false
+  );
+  assert.equal(
+    accessControl.validateGrant({ address: UNIVERSITY, role: "institution_owner", institution: UNIVERSITY }).valid,
+    false
+  );
+  assert.deepEqual(
+    accessControl.validateGrant({ address: ` ${REGISTRAR} `, role: "institution_issuer", institution: UNIVERSITY }),
+    { valid: true, grant: { address: REGISTRAR, role: "institution_issuer", institution: UNIVERSITY } }
+  );
+});
+
+// ── Institution gate ────────────────────────────────────────────────────────
+
+test("staff of one institution act for it, and only within their role", async () => {
+  assignments.push({ address: REGISTRAR, role: "institution_viewer", institution: UNIVERSITY });
+
+  const read = await gate(REGISTRAR, "certificates:read");
+  assert.equal(read.passed, true);
+  assert.equal(read.institution.address, UNIVERSITY);
+  assert.equal(read.institution.name, "Test University");
+  assert.deepEqual(read.institution.roles, ["institution_viewer"]);
+
+  const issue = await gate(REGISTRAR, "certificates:issue");
+  assert.equal(issue.res.statusCode, 403);
+  assert.match(issue.res.body.details, /institution_viewer/);
+
+  const elsewhere = await gate(REGISTRAR, "certificates:read", COLLEGE);
+  assert.equal(elsewhere.res.statusCode, 403);
+  assert.match(elsewhere.res.body.details, /not staff/);
+});
+
+test("staff of several institutions pick one with the header", async () => {
+  assignments.push({ address: REGISTRAR, role: "institution_issuer", institution: UNIVERSITY });
+  assignments.push({ address: REGISTRAR, role: "institution_viewer", institution: COLLEGE });
+
+  // Only the university lets this wallet issue
+  assert.equal((await gate(REGISTRAR, "certificates:issue")).institution.address, UNIVERSITY);
+
+  const ambiguous = await gate(REGISTRAR, "certificates:read");
+  assert.equal(ambiguous.res.statusCode, 400);
+  assert.deepEqual(ambiguous.res.body.institutions.sort(), [UNIVERSITY, COLLEGE].sort());
+
+  assert.equal((await gate(REGISTRAR, "certificates:read", COLLEGE)).institution.address, COLLEGE);
+  assert.equal((await gate(REGISTRAR, "certificates:read", "college")).res.statusCode, 400);
+});
+
+test("every institution permission needs the institution authorized on-chain", async () => {
+  chain.get(UNIVERSITY).isAuthorized = false;
+  assignments.push({ address: REGISTRAR, role: "institution_issuer", institution: UNIVERSITY });
+
+  for (const permission of ["certificates:read", "templates:manage", "certificates:issue"]) {
+    const result = await gate(REGISTRAR, permission);
+    assert.equal(result.passed, false, permission);
+    assert.equal(result.res.statusCode, 403);
+    assert.match(result.res.body.details, /not authorized on the blockchain/);
+  }
+});
+
+// ── On-chain record cache ───────────────────────────────────────────────────
+
+test("the on-chain record is read once and shared until forgotten", async () => {
+  const results = await Promise.all([
+    gate(UNIVERSITY, "certificates:read"),
+    gate(UNIVERSITY, "certificates:issue"),
+    gate(UNIVERSITY, "templates:manage"),
+  ]);
+  assert.ok(results.every((result) => result.passed));
+  assert.deepEqual(rpcCalls, [UNIVERSITY]);
+
+  chain.get(UNIVERSITY).isActive = false;
+  assert.equal((await gate(UNIVERSITY, "certificates:issue")).passed, true, "still cached");
+
+  accessControl.forgetInstitution(UNIVERSITY);
+  const after = await gate(UNIVERSITY, "certificates:issue");
+  assert.equal(after.res.body.error, "Institution suspended");
+  assert.equal(rpcCalls.length, 2);
+});
+
+test("a failed read is reported and not cached", async () => {
+  rpcDown = true;
+  const failed = await gate(UNIVERSITY, "certificates:read");
+  assert.equal(failed.res.statusCode, 503);
+
+  rpcDown = false;
+  assert.equal((await gate(UNIVERSITY, "certificates:read")).passed, true);
+  assert.equal(rpcCalls.length, 2);
+});
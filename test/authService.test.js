@@ -0,0 +1,229 @@
+// Wallet sign-in against in-memory nonce and session collections: a message
+// bound to another site, chain or time is refused, and a nonce works once.
+
+process.env.SIWE_URI = "https://app.edulocka.test";
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const { stubModules } = require("./helpers/stubModules");
+
+const CHAIN_ID = 31337;
+const user = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+// ── In-memory collections ───────────────────────────────────────────────────
+
+const nonces = new Map(); // nonce -> expiresAt
+const sessions = new Map(); // tokenHash -> session
+const contractChecks = []; // addresses asked via EIP-1271
+
+const lean = (result) => ({ lean: async () => result });
+
+stubModules({
+  "src/models/AuthNonce": {
+    async create({ nonce, expiresAt }) {
+      nonces.set(nonce, expiresAt);
+    },
+    findOneAndDelete({ nonce, expiresAt }) {
+      const live = nonces.has(nonce) && nonces.get(nonce) > expiresAt.$gt;
+      nonces.delete(nonce);
+      return lean(live ? { nonce } : null);
+    },
+  },
+  "src/models/AuthSession": {
+    async create(session) {
+      sessions.set(session.tokenHash, session);
+    },
+    findOne({ tokenHash, expiresAt }) {
+      const session = sessions.get(tokenHash);
+      return lean(session && session.expiresAt > expiresAt.$gt ? { ...session } : null);
+    },
+    async deleteOne({ tokenHash }) {
+      return { deletedCount: sessions.delete(tokenHash) ? 1 : 0 };
+    },
+  },
+  "src/services/blockchainService": {
+    getNetworkInfo: () => ({ chainId: CHAIN_ID, contractAddress: null }),
+    async isValidContractSignature(address) {
+      contractChecks.push(address);
+      return null; // no contract code: an ordinary account
+    },
+  },
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const authService = require("../src/services/authService");
+
+beforeEach(() => {
+  nonces.clear();
+  sessions.clear();
+  contractChecks.length = 0;
+});
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+// The fields a client builds from loginParams() and a fresh nonce
+async function loginFields(overrides = {}) {
+  const { domain, uri, chainId, version, statement } = authService.loginParams();
+  const { nonce } = await authService.issueNonce();
+  return {
+    domain,
+    address: user.address,
+    statement,
+    uri,
+    version,
+    chainId,
+    nonce,
+    issuedAt: new Date().toISOString(),
+    expirationTime: inMinutes(5),
+    ...overrides,
+  };
+}
+
+async function siweLogin(overrides = {}, wallet = user) {
+  const message = authService.buildSiweMessage(await loginFields(overrides));
+  return { message, signature: await wallet.signMessage(message) };
+}
+
+// ── SIWE ────────────────────────────────────────────────────────────────────
+
+test("a signed SIWE message for this site signs the wallet in, once", async () => {
+  const login = await siweLogin();
+  assert.match(login.message, /^app\.edulocka\.test wants you to sign in with your Ethereum account:\n/);
+
+  const result = await authService.verifyLogin(login);
+  assert.equal(result.valid, true);
+  assert.equal(result.address, user.address.toLowerCase());
+  assert.equal(result.method, "siwe");
+  assert.equal(result.signatureType, "ecdsa");
+  assert.equal(contractChecks.length, 0);
+
+  const replay = await authService.verifyLogin(login);
+  assert.equal(replay.valid, false);
+  assert.equal(replay.error, "Nonce is unknown, expired or already used");
+});
+
+const REJECTED = [
+  ["another site's domain", { domain: "evil.test" }, "Message domain must be app.edulocka.test"],
+  ["a URI on another origin", { uri: "https://evil.test/login" }, "Message URI must be on https://app.edulocka.test"],
+  ["another chain", { chainId: 1 }, `Message chain ID must be ${CHAIN_ID}`],
+  ["another version", { version: "2" }, "Message version must be 1"],
+  ["an expiration time in the past", { expirationTime: inMinutes(-1) }, "Message has expired"],
+  ["an issue time in the future", { issuedAt: inMinutes(5) }, "Message issuedAt is invalid"],
+  ["a not-before time in the future", { notBefore: inMinutes(5) }, "Message is not valid yet"],
+];
+
+for (const [name, overrides, error] of REJECTED) {
+  test(`a message with ${name} is refused before its signature is checked`, async () => {
+    const login = await siweLogin(overrides);
+    const result = await authService.verifyLogin(login);
+    assert.equal(result.valid, false);
+    assert.equal(result.error, error);
+    assert.equal(contractChecks.length, 0, "no RPC call for a stale or foreign message");
+    assert.equal(nonces.size, 1, "the nonce is not spent");
+  });
+}
+
+test("a nonce the server never issued, or one past its lifetime, is refused", async () => {
+  const unknown = await siweLogin({ nonce: "0123456789abcdef0123456789abcdef" });
+  assert.equal((await authService.verifyLogin(unknown)).error, "Nonce is unknown, expired or already used");
+
+  const login = await siweLogin();
+  const { nonce } = authService.parseSiweMessage(login.message);
+  nonces.set(nonce, new Date(Date.now() - 1000));
+  assert.equal((await authService.verifyLogin(login)).error, "Nonce is unknown, expired or already used");
+});
+
+test("a message signed by another wallet, or edited after signing, is refused", async () => {
+  const forged = await siweLogin({}, stranger);
+  let result = await authService.verifyLogin(forged);
+  assert.equal(result.valid, false);
+  assert.equal(result.error, "Signature does not match the message address");
+  assert.deepEqual(contractChecks, [user.address], "a contract wallet gets its say");
+
+  const login = await siweLogin();
+  const edited = login.message.replace("Sign in to Edulocka.", "Sign in to Edulocka as admin.");
+  result = await authService.verifyLogin({ ...login, message: edited });
+  assert.equal(result.error, "Signature does not match the message address");
+  assert.equal(nonces.size, 2, "neither nonce is spent");
+});
+
+test("malformed messages and missing signatures are refused", async () => {
+  const login = await siweLogin();
+  assert.equal((await authService.verifyLogin({ message: login.message })).error, "message and signature are required");
+  assert.equal(
+    (await authService.verifyLogin({ ...login, message: login.message.replace("Chain ID", "Chain") })).error,
+    "Malformed Sign-In With Ethereum message"
+  );
+  assert.equal(authService.parseSiweMessage(`${login.message}\n`), null, "text that does not rebuild the same");
+});
+
+test("SIWE text round-trips through the parser, optional fields included", () => {
+  const fields = {
+    domain: "app.edulocka.test",
+    address: user.address,
+    statement: null,
+    uri: "https://app.edulocka.test/login",
+    version: "1",
+    chainId: CHAIN_ID,
+    nonce: "abc123",
+    issuedAt: "2026-07-01T09:00:00.000Z",
+    expirationTime: "2026-07-01T09:05:00.000Z",
+    notBefore: "2026-07-01T09:00:00.000Z",
+    requestId: "req-1",
+    resources: ["ipfs://bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4", "https://app.edulocka.test/terms"],
+  };
+  assert.deepEqual(authService.parseSiweMessage(authService.buildSiweMessage(fields)), fields);
+});
+
+// ── EIP-712 ─────────────────────────────────────────────────────────────────
+
+test("the same fields signed as EIP-712 typed data sign in, and are checked the same way", async () => {
+  const { eip712 } = authService.loginParams();
+  const fields = await loginFields();
+  const signature = await user.signTypedData(eip712.domain, eip712.types, fields);
+
+  const result = await authService.verifyLogin({ message: fields, signature });
+  assert.equal(result.valid, true);
+  assert.equal(result.method, "eip712");
+
+  const foreign = await loginFields({ domain: "evil.test" });
+  const foreignSignature = await user.signTypedData(eip712.domain, eip712.types, foreign);
+  assert.equal(
+    (await authService.verifyLogin({ message: foreign, signature: foreignSignature })).error,
+    "Message domain must be app.edulocka.test"
+  );
+
+  assert.match(
+    (await authService.verifyLogin({ message: { ...fields, address: "0x1234" }, signature })).error,
+    /^Malformed sign-in/
+  );
+});
+
+// ── Sessions ────────────────────────────────────────────────────────────────
+
+test("a session token resolves until it is revoked or expires", async () => {
+  const login = await authService.verifyLogin(await siweLogin());
+  const { token, address, expiresAt } = await authService.createSession(login, { userAgent: "test", ip: "127.0.0.1" });
+  assert.equal(address, user.address.toLowerCase());
+  assert.equal(expiresAt.getTime() - Date.now() <= authService.SESSION_TTL_MS, true);
+  assert.equal([...sessions.keys()].includes(token), false, "only the token's hash is stored");
+
+  const session = await authService.resolveSession(token);
+  assert.equal(session.address, address);
+  assert.equal(session.domain, "app.edulocka.test");
+  assert.equal(session.chainId, CHAIN_ID);
+  assert.equal(await authService.resolveSession("not-a-token"), null);
+
+  assert.equal(await authService.revokeSession(token), true);
+  assert.equal(await authService.resolveSession(token), null);
+  assert.equal(await authService.revokeSession(token), false);
+
+  const second = await authService.createSession(login);
+  for (const stored of sessions.values()) stored.expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await authService.resolveSession(second.token), null);
+});
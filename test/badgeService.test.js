@@ -0,0 +1,107 @@
+// Baked Open Badges: the credential signed for a row is written into its QR
+// code PNG and SVG, reads back out of either, and still verifies.
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { PNG } = require("pngjs");
+const { stubModules } = require("./helpers/stubModules");
+const { writeITXt } = require("../src/utils/png");
+
+const signer = new ethers.Wallet("0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d");
+
+stubModules({
+  "src/services/blockchainService": {
+    getSigner: () => signer,
+    getNetworkInfo: () => ({ chainId: 31337, contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3" }),
+    toChainTimestamp: (issueDate) => Math.floor(new Date(issueDate).getTime() / 1000),
+  },
+});
+
+const badgeService = require("../src/services/badgeService");
+const credentialService = require("../src/services/credentialService");
+const qrService = require("../src/services/qrService");
+
+// createBadges writes under output/badges; remove what these tests wrote
+const written = [];
+after(() => {
+  for (const fileName of written) fs.rmSync(badgeService.badgePath(fileName), { force: true });
+});
+
+async function createBadges(certId, fields = {}) {
+  const files = await badgeService.createBadges({
+    certId,
+    studentName: "Ada Lovelace",
+    studentId: "STU-001",
+    degree: "BSc Mathematics",
+    institution: "Edulocka University",
+    issueDate: "2026-07-01",
+    ipfsHash: "bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4",
+    ...fields,
+  });
+  written.push(files.pngFileName, files.svgFileName);
+  return {
+    png: fs.readFileSync(badgeService.badgePath(files.pngFileName)),
+    svg: fs.readFileSync(badgeService.badgePath(files.svgFileName)),
+  };
+}
+
+test("the PNG badge carries a verifiable credential and still scans to the verify page", async () => {
+  const { png } = await createBadges("TEST-BADGE-1");
+
+  const { format, credential } = badgeService.extractCredential(png);
+  assert.equal(format, "png");
+  assert.equal(credential.credentialSubject.name, "Ada Lovelace");
+  assert.equal(credential.credentialStatus.certId, "TEST-BADGE-1");
+  assert.equal(credentialService.verifyProof(credential).valid, true);
+
+  const scanned = qrService.readQRCode(PNG.sync.read(png));
+  assert.equal(scanned.certId, "TEST-BADGE-1");
+});
+
+test("the SVG badge carries the same credential, even when a value contains ]]>", async () => {
+  const { png, svg } = await createBadges("TEST-BADGE-2", { studentName: "Ada ]]> Lovelace" });
+
+  assert.match(svg.toString(), /xmlns:openbadges="https:\/\/purl.imsglobal.org\/ob\/v3p0"/);
+  const { format, credential } = badgeService.extractCredential(svg);
+  assert.equal(format, "svg");
+  assert.equal(credential.credentialSubject.name, "Ada ]]> Lovelace");
+  assert.equal(credentialService.verifyProof(credential).valid, true);
+
+  const fromPng = badgeService.extractCredential(png).credential;
+  assert.deepEqual(credential.credentialSubject, fromPng.credentialSubject);
+  assert.equal(credential.proof.proofValue, fromPng.proof.proofValue);
+});
+
+test("a credential edited inside the image no longer verifies", async () => {
+  const { png } = await createBadges("TEST-BADGE-3");
+  const credential = badgeService.extractCredential(png).credential;
+  credential.credentialSubject.achievement.name = "PhD Mathematics";
+  const rebaked = writeITXt(png, "openbadgecredential", JSON.stringify(credential));
+
+  const result = credentialService.verifyProof(badgeService.extractCredential(rebaked).credential);
+  assert.equal(result.valid, false);
+  assert.match(result.error, /Signature does not match the issuer/);
+});
+
+test("images without a usable credential are reported, and other files refused", async () => {
+  const plain = await qrService.generateQRBuffer("TEST-BADGE-4");
+  assert.deepEqual(badgeService.extractCredential(plain), {
+    format: "png",
+    credential: null,
+    error: "No baked Open Badges credential found",
+  });
+
+  const jws = writeITXt(plain, "openbadgecredential", "eyJhbGciOiJFUzI1NksifQ.e30.sig");
+  assert.equal(badgeService.extractCredential(jws).error, "Baked credential is not JSON");
+
+  const truncated = badgeService.extractCredential(plain.subarray(0, 40));
+  assert.match(truncated.error, /^Unreadable PNG: Truncated PNG chunk/);
+
+  const svg = Buffer.from(await qrService.generateQRSVG("TEST-BADGE-4"));
+  assert.equal(badgeService.extractCredential(svg).format, "svg");
+  assert.equal(badgeService.extractCredential(svg).credential, null);
+
+  assert.throws(() => badgeService.extractCredential(Buffer.from("%PDF-1.7")), /Badge must be a PNG or SVG image/);
+});
@@ -0,0 +1,70 @@
+// blockchainService against a stubbed provider: no RPC node needed.
+
+process.env.RPC_URL = "http://127.0.0.1:8545";
+process.env.RPC_CHAIN_ID = "31337";
+process.env.CONTRACT_ADDRESS = "0x9999999999999999999999999999999999999999";
+process.env.PRIVATE_KEY = `0x${"11".repeat(32)}`;
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const blockchainService = require("../src/services/blockchainService");
+
+const CONTRACT = process.env.CONTRACT_ADDRESS;
+const SIGNER = new ethers.Wallet(process.env.PRIVATE_KEY).address;
+const registry = new ethers.Interface([
+  "function revokeCertificate(string _certificateId)",
+  "function setMaxDailyCertificates(uint256 _limit)",
+]);
+
+// Mined transactions by hash: { from, to, data, status, blockNumber }
+const chain = new Map();
+const blockTimes = new Map();
+
+function mine(tx) {
+  const hash = ethers.id(`${chain.size} ${tx.data}`);
+  chain.set(hash, { status: 1, from: SIGNER, to: CONTRACT, blockNumber: 100 + chain.size, ...tx, hash });
+  return hash;
+}
+
+before(() => {
+  const provider = blockchainService.getProvider();
+  provider.getTransaction = async (hash) => chain.get(hash) || null;
+  provider.getTransactionReceipt = async (hash) => chain.get(hash) || null;
+  provider.getBlock = async (number) => ({ number, timestamp: blockTimes.get(number) ?? 1782907200 });
+});
+
+// ── Revocation Transactions ─────────────────────────────────────────────────
+
+test("a mined revocation of the certificate is found, dated by its block", async () => {
+  const txHash = mine({ data: registry.encodeFunctionData("revokeCertificate", ["CERT-2026-001-ABC"]) });
+  blockTimes.set(chain.get(txHash).blockNumber, 1782907200);
+
+  const result = await blockchainService.findRevocationTransaction("CERT-2026-001-ABC", txHash);
+  assert.equal(result.valid, true);
+  assert.equal(result.txHash, txHash);
+  assert.equal(result.revokedAt.toISOString(), "2026-07-01T12:00:00.000Z");
+});
+
+test("a random hash is rejected", async () => {
+  const txHash = ethers.hexlify(ethers.randomBytes(32));
+  const result = await blockchainService.findRevocationTransaction("CERT-2026-001-ABC", txHash);
+  assert.equal(result.valid, false);
+});
+
+test("transactions that are not this backend's revocation of the certificate are rejected", async () => {
+  const revokeData = registry.encodeFunctionData("revokeCertificate", ["CERT-2026-001-ABC"]);
+  const cases = {
+    "another certificate": { data: registry.encodeFunctionData("revokeCertificate", ["CERT-2026-002-XYZ"]) },
+    "another method": { data: registry.encodeFunctionData("setMaxDailyCertificates", [5]) },
+    "a reverted tx": { data: revokeData, status: 0 },
+    "another sender": { data: revokeData, from: ethers.Wallet.createRandom().address },
+    "another contract": { data: revokeData, to: ethers.Wallet.createRandom().address },
+    "input outside the ABI": { data: "0xdeadbeef" },
+  };
+  for (const [name, tx] of Object.entries(cases)) {
+    const result = await blockchainService.findRevocationTransaction("CERT-2026-001-ABC", mine(tx));
+    assert.equal(result.valid, false, name);
+  }
+});
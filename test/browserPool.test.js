@@ -0,0 +1,184 @@
+// Browser pool against a fake puppeteer: bounded concurrency, page reuse,
+// recycling after PDF_POOL_MAX_RENDERS and the health check.
+
+process.env.PDF_POOL_BROWSERS = "2";
+process.env.PDF_POOL_PAGES_PER_BROWSER = "2";
+process.env.PDF_POOL_MAX_RENDERS = "5";
+process.env.PDF_POOL_ACQUIRE_TIMEOUT_MS = "200";
+process.env.PDF_POOL_IDLE_TIMEOUT_MS = "400";
+process.env.PDF_POOL_HEALTH_CHECK_INTERVAL_MS = "50";
+
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { stubModules } = require("./helpers/stubModules");
+
+// ── Fake puppeteer ──────────────────────────────────────────────────────────
+
+const browsers = [];
+let failLaunch = false;
+
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  Object.assign(browser, {
+    connected: true,
+    closed: false,
+    pages: [],
+    healthy: true,
+    async newPage() {
+      let closed = false;
+      const page = { isClosed: () => closed, close: async () => (closed = true) };
+      browser.pages.push(page);
+      return page;
+    },
+    async version() {
+      if (!browser.healthy) throw new Error("Protocol error: Target closed");
+      return "HeadlessChrome/124";
+    },
+    async close() {
+      browser.closed = true;
+      browser.connected = false;
+    },
+    crash() {
+      browser.connected = false;
+      browser.emit("disconnected");
+    },
+  });
+  return browser;
+}
+
+stubModules({
+  "node_modules/puppeteer": {
+    async launch() {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      if (failLaunch) throw new Error("Failed to launch the browser process");
+      const browser = fakeBrowser();
+      browsers.push(browser);
+      return browser;
+    },
+  },
+});
+
+const browserPool = require("../src/services/browserPool");
+
+afterEach(async () => {
+  await browserPool.shutdown();
+  browsers.length = 0;
+  failLaunch = false;
+});
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+// A render that holds its page until release() is called
+function heldRender() {
+  let release;
+  const held = new Promise((resolve) => (release = resolve));
+  const done = browserPool.withPage(async (page) => {
+    await held;
+    return page;
+  });
+  return { done, release: () => release() };
+}
+
+const render = () => browserPool.withPage(async (page) => page);
+const openBrowsers = () => browsers.filter((b) => b.connected);
+const tick = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test("no more than browsers × pages render at once, and the rest queue", async () => {
+  assert.equal(browserPool.getCapacity(), 4);
+  const renders = Array.from({ length: 6 }, heldRender);
+  await tick();
+
+  assert.equal(browsers.length, 2);
+  const status = browserPool.getStatus();
+  assert.deepEqual(status.browsers.map((b) => b.active), [2, 2]);
+  assert.equal(status.waiting, 2);
+
+  for (const r of renders) r.release();
+  const pages = await Promise.all(renders.map((r) => r.done));
+  assert.equal(new Set(pages).size, 4, "the queued renders reused freed pages");
+  assert.equal(browserPool.getStatus().waiting, 0);
+});
+
+test("an idle page is reused for the next render", async () => {
+  const first = await render();
+  const second = await render();
+  assert.equal(second, first);
+  assert.equal(browsers[0].pages.length, 1);
+});
+
+test("a browser is retired after PDF_POOL_MAX_RENDERS renders and replaced on the next request", async () => {
+  for (let n = 0; n < 5; n++) await render();
+  await tick();
+  assert.equal(browsers[0].closed, true);
+  assert.equal(browserPool.getStatus().browsers.length, 0);
+
+  await render();
+  assert.equal(browsers.length, 2);
+  assert.equal(openBrowsers().length, 1);
+});
+
+test("a page whose render threw is closed, not reused", async () => {
+  let failed;
+  await assert.rejects(
+    browserPool.withPage(async (page) => {
+      failed = page;
+      throw new Error("Evaluation failed");
+    }),
+    /Evaluation failed/
+  );
+  assert.equal(failed.isClosed(), true);
+  assert.notEqual(await render(), failed);
+});
+
+test("a caller gives up after PDF_POOL_ACQUIRE_TIMEOUT_MS when every page stays busy", async () => {
+  const busy = Array.from({ length: 4 }, heldRender);
+  await tick();
+
+  await assert.rejects(render(), /PDF renderer busy — no browser page free after 200ms/);
+  assert.equal(browserPool.getStatus().waiting, 0);
+
+  for (const r of busy) r.release();
+  await Promise.all(busy.map((r) => r.done));
+});
+
+test("a browser that fails to launch is not kept, and the next request tries again", async () => {
+  failLaunch = true;
+  await assert.rejects(render(), /Failed to launch/);
+  assert.equal(browserPool.getStatus().browsers.length, 0);
+
+  failLaunch = false;
+  await render();
+  assert.equal(browsers.length, 1);
+});
+
+test("a crashed browser is dropped and replaced", async () => {
+  await render();
+  browsers[0].crash();
+  assert.equal(browserPool.getStatus().browsers.length, 0);
+
+  await render();
+  assert.equal(openBrowsers().length, 1);
+  assert.notEqual(openBrowsers()[0], browsers[0]);
+});
+
+test("the health check closes browsers that stop answering or sit idle", async () => {
+  // Three at once need a second browser
+  const renders = Array.from({ length: 3 }, heldRender);
+  for (const r of renders) r.release();
+  await Promise.all(renders.map((r) => r.done));
+  assert.equal(browsers.length, 2);
+
+  const before = browserPool.getStatus().unhealthy;
+  browsers[0].healthy = false;
+  await tick(120);
+  assert.equal(browsers[0].closed, true);
+  assert.equal(browserPool.getStatus().unhealthy, before + 1);
+  assert.equal(browsers[1].closed, false);
+
+  await tick(500);
+  assert.equal(browsers[1].closed, true, "idle past PDF_POOL_IDLE_TIMEOUT_MS");
+  assert.equal(browserPool.getStatus().browsers.length, 0);
+});
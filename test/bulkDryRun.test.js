@@ -0,0 +1,164 @@
+// Bulk dry run: estimateBatch against a stubbed provider, through the
+// /api/bulk/process handler with dryRun: true and an in-memory job.
+
+process.env.RPC_URL = "http://127.0.0.1:8545";
+process.env.RPC_CHAIN_ID = "31337";
+process.env.CONTRACT_ADDRESS = "0x9999999999999999999999999999999999999999";
+process.env.PRIVATE_KEY = `0x${"33".repeat(32)}`;
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const { stubModules, fakeResponse } = require("./helpers/stubModules");
+
+const INSTITUTION = "0x1111111111111111111111111111111111111111";
+const GWEI = 1000000000n;
+const registry = new ethers.Interface([
+  "function issueCertificate(string _certificateId, string _studentName, string _studentId, string _degree, string _institution, uint256 _issueDate, string _ipfsHash)",
+  "function certificateExistsCheck(string _certificateId) view returns (bool)",
+]);
+
+const onChain = new Set(["CERT-2026-001-ABC"]);
+let job;
+
+stubModules({
+  "src/models/BulkJob": {
+    findOne: ({ jobId, ownerWallet }) => ({
+      lean: async () => (job.jobId === jobId && job.ownerWallet === ownerWallet ? structuredClone(job) : null),
+    }),
+  },
+  "src/services/qrService": {},
+  "src/services/badgeService": {},
+  "src/services/jobQueue": { parsePriority: () => 1, PRIORITIES: { low: 0, normal: 1, high: 2 } },
+  "src/services/jobEvents": {},
+  "src/services/bulkPipeline": {
+    quotaForRows: async () => null,
+    hasCheckpoint: (cert, name) => Boolean(cert.checkpoints && cert.checkpoints[name]),
+  },
+});
+
+const blockchainService = require("../src/services/blockchainService");
+const bulkController = require("../src/controllers/bulkController");
+
+// After the models are compiled, which needs a real connection object
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+function revert(tx, reason) {
+  return ethers.makeError(`execution reverted: ${reason}`, "CALL_EXCEPTION", {
+    action: "call",
+    data: "0x",
+    reason,
+    transaction: tx,
+    invocation: null,
+    revert: null,
+  });
+}
+
+before(() => {
+  const provider = blockchainService.getProvider();
+  Object.assign(provider, {
+    async call(tx) {
+      const parsed = registry.parseTransaction({ data: tx.data });
+      const [certId] = parsed.args;
+      if (parsed.name === "certificateExistsCheck") {
+        return registry.encodeFunctionResult("certificateExistsCheck", [onChain.has(certId)]);
+      }
+      if (onChain.has(certId)) throw revert(tx, "Certificate already exists");
+      return "0x";
+    },
+    async estimateGas(tx) {
+      return this.call(tx).then(() => 120000n);
+    },
+    async getBlock() {
+      return { number: 1, baseFeePerGas: GWEI };
+    },
+    async getFeeData() {
+      return { maxPriorityFeePerGas: GWEI, gasPrice: 2n * GWEI };
+    },
+    async getBalance() {
+      return ethers.parseEther("1");
+    },
+  });
+});
+
+function record(row, certId, checkpoints = {}) {
+  return {
+    _row: row,
+    ...(certId && { certId }),
+    studentName: `Student ${row}`,
+    studentId: `S-${row}`,
+    degree: "BSc Testing",
+    institution: "Test University",
+    issueDate: "2026-07-01",
+    checkpoints,
+  };
+}
+
+async function dryRun() {
+  const res = fakeResponse();
+  await bulkController.processBatch(
+    { body: { jobId: job.jobId, dryRun: true }, institution: { address: INSTITUTION } },
+    res
+  );
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+test("a fresh upload is estimated with placeholder IDs and reported as not ID-checked", async () => {
+  job = {
+    jobId: "job-fresh",
+    ownerWallet: INSTITUTION,
+    status: "validated",
+    records: [record(2), record(3), record(4)],
+  };
+
+  const body = await dryRun();
+  assert.equal(body.wouldIssue, 3);
+  assert.ok(body.rows.every((r) => r.status === "ok" && r.placeholderId));
+  assert.deepEqual(body.counts, { ok: 3, exists: 0, duplicate: 0, revert: 0 });
+  assert.equal(body.idCheck.checkedRows, 0);
+  assert.equal(body.idCheck.skippedRows, 3);
+  assert.match(body.idCheck.note, /not checked for duplicates or certificates already on chain/);
+});
+
+test("rows that already have IDs are checked for duplicates and existing certificates", async () => {
+  job = {
+    jobId: "job-resumed",
+    ownerWallet: INSTITUTION,
+    status: "failed",
+    records: [
+      record(2, "CERT-2026-000-OLD", { idAssigned: true, txConfirmed: true }),
+      record(3, "CERT-2026-001-ABC", { idAssigned: true }),
+      record(4, "CERT-2026-002-DEF", { idAssigned: true }),
+      record(5, "CERT-2026-002-DEF", { idAssigned: true }),
+      record(6),
+    ],
+  };
+
+  const body = await dryRun();
+  assert.equal(body.estimatedRows, 4, "the confirmed row is left out");
+  assert.deepEqual(
+    body.rows.map((r) => [r.row, r.status]),
+    [[3, "exists"], [4, "ok"], [5, "duplicate"], [6, "ok"]]
+  );
+  assert.equal(body.rows[2].duplicateOfRow, 4);
+  assert.deepEqual(body.idCheck, {
+    checkedRows: 3,
+    skippedRows: 1,
+    note: "1 row(s) have no certificate ID yet (IDs are assigned when the job runs), so they were not checked for duplicates or certificates already on chain",
+  });
+  assert.equal(body.gas.total, String(2n * 120000n));
+});
+
+test("a job whose rows all have IDs carries no note", async () => {
+  job = {
+    jobId: "job-ids",
+    ownerWallet: INSTITUTION,
+    status: "failed",
+    records: [record(2, "CERT-2026-003-GHI", { idAssigned: true })],
+  };
+
+  const body = await dryRun();
+  assert.deepEqual(body.idCheck, { checkedRows: 1, skippedRows: 0 });
+});
@@ -0,0 +1,193 @@
+// Bulk jobs live in MongoDB: an upload is stored as a BulkJob and every later
+// request reads it back from there. The collection is in memory here.
+
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const mongoose = require("mongoose");
+const { stubModules, fakeResponse } = require("./helpers/stubModules");
+
+const UNIVERSITY = "0x1111111111111111111111111111111111111111";
+const COLLEGE = "0x2222222222222222222222222222222222222222";
+const REGISTRAR = "0x3333333333333333333333333333333333333333";
+
+// ── In-memory collection ────────────────────────────────────────────────────
+
+const jobs = new Map();
+
+const BulkJob = {
+  async create(doc) {
+    const now = new Date();
+    jobs.set(doc.jobId, structuredClone({ status: "validated", createdAt: now, updatedAt: now, ...doc }));
+  },
+  findOne({ jobId, ownerWallet }) {
+    const job = jobs.get(jobId);
+    return {
+      lean: async () => (job && job.ownerWallet === ownerWallet ? structuredClone(job) : null),
+    };
+  },
+};
+
+let mongoState = 1;
+stubModules({
+  "src/models/BulkJob": BulkJob,
+  "src/services/qrService": { getVerifyUrl: (certId) => `https://verify.example/${certId}` },
+  "src/services/blockchainService": {},
+  "src/services/badgeService": {},
+  "src/services/jobQueue": {
+    getQueuePosition: async () => 2,
+    isLeaseLive: (job) => Boolean(job.leaseExpiresAt && job.leaseExpiresAt > new Date()),
+  },
+  "src/services/jobEvents": {},
+  "src/services/bulkPipeline": { quotaForRows: async () => null },
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => mongoState });
+
+const bulkController = require("../src/controllers/bulkController");
+
+beforeEach(() => {
+  jobs.clear();
+  mongoState = 1;
+});
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "bulk-"));
+after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+let uploads = 0;
+function csvUpload(lines) {
+  const filePath = path.join(uploadDir, `students-${++uploads}.csv`);
+  fs.writeFileSync(filePath, lines.join("\n"));
+  return { path: filePath, originalname: "students.csv" };
+}
+
+async function upload(file) {
+  const res = fakeResponse();
+  await bulkController.uploadCSV(
+    { file, walletAddress: REGISTRAR, institution: { address: UNIVERSITY, name: "Test University" } },
+    res
+  );
+  return res;
+}
+
+async function status(jobId, institution = UNIVERSITY, query = {}) {
+  const res = fakeResponse();
+  await bulkController.getJobStatus({ params: { jobId }, query, institution: { address: institution } }, res);
+  return res;
+}
+
+function completedJob(jobId) {
+  return {
+    jobId,
+    ownerWallet: UNIVERSITY,
+    status: "completed",
+    fileName: "students.csv",
+    records: [{ _row: 2 }],
+    completedAt: new Date("2026-07-01T12:00:00Z"),
+    summary: { succeeded: 1, failed: 0 },
+    results: [
+      {
+        row: 2,
+        certId: "CERT-2026-001-ABC",
+        studentName: "Ada Lovelace",
+        studentId: "S-1",
+        degree: "BSc Mathematics",
+        institution: "Test University",
+        issueDate: "2026-07-01",
+        blockchain: { status: "success", txHash: "0xabc", blockNumber: 7, gasUsed: "90000" },
+        ipfs: { hash: "bafkreiexample", pinned: true },
+        pdf: { status: "success" },
+        qr: { status: "success" },
+      },
+    ],
+  };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test("an upload is stored with its validated rows and read back for status", async () => {
+  const res = await upload(
+    csvUpload([
+      "studentName,studentId,degree,issueDate,institution",
+      "Ada Lovelace,S-1,BSc Mathematics,2026-07-01,Somewhere Else",
+      "Alan Turing,S-2,BSc Computing,2026-07-01,",
+      ",S-3,BSc Physics,2026-07-01,",
+    ])
+  );
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(res.body.validCount, 2);
+  assert.equal(res.body.invalidCount, 1);
+  assert.equal(res.body.institutionOverrides, 1);
+
+  const stored = jobs.get(res.body.jobId);
+  assert.equal(stored.ownerWallet, UNIVERSITY);
+  assert.equal(stored.createdBy, REGISTRAR);
+  assert.equal(stored.status, "validated");
+  assert.deepEqual(stored.records.map((r) => [r.studentName, r.institution]), [
+    ["Ada Lovelace", "Test University"],
+    ["Alan Turing", "Test University"],
+  ]);
+  assert.equal(stored.invalidRecords.length, 1);
+
+  const read = await status(res.body.jobId);
+  assert.equal(read.statusCode, 200);
+  assert.equal(read.body.status, "validated");
+  assert.equal(read.body.totalRecords, 2);
+  assert.equal(read.body.fileName, "students.csv");
+});
+
+test("a finished job keeps its results, and another institution cannot see it", async () => {
+  jobs.set("job-done", completedJob("job-done"));
+
+  const full = await status("job-done");
+  assert.equal(full.body.results.length, 1);
+  assert.deepEqual(full.body.summary, { succeeded: 1, failed: 0 });
+  assert.equal((await status("job-done", UNIVERSITY, { results: "false" })).body.results, undefined);
+
+  const other = await status("job-done", COLLEGE);
+  assert.equal(other.statusCode, 404);
+});
+
+test("a processing job without a live worker lease is reported as interrupted", async () => {
+  jobs.set("job-live", {
+    ...completedJob("job-live"),
+    status: "processing",
+    leaseExpiresAt: new Date(Date.now() + 30000),
+  });
+  jobs.set("job-dead", {
+    ...completedJob("job-dead"),
+    status: "processing",
+    leaseExpiresAt: new Date(Date.now() - 1000),
+  });
+
+  assert.equal((await status("job-live")).body.interrupted, undefined);
+  assert.equal((await status("job-dead")).body.interrupted, true);
+});
+
+test("the Excel report is built from the stored results", async () => {
+  jobs.set("job-done", completedJob("job-done"));
+  const res = fakeResponse();
+  await bulkController.generateReport({ params: { jobId: "job-done" }, institution: { address: UNIVERSITY } }, res);
+
+  assert.equal(res.statusCode, 200);
+  const workbook = XLSX.read(res.body);
+  const [row] = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+  assert.equal(row["Certificate ID"], "CERT-2026-001-ABC");
+  assert.equal(row["IPFS Pinned"], "Yes");
+  assert.equal(row["Verify URL"], "https://verify.example/CERT-2026-001-ABC");
+});
+
+test("without MongoDB uploads are refused and the file is removed", async () => {
+  mongoState = 0;
+  const file = csvUpload(["studentName,studentId,degree,issueDate", "Ada Lovelace,S-1,BSc,2026-07-01"]);
+
+  const res = await upload(file);
+  assert.equal(res.statusCode, 503);
+  assert.equal(fs.existsSync(file.path), false);
+  assert.equal(jobs.size, 0);
+  assert.equal((await status("anything")).statusCode, 503);
+});
@@ -0,0 +1,312 @@
+// The bulk pipeline against stubbed services: every phase records its
+// checkpoint per row, a resumed job only redoes what is missing, and rows
+// over the daily quota are deferred.
+
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { stubModules } = require("./helpers/stubModules");
+
+const INSTITUTION = "0x1111111111111111111111111111111111111111";
+const pdfDir = fs.mkdtempSync(path.join(os.tmpdir(), "pipeline-"));
+after(() => fs.rmSync(pdfDir, { recursive: true, force: true }));
+
+// ── Stubbed services ────────────────────────────────────────────────────────
+
+const calls = {};
+const onChain = new Set(); // certIds the chain already has
+const quota = { granted: null, remaining: 10, resetsAt: new Date("2026-07-02T00:00:00Z") };
+let jobUpdates = [];
+let nextId = 0;
+let afterPin = null; // (certId) => void, called once a row is pinned
+
+function record(name, ...args) {
+  (calls[name] = calls[name] || []).push(args);
+}
+
+stubModules({
+  "src/models/BulkJob": {
+    async updateOne(filter, update) {
+      jobUpdates.push(update.$set);
+    },
+  },
+  "src/services/blockchainService": {
+    async generateCertificateId() {
+      record("generateCertificateId");
+      return `CERT-2026-${String(++nextId).padStart(3, "0")}-NEW`;
+    },
+    async certificateExists(certId) {
+      record("certificateExists", certId);
+      return onChain.has(certId);
+    },
+    getProvider: () => ({
+      async getTransactionReceipt(txHash) {
+        return { hash: txHash, blockNumber: 42, gasUsed: 90000n };
+      },
+    }),
+    async issueBatch(certificates, onProgress, hooks) {
+      record("issueBatch", certificates.map((c) => c.certId));
+      const results = [];
+      for (let n = 0; n < certificates.length; n++) {
+        if (hooks.shouldStop()) break;
+        const txHash = `0x${String(n + 1).padStart(64, "0")}`;
+        await hooks.onSubmitted(n, txHash);
+        onChain.add(certificates[n].certId);
+        const result = { index: n, certId: certificates[n].certId, status: "success", txHash, blockNumber: 7, gasUsed: 90000 };
+        results.push(result);
+        await hooks.onResult(result);
+      }
+      return { results, succeeded: results.length, failed: 0, total: certificates.length };
+    },
+  },
+  "src/services/ipfsService": { computeContentHash: (buffer) => `sha256:${buffer.length}` },
+  "src/services/pinService": {
+    async pinDocument(buffer, fileName, meta) {
+      record("pinDocument", meta.certId);
+      if (afterPin) afterPin(meta.certId);
+      return { ipfsHash: `bafk-${meta.certId}`, pinned: true, provider: "kubo", gateway: null };
+    },
+  },
+  "src/services/pdfService": {
+    async bulkGeneratePDFs(templateName, certs) {
+      record("bulkGeneratePDFs", certs.map((c) => c.certId));
+      return certs.map((cert) => {
+        const fileName = `${cert.certId}.pdf`;
+        const filePath = path.join(pdfDir, fileName);
+        const buffer = Buffer.from(`%PDF ${cert.certId}`);
+        fs.writeFileSync(filePath, buffer);
+        return { status: "success", fileName, filePath, buffer };
+      });
+    },
+  },
+  "src/services/qrService": {
+    async bulkGenerateQR(certs) {
+      record("bulkGenerateQR", certs.map((c) => c.certId));
+      return certs.map((cert) => ({ status: "success", fileName: `${cert.certId}.png` }));
+    },
+  },
+  "src/services/emailService": { isEmailConfigured: () => false },
+  "src/services/certificateRegistry": {
+    async recordManyIssued(rows) {
+      record("recordManyIssued", rows.map((r) => r.certId));
+    },
+  },
+  "src/services/certificateManifest": { buildManifest: () => ({}) },
+  "src/services/badgeService": {},
+  "src/services/jobEvents": {
+    publish: async () => {},
+    publishStatus: async (jobId, status) => record("publishStatus", status),
+  },
+  "src/services/quotaService": {
+    async getQuota() {
+      if (quota.remaining === null) throw new Error("RPC unreachable");
+      return { scope: "platform", limit: 10, usedToday: 10 - quota.remaining, inFlight: 0, remaining: quota.remaining, resetsAt: quota.resetsAt };
+    },
+    async reserve(count) {
+      const granted = quota.granted === null ? count : Math.min(count, quota.granted);
+      record("reserve", count);
+      return {
+        granted,
+        quota: { scope: "platform", limit: 10, usedToday: 0, inFlight: 0, remaining: granted, resetsAt: quota.resetsAt },
+      };
+    },
+    async release(reservation, count) {
+      record("release", count);
+    },
+  },
+});
+
+const { processPipeline, isRowFinished, quotaForRows } = require("../src/services/bulkPipeline");
+
+beforeEach(() => {
+  for (const name of Object.keys(calls)) delete calls[name];
+  onChain.clear();
+  quota.granted = null;
+  quota.remaining = 10;
+  jobUpdates = [];
+  afterPin = null;
+});
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function row(n, fields = {}) {
+  return {
+    _row: n + 1,
+    studentName: `Student ${n}`,
+    studentId: `S-${n}`,
+    degree: "BSc Testing",
+    institution: "Test University",
+    issueDate: "2026-07-01",
+    checkpoints: {},
+    ...fields,
+  };
+}
+
+function job(records, fields = {}) {
+  return { jobId: "job-1", ownerWallet: INSTITUTION, createdBy: INSTITUTION, records, ...fields };
+}
+
+const lastUpdate = () => Object.assign({}, ...jobUpdates.filter((u) => u.status || u.results));
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test("a fresh job passes every row through each phase, recording checkpoints", async () => {
+  const records = [row(1), row(2), row(3)];
+  await processPipeline(job(records), { templateName: "default-certificate", sendEmails: false });
+
+  assert.equal(calls.generateCertificateId.length, 3);
+  assert.deepEqual(calls.issueBatch, [[records.map((r) => r.certId)]]);
+  for (const cert of records) {
+    assert.deepEqual(Object.keys(cert.checkpoints).filter((k) => cert.checkpoints[k]), [
+      "idAssigned",
+      "pdfGenerated",
+      "ipfsUploaded",
+      "txSubmitted",
+      "txConfirmed",
+      "qrGenerated",
+    ]);
+    assert.equal(cert.ipfsHash, `bafk-${cert.certId}`);
+    assert.ok(isRowFinished(cert, { sendEmails: false, badges: false }));
+  }
+  // Row checkpoints are persisted by index
+  assert.ok(jobUpdates.some((u) => u["records.2.checkpoints.txConfirmed"] === true));
+
+  const final = lastUpdate();
+  assert.equal(final.status, "completed");
+  assert.equal(final.summary.blockchainSuccess, 3);
+  assert.equal(final.summary.unfinished, 0);
+  assert.deepEqual(calls.recordManyIssued, [[records.map((r) => r.certId)]]);
+  assert.deepEqual(calls.publishStatus, [["completed"]]);
+});
+
+test("a resumed job only redoes the steps each row is missing", async () => {
+  const existingPdf = path.join(pdfDir, "CERT-2026-900-PDF.pdf");
+  fs.writeFileSync(existingPdf, "%PDF rendered before the crash");
+
+  const finished = row(1, {
+    certId: "CERT-2026-800-DONE",
+    checkpoints: { idAssigned: true, pdfGenerated: true, ipfsUploaded: true, txSubmitted: true, txConfirmed: true, qrGenerated: true },
+  });
+  const minedUnrecorded = row(2, {
+    certId: "CERT-2026-801-MINED",
+    ipfsHash: "bafk-mined",
+    blockchain: { txHash: "0xmined" },
+    checkpoints: { idAssigned: true, pdfGenerated: true, ipfsUploaded: true, txSubmitted: true },
+  });
+  const rendered = row(3, {
+    certId: "CERT-2026-900-PDF",
+    pdf: { status: "success", fileName: "CERT-2026-900-PDF.pdf", filePath: existingPdf },
+    checkpoints: { idAssigned: true, pdfGenerated: true },
+  });
+  const fresh = row(4, { certId: "CERT-2026-901-ID", checkpoints: { idAssigned: true } });
+  onChain.add(finished.certId);
+  onChain.add(minedUnrecorded.certId);
+
+  await processPipeline(job([finished, minedUnrecorded, rendered, fresh]), {
+    templateName: "default-certificate",
+    sendEmails: false,
+    resuming: true,
+  });
+
+  assert.equal(calls.generateCertificateId, undefined, "IDs are kept");
+  assert.deepEqual(calls.bulkGeneratePDFs, [[[fresh.certId]]], "a PDF still on disk is not re-rendered");
+  assert.deepEqual(calls.pinDocument.flat(), [rendered.certId, fresh.certId]);
+  assert.deepEqual(
+    calls.certificateExists.flat(),
+    [minedUnrecorded.certId, rendered.certId, fresh.certId],
+    "unconfirmed rows are checked on chain first"
+  );
+  assert.deepEqual(calls.issueBatch, [[[rendered.certId, fresh.certId]]], "nothing is issued twice");
+  assert.deepEqual(calls.bulkGenerateQR, [[[minedUnrecorded.certId, rendered.certId, fresh.certId]]]);
+
+  assert.equal(minedUnrecorded.blockchain.reconciled, true);
+  assert.equal(minedUnrecorded.blockchain.blockNumber, 42);
+  assert.equal(minedUnrecorded.blockchain.txHash, "0xmined");
+  assert.equal(lastUpdate().summary.blockchainSuccess, 4);
+  assert.equal(lastUpdate().status, "completed");
+});
+
+test("a stopped job records what it issued and rethrows the stop", async () => {
+  const records = [row(1), row(2), row(3)];
+  const signal = { stopReason: null };
+  afterPin = (certId) => {
+    if (certId === records[1].certId) signal.stopReason = "cancelled";
+  };
+
+  await assert.rejects(
+    processPipeline(job(records), { templateName: "default-certificate", sendEmails: false, signal }),
+    (err) => {
+      assert.equal(err.stopReason, "cancelled");
+      assert.equal(err.summary.unfinished, 3);
+      return true;
+    }
+  );
+
+  assert.equal(calls.issueBatch, undefined, "the chain phase never started");
+  assert.ok(records[0].checkpoints.ipfsUploaded && records[1].checkpoints.ipfsUploaded);
+  assert.ok(!records[2].checkpoints.ipfsUploaded);
+  assert.equal(lastUpdate().status, undefined, "the worker sets the final status");
+  assert.equal(lastUpdate().results.length, 3);
+});
+
+// ── Daily quota ─────────────────────────────────────────────────────────────
+
+test("rows over today's quota are deferred, and a split job is scheduled after the reset", async () => {
+  quota.granted = 2;
+  const records = [row(1), row(2), row(3), row(4), row(5)];
+  await processPipeline(job(records, { splitAcrossDays: true }), { templateName: "default-certificate", sendEmails: false });
+
+  assert.deepEqual(calls.reserve, [[5]]);
+  assert.deepEqual(calls.issueBatch, [[records.slice(0, 2).map((r) => r.certId)]]);
+  assert.deepEqual(calls.release, [[2]], "only the granted slots were held");
+  for (const cert of records.slice(2)) {
+    assert.equal(cert.blockchain.status, "deferred");
+    assert.equal(cert.blockchain.error, "Daily issuance limit reached — scheduled for 2026-07-02T00:02:00.000Z");
+    assert.ok(!cert.checkpoints.txSubmitted, "a later run picks the row up");
+  }
+  assert.deepEqual(calls.bulkGenerateQR, [[records.slice(0, 2).map((r) => r.certId)]]);
+
+  const { quota: outlook } = jobUpdates.find((u) => u.quota);
+  assert.equal(outlook.fitsToday, false);
+  assert.equal(outlook.daysNeeded, 2);
+
+  const final = lastUpdate();
+  assert.equal(final.status, "scheduled");
+  assert.equal(final.scheduledFor.toISOString(), "2026-07-02T00:02:00.000Z");
+  assert.equal(final.summary.quotaDeferred, 3);
+  assert.equal(final.summary.blockchainSuccess, 2);
+  assert.deepEqual(calls.publishStatus, [["scheduled"]]);
+});
+
+test("without splitAcrossDays deferred rows wait for a resume, which issues only them", async () => {
+  quota.granted = 1;
+  const records = [row(1), row(2), row(3)];
+  await processPipeline(job(records), { templateName: "default-certificate", sendEmails: false });
+
+  assert.equal(records[1].blockchain.error, "Daily issuance limit reached — resume the job after the daily reset");
+  assert.equal(lastUpdate().status, "completed");
+  assert.equal(lastUpdate().summary.unfinished, 2);
+
+  for (const name of Object.keys(calls)) delete calls[name];
+  quota.granted = null;
+  await processPipeline(job(records), { templateName: "default-certificate", sendEmails: false, resuming: true });
+
+  assert.deepEqual(calls.issueBatch, [[[records[1].certId, records[2].certId]]]);
+  assert.equal(calls.pinDocument, undefined, "earlier phases are not redone");
+  assert.equal(lastUpdate().summary.unfinished, 0);
+  assert.equal(lastUpdate().summary.quotaDeferred, 0);
+});
+
+test("the quota preview says how many days a job needs, or nothing when the chain is unreachable", async () => {
+  quota.remaining = 4;
+  const outlook = await quotaForRows(25);
+  assert.equal(outlook.requested, 25);
+  assert.equal(outlook.fitsToday, false);
+  assert.equal(outlook.daysNeeded, 4);
+  assert.equal((await quotaForRows(4)).fitsToday, true);
+
+  quota.remaining = null;
+  assert.equal(await quotaForRows(4), null);
+});
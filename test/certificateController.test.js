@@ -0,0 +1,688 @@
+// Certificate controller against in-memory models and stubbed services.
+// Run with: npm test
+
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { stubModules, fakeResponse } = require("./helpers/stubModules");
+const { computeCid, verifyCid } = require("../src/utils/cid");
+
+const SIGNER = "0x5555555555555555555555555555555555555555";
+const NETWORK = { chainId: 31337, contractAddress: "0x9999999999999999999999999999999999999999" };
+const INSTITUTION = "0x1111111111111111111111111111111111111111";
+const OTHER_INSTITUTION = "0x2222222222222222222222222222222222222222";
+
+const UNIVERSITY = { address: INSTITUTION, name: "Test University", isAuthorized: true };
+const NAMES = { [INSTITUTION]: "Test University", [OTHER_INSTITUTION]: "Other College" };
+const GRADUATE = {
+  studentName: "Ada Lovelace",
+  studentId: "S-1",
+  degree: "BSc Mathematics",
+  issueDate: "2026-06-30",
+};
+
+// ── In-memory collections ───────────────────────────────────────────────────
+
+const issued = new Map(); // IssuedCertificate by certId
+const indexed = []; // IndexedCertificate rows, as the event indexer writes them
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (value && Array.isArray(value.$in)) return value.$in.includes(doc[key]);
+    if (value && typeof value === "object" && "$ne" in value) return doc[key] !== value.$ne;
+    return doc[key] === value;
+  });
+}
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    lean: async () => result,
+  };
+  return chain;
+}
+
+const IssuedCertificate = {
+  collection: { name: "issuedcertificates" },
+  async updateOne(filter, update) {
+    const current = issued.get(filter.certId);
+    issued.set(filter.certId, { ...current, ...update.$set });
+    return { acknowledged: true };
+  },
+  async distinct(field, filter) {
+    return [...issued.values()].filter((doc) => matches(doc, filter)).map((doc) => doc[field]);
+  },
+  findOne(filter) {
+    return query([...issued.values()].find((doc) => matches(doc, filter)) || null);
+  },
+};
+
+let failRevocationWrites = false;
+const revocations = new Map(); // CertificateRevocation by certId
+const CertificateRevocation = {
+  collection: { name: "certificaterevocations" },
+  async create(fields) {
+    if (failRevocationWrites) throw new Error("connection reset");
+    const doc = { notification: {}, ...fields, save: async () => doc };
+    revocations.set(fields.certId, doc);
+    return doc;
+  },
+  findOne(filter) {
+    return query(revocations.get(filter.certId) || null);
+  },
+};
+
+// Applies the leading $match, the registry lookup and the caller's wallet
+// from the $match after it, then joins recorded revocations
+const IndexedCertificate = {
+  async aggregate(pipeline) {
+    const wallet = pipeline[2].$match.$or[1]["registry.issuedBy"];
+    const rows = indexed
+      .filter((doc) => matches(doc, pipeline[0].$match))
+      .filter((doc) => !issued.has(doc.certId) || issued.get(doc.certId).issuedBy === wallet)
+      .map((doc) => ({ ...doc, revocation: revocations.get(doc.certId) || null }));
+    return [{ rows, total: rows.length ? [{ count: rows.length }] : [] }];
+  },
+};
+
+// ── Stubbed services ────────────────────────────────────────────────────────
+
+const outbox = []; // emails handed to emailService
+
+let nextId = 0;
+const revocationTxs = new Map(); // revocation txs the chain has mined, by hash
+
+// Issuing "mines" the transaction and lets the indexer see it straight away.
+// The contract records msg.sender — always the backend signer — as issuer.
+const blockchainService = {
+  async generateCertificateId() {
+    nextId += 1;
+    return `EDU-TEST-${nextId}`;
+  },
+  async issueCertificate(cert) {
+    const txHash = `0x${String(nextId).padStart(64, "0")}`;
+    indexed.push({
+      certId: cert.certId,
+      studentName: cert.studentName,
+      studentId: cert.studentId,
+      degree: cert.degree,
+      institution: cert.institution,
+      issueDate: new Date(cert.issueDate),
+      ipfsHash: cert.ipfsHash,
+      issuer: SIGNER.toLowerCase(),
+      txHash,
+      blockNumber: nextId,
+    });
+    return { txHash, blockNumber: nextId, gasUsed: "21000" };
+  },
+  async revokeCertificate(certId) {
+    indexed.find((doc) => doc.certId === certId).isValid = false;
+    const txHash = `0x${crypto.createHash("sha256").update(`revoke ${certId}`).digest("hex")}`;
+    revocationTxs.set(txHash, { certId, blockNumber: nextId + 1, revokedAt: new Date("2026-07-01T12:00:00Z") });
+    return { txHash, blockNumber: nextId + 1 };
+  },
+  async findRevocationTransaction(certId, txHash) {
+    const tx = revocationTxs.get(txHash);
+    if (!tx || tx.certId !== certId) return { valid: false, error: "Transaction not found or not yet mined" };
+    return { valid: true, txHash, blockNumber: tx.blockNumber, revokedAt: tx.revokedAt };
+  },
+  getNetworkInfo: () => NETWORK,
+  async verifyCertificate(certId) {
+    const row = indexed.find((doc) => doc.certId === certId);
+    if (!row) return { exists: false };
+    return {
+      exists: true,
+      isValid: true,
+      ...row,
+      issueDate: Math.floor(row.issueDate.getTime() / 1000),
+    };
+  },
+};
+
+// Pinned documents by CID; storageDown makes the driver fail like an
+// unreachable node
+const pinned = new Map();
+let storageDown = false;
+
+// No network in tests: every public gateway is unreachable
+const gatewayRequests = [];
+global.fetch = async (url) => {
+  gatewayRequests.push(url);
+  throw new Error("getaddrinfo ENOTFOUND");
+};
+
+const rendered = []; // [templateName, certId] for every re-render
+const pageImages = new Map(); // PDF text -> images on its page
+const scanned = []; // images handed to the QR reader
+let metadataStripped = false;
+
+// Issued PDFs carry their certId in the bytes; extractMetadata reads back the
+// manifest built for it, as pdfService does from the embedded XMP
+const manifests = new Map();
+const pdfService = {
+  async savePDF(template, cert) {
+    return {
+      buffer: Buffer.from(`%PDF-1.7 ${cert.certId}`),
+      fileName: `${cert.certId}.pdf`,
+      filePath: `/nonexistent/${cert.certId}.pdf`,
+    };
+  },
+  async extractMetadata(buffer) {
+    if (metadataStripped) return { info: {}, manifest: null };
+    const certId = buffer.toString().match(/EDU-TEST-\d+/)?.[0];
+    return { info: {}, manifest: manifests.get(certId) || null };
+  },
+  async extractImages(buffer, { filter }) {
+    return (pageImages.get(buffer.toString()) || []).filter(filter);
+  },
+  async generatePDF(templateName, cert) {
+    rendered.push([templateName, cert.certId]);
+    return Buffer.from(`%PDF-1.7 ${cert.certId} rendered with ${templateName}`);
+  },
+  watermarkPDF: async (buffer) => Buffer.concat([buffer, Buffer.from(" NOT VERIFIABLE")]),
+};
+
+const certificateManifest = {
+  async buildManifest(cert, { issuerWallet }) {
+    const manifest = {
+      ...cert,
+      issueDate: Math.floor(new Date(cert.issueDate).getTime() / 1000),
+      issuer: SIGNER,
+      issuerWallet,
+      ...NETWORK,
+    };
+    manifests.set(cert.certId, manifest);
+    return manifest;
+  },
+  verifyManifest: () => ({ valid: true, signer: SIGNER }),
+};
+
+stubModules({
+  "src/models/IssuedCertificate": IssuedCertificate,
+  "src/models/IndexedCertificate": IndexedCertificate,
+  "src/models/CertificateRevocation": CertificateRevocation,
+  "src/models/BulkJob": { findOne: () => query(null), find: () => query([]) },
+  "src/services/blockchainService": blockchainService,
+  "src/services/indexerService": {
+    getStatus: () => ({ backfilled: true, lastIndexedBlock: nextId }),
+    // The contract reports the certificate invalid once revoked
+    async refreshRevocation(certId) {
+      const row = indexed.find((doc) => doc.certId === certId);
+      row.revoked = row.isValid === false;
+      return row.revoked;
+    },
+  },
+  "src/services/certificateManifest": certificateManifest,
+  "src/services/pdfService": pdfService,
+  "src/services/ipfsService": {
+    computeContentHash: (buffer) => crypto.createHash("sha256").update(buffer).digest("hex"),
+    verifyCid,
+    async retrieve(cid) {
+      if (storageDown) throw new Error("connect ECONNREFUSED");
+      return pinned.has(cid) ? { buffer: pinned.get(cid), provider: "local" } : null;
+    },
+  },
+  "src/services/pinService": {
+    async pinDocument(buffer) {
+      const ipfsHash = computeCid(buffer);
+      pinned.set(ipfsHash, buffer);
+      return { ipfsHash, pinned: true, provider: "local", gateway: null };
+    },
+  },
+  "src/services/qrService": {
+    saveQRToFile: async (certId) => ({ fileName: `${certId}.png` }),
+    generateQRDataURL: async () => "data:image/png;base64,",
+    getVerifyUrl: (certId) => `http://localhost:3000/verify/${certId}`,
+    readQRCode(image) {
+      scanned.push(image);
+      return image.certId ? { certId: image.certId } : null;
+    },
+  },
+  "src/services/quotaService": {
+    reserve: async (count) => ({ granted: count, quota: null }),
+    release: async () => {},
+  },
+  "src/services/emailService": {
+    async sendCertificateEmail(email) {
+      outbox.push(email);
+      return { sent: true, messageId: `<${outbox.length}@test>` };
+    },
+    async sendRevocationEmail(email) {
+      outbox.push(email);
+      return { sent: true };
+    },
+  },
+});
+
+// Controllers check for a live MongoDB connection before querying
+const mongoose = require("mongoose");
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const certificateController = require("../src/controllers/certificateController");
+
+const fileDir = fs.mkdtempSync(path.join(os.tmpdir(), "certificates-"));
+after(() => fs.rmSync(fileDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  pinned.clear();
+  storageDown = false;
+  gatewayRequests.length = 0;
+  rendered.length = 0;
+  pageImages.clear();
+  scanned.length = 0;
+  metadataStripped = false;
+  issued.clear();
+  indexed.length = 0;
+  manifests.clear();
+  outbox.length = 0;
+  revocations.clear();
+  revocationTxs.clear();
+  failRevocationWrites = false;
+});
+
+async function issue(institution, body) {
+  const res = fakeResponse();
+  await certificateController.issueSingle(
+    { body, institution, walletAddress: institution.address },
+    res
+  );
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body.certId;
+}
+
+async function inspect(buffer) {
+  const res = fakeResponse();
+  await certificateController.inspectCertificate(
+    { file: { buffer, originalname: "upload.pdf", mimetype: "application/pdf" } },
+    res
+  );
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+async function sendEmail(body) {
+  const res = fakeResponse();
+  await certificateController.sendEmail({ body }, res);
+  return res;
+}
+
+async function revoke(certId, body) {
+  const res = fakeResponse();
+  await certificateController.revokeCertificate(
+    { params: { certId }, body, walletAddress: INSTITUTION, institution: UNIVERSITY },
+    res
+  );
+  return res;
+}
+
+async function list(address, query = {}) {
+  const res = fakeResponse();
+  await certificateController.listCertificates({ query, institution: { address, name: NAMES[address] } }, res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+// ── Issue ───────────────────────────────────────────────────────────────────
+
+test("a certificate is issued under the caller's institution, whatever the body says", async () => {
+  const staff = "0x3333333333333333333333333333333333333333";
+  const res = fakeResponse();
+  await certificateController.issueSingle(
+    { body: { ...GRADUATE, institution: "Somewhere Else" }, institution: UNIVERSITY, walletAddress: staff },
+    res
+  );
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+
+  const { certId } = res.body;
+  assert.equal(indexed.find((doc) => doc.certId === certId).institution, "Test University");
+  const record = issued.get(certId);
+  assert.equal(record.institution, "Test University");
+  assert.equal(record.issuedBy, INSTITUTION);
+  assert.equal(record.requestedBy, staff);
+  assert.equal(manifests.get(certId).issuerWallet, INSTITUTION);
+});
+
+// ── List ────────────────────────────────────────────────────────────────────
+
+test("a certificate issued through /certificates/issue is listed for its institution", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+
+  const { certificates, pagination } = await list(INSTITUTION);
+  assert.equal(pagination.total, 1);
+  assert.equal(certificates[0].certId, certId);
+  assert.equal(certificates[0].institution, "Test University");
+  assert.equal(certificates[0].status, "valid");
+});
+
+test("certificates are not listed for other institutions", async () => {
+  await issue(UNIVERSITY, GRADUATE);
+
+  const { certificates, pagination } = await list(OTHER_INSTITUTION);
+  assert.equal(pagination.total, 0);
+  assert.deepEqual(certificates, []);
+});
+
+// Mined before the registry existed: in the index, with no IssuedCertificate
+function indexLegacy(certId, institution) {
+  indexed.push({
+    certId,
+    studentName: "Grace Hopper",
+    studentId: "S-0",
+    degree: "BSc Mathematics",
+    institution,
+    issueDate: new Date("2020-06-30"),
+    ipfsHash: null,
+    issuer: SIGNER.toLowerCase(),
+    txHash: `0x${"ab".repeat(32)}`,
+    blockNumber: 1,
+  });
+}
+
+test("certificates issued before the registry are listed by institution name", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  indexLegacy("EDU-LEGACY-1", "Test University");
+  indexLegacy("EDU-LEGACY-2", "Other College");
+
+  const { certificates } = await list(INSTITUTION);
+  assert.deepEqual(certificates.map((c) => c.certId).sort(), ["EDU-LEGACY-1", certId].sort());
+});
+
+test("a registry record for another wallet wins over a matching name", async () => {
+  const certId = await issue({ ...UNIVERSITY, address: OTHER_INSTITUTION }, GRADUATE);
+
+  assert.equal(indexed[0].institution, "Test University");
+  assert.equal((await list(INSTITUTION)).pagination.total, 0);
+  assert.equal((await list(OTHER_INSTITUTION)).certificates[0].certId, certId);
+});
+
+test("status follows the chain even when the revocation was never recorded", async () => {
+  const revokedId = await issue(UNIVERSITY, GRADUATE);
+  const validId = await issue(UNIVERSITY, { ...GRADUATE, studentId: "S-2" });
+  failRevocationWrites = true;
+  assert.equal((await revoke(revokedId, { reason: "Issued in error" })).statusCode, 200);
+
+  const all = await list(INSTITUTION);
+  const byId = new Map(all.certificates.map((c) => [c.certId, c]));
+  assert.equal(byId.get(revokedId).status, "revoked");
+  assert.deepEqual(byId.get(revokedId).revocation, { reason: null, revokedAt: null });
+  assert.equal(byId.get(validId).status, "valid");
+
+  const revoked = await list(INSTITUTION, { status: "revoked" });
+  assert.deepEqual(revoked.certificates.map((c) => c.certId), [revokedId]);
+  const valid = await list(INSTITUTION, { status: "valid" });
+  assert.deepEqual(valid.certificates.map((c) => c.certId), [validId]);
+});
+
+// ── Inspect ─────────────────────────────────────────────────────────────────
+
+test("the issued PDF is verified by its bytes, not only its manifest", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+
+  const result = await inspect(Buffer.from(`%PDF-1.7 ${certId}`));
+  assert.equal(result.onChain.matches, true);
+  assert.deepEqual(result.document, { checked: true, matches: true, against: "ipfsHash" });
+  assert.equal(result.verified, true);
+});
+
+test("a manifest copied into another PDF is not verified", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+
+  const result = await inspect(Buffer.from(`%PDF-1.7 ${certId} with a different grade`));
+  assert.equal(result.signature.valid, true);
+  assert.equal(result.onChain.matches, true);
+  assert.equal(result.document.matches, false);
+  assert.equal(result.verified, false);
+});
+
+test("legacy hashes fall back to the recorded document hash, or give no verdict", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  const row = indexed.find((doc) => doc.certId === certId);
+  row.ipfsHash = "QmLegacyUnverifiableHash";
+  const upload = Buffer.from(`%PDF-1.7 ${certId}`);
+
+  let result = await inspect(upload);
+  assert.deepEqual(result.document, { checked: false, reason: result.document.reason });
+  assert.equal(result.verified, null);
+
+  issued.get(certId).ipfs.hash = row.ipfsHash;
+  result = await inspect(upload);
+  assert.deepEqual(result.document, { checked: true, matches: true, against: "documentHash" });
+  assert.equal(result.verified, true);
+});
+
+// ── Verify file ─────────────────────────────────────────────────────────────
+
+// Points the registry record at a file on disk holding `contents`
+function keepLocalCopy(certId, contents) {
+  const filePath = path.join(fileDir, `${certId}.pdf`);
+  fs.writeFileSync(filePath, contents);
+  issued.get(certId).pdf.filePath = filePath;
+}
+
+async function verifyFile(buffer, body = {}) {
+  const res = fakeResponse();
+  await certificateController.verifyCertificateDocument(
+    { file: { buffer, originalname: "upload.pdf", mimetype: "application/pdf" }, body },
+    res
+  );
+  return res;
+}
+
+test("without a certId the certificate is read from the PDF's embedded metadata", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+
+  const res = await verifyFile(Buffer.from(`%PDF-1.7 ${certId}`));
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(res.body.certId, certId);
+  assert.equal(res.body.resolvedBy, "metadata");
+  assert.equal(res.body.ipfs.source, "storage");
+  assert.equal(res.body.verified, true);
+  assert.deepEqual(scanned, [], "the QR code is not needed");
+});
+
+test("a PDF without metadata is identified by the QR code on its page", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  metadataStripped = true;
+  const printed = "%PDF-1.7 printed and scanned";
+  pageImages.set(printed, [
+    { width: 600, height: 80, name: "banner" },
+    { width: 10, height: 10, name: "icon" },
+    { width: 164, height: 164, certId },
+  ]);
+
+  const res = await verifyFile(Buffer.from(printed));
+  assert.equal(res.body.certId, certId);
+  assert.equal(res.body.resolvedBy, "qr");
+  assert.deepEqual(scanned.map((image) => image.width), [164], "only square, QR-sized images are decoded");
+  assert.equal(res.body.match.sha256, false);
+  assert.equal(res.body.verified, false);
+});
+
+test("a PDF with neither is found by its document hash, or needs a certId", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  metadataStripped = true;
+
+  const res = await verifyFile(Buffer.from(`%PDF-1.7 ${certId}`));
+  assert.equal(res.body.resolvedBy, "documentHash");
+  assert.equal(res.body.verified, true);
+
+  const unknown = await verifyFile(Buffer.from("%PDF-1.7 never issued"));
+  assert.equal(unknown.statusCode, 404);
+  assert.match(unknown.body.message, /Provide certId/);
+
+  const named = await verifyFile(Buffer.from("%PDF-1.7 never issued"), { certId });
+  assert.equal(named.body.resolvedBy, "request");
+  assert.equal(named.body.verified, false);
+});
+
+test("with storage and gateways unreachable the upload is checked against the local original", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  const original = `%PDF-1.7 ${certId}`;
+  keepLocalCopy(certId, original);
+  storageDown = true;
+
+  const res = await verifyFile(Buffer.from(original));
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(res.body.ipfs.source, "local");
+  assert.match(res.body.ipfs.gatewayError, /ECONNREFUSED/);
+  assert.equal(res.body.verified, true);
+
+  // A local file that no longer matches the issued hash is not a reference
+  keepLocalCopy(certId, `${original} edited on disk`);
+  const tampered = await verifyFile(Buffer.from(original));
+  assert.equal(tampered.statusCode, 502);
+  assert.match(tampered.body.error, /Unable to fetch IPFS document/);
+});
+
+// ── Download ────────────────────────────────────────────────────────────────
+
+async function download(certId, query = {}) {
+  const res = fakeResponse();
+  await certificateController.generatePDF({ params: { certId }, query }, res);
+  return res;
+}
+
+test("the PDF endpoint serves the issued bytes, with their hash and CID", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  const original = Buffer.from(`%PDF-1.7 ${certId}`);
+
+  const res = await download(certId);
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.equals(original));
+  assert.equal(res.headers["x-document-sha256"], crypto.createHash("sha256").update(original).digest("hex"));
+  assert.equal(res.headers["x-ipfs-cid"], computeCid(original));
+  assert.equal(res.headers["x-document-source"], "ipfs");
+  assert.equal(res.headers["x-document-verifiable"], "true");
+  assert.deepEqual(rendered, [], "nothing is re-rendered");
+});
+
+test("the local file is served while it still matches the issued hash", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  const original = `%PDF-1.7 ${certId}`;
+
+  keepLocalCopy(certId, original);
+  let res = await download(certId);
+  assert.equal(res.headers["x-document-source"], "local");
+  assert.equal(res.body.toString(), original);
+
+  keepLocalCopy(certId, `${original} edited on disk`);
+  res = await download(certId);
+  assert.equal(res.headers["x-document-source"], "ipfs");
+  assert.equal(res.body.toString(), original);
+});
+
+test("without a stored original the endpoint points at an explicit re-render", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  pinned.clear();
+
+  const res = await download(certId);
+  assert.equal(res.statusCode, 502);
+  assert.match(res.body.error, /Original certificate PDF unavailable/);
+  assert.match(res.body.hint, /render=true/);
+  assert.equal(gatewayRequests.length, 2, "public gateways were tried");
+  assert.deepEqual(rendered, []);
+});
+
+test("render=true re-renders with the requested template and watermarks the copy", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+
+  const res = await download(certId, { render: "true", template: "modern" });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(rendered, [["modern", certId]]);
+  assert.match(res.body.toString(), /rendered with modern NOT VERIFIABLE$/);
+  assert.equal(res.headers["x-document-verifiable"], "false");
+  assert.equal(res.headers["content-disposition"], `inline; filename="${certId}-copy.pdf"`);
+  assert.equal(res.headers["x-document-sha256"], undefined);
+});
+
+test("certificates issued before the registry are served by their on-chain CID", async () => {
+  const original = Buffer.from("%PDF-1.7 issued before the registry");
+  indexLegacy("EDU-LEGACY-1", "Test University");
+  indexed[0].ipfsHash = computeCid(original);
+  pinned.set(indexed[0].ipfsHash, original);
+
+  const res = await download("EDU-LEGACY-1");
+  assert.ok(res.body.equals(original));
+  assert.equal((await download("EDU-MISSING-1")).statusCode, 404);
+});
+
+// ── Email ───────────────────────────────────────────────────────────────────
+
+test("a recorded certificate is only emailed to its recorded address", async () => {
+  const certId = await issue(UNIVERSITY, { ...GRADUATE, email: "ada@example.edu" });
+  outbox.length = 0;
+
+  const res = await sendEmail({ certId, to: "someone@example.com" });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(outbox.map((email) => email.to), ["ada@example.edu"]);
+  assert.equal(issued.get(certId).emailDelivery.messageId, "<1@test>");
+});
+
+test("a recorded certificate without an email address is not sent anywhere", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+
+  const res = await sendEmail({ certId, to: "someone@example.com" });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(outbox, []);
+});
+
+test("certificates issued before the registry use the request body", async () => {
+  const res = await sendEmail({ certId: "EDU-LEGACY-1", to: "grad@example.com", studentName: "Grace Hopper" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(outbox[0].to, "grad@example.com");
+  assert.equal(outbox[0].studentName, "Grace Hopper");
+});
+
+// ── Revoke ──────────────────────────────────────────────────────────────────
+
+test("a revocation is recorded with its reason and tx", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+
+  const res = await revoke(certId, { reason: "Issued in error" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.recorded, true);
+  assert.equal(revocations.get(certId).reason, "Issued in error");
+  assert.equal(issued.get(certId).status, "revoked");
+});
+
+test("a revocation that reached the chain but not MongoDB is flagged and can be recorded later", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  failRevocationWrites = true;
+
+  let res = await revoke(certId, { reason: "Issued in error", notifyEmail: "ada@example.edu" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.recorded, false);
+  const { txHash } = res.body.revocation;
+  assert.match(txHash, /^0x[0-9a-f]{64}$/);
+  assert.equal(issued.get(certId).status, "revoked");
+  assert.equal(outbox.length, 1);
+
+  failRevocationWrites = false;
+  res = await revoke(certId, { reason: "Issued in error" });
+  assert.equal(res.statusCode, 409);
+  assert.ok(res.body.hint);
+
+  res = await revoke(certId, { reason: "Issued in error", txHash });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.recorded, true);
+  assert.equal(revocations.get(certId).txHash, txHash);
+  assert.equal(revocations.get(certId).revokedAt.toISOString(), "2026-07-01T12:00:00.000Z");
+
+  res = await revoke(certId, { reason: "Issued in error", txHash });
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.revocation.txHash, txHash);
+});
+
+test("a made-up txHash does not record a revocation", async () => {
+  const certId = await issue(UNIVERSITY, GRADUATE);
+  failRevocationWrites = true;
+  await revoke(certId, { reason: "Issued in error" });
+  failRevocationWrites = false;
+
+  const res = await revoke(certId, { reason: "Issued in error", txHash: `0x${"12".repeat(32)}` });
+  assert.equal(res.statusCode, 400);
+  assert.equal(revocations.size, 0);
+});
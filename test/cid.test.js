@@ -0,0 +1,53 @@
+// Locally computed CIDs against the values `ipfs add --cid-version=1` gives
+// for the same bytes (default 256 KiB chunker, raw leaves, balanced layout).
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeCid, parseCid, isVerifiableCid, verifyCid } = require("../src/utils/cid");
+
+const CHUNK = 262144;
+
+// Byte i is i % 251, so chunks differ from one another
+function pattern(length) {
+  const buffer = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) buffer[i] = i % 251;
+  return buffer;
+}
+
+const KNOWN = [
+  ["an empty file", Buffer.alloc(0), "bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku"],
+  ["a short text file", Buffer.from("hello world\n"), "bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4"],
+  ["a file of exactly one chunk", pattern(CHUNK), "bafkreibruh455iawsviqslif5c7uurdcfdemh22mtnytyzvnzn75kpejxy"],
+  ["one byte over a chunk", pattern(CHUNK + 1), "bafybeiexg2oqkfnj56l7fcmawswqbijt5shq4b5rg6a546uwpkqqzwjioi"],
+  ["a file of three chunks", pattern(600000), "bafybeicp64het67shnhxiyl3sg5mylxqop6pnqsqpfecb6pmni2ghoxzom"],
+];
+
+for (const [name, buffer, cid] of KNOWN) {
+  test(`${name} gets the CID Kubo assigns`, () => {
+    assert.equal(computeCid(buffer), cid);
+    assert.equal(verifyCid(buffer, cid), true);
+  });
+}
+
+test("more than 174 chunks add a second level of nodes", () => {
+  const buffer = pattern(CHUNK * 174 + 1);
+  assert.equal(computeCid(buffer), "bafybeib4y7ghw2rq7bracc4xwtxrbzo7cfvagdpte2tmrkgwl6dyard3cm");
+});
+
+test("a changed byte changes the CID", () => {
+  const buffer = pattern(CHUNK + 1);
+  buffer[CHUNK] ^= 1;
+  assert.equal(verifyCid(buffer, "bafybeiexg2oqkfnj56l7fcmawswqbijt5shq4b5rg6a546uwpkqqzwjioi"), false);
+});
+
+test("CIDs computeCid cannot reproduce are reported as unverifiable", () => {
+  const raw = parseCid("bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4");
+  assert.equal(raw.version, 1);
+  assert.equal(raw.codec, 0x55);
+  assert.equal(raw.digest.length, 32);
+
+  // CIDv0 (dag-pb, base58) is valid IPFS but not what computeCid produces
+  assert.equal(verifyCid(Buffer.from("hello world\n"), "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o"), null);
+  assert.equal(isVerifiableCid("not a cid"), false);
+  assert.equal(parseCid("bafk!"), null);
+});
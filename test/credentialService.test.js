@@ -0,0 +1,140 @@
+// Verifiable Credentials signed by a throwaway wallet: the proof checks out
+// as issued, and any edit to the document, the proof or the issuer breaks it.
+
+process.env.PUBLIC_API_URL = "https://api.edulocka.test/";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { stubModules } = require("./helpers/stubModules");
+
+const CHAIN_ID = 31337;
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const signer = new ethers.Wallet("0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d");
+const stranger = new ethers.Wallet("0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a");
+
+stubModules({
+  "src/services/blockchainService": {
+    getSigner: () => signer,
+    getNetworkInfo: () => ({ chainId: CHAIN_ID, contractAddress: CONTRACT }),
+  },
+});
+
+const credentialService = require("../src/services/credentialService");
+
+const CERTIFICATE = {
+  exists: true,
+  studentName: "Ada Lovelace",
+  studentId: "STU-001",
+  degree: "BSc Mathematics",
+  institution: "Edulocka University",
+  issueDate: 1782864000,
+  ipfsHash: "bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4",
+  issuer: signer.address,
+};
+
+const issue = () => credentialService.buildCredential("CERT-1", CERTIFICATE);
+
+// ── Issued ──────────────────────────────────────────────────────────────────
+
+test("an issued credential carries a proof that recovers to its did:pkh issuer", async () => {
+  const credential = await issue();
+  assert.equal(credential.issuer.id, `did:pkh:eip155:${CHAIN_ID}:${signer.address}`);
+  assert.equal(credential.id, "https://api.edulocka.test/api/certificates/CERT-1/credential");
+  assert.equal(credential.credentialStatus.id, "https://api.edulocka.test/api/certificates/CERT-1/status");
+  assert.equal(credential.validFrom, "2026-07-01T00:00:00.000Z");
+  assert.equal(credential.evidence.id, `ipfs://${CERTIFICATE.ipfsHash}`);
+  assert.equal(credential.proof.type, "EthereumEip712Signature2021");
+  assert.deepEqual(credential.proof.eip712.domain, {
+    name: "Edulocka Verifiable Credential",
+    version: "1",
+    chainId: CHAIN_ID,
+    verifyingContract: CONTRACT,
+  });
+
+  const result = credentialService.verifyProof(credential);
+  assert.equal(result.valid, true);
+  assert.equal(result.recoveredAddress, signer.address);
+  assert.deepEqual(result.issuer, { chainId: CHAIN_ID, address: signer.address });
+
+  // What a verifier gets after a round trip through JSON
+  assert.equal(credentialService.verifyProof(JSON.parse(JSON.stringify(credential))).valid, true);
+});
+
+test("a certificate issued by another wallet cannot be exported by this backend", async () => {
+  await assert.rejects(
+    credentialService.buildCredential("CERT-2", { ...CERTIFICATE, issuer: stranger.address }),
+    (err) => err.code === "ISSUER_MISMATCH" && /not by this backend's signer/.test(err.message)
+  );
+});
+
+// ── Tampered ────────────────────────────────────────────────────────────────
+
+const TAMPERED = [
+  ["an edited subject", (c) => (c.credentialSubject.name = "Mallory"), /Signature does not match the issuer/],
+  ["an edited date", (c) => (c.validFrom = "2020-01-01T00:00:00.000Z"), /Signature does not match the issuer/],
+  ["an added field", (c) => (c.credentialSubject.honours = "First Class"), /Signature does not match the issuer/],
+  ["a removed field", (c) => delete c.evidence, /Signature does not match the issuer/],
+  ["another contract in the domain", (c) => (c.proof.eip712.domain.verifyingContract = signer.address), /Signature does not match/],
+  ["another chain in the domain", (c) => (c.proof.eip712.domain.chainId = 1), /domain chainId does not match the issuer DID/],
+  ["another issuer DID", (c) => (c.issuer.id = `did:pkh:eip155:${CHAIN_ID}:${stranger.address}`), /Signature does not match the issuer/],
+  ["an issuer that is not did:pkh", (c) => (c.issuer.id = "did:web:edulocka.test"), /not a did:pkh:eip155 account/],
+  ["a truncated signature", (c) => (c.proof.proofValue = c.proof.proofValue.slice(0, 60)), /Malformed credential or proof/],
+  ["an unsupported value", (c) => (c.credentialSubject.credits = 180), /Malformed credential or proof: Unsupported value at credential.credentialSubject.credits/],
+  ["another proof type", (c) => (c.proof.type = "Ed25519Signature2020"), /Expected a EthereumEip712Signature2021 proof/],
+  ["no proof", (c) => delete c.proof, /Expected a EthereumEip712Signature2021 proof/],
+  ["no proof value", (c) => delete c.proof.proofValue, /missing proofValue or eip712.domain/],
+];
+
+for (const [name, tamper, error] of TAMPERED) {
+  test(`a credential with ${name} fails verification`, async () => {
+    const credential = await issue();
+    tamper(credential);
+    const result = credentialService.verifyProof(credential);
+    assert.equal(result.valid, false);
+    assert.match(result.error, error);
+  });
+}
+
+test("a credential re-signed by another wallet recovers that wallet, not the issuer", async () => {
+  const credential = await issue();
+  const { proof, ...document } = credential;
+  const { domain, types } = proof.eip712;
+  delete types.EIP712Domain;
+  proof.proofValue = await stranger.signTypedData(domain, types, document);
+
+  const result = credentialService.verifyProof(credential);
+  assert.equal(result.valid, false);
+  assert.equal(result.recoveredAddress, stranger.address);
+  assert.match(result.error, /Signature does not match the issuer/);
+});
+
+test("nothing to verify is an error result, not an exception", () => {
+  assert.equal(credentialService.verifyProof(null).valid, false);
+  assert.equal(credentialService.verifyProof({}).valid, false);
+});
+
+// ── Chain ───────────────────────────────────────────────────────────────────
+
+test("the credential is compared field by field with the certificate on chain", async () => {
+  const credential = await issue();
+  assert.equal(credentialService.compareWithChain(credential, CERTIFICATE).matches, true);
+
+  const { fields, matches } = credentialService.compareWithChain(credential, { ...CERTIFICATE, degree: "MSc Physics" });
+  assert.equal(matches, false);
+  assert.equal(fields.degree, false);
+  assert.equal(fields.studentName, true);
+});
+
+test("the credential names its certificate and whether it is on this deployment", async () => {
+  const credential = await issue();
+  assert.deepEqual(credentialService.credentialTarget(credential), {
+    certId: "CERT-1",
+    chainId: CHAIN_ID,
+    contractAddress: CONTRACT,
+    sameDeployment: true,
+  });
+
+  credential.credentialStatus.chainId = "1";
+  assert.equal(credentialService.credentialTarget(credential).sameDeployment, false);
+});
@@ -0,0 +1,207 @@
+// Contract wallet (EIP-1271) sign-in through authService's signature check,
+// with mock wallets that behave like this contract
+// (test/fixtures/MockERC1271Wallet.json, solc 0.8.24):
+//
+//   contract MockERC1271Wallet {
+//       address public owner;
+//       constructor(address _owner) { owner = _owner; }
+//       function isValidSignature(bytes32 hash, bytes calldata signature)
+//           external view returns (bytes4)
+//       {
+//           require(signature.length == 65, "invalid signature length");
+//           bytes32 r = bytes32(signature[0:32]);
+//           bytes32 s = bytes32(signature[32:64]);
+//           uint8 v = uint8(signature[64]);
+//           return ecrecover(hash, v, r, s) == owner ? bytes4(0x1626ba7e) : bytes4(0xffffffff);
+//       }
+//   }
+//
+// Most cases run against a stubbed provider. The last one deploys the mock to
+// a local node at RPC_URL (`npx hardhat node`) and is skipped without one.
+
+process.env.RPC_URL = "http://127.0.0.1:8545";
+process.env.RPC_CHAIN_ID = "31337";
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const blockchainService = require("../src/services/blockchainService");
+const authService = require("../src/services/authService");
+const mockWallet = require("./fixtures/MockERC1271Wallet.json");
+
+const EIP1271 = new ethers.Interface([
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+]);
+
+const owner = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+const wallet = ethers.Wallet.createRandom().address; // the stubbed mock
+const registry = ethers.Wallet.createRandom().address; // a contract without isValidSignature
+
+function revert(tx, message) {
+  return ethers.makeError(`execution reverted: ${message}`, "CALL_EXCEPTION", {
+    action: "call",
+    data: "0x",
+    reason: message,
+    transaction: tx,
+    invocation: null,
+    revert: null,
+  });
+}
+
+function stubProvider() {
+  const provider = blockchainService.getProvider();
+  const contracts = new Set([wallet, registry]);
+
+  provider.getCode = async (address) => (contracts.has(ethers.getAddress(address)) ? "0x6001" : "0x");
+  provider.call = async (tx) => {
+    const to = ethers.getAddress(tx.to);
+    if (to === registry) return "0x";
+    if (to !== wallet) throw new Error(`unexpected call to ${to}`);
+
+    const [hash, signature] = EIP1271.decodeFunctionData("isValidSignature", tx.data);
+    let signer;
+    try {
+      signer = ethers.recoverAddress(hash, signature);
+    } catch {
+      throw revert(tx, "invalid signature length");
+    }
+    const magic = signer === owner.address ? "0x1626ba7e" : "0xffffffff";
+    return EIP1271.encodeFunctionResult("isValidSignature", [magic]);
+  };
+}
+
+// Back to the real JSON-RPC methods
+function unstubProvider() {
+  const provider = blockchainService.getProvider();
+  delete provider.getCode;
+  delete provider.call;
+}
+
+function loginFields(address) {
+  const params = authService.loginParams();
+  return {
+    domain: params.domain,
+    address,
+    statement: params.statement,
+    uri: params.uri,
+    version: params.version,
+    chainId: params.chainId,
+    nonce: ethers.hexlify(ethers.randomBytes(16)).slice(2),
+    issuedAt: new Date().toISOString(),
+  };
+}
+
+// The mock checks an ECDSA signature by its owner over the raw digest
+function signDigest(key, digest) {
+  return key.signingKey.sign(digest).serialized;
+}
+
+const siweDigest = () => authService.loginDigest(authService.buildSiweMessage(loginFields(wallet))).digest;
+
+describe("stubbed provider", () => {
+  before(stubProvider);
+  after(unstubProvider);
+
+  // ── Accepted ────────────────────────────────────────────────────────────────
+
+  test("SIWE signed for the contract wallet by its owner", async () => {
+    const digest = siweDigest();
+    const result = await authService.verifySignature(wallet, digest, signDigest(owner, digest));
+    assert.deepEqual(result, { valid: true, signatureType: "eip1271" });
+  });
+
+  test("EIP-712 Login signed for the contract wallet by its owner", async () => {
+    const { method, digest } = authService.loginDigest(loginFields(wallet));
+    assert.equal(method, "eip712");
+    const result = await authService.verifySignature(wallet, digest, signDigest(owner, digest));
+    assert.deepEqual(result, { valid: true, signatureType: "eip1271" });
+  });
+
+  test("SIWE signed by an account key needs no contract call", async () => {
+    const message = authService.buildSiweMessage(loginFields(owner.address));
+    const { digest } = authService.loginDigest(message);
+    const result = await authService.verifySignature(owner.address, digest, await owner.signMessage(message));
+    assert.deepEqual(result, { valid: true, signatureType: "ecdsa" });
+  });
+
+  // ── Rejected ────────────────────────────────────────────────────────────────
+
+  test("SIWE signed for the contract wallet by someone else", async () => {
+    const digest = siweDigest();
+    const result = await authService.verifySignature(wallet, digest, signDigest(stranger, digest));
+    assert.equal(result.valid, false);
+    assert.match(result.error, /did not accept/);
+  });
+
+  test("empty signature for the contract wallet", async () => {
+    const result = await authService.verifySignature(wallet, siweDigest(), "0x");
+    assert.equal(result.valid, false);
+    assert.match(result.error, /did not accept/);
+  });
+
+  test("account without code, wrong signer", async () => {
+    const digest = siweDigest();
+    const result = await authService.verifySignature(stranger.address, digest, signDigest(owner, digest));
+    assert.equal(result.valid, false);
+    assert.match(result.error, /does not match/);
+  });
+
+  test("contract without isValidSignature", async () => {
+    const digest = siweDigest();
+    const result = await authService.verifySignature(registry, digest, signDigest(owner, digest));
+    assert.equal(result.valid, false);
+    assert.match(result.error, /did not accept/);
+  });
+});
+
+// ── Local node ──────────────────────────────────────────────────────────────
+
+const HARDHAT_ACCOUNT_0 = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+async function nodeAnswers(provider) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, 2000, false);
+  });
+  try {
+    return await Promise.race([provider.send("eth_chainId", []).then(() => true, () => false), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+test("a mock wallet deployed on a local node accepts only its owner's sign-ins", async (t) => {
+  const provider = blockchainService.getProvider();
+  if (!(await nodeAnswers(provider))) {
+    t.skip(`no node at ${process.env.RPC_URL}`);
+    return;
+  }
+
+  const deployer = new ethers.Wallet(HARDHAT_ACCOUNT_0, provider);
+  const factory = new ethers.ContractFactory(mockWallet.abi, mockWallet.bytecode, deployer);
+  const deployed = await factory.deploy(owner.address);
+  await deployed.waitForDeployment();
+  const address = await deployed.getAddress();
+
+  const siwe = authService.loginDigest(authService.buildSiweMessage(loginFields(address))).digest;
+  const typed = authService.loginDigest(loginFields(address)).digest;
+
+  assert.deepEqual(await authService.verifySignature(address, siwe, signDigest(owner, siwe)), {
+    valid: true,
+    signatureType: "eip1271",
+  });
+  assert.deepEqual(await authService.verifySignature(address, typed, signDigest(owner, typed)), {
+    valid: true,
+    signatureType: "eip1271",
+  });
+
+  const byStranger = await authService.verifySignature(address, siwe, signDigest(stranger, siwe));
+  assert.equal(byStranger.valid, false);
+  assert.match(byStranger.error, /did not accept/);
+
+  const empty = await authService.verifySignature(address, siwe, "0x");
+  assert.equal(empty.valid, false);
+  assert.match(empty.error, /did not accept/);
+});
@@ -0,0 +1,64 @@
+// ============================================================================
+// Test helper — Swap repo modules for in-memory stand-ins
+// ============================================================================
+// Lets controllers and services run without MongoDB, an RPC node or a
+// browser. Call before requiring the module under test.
+
+const Module = require("module");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+/**
+ * Serve `exports` for each repo path (relative to the repo root) instead of
+ * loading the real module.
+ * @param {Object<string, *>} stubs - e.g. { "src/models/BulkJob": fakeBulkJob }
+ * @returns {Function} Restores the real loader
+ */
+function stubModules(stubs) {
+  const byFile = new Map(
+    Object.entries(stubs).map(([file, exports]) => [require.resolve(path.join(ROOT, file)), exports])
+  );
+  const load = Module._load;
+  Module._load = function (request, parent, isMain) {
+    const file = Module._resolveFilename(request, parent, isMain);
+    if (byFile.has(file)) return byFile.get(file);
+    return load.apply(this, arguments);
+  };
+  return () => {
+    Module._load = load;
+  };
+}
+
+/**
+ * Minimal Express response double.
+ * @returns {object} res with .statusCode, .body and .headers after the handler ran
+ */
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+  };
+}
+
+module.exports = {
+  ROOT,
+  stubModules,
+  fakeResponse,
+};
@@ -0,0 +1,317 @@
+// The event indexer against an in-memory chain and in-memory collections:
+// confirmations depth, batching, calldata recovery, institution state folding
+// and the revoked-flag pass.
+
+process.env.CONTRACT_ADDRESS = "0x9999999999999999999999999999999999999999";
+process.env.RPC_URL = "http://127.0.0.1:8545";
+process.env.INDEXER_CONFIRMATIONS = "2";
+process.env.INDEXER_BLOCK_BATCH_SIZE = "5";
+process.env.INDEXER_POLL_INTERVAL_MS = "600000";
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const { stubModules } = require("./helpers/stubModules");
+
+const ADMIN = "0x0000000000000000000000000000000000000a11";
+const UNIVERSITY = "0x1111111111111111111111111111111111111111";
+const MULTISIG = "0x4444444444444444444444444444444444444444";
+
+const registry = new ethers.Interface([
+  "function issueCertificate(string _certificateId, string _studentName, string _studentId, string _degree, string _institution, uint256 _issueDate, string _ipfsHash)",
+  "function execTransaction(address to, bytes data)",
+]);
+
+// ── Chain ───────────────────────────────────────────────────────────────────
+
+const chain = {
+  head: 0,
+  logs: [], // { event, blockNumber, ... }
+  txs: new Map(), // hash -> { data, value }
+  revoked: new Set(),
+  queries: [], // [event, from, to]
+  certificateReads: [],
+};
+
+let nextLog = 0;
+function txHash() {
+  return `0x${String(++nextLog).padStart(64, "0")}`;
+}
+
+// An issueCertificate call, sent straight to the registry or through a wrapper
+function issued(blockNumber, certId, { via = null } = {}) {
+  const hash = txHash();
+  const call = registry.encodeFunctionData("issueCertificate", [
+    certId,
+    `Student ${certId}`,
+    `S-${certId}`,
+    "BSc Testing",
+    "Test University",
+    1782864000,
+    `bafk-${certId}`,
+  ]);
+  chain.txs.set(hash, {
+    data: via ? registry.encodeFunctionData("execTransaction", [process.env.CONTRACT_ADDRESS, call]) : call,
+    value: 0n,
+  });
+  chain.logs.push({
+    event: "CertificateIssued",
+    fragment: { name: "CertificateIssued" },
+    topics: [ethers.id("CertificateIssued(string,string,string,address,uint256)"), ethers.id(certId)],
+    args: Object.assign([ethers.id(certId), `Student ${certId}`, "Test University", via || UNIVERSITY, 1782864000n], {
+      studentName: `Student ${certId}`,
+      institution: "Test University",
+      issuer: via || UNIVERSITY,
+      timestamp: 1782864000n,
+    }),
+    transactionHash: hash,
+    index: 0,
+    blockNumber,
+    blockHash: `0xb${blockNumber}`,
+    certId,
+  });
+}
+
+function institutionEvent(blockNumber, event, index = 0) {
+  const args =
+    event === "InstitutionAdded"
+      ? Object.assign([UNIVERSITY, ADMIN, "Test University", "REG-1", "GB"], {
+          name: "Test University",
+          registrationNumber: "REG-1",
+          country: "GB",
+        })
+      : [UNIVERSITY, ADMIN];
+  chain.logs.push({
+    event,
+    fragment: { name: event },
+    topics: [],
+    args,
+    transactionHash: txHash(),
+    index,
+    blockNumber,
+    blockHash: `0xb${blockNumber}`,
+  });
+}
+
+const provider = {
+  async getBlockNumber() {
+    return chain.head;
+  },
+  async getBlock(blockNumber) {
+    return { number: blockNumber, timestamp: 1782864000 + blockNumber * 12 };
+  },
+  async getTransaction(hash) {
+    return chain.txs.get(hash) || null;
+  },
+};
+
+const contract = {
+  interface: registry,
+  async queryFilter(event, from, to) {
+    chain.queries.push([event, from, to]);
+    return chain.logs.filter((log) => log.event === event && log.blockNumber >= from && log.blockNumber <= to);
+  },
+  async totalRevocations() {
+    return BigInt(chain.revoked.size);
+  },
+  async getCertificate(certId) {
+    chain.certificateReads.push(certId);
+    return { exists: true, isValid: !chain.revoked.has(certId) };
+  },
+};
+
+// ── In-memory collections ───────────────────────────────────────────────────
+
+const db = { certificates: [], institutions: new Map(), events: [], state: null, revocations: 0 };
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    async *cursor() {
+      yield* result;
+    },
+  };
+  return chain;
+}
+
+const IndexedCertificate = {
+  async updateOne(filter, update) {
+    if (filter._id) {
+      Object.assign(db.certificates.find((c) => c._id === filter._id), update.$set);
+      return;
+    }
+    let doc = db.certificates.find((c) => c.txHash === filter.txHash && c.logIndex === filter.logIndex);
+    if (!doc) db.certificates.push((doc = { _id: db.certificates.length + 1, ...filter }));
+    Object.assign(doc, update.$set);
+  },
+  async updateMany({ certId }, update) {
+    for (const doc of db.certificates.filter((c) => c.certId === certId)) Object.assign(doc, update.$set);
+  },
+  find() {
+    return query(db.certificates.filter((c) => c.certId !== null && c.revoked !== true));
+  },
+  async countDocuments() {
+    return db.certificates.length;
+  },
+  async aggregate() {
+    const counts = new Map();
+    for (const c of db.certificates) counts.set(c.issuer, (counts.get(c.issuer) || 0) + 1);
+    return [...counts].map(([_id, count]) => ({ _id, count }));
+  },
+};
+
+const IndexedInstitution = {
+  // Same outcome as the real upsert: a newer row makes the filter miss, and
+  // the insert that follows hits the unique address index
+  async updateOne(filter, update) {
+    const existing = db.institutions.get(filter.address);
+    if (existing) {
+      const [older, sameBlock] = filter.$or;
+      const applies =
+        existing.lastEventBlock < older.lastEventBlock.$lt ||
+        (existing.lastEventBlock === sameBlock.lastEventBlock &&
+          existing.lastEventLogIndex < sameBlock.lastEventLogIndex.$lt);
+      if (!applies) throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    db.institutions.set(filter.address, { address: filter.address, ...existing, ...update.$set });
+  },
+  find() {
+    return query([...db.institutions.values()]);
+  },
+  async countDocuments() {
+    return [...db.institutions.values()].filter((i) => i.state !== "removed").length;
+  },
+};
+
+const IndexerState = {
+  async findOne() {
+    return db.state;
+  },
+  async create(doc) {
+    db.state = { backfilledAt: null, revocationTotal: null, ...doc, save: async () => {} };
+    return db.state;
+  },
+  async updateOne() {},
+};
+
+stubModules({
+  "src/services/blockchainService": { getProvider: () => provider, getReadContract: () => contract },
+  "src/models/IndexedCertificate": IndexedCertificate,
+  "src/models/IndexedInstitution": IndexedInstitution,
+  "src/models/InstitutionEvent": {
+    async updateOne(filter, update) {
+      if (!db.events.some((e) => e.txHash === filter.txHash && e.logIndex === filter.logIndex)) {
+        db.events.push({ ...filter, ...update.$set });
+      }
+    },
+  },
+  "src/models/IndexerState": IndexerState,
+  "src/models/CertificateRevocation": { countDocuments: async () => db.revocations },
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const indexerService = require("../src/services/indexerService");
+
+// The first pass (on an empty chain) runs from start(); later passes are
+// driven by the tests, and the poll timer is far enough out never to fire
+before(async () => {
+  indexerService.start();
+  while (!indexerService.getStatus().lastRunAt) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+});
+after(() => indexerService.stop());
+
+beforeEach(() => {
+  chain.queries.length = 0;
+  chain.certificateReads.length = 0;
+});
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test("the backfill stops at the confirmation depth and reads in batches", async () => {
+  assert.equal(indexerService.isReady(), true, "an empty chain is backfilled at once");
+
+  institutionEvent(2, "InstitutionAdded");
+  issued(3, "CERT-2026-001-ABC");
+  issued(8, "CERT-2026-002-DEF", { via: MULTISIG });
+  institutionEvent(9, "InstitutionSuspended");
+  issued(11, "CERT-2026-003-GHI");
+  chain.head = 12;
+
+  await indexerService.runOnce();
+
+  const status = indexerService.getStatus();
+  assert.equal(status.lastIndexedBlock, 10);
+  assert.equal(status.chainHead, 12);
+  assert.equal(status.lagBlocks, 2);
+  assert.deepEqual(
+    chain.queries.filter(([event]) => event === "CertificateIssued").map(([, from, to]) => [from, to]),
+    [[0, 4], [5, 9], [10, 10]]
+  );
+  assert.deepEqual(db.certificates.map((c) => c.certIdHash), [ethers.id("CERT-2026-001-ABC"), ethers.id("CERT-2026-002-DEF")]);
+});
+
+test("plain IDs are recovered from issueCertificate calldata, not from a wrapper's", () => {
+  const [direct, wrapped] = db.certificates;
+  assert.equal(direct.certId, "CERT-2026-001-ABC");
+  assert.equal(direct.studentId, "S-CERT-2026-001-ABC");
+  assert.equal(direct.ipfsHash, "bafk-CERT-2026-001-ABC");
+  assert.equal(direct.issuer, UNIVERSITY);
+  assert.equal(direct.issueDate.toISOString(), "2026-07-01T00:00:00.000Z");
+
+  assert.equal(wrapped.certId, null);
+  assert.equal(wrapped.studentName, "Student CERT-2026-002-DEF");
+  assert.equal(wrapped.issuer, MULTISIG);
+});
+
+test("institution events fold into the latest state, and a replay does not undo it", async () => {
+  assert.equal(db.institutions.get(UNIVERSITY).state, "suspended");
+  assert.deepEqual(db.events.map((e) => e.event), ["InstitutionAdded", "InstitutionSuspended"]);
+  assert.equal(db.events[0].blockTimestamp.getTime(), (1782864000 + 2 * 12) * 1000);
+
+  // A crash after the logs were applied but before the cursor was saved
+  db.state.lastIndexedBlock = 0;
+  await indexerService.runOnce();
+
+  assert.equal(db.institutions.get(UNIVERSITY).state, "suspended");
+  assert.equal(db.certificates.length, 2);
+  assert.equal(db.events.length, 2);
+
+  const [institution] = await indexerService.getInstitutions();
+  assert.equal(institution.address, ethers.getAddress(UNIVERSITY));
+  assert.equal(institution.isActive, false);
+  assert.equal(institution.isAuthorized, true);
+  assert.equal(institution.totalIssued, 1, "rows issued through the wrapper count for the wrapper");
+});
+
+test("blocks reach the index once they are deep enough", async () => {
+  institutionEvent(13, "InstitutionReactivated");
+  chain.head = 15;
+  await indexerService.runOnce();
+
+  assert.equal(indexerService.getStatus().lastIndexedBlock, 13);
+  assert.deepEqual(db.certificates.map((c) => c.certId), ["CERT-2026-001-ABC", null, "CERT-2026-003-GHI"]);
+  assert.equal(db.institutions.get(UNIVERSITY).state, "active");
+  assert.deepEqual(await indexerService.getStats(), { totalCertificates: 3, totalInstitutions: 1, totalRevocations: 0 });
+});
+
+test("revoked flags are only re-read when the on-chain revocation count changes", async () => {
+  await indexerService.runOnce();
+  assert.deepEqual(chain.certificateReads, [], "count unchanged since the last pass");
+
+  chain.revoked.add("CERT-2026-003-GHI");
+  await indexerService.runOnce();
+  assert.deepEqual(chain.certificateReads, ["CERT-2026-001-ABC", "CERT-2026-003-GHI"], "rows without a plain ID are skipped");
+  assert.equal(db.certificates[2].revoked, true);
+
+  chain.certificateReads.length = 0;
+  chain.revoked.add("CERT-2026-001-ABC");
+  assert.equal(await indexerService.refreshRevocation("CERT-2026-001-ABC"), true);
+  assert.equal(db.certificates[0].revoked, true);
+  assert.deepEqual(chain.certificateReads, ["CERT-2026-001-ABC"]);
+});
@@ -0,0 +1,194 @@
+// Suspending an institution blocks issuance through the permission gate, and
+// reactivating it lifts the block. The admin endpoints run against an
+// in-memory application record and a stubbed contract.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { stubModules, fakeResponse } = require("./helpers/stubModules");
+
+const ADMIN = "0x0000000000000000000000000000000000000a11";
+const INSTITUTION = "0x1111111111111111111111111111111111111111";
+
+// ── State ───────────────────────────────────────────────────────────────────
+
+const chain = {
+  name: "Test University",
+  registrationNumber: "REG-1",
+  country: "GB",
+  isActive: true,
+  authorizedDate: 1767225600,
+  totalIssued: 0,
+  isAuthorized: true,
+};
+
+const application = {
+  walletAddress: INSTITUTION,
+  institutionName: "Test University",
+  contactEmail: "registrar@test.example",
+  status: "approved",
+  suspended: false,
+  suspendedDate: null,
+  suspensionReason: null,
+  suspensionHistory: [],
+};
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => doc[key] === value);
+}
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    lean: async () => result,
+  };
+  return chain;
+}
+
+const InstitutionApplication = {
+  findOne(filter) {
+    return query(matches(application, filter) ? { ...application } : null);
+  },
+  async findOneAndUpdate(filter, update) {
+    if (!matches(application, filter)) return null;
+    Object.assign(application, update.$set);
+    for (const [field, value] of Object.entries(update.$push || {})) application[field].push(value);
+    return application;
+  },
+};
+
+let txCount = 0;
+stubModules({
+  "src/models/InstitutionApplication": InstitutionApplication,
+  "src/models/RoleAssignment": { find: () => query([]) },
+  "src/middleware/authMiddleware": {
+    requireWalletAuth: (req, res, next) => next(),
+    optionalWalletAuth: (req, res, next) => next(),
+  },
+  "src/services/blockchainService": {
+    async getInstitutionInfo() {
+      return { ...chain };
+    },
+    async checkIfAuthorized() {
+      return chain.isAuthorized;
+    },
+    async suspendInstitution() {
+      chain.isActive = false;
+      return { txHash: `0x${(++txCount).toString(16).padStart(64, "0")}`, blockNumber: txCount };
+    },
+    async reactivateInstitution() {
+      chain.isActive = true;
+      return { txHash: `0x${(++txCount).toString(16).padStart(64, "0")}`, blockNumber: txCount };
+    },
+  },
+  "src/services/indexerService": {},
+  "src/services/pinService": {},
+  "src/services/verificationService": {},
+  "src/services/emailService": { sendInstitutionEmail: async () => {} },
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const adminController = require("../src/controllers/adminController");
+const accessControl = require("../src/services/accessControl");
+const { requirePermission } = require("../src/middleware/permissionMiddleware");
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+// Runs the permission gate the way POST /api/certificates/issue does
+async function gate(permission) {
+  const [, check] = requirePermission(permission);
+  const req = {
+    walletAddress: INSTITUTION,
+    access: await accessControl.loadAccess(INSTITUTION),
+    get: () => undefined,
+  };
+  const res = fakeResponse();
+  let passed = false;
+  await check(req, res, () => {
+    passed = true;
+  });
+  return { passed, res, institution: req.institution };
+}
+
+async function admin(handler, reason) {
+  const res = fakeResponse();
+  await handler({ params: { address: INSTITUTION }, body: { reason }, adminAddress: ADMIN }, res);
+  return res;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test("suspend → issue is refused → reactivate → issue is allowed", async () => {
+  const before = await gate("certificates:issue");
+  assert.equal(before.passed, true);
+  assert.equal(before.institution.isActive, true);
+
+  const suspended = await admin(adminController.suspendInstitution, "Accreditation under review");
+  assert.equal(suspended.statusCode, 200);
+  assert.equal(suspended.body.state, "suspended");
+  assert.equal(chain.isAuthorized, true, "a suspension does not deauthorize");
+
+  for (const permission of [
+    "certificates:issue",
+    "certificates:revoke",
+    "staff:manage",
+    "certificates:read",
+    "templates:manage",
+  ]) {
+    const during = await gate(permission);
+    assert.equal(during.passed, false, permission);
+    assert.equal(during.res.statusCode, 403);
+    assert.equal(during.res.body.error, "Institution suspended");
+    assert.match(during.res.body.details, /suspended since .*\(Accreditation under review\)/);
+  }
+
+  const reactivated = await admin(adminController.reactivateInstitution, "Review passed");
+  assert.equal(reactivated.statusCode, 200);
+  assert.equal(reactivated.body.state, "active");
+
+  const after = await gate("certificates:issue");
+  assert.equal(after.passed, true);
+  assert.deepEqual(
+    application.suspensionHistory.map((entry) => entry.action),
+    ["suspended", "reactivated"]
+  );
+});
+
+test("the stored suspension blocks issuance while the chain still reports active", async () => {
+  application.suspended = true;
+  application.suspensionReason = "Suspension tx pending";
+  try {
+    const result = await gate("certificates:issue");
+    assert.equal(result.passed, false);
+    assert.equal(result.res.statusCode, 403);
+    assert.match(result.res.body.details, /Suspension tx pending/);
+  } finally {
+    Object.assign(application, { suspended: false, suspensionReason: null });
+  }
+});
+
+test("an inactive institution on-chain is blocked without a stored suspension", async () => {
+  chain.isActive = false;
+  accessControl.forgetInstitution(INSTITUTION); // as if the cached record expired
+  try {
+    const result = await gate("certificates:issue");
+    assert.equal(result.passed, false);
+    assert.equal(result.res.body.error, "Institution suspended");
+  } finally {
+    chain.isActive = true;
+    accessControl.forgetInstitution(INSTITUTION);
+  }
+});
+
+test("a deauthorized institution is refused as unauthorized, not suspended", async () => {
+  chain.isAuthorized = false;
+  accessControl.forgetInstitution(INSTITUTION);
+  try {
+    const result = await gate("certificates:issue");
+    assert.equal(result.res.statusCode, 403);
+    assert.equal(result.res.body.error, "Access denied");
+  } finally {
+    chain.isAuthorized = true;
+    accessControl.forgetInstitution(INSTITUTION);
+  }
+});
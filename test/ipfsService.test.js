@@ -0,0 +1,144 @@
+// Storage drivers: ipfsService over the Kubo driver against a fake Kubo RPC
+// API on a local port, and the local-disk driver on a temporary directory.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { computeCid } = require("../src/utils/cid");
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+process.env.STORAGE_DRIVER = "kubo";
+process.env.STORAGE_LOCAL_DIR = storageDir;
+process.env.KUBO_GATEWAY_URL = "http://gateway.test/";
+
+// ── Fake Kubo ───────────────────────────────────────────────────────────────
+
+const node = {
+  blocks: new Map(), // cid -> bytes
+  requests: [], // [command, params]
+  otherCid: null, // answer add with this CID, as a node with another chunker would
+  corrupt: false, // serve altered bytes from cat
+};
+
+// The file part of a multipart/form-data body
+function filePart(body, contentType) {
+  const boundary = Buffer.from(`--${contentType.split("boundary=")[1]}`);
+  const start = body.indexOf("\r\n\r\n", body.indexOf(boundary)) + 4;
+  return body.subarray(start, body.indexOf(Buffer.concat([Buffer.from("\r\n"), boundary]), start));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://kubo");
+  const command = url.pathname.replace("/api/v0/", "");
+  const params = Object.fromEntries(url.searchParams);
+  node.requests.push([command, params]);
+
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+
+  if (req.method !== "POST") {
+    res.writeHead(405).end();
+  } else if (command === "add") {
+    const bytes = filePart(Buffer.concat(chunks), req.headers["content-type"]);
+    const cid = node.otherCid || computeCid(bytes);
+    node.blocks.set(cid, bytes);
+    res.end(JSON.stringify({ Name: "upload", Hash: cid, Size: String(bytes.length) }));
+  } else if (command === "cat") {
+    const bytes = node.blocks.get(params.arg);
+    if (!bytes) return res.writeHead(500).end(JSON.stringify({ Message: "block was not found locally (offline)" }));
+    res.end(node.corrupt ? Buffer.concat([bytes, Buffer.from("!")]) : bytes);
+  } else if (command === "pin/ls") {
+    if (!node.blocks.has(params.arg)) {
+      return res.writeHead(500).end(JSON.stringify({ Message: `path '${params.arg}' is not pinned` }));
+    }
+    res.end(JSON.stringify({ Keys: { [params.arg]: { Type: "recursive" } } }));
+  } else {
+    res.writeHead(404).end();
+  }
+});
+
+let ipfsService;
+let localDriver;
+
+// The drivers read their settings when loaded, so only after the port is known
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.KUBO_API_URL = `http://127.0.0.1:${server.address().port}`;
+  ipfsService = require("../src/services/ipfsService");
+  localDriver = require("../src/services/storage/local");
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  node.blocks.clear();
+  node.requests.length = 0;
+  node.otherCid = null;
+  node.corrupt = false;
+});
+
+const DOCUMENT = Buffer.from("%PDF-1.7 a certificate");
+
+// ── Kubo ────────────────────────────────────────────────────────────────────
+
+test("an upload is added with CIDv1 raw leaves and comes back under the computed CID", async () => {
+  const result = await ipfsService.uploadBuffer(DOCUMENT, "CERT-1.pdf");
+  assert.equal(result.ipfsHash, computeCid(DOCUMENT));
+  assert.equal(result.provider, "kubo");
+  assert.equal(result.pinned, true);
+  assert.equal(result.gateway, `http://gateway.test/ipfs/${result.ipfsHash}`);
+  assert.equal(result.pinSize, DOCUMENT.length);
+  assert.deepEqual(node.requests[0], ["add", { "cid-version": "1", "raw-leaves": "true", pin: "true" }]);
+
+  const stored = await ipfsService.retrieve(result.ipfsHash);
+  assert.ok(stored.buffer.equals(DOCUMENT));
+  assert.equal(stored.provider, "kubo");
+  assert.equal(await ipfsService.isStored(result.ipfsHash), true);
+});
+
+test("a CID the node does not have is reported as missing, not as an error", async () => {
+  const cid = computeCid(Buffer.from("never added"));
+  assert.equal(await ipfsService.retrieve(cid), null);
+  assert.equal(await ipfsService.isStored(cid), false);
+});
+
+test("bytes that do not hash to the CID are refused", async () => {
+  const { ipfsHash } = await ipfsService.uploadBuffer(DOCUMENT, "CERT-1.pdf");
+  node.corrupt = true;
+  await assert.rejects(ipfsService.retrieve(ipfsHash), /kubo storage returned bytes that do not match CID/);
+});
+
+test("a node that chunks differently keeps its own CID", async () => {
+  node.otherCid = "bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+  const result = await ipfsService.uploadBuffer(DOCUMENT, "CERT-1.pdf");
+  assert.equal(result.ipfsHash, node.otherCid);
+});
+
+// ── Local disk ──────────────────────────────────────────────────────────────
+
+test("the local driver stores files under their CID", async () => {
+  const cid = computeCid(DOCUMENT);
+  assert.equal(await localDriver.has(cid), false);
+  assert.equal(await localDriver.get(cid), null);
+
+  assert.deepEqual(await localDriver.put(DOCUMENT, { cid }), { cid, size: DOCUMENT.length });
+  assert.ok(fs.readFileSync(path.join(storageDir, cid)).equals(DOCUMENT));
+  assert.equal(await localDriver.has(cid), true);
+  assert.ok((await localDriver.get(cid)).equals(DOCUMENT));
+  assert.equal(localDriver.gatewayUrl(cid), null);
+});
+
+test("the local driver refuses names that are not CIDs", async () => {
+  await assert.rejects(localDriver.put(DOCUMENT, { cid: "../outside" }), /Invalid CID/);
+  await assert.rejects(localDriver.get("QmUpperCase"), /Invalid CID/);
+});
+
+test("the active driver is reported for /health", () => {
+  assert.deepEqual(ipfsService.getStorageInfo(), { driver: "kubo", configured: true, onIpfsNetwork: true });
+});
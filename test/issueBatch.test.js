@@ -0,0 +1,196 @@
+// Pipelined batch issuance against a stubbed provider: an in-memory node that
+// mines its mempool in nonce order whenever the test says so. MongoDB is not
+// connected, so tx records stay in memory.
+
+process.env.RPC_URL = "http://127.0.0.1:8545";
+process.env.RPC_CHAIN_ID = "31337";
+process.env.CONTRACT_ADDRESS = "0x9999999999999999999999999999999999999999";
+process.env.PRIVATE_KEY = `0x${"22".repeat(32)}`;
+process.env.TX_POLL_INTERVAL_MS = "500";
+
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const blockchainService = require("../src/services/blockchainService");
+
+const GWEI = 1000000000n;
+const registry = new ethers.Interface([
+  "function issueCertificate(string _certificateId, string _studentName, string _studentId, string _degree, string _institution, uint256 _issueDate, string _ipfsHash)",
+]);
+
+// ── Node ────────────────────────────────────────────────────────────────────
+
+const node = {
+  mempool: new Map(), // hash -> Transaction
+  receipts: new Map(),
+  broadcasts: [], // { nonce, certId }
+  maxInMempool: 0,
+  mined: 0,
+  block: 1,
+  reverts: new Set(), // certIds whose gas estimate reverts
+  // Mine pending txs in nonce order, stopping at the first gap
+  mine() {
+    for (const tx of [...this.mempool.values()].sort((a, b) => a.nonce - b.nonce)) {
+      if (tx.nonce !== this.mined) break;
+      this.mempool.delete(tx.hash);
+      this.receipts.set(tx.hash, { hash: tx.hash, status: 1, blockNumber: ++this.block, gasUsed: 90000n });
+      this.mined++;
+    }
+  },
+};
+
+function certIdOf(data) {
+  return registry.decodeFunctionData("issueCertificate", data)[0];
+}
+
+before(() => {
+  const provider = blockchainService.getProvider();
+  Object.assign(provider, {
+    async getNetwork() {
+      return new ethers.Network("hardhat", 31337n);
+    },
+    async estimateGas(tx) {
+      // Rows take uneven time to estimate, so later rows often finish first
+      const certId = certIdOf(tx.data);
+      await new Promise((resolve) => setTimeout(resolve, (certId.charCodeAt(certId.length - 1) * 7) % 25));
+      if (node.reverts.has(certId)) {
+        throw ethers.makeError("execution reverted: Certificate already exists", "CALL_EXCEPTION", {
+          action: "estimateGas",
+          data: "0x",
+          reason: "Certificate already exists",
+          transaction: tx,
+          invocation: null,
+          revert: null,
+        });
+      }
+      return 90000n;
+    },
+    async getBlock() {
+      return { number: node.block, baseFeePerGas: GWEI };
+    },
+    async getFeeData() {
+      return { maxPriorityFeePerGas: GWEI, gasPrice: 2n * GWEI };
+    },
+    async getTransactionCount(from, tag) {
+      return tag === "pending" ? node.mined + node.mempool.size : node.mined;
+    },
+    async broadcastTransaction(raw) {
+      const tx = ethers.Transaction.from(raw);
+      node.mempool.set(tx.hash, tx);
+      node.maxInMempool = Math.max(node.maxInMempool, node.mempool.size);
+      node.broadcasts.push({ nonce: tx.nonce, certId: certIdOf(tx.data) });
+      return { hash: tx.hash };
+    },
+    async getTransaction(hash) {
+      return node.mempool.get(hash) || null;
+    },
+    async getTransactionReceipt(hash) {
+      return node.receipts.get(hash) || null;
+    },
+    async waitForTransaction(hash) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return node.receipts.get(hash) || null;
+    },
+  });
+});
+
+beforeEach(() => {
+  node.broadcasts.length = 0;
+  node.maxInMempool = 0;
+  node.reverts.clear();
+});
+
+function rows(count, prefix) {
+  return Array.from({ length: count }, (_, i) => ({
+    certId: `CERT-2026-${prefix}${String(i + 1).padStart(2, "0")}`,
+    studentName: `Student ${i + 1}`,
+    studentId: `S-${i + 1}`,
+    degree: "BSc Testing",
+    institution: "Test University",
+    issueDate: "2026-07-01",
+    ipfsHash: "",
+  }));
+}
+
+// Mines every 50 ms until the batch settles
+async function withMining(batch) {
+  const miner = setInterval(() => node.mine(), 50);
+  try {
+    return await batch;
+  } finally {
+    clearInterval(miner);
+  }
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test("rows are broadcast in row order with sequential nonces, several in flight at once", async () => {
+  const certificates = rows(8, "A");
+  const firstNonce = node.mined + node.mempool.size;
+  const submitted = [];
+  const progress = [];
+
+  const batch = await withMining(
+    blockchainService.issueBatch(certificates, (p) => progress.push(p), {
+      onSubmitted: async (index) => submitted.push(index),
+    }, { window: 4 })
+  );
+
+  assert.equal(batch.succeeded, 8);
+  assert.deepEqual(
+    node.broadcasts.map((b) => b.certId),
+    certificates.map((c) => c.certId)
+  );
+  assert.deepEqual(
+    node.broadcasts.map((b) => b.nonce),
+    certificates.map((_, i) => firstNonce + i)
+  );
+  assert.deepEqual(submitted, [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.ok(node.maxInMempool > 1, "later rows are sent before earlier ones are mined");
+  assert.ok(node.maxInMempool <= 4, "no more than the window is in flight");
+  assert.equal(progress.at(-1).current, 8);
+  assert.ok(batch.results.every((r, i) => r.index === i && r.txHash && r.status === "success"));
+});
+
+test("with a window of 1 each tx is mined before the next is sent", async () => {
+  const batch = await withMining(blockchainService.issueBatch(rows(3, "B"), null, {}, { window: 1 }));
+
+  assert.equal(batch.succeeded, 3);
+  assert.equal(node.maxInMempool, 1);
+});
+
+test("a row that reverts uses no nonce and does not hold up the rows after it", async () => {
+  const certificates = rows(5, "C");
+  node.reverts.add(certificates[1].certId);
+  const firstNonce = node.mined + node.mempool.size;
+
+  const batch = await withMining(blockchainService.issueBatch(certificates, null, {}, { window: 3 }));
+
+  assert.equal(batch.succeeded, 4);
+  assert.equal(batch.failed, 1);
+  assert.equal(batch.results[1].status, "failed");
+  assert.match(batch.results[1].error, /already exists/);
+  assert.deepEqual(
+    node.broadcasts.map((b) => [b.nonce, b.certId]),
+    [0, 2, 3, 4].map((row, i) => [firstNonce + i, certificates[row].certId])
+  );
+});
+
+test("rows not started when shouldStop turns true are left out", async () => {
+  const certificates = rows(6, "D");
+  let started = 0;
+
+  const batch = await withMining(
+    blockchainService.issueBatch(certificates, null, {
+      onSubmitted: async () => {
+        started++;
+      },
+      shouldStop: () => started >= 2,
+    }, { window: 1 })
+  );
+
+  assert.equal(batch.succeeded, 2);
+  assert.equal(batch.results.filter(Boolean).length, 2);
+  assert.deepEqual(node.broadcasts.map((b) => b.certId), [certificates[0].certId, certificates[1].certId]);
+});
@@ -0,0 +1,182 @@
+// Bulk job event feed and its SSE stream, against in-memory BulkJob and
+// BulkJobEvent collections.
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const { stubModules } = require("./helpers/stubModules");
+
+const INSTITUTION = "0x1111111111111111111111111111111111111111";
+
+// ── In-memory collections ───────────────────────────────────────────────────
+
+const jobs = new Map();
+const events = [];
+
+function lean(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: async () => result,
+  };
+  return chain;
+}
+
+const BulkJob = {
+  findOne({ jobId, ownerWallet }) {
+    const job = jobs.get(jobId);
+    return lean(job && job.ownerWallet === ownerWallet ? { ...job } : null);
+  },
+  findOneAndUpdate({ jobId }, update) {
+    const job = jobs.get(jobId);
+    if (job) job.eventSeq += update.$inc.eventSeq;
+    return lean(job ? { eventSeq: job.eventSeq } : null);
+  },
+};
+
+const BulkJobEvent = {
+  async create(doc) {
+    events.push({ ...doc, createdAt: new Date() });
+  },
+  find({ jobId, seq }) {
+    const found = events
+      .filter((event) => event.jobId === jobId && event.seq > seq.$gt)
+      .sort((a, b) => a.seq - b.seq);
+    return lean(found);
+  },
+};
+
+stubModules({
+  "src/models/BulkJob": BulkJob,
+  "src/models/BulkJobEvent": BulkJobEvent,
+  "src/services/qrService": {},
+  "src/services/blockchainService": {},
+  "src/services/badgeService": {},
+  "src/services/jobQueue": { getQueuePosition: async () => 1 },
+  "src/services/bulkPipeline": {},
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const jobEvents = require("../src/services/jobEvents");
+const bulkController = require("../src/controllers/bulkController");
+
+beforeEach(() => {
+  jobs.clear();
+  events.length = 0;
+  jobs.set("job-1", { jobId: "job-1", ownerWallet: INSTITUTION, status: "processing", eventSeq: 0 });
+});
+
+// ── Feed ────────────────────────────────────────────────────────────────────
+
+test("events are numbered per job, in publish order", async () => {
+  jobs.set("job-2", { jobId: "job-2", ownerWallet: INSTITUTION, status: "processing", eventSeq: 0 });
+  await Promise.all([
+    jobEvents.publishStatus("job-1", "processing"),
+    jobEvents.publish("job-2", "progress", { percent: 10 }),
+    jobEvents.publish("job-1", "progress", { percent: 50 }),
+  ]);
+
+  const feed = await jobEvents.readSince("job-1", 0);
+  assert.deepEqual(feed.map((e) => [e.seq, e.type]), [[1, "status"], [2, "progress"]]);
+  assert.equal(jobs.get("job-1").eventSeq, 2);
+  assert.deepEqual((await jobEvents.readSince("job-1", 1)).map((e) => e.seq), [2]);
+  assert.deepEqual((await jobEvents.readSince("job-2", 0)).map((e) => e.seq), [1]);
+});
+
+test("a reader waits at a number another process has taken but not stored yet", async () => {
+  await jobEvents.publish("job-1", "progress", { percent: 10 });
+  // Another process took seq 2; this one stored seq 3 first
+  jobs.get("job-1").eventSeq = 2;
+  await jobEvents.publish("job-1", "progress", { percent: 30 });
+
+  assert.deepEqual((await jobEvents.readSince("job-1", 0)).map((e) => e.seq), [1]);
+
+  await BulkJobEvent.create({ jobId: "job-1", seq: 2, type: "progress", data: { percent: 20 } });
+  assert.deepEqual((await jobEvents.readSince("job-1", 1)).map((e) => e.seq), [2, 3]);
+});
+
+test("a number that is never stored stops holding readers back", async () => {
+  jobs.get("job-1").eventSeq = 1; // seq 1 was taken, its insert failed
+  await jobEvents.publish("job-1", "progress", { percent: 30 });
+  assert.deepEqual(await jobEvents.readSince("job-1", 0), []);
+
+  events[0].createdAt = new Date(Date.now() - 10000);
+  assert.deepEqual((await jobEvents.readSince("job-1", 0)).map((e) => e.seq), [2]);
+});
+
+// ── Stream ──────────────────────────────────────────────────────────────────
+
+// Collects what the SSE endpoint writes until the stream ends
+function openStream(query = {}, headers = {}) {
+  const req = Object.assign(new EventEmitter(), {
+    params: { jobId: "job-1" },
+    query,
+    institution: { address: INSTITUTION },
+    get: (name) => headers[name.toLowerCase()],
+  });
+  const frames = [];
+  let ended;
+  const done = new Promise((resolve) => {
+    ended = resolve;
+  });
+  const res = {
+    statusCode: 200,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      ended();
+    },
+    writeHead(code) {
+      this.statusCode = code;
+      this.headersSent = true;
+    },
+    write(chunk) {
+      frames.push(chunk);
+    },
+    end: () => ended(),
+  };
+  const stream = bulkController.streamJob(req, res);
+  return { req, res, frames, done: done.then(() => stream) };
+}
+
+function eventIds(frames) {
+  return frames.map((frame) => frame.match(/^id: (\d+)/)?.[1]).filter(Boolean).map(Number);
+}
+
+test("a client resuming with Last-Event-ID gets only the events after it", async () => {
+  await jobEvents.publishStatus("job-1", "processing");
+  await jobEvents.publish("job-1", "progress", { percent: 50 });
+  await jobEvents.publishStatus("job-1", "completed");
+
+  const { frames, done } = openStream({}, { "last-event-id": "1" });
+  await done;
+  assert.deepEqual(eventIds(frames), [2, 3]);
+  assert.match(frames[0], /^event: snapshot/);
+});
+
+test("without Last-Event-ID the stream starts after the snapshot, or from the start with replay", async () => {
+  await jobEvents.publishStatus("job-1", "processing");
+  await jobEvents.publish("job-1", "progress", { percent: 50 });
+
+  const live = openStream();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await jobEvents.publishStatus("job-1", "completed");
+  await live.done;
+  assert.deepEqual(eventIds(live.frames), [3]);
+
+  const replay = openStream({ replay: "true" });
+  await replay.done;
+  assert.deepEqual(eventIds(replay.frames), [1, 2, 3]);
+});
+
+test("a Last-Event-ID that is not a sequence number is rejected", async () => {
+  const { res, done } = openStream({}, { "last-event-id": "65f0c0ffee0000000000abcd" });
+  await done;
+  assert.equal(res.statusCode, 400);
+});
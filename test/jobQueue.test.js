@@ -0,0 +1,278 @@
+// Job queue worker against an in-memory BulkJob collection and a pipeline
+// each test finishes by hand: concurrency and per-institution limits,
+// priority, lapsed leases, scheduled jobs, cancellation and shutdown.
+
+process.env.BULK_MAX_CONCURRENT_JOBS = "3";
+process.env.BULK_MAX_JOBS_PER_INSTITUTION = "2";
+process.env.BULK_QUEUE_POLL_INTERVAL_MS = "600000";
+
+const { test, before, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { stubModules } = require("./helpers/stubModules");
+
+const UNIVERSITY = "0x1111111111111111111111111111111111111111";
+const COLLEGE = "0x2222222222222222222222222222222222222222";
+const ACADEMY = "0x3333333333333333333333333333333333333333";
+
+// ── In-memory collection ────────────────────────────────────────────────────
+
+const jobs = new Map();
+
+const value = (v) => (v instanceof Date ? v.getTime() : v);
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((branch) => matches(doc, branch));
+    const actual = value(doc[key] ?? null);
+    if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([op, expected]) => {
+        if (actual === null && op !== "$ne") return false;
+        if (op === "$lt") return actual < value(expected);
+        if (op === "$lte") return actual <= value(expected);
+        if (op === "$gt") return actual > value(expected);
+        if (op === "$ne") return actual !== value(expected);
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    }
+    return actual === value(condition ?? null);
+  });
+}
+
+function apply(doc, update) {
+  Object.assign(doc, update.$set);
+  for (const [key, by] of Object.entries(update.$inc || {})) doc[key] = (doc[key] || 0) + by;
+}
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: async () => (Array.isArray(result) ? result.map((doc) => ({ ...doc })) : result && { ...result }),
+  };
+  return chain;
+}
+
+const BulkJob = {
+  find(filter) {
+    return query([...jobs.values()].filter((doc) => matches(doc, filter)));
+  },
+  async updateOne(filter, update) {
+    const doc = [...jobs.values()].find((d) => matches(d, filter));
+    if (doc) apply(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  },
+  findOneAndUpdate(filter, update) {
+    const doc = [...jobs.values()].find((d) => matches(d, filter));
+    if (doc) apply(doc, update);
+    return query(doc || null);
+  },
+  async countDocuments(filter) {
+    return [...jobs.values()].filter((doc) => matches(doc, filter)).length;
+  },
+};
+
+// ── Stubbed pipeline ────────────────────────────────────────────────────────
+
+const started = []; // jobIds in the order the worker started them
+const pipelines = new Map(); // jobId -> { signal, finish(err?) }
+const published = []; // [jobId, status]
+
+stubModules({
+  "src/models/BulkJob": BulkJob,
+  "src/services/lockService": { withLock: (name, fn) => fn() },
+  "src/services/jobEvents": {
+    publishStatus: async (jobId, status) => published.push([jobId, status]),
+  },
+  "src/services/bulkPipeline": {
+    phaseProgress: (phase) => ({ phase }),
+    isRowFinished: () => false,
+    async processPipeline(job, { signal }) {
+      started.push(job.jobId);
+      const err = await new Promise((resolve) => pipelines.set(job.jobId, { signal, finish: resolve }));
+      if (err) throw err;
+      jobs.get(job.jobId).status = "completed";
+    },
+  },
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const jobQueue = require("../src/services/jobQueue");
+
+// The worker logs every claim; on Node 20 that much stdout between test
+// events can corrupt the runner's stream from this file
+mock.method(console, "log", () => {});
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+let clock = Date.parse("2026-07-01T09:00:00Z");
+
+function enqueue(jobId, ownerWallet, fields = {}) {
+  jobs.set(jobId, {
+    jobId,
+    ownerWallet,
+    status: "queued",
+    priority: jobQueue.PRIORITIES.normal,
+    queuedAt: new Date((clock += 1000)),
+    records: [],
+    ...fields,
+  });
+}
+
+function until(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() > deadline) return reject(new Error("condition not met in time"));
+      setTimeout(check, 5);
+    };
+    check();
+  });
+}
+
+// Lets the worker loop run until it is idle again
+const settle = () => new Promise((resolve) => setTimeout(resolve, 30));
+
+// Finishes a running job and waits for its worker slot to be handed back
+async function finish(jobId, err) {
+  await until(() => pipelines.has(jobId));
+  pipelines.get(jobId).finish(err);
+  pipelines.delete(jobId);
+  await until(() => !jobQueue.getStatus().activeJobs.includes(jobId));
+  await settle();
+}
+
+async function finishAll() {
+  while (pipelines.size > 0) await finish([...pipelines.keys()][0]);
+}
+
+before(async () => {
+  jobQueue.start();
+  await settle();
+});
+
+beforeEach(async () => {
+  await finishAll();
+  jobs.clear();
+  started.length = 0;
+  published.length = 0;
+});
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test("an institution with fewer running jobs goes first, up to its own limit", async () => {
+  enqueue("uni-1", UNIVERSITY);
+  enqueue("uni-2", UNIVERSITY);
+  enqueue("uni-3", UNIVERSITY);
+  enqueue("college-1", COLLEGE);
+
+  jobQueue.poke();
+  await until(() => started.length === 3);
+  await settle();
+  assert.deepEqual(started, ["uni-1", "college-1", "uni-2"], "the college's newer job is not kept waiting");
+  assert.equal(jobs.get("uni-3").status, "queued", "BULK_MAX_JOBS_PER_INSTITUTION");
+  assert.equal(jobs.get("uni-1").workerId, jobQueue.getStatus().workerId);
+
+  await finish("college-1");
+  assert.equal(started.length, 3, "the free slot is not given to an institution at its limit");
+  await finish("uni-1");
+  assert.deepEqual(started.slice(3), ["uni-3"]);
+  assert.equal(jobs.get("uni-1").status, "completed");
+  assert.equal(jobs.get("uni-1").workerId, null);
+});
+
+test("a higher priority job is claimed before older ones, and the queue position says so", async () => {
+  for (const [jobId, owner] of [["busy-1", UNIVERSITY], ["busy-2", UNIVERSITY], ["busy-3", COLLEGE]]) {
+    enqueue(jobId, owner);
+  }
+  jobQueue.poke();
+  await until(() => started.length === 3);
+
+  enqueue("normal", ACADEMY);
+  enqueue("urgent", COLLEGE, { priority: jobQueue.PRIORITIES.high });
+  assert.equal(await jobQueue.getQueuePosition(jobs.get("urgent")), 1);
+  assert.equal(await jobQueue.getQueuePosition(jobs.get("normal")), 2);
+
+  await finish("busy-3");
+  assert.deepEqual(started.slice(3), ["urgent"]);
+});
+
+test("a job whose worker's lease lapsed is failed, and a live lease elsewhere takes a slot", async () => {
+  const past = new Date(Date.now() - 1000);
+  jobs.set("abandoned", { jobId: "abandoned", ownerWallet: UNIVERSITY, status: "processing", workerId: "host-b:42", leaseExpiresAt: past });
+  jobs.set("elsewhere-1", { jobId: "elsewhere-1", ownerWallet: COLLEGE, status: "processing", workerId: "host-c:7", leaseExpiresAt: new Date(Date.now() + 30000) });
+  jobs.set("elsewhere-2", { jobId: "elsewhere-2", ownerWallet: ACADEMY, status: "processing", workerId: "host-c:7", leaseExpiresAt: new Date(Date.now() + 30000) });
+  enqueue("next-1", UNIVERSITY);
+  enqueue("next-2", UNIVERSITY);
+
+  assert.equal(jobQueue.isLeaseLive(jobs.get("abandoned")), false);
+  assert.equal(jobQueue.isLeaseLive(jobs.get("elsewhere-1")), true);
+
+  jobQueue.poke();
+  await until(() => started.length === 1);
+  await settle();
+
+  const abandoned = jobs.get("abandoned");
+  assert.equal(abandoned.status, "failed");
+  assert.match(abandoned.error, /Worker host-b:42 stopped while processing — resume the job to continue/);
+  assert.equal(abandoned.leaseExpiresAt, null);
+  assert.ok(published.some(([jobId, status]) => jobId === "abandoned" && status === "failed"));
+  assert.deepEqual(started, ["next-1"], "two of the three slots are held by the other worker");
+});
+
+test("a scheduled job is queued again once its time has come", async () => {
+  enqueue("split", UNIVERSITY, { status: "scheduled", scheduledFor: new Date(Date.now() - 1000), resuming: false });
+  enqueue("later", UNIVERSITY, { status: "scheduled", scheduledFor: new Date(Date.now() + 3600000) });
+
+  jobQueue.poke();
+  await until(() => started.length === 1);
+  assert.deepEqual(started, ["split"]);
+  assert.equal(jobs.get("split").resuming, true);
+  assert.equal(jobs.get("split").resumeCount, 1);
+  assert.equal(jobs.get("later").status, "scheduled");
+});
+
+test("a cancelled job stops and is marked cancelled", async () => {
+  enqueue("unwanted", UNIVERSITY);
+  jobQueue.poke();
+  await until(() => pipelines.has("unwanted"));
+
+  assert.equal(jobQueue.cancelLocalJob("unwanted"), true);
+  assert.equal(jobQueue.cancelLocalJob("not-here"), false);
+  const { signal } = pipelines.get("unwanted");
+  assert.equal(signal.stopReason, "cancelled");
+
+  await finish("unwanted", Object.assign(new Error("Job cancelled"), { stopReason: signal.stopReason }));
+  assert.equal(jobs.get("unwanted").status, "cancelled");
+  assert.ok(published.some(([jobId, status]) => jobId === "unwanted" && status === "cancelled"));
+});
+
+test("a failing pipeline marks its job failed", async () => {
+  enqueue("broken", UNIVERSITY);
+  jobQueue.poke();
+  await finish("broken", new Error("RPC unreachable"));
+
+  assert.equal(jobs.get("broken").status, "failed");
+  assert.equal(jobs.get("broken").error, "RPC unreachable");
+});
+
+test("shutting down hands running jobs back to the queue", async () => {
+  enqueue("interrupted", UNIVERSITY);
+  jobQueue.poke();
+  await until(() => pipelines.has("interrupted"));
+
+  const stopping = jobQueue.stop({ timeoutMs: 2000 });
+  const { signal } = pipelines.get("interrupted");
+  assert.equal(signal.stopReason, "shutdown");
+  pipelines.get("interrupted").finish(Object.assign(new Error("Worker shutting down"), { stopReason: "shutdown" }));
+  pipelines.delete("interrupted");
+  await stopping;
+
+  const job = jobs.get("interrupted");
+  assert.equal(job.status, "queued");
+  assert.equal(job.resuming, true);
+  assert.equal(job.workerId, null);
+  assert.equal(jobQueue.getStatus().running, false);
+});
@@ -0,0 +1,273 @@
+// Pin inventory and the pin health audit, against in-memory collections, an
+// in-memory storage driver and a stubbed chain.
+
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const { stubModules } = require("./helpers/stubModules");
+const { computeCid, isVerifiableCid, verifyCid } = require("../src/utils/cid");
+
+const fileDir = fs.mkdtempSync(path.join(os.tmpdir(), "pins-"));
+after(() => fs.rmSync(fileDir, { recursive: true, force: true }));
+
+// ── Storage, chain and collections ──────────────────────────────────────────
+
+const storage = { pinned: new Map(), uploads: [], down: false, failUploads: false };
+const chain = new Map(); // certId -> on-chain ipfsHash
+const pins = new Map(); // PinRecord by certId
+const usage = new Map(); // StorageUsage by `${provider} ${month}`
+const registry = []; // IssuedCertificate rows
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: async () => result,
+  };
+  return chain;
+}
+
+const ipfsService = {
+  computeCid,
+  isVerifiableCid,
+  verifyCid,
+  getStorageInfo: () => ({ driver: "pinata", configured: true, onIpfsNetwork: true }),
+  async uploadBuffer(buffer, fileName, metadata) {
+    if (storage.failUploads) throw new Error("Pinata upload failed (429): quota exceeded");
+    const ipfsHash = computeCid(buffer);
+    storage.pinned.set(ipfsHash, buffer);
+    storage.uploads.push(metadata);
+    return { ipfsHash, pinned: true, provider: "pinata", gateway: null, pinSize: buffer.length };
+  },
+  async isStored(cid) {
+    if (storage.down) throw new Error("connect ETIMEDOUT");
+    return storage.pinned.has(cid);
+  },
+};
+
+let nextPinId = 0;
+const PinRecord = {
+  collection: { name: "pinrecords" },
+  async updateOne(filter, update) {
+    let record = filter._id
+      ? [...pins.values()].find((r) => r._id === filter._id)
+      : pins.get(filter.certId);
+    if (!record) pins.set(filter.certId, (record = { _id: ++nextPinId, certId: filter.certId, lastCheckedAt: null }));
+    Object.assign(record, update.$set);
+    for (const [key, by] of Object.entries(update.$inc || {})) record[key] = (record[key] || 0) + by;
+  },
+  async bulkWrite(ops) {
+    for (const { updateOne } of ops) {
+      if (!pins.has(updateOne.filter.certId)) {
+        pins.set(updateOne.filter.certId, { _id: ++nextPinId, lastCheckedAt: null, ...updateOne.update.$setOnInsert });
+      }
+    }
+  },
+  find(filter) {
+    const due = filter.$or?.[1].lastCheckedAt.$lt;
+    const rows = [...pins.values()].filter((r) =>
+      due ? r.lastCheckedAt === null || r.lastCheckedAt < due : r.status === filter.status
+    );
+    return query(rows.map((r) => ({ ...r })));
+  },
+  async aggregate() {
+    const counts = new Map();
+    for (const r of pins.values()) counts.set(r.status, (counts.get(r.status) || 0) + 1);
+    return [...counts].map(([_id, count]) => ({ _id, count }));
+  },
+};
+
+const StorageUsage = {
+  findOneAndUpdate({ provider, month }, update) {
+    const key = `${provider} ${month}`;
+    const row = usage.get(key) || { provider, month, uploads: 0, bytes: 0, repins: 0 };
+    for (const [field, by] of Object.entries(update.$inc)) row[field] += by;
+    usage.set(key, row);
+    return query({ ...row });
+  },
+  findOne({ provider, month }) {
+    return query(usage.get(`${provider} ${month}`) || null);
+  },
+};
+
+stubModules({
+  "src/services/ipfsService": ipfsService,
+  "src/services/blockchainService": {
+    async verifyCertificate(certId) {
+      return chain.has(certId) ? { exists: true, ipfsHash: chain.get(certId) } : { exists: false };
+    },
+  },
+  "src/models/PinRecord": PinRecord,
+  "src/models/StorageUsage": StorageUsage,
+  "src/models/IssuedCertificate": {
+    async aggregate(pipeline) {
+      const limit = pipeline.find((stage) => stage.$limit).$limit;
+      return registry.filter((row) => !pins.has(row.certId)).slice(0, limit);
+    },
+  },
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const pinService = require("../src/services/pinService");
+
+beforeEach(() => {
+  storage.pinned.clear();
+  storage.uploads.length = 0;
+  storage.down = false;
+  storage.failUploads = false;
+  chain.clear();
+  pins.clear();
+  usage.clear();
+  registry.length = 0;
+});
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+// Issues a certificate: its PDF kept on disk, pinned and recorded on chain
+async function issue(certId) {
+  const buffer = Buffer.from(`%PDF-1.7 ${certId}`);
+  const filePath = path.join(fileDir, `${certId}.pdf`);
+  fs.writeFileSync(filePath, buffer);
+  const { ipfsHash } = await pinService.pinDocument(buffer, `${certId}.pdf`, { certId }, { filePath });
+  chain.set(certId, ipfsHash);
+  return ipfsHash;
+}
+
+// Ages every record past the re-check window
+function checkedLongAgo() {
+  for (const record of pins.values()) record.lastCheckedAt = new Date(0);
+}
+
+// ── Inventory ───────────────────────────────────────────────────────────────
+
+test("an upload is recorded in the inventory and counted against the month's quota", async () => {
+  const cid = await issue("CERT-1");
+
+  const record = pins.get("CERT-1");
+  assert.equal(record.cid, cid);
+  assert.equal(record.status, "pinned");
+  assert.equal(record.provider, "pinata");
+  assert.equal(record.localPath, path.join(fileDir, "CERT-1.pdf"));
+
+  const quota = await pinService.getQuotaUsage();
+  assert.equal(quota.uploads, 1);
+  assert.equal(quota.limit, 500, "Pinata's free tier");
+  assert.equal(quota.remaining, 499);
+});
+
+test("a failed upload is recorded with the CID it should have had", async () => {
+  storage.failUploads = true;
+  const buffer = Buffer.from("%PDF-1.7 CERT-2");
+
+  await assert.rejects(pinService.pinDocument(buffer, "CERT-2.pdf", { certId: "CERT-2" }), /quota exceeded/);
+  assert.equal(pins.get("CERT-2").status, "failed");
+  assert.equal(pins.get("CERT-2").cid, computeCid(buffer));
+  assert.equal((await pinService.getQuotaUsage()).uploads, 0);
+});
+
+// ── Audit ───────────────────────────────────────────────────────────────────
+
+test("a pin that disappeared is re-pinned from the local copy", async () => {
+  const kept = await issue("CERT-1");
+  const lost = await issue("CERT-2");
+  storage.pinned.delete(lost);
+
+  const run = await pinService.runAudit();
+  assert.equal(run.checked, 2);
+  assert.equal(run.available, 1);
+  assert.equal(run.repinned, 1);
+
+  assert.equal(pins.get("CERT-1").chainIpfsHash, kept, "the on-chain hash is kept on the record");
+  assert.equal(storage.pinned.has(lost), true);
+  assert.equal(pins.get("CERT-2").status, "pinned");
+  assert.equal(pins.get("CERT-2").repinCount, 1);
+  assert.deepEqual(storage.uploads.at(-1), { certId: "CERT-2", type: "certificate", repin: "true" });
+
+  const quota = await pinService.getQuotaUsage();
+  assert.equal(quota.uploads, 3);
+  assert.equal(quota.repins, 1);
+});
+
+test("without a matching local copy a lost pin is reported, never replaced by other bytes", async () => {
+  const lost = await issue("CERT-1");
+  storage.pinned.delete(lost);
+  fs.writeFileSync(pins.get("CERT-1").localPath, "%PDF-1.7 CERT-1 edited on disk");
+
+  const run = await pinService.runAudit();
+  assert.equal(run.repinned, 0);
+  assert.equal(run.unresolvable, 1);
+  assert.equal(storage.pinned.size, 0);
+
+  const record = pins.get("CERT-1");
+  assert.equal(record.status, "unresolvable", "verifiers cannot fetch what the chain names");
+  assert.equal(record.consecutiveFailures, 1);
+  assert.match(record.lastError, /no matching local copy/);
+});
+
+test("a legacy placeholder hash on chain is unresolvable however the PDF is stored", async () => {
+  await issue("CERT-1");
+  chain.set("CERT-1", "Qm0123456789abcdef0123456789abcdef0123456789ab");
+
+  const run = await pinService.runAudit();
+  assert.equal(run.unresolvable, 1);
+  assert.equal(pins.get("CERT-1").status, "unresolvable");
+  assert.match(pins.get("CERT-1").lastError, /not a verifiable CID/);
+});
+
+test("an unreachable driver is an audit error, not a lost pin", async () => {
+  await issue("CERT-1");
+  storage.down = true;
+
+  const run = await pinService.runAudit();
+  assert.equal(run.errors, 1);
+  assert.equal(pins.get("CERT-1").status, "pinned");
+  assert.match(pins.get("CERT-1").lastError, /Availability check failed/);
+  assert.equal(storage.uploads.length, 1, "nothing re-pinned");
+});
+
+test("certificates issued before the inventory are backfilled, and records are re-checked only when due", async () => {
+  const buffer = Buffer.from("%PDF-1.7 CERT-OLD");
+  const cid = computeCid(buffer);
+  storage.pinned.set(cid, buffer);
+  registry.push({ certId: "CERT-OLD", ipfs: { hash: cid, provider: "pinata" }, pdf: { fileName: "CERT-OLD.pdf" } });
+
+  let run = await pinService.runAudit();
+  assert.equal(run.backfilled, 1);
+  assert.equal(run.available, 1);
+  assert.equal(pins.get("CERT-OLD").chainIpfsHash, cid);
+
+  run = await pinService.runAudit();
+  assert.equal(run.checked, 0, "checked moments ago");
+
+  checkedLongAgo();
+  assert.equal((await pinService.runAudit()).checked, 1);
+});
+
+// ── Report ──────────────────────────────────────────────────────────────────
+
+test("the admin report lists failed, missing and unresolvable pins with the quota", async () => {
+  await issue("CERT-1");
+  await issue("CERT-2");
+  chain.set("CERT-2", "");
+  storage.failUploads = true;
+  await pinService.pinDocument(Buffer.from("%PDF-1.7 CERT-3"), "CERT-3.pdf", { certId: "CERT-3" }).catch(() => {});
+  storage.failUploads = false;
+  // Pinned, but its transaction never made it on chain, and the pin is gone
+  const { ipfsHash } = await pinService.pinDocument(Buffer.from("%PDF-1.7 CERT-4"), "CERT-4.pdf", { certId: "CERT-4" });
+  storage.pinned.delete(ipfsHash);
+  await pinService.runAudit();
+
+  const report = await pinService.getReport();
+  assert.deepEqual(report.counts, { pinned: 1, unresolvable: 1, failed: 1, missing: 1 });
+  assert.deepEqual(report.failed.map((r) => r.certId), ["CERT-3"]);
+  assert.deepEqual(report.missing.map((r) => r.certId), ["CERT-4"]);
+  assert.deepEqual(report.unresolvable.map((r) => r.certId), ["CERT-2"]);
+  assert.match(report.unresolvable[0].lastError, /No IPFS hash recorded on chain/);
+  assert.equal(report.quota.uploads, 3);
+  assert.equal(report.storage.driver, "pinata");
+  assert.equal(report.audit.lastRun.checked, 4);
+});
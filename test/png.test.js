@@ -0,0 +1,90 @@
+// iTXt chunks written into and read back out of a real PNG, without touching
+// the image data, and the checks that reject damaged files.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const QRCode = require("qrcode");
+const { PNG } = require("pngjs");
+const { isPng, crc32, readChunks, writeITXt, readITXt } = require("../src/utils/png");
+
+const image = () => QRCode.toBuffer("http://localhost:3000/verify?certId=CERT-1", { type: "png", width: 200 });
+
+// A chunk as the PNG spec lays it out: length, type, data, CRC of type + data
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Inserts a chunk before IEND, the last 12 bytes of the file
+const insert = (png, extra) => Buffer.concat([png.subarray(0, -12), extra, png.subarray(-12)]);
+
+test("crc32 is the ISO 3309 CRC the PNG spec uses", () => {
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test("text written to an iTXt chunk reads back unchanged, including non-Latin characters", async () => {
+  const png = await image();
+  const text = JSON.stringify({ name: "Zoë Ōtsuka — 博士", note: "]]> and \0 survive" });
+  const baked = writeITXt(png, "openbadgecredential", text);
+
+  assert.equal(readITXt(baked, "openbadgecredential"), text);
+  assert.equal(readITXt(baked, "other"), null);
+  assert.equal(readITXt(png, "openbadgecredential"), null);
+});
+
+test("the chunk goes just before IEND and the image itself is left alone", async () => {
+  const png = await image();
+  const baked = writeITXt(png, "openbadgecredential", "{}");
+
+  const types = readChunks(baked).map((c) => c.type);
+  assert.deepEqual(types.slice(-2), ["iTXt", "IEND"]);
+  assert.deepEqual(types.slice(0, -2), readChunks(png).map((c) => c.type).slice(0, -1));
+
+  const before = PNG.sync.read(png);
+  const after = PNG.sync.read(baked);
+  assert.equal(after.width, before.width);
+  assert.ok(after.data.equals(before.data));
+});
+
+test("writing a keyword again replaces its chunk and keeps the others", async () => {
+  let png = await image();
+  png = writeITXt(png, "openbadgecredential", "first");
+  png = writeITXt(png, "Comment", "kept");
+  png = writeITXt(png, "openbadgecredential", "second");
+
+  assert.equal(readChunks(png).filter((c) => c.type === "iTXt").length, 2);
+  assert.equal(readITXt(png, "openbadgecredential"), "second");
+  assert.equal(readITXt(png, "Comment"), "kept");
+});
+
+test("a compressed iTXt chunk written by another tool is inflated", async () => {
+  const text = '{"type":["VerifiableCredential","OpenBadgeCredential"]}';
+  const data = Buffer.concat([
+    Buffer.from("openbadgecredential\0", "latin1"),
+    Buffer.from([1, 0]), // compressed, zlib
+    Buffer.from("en\0", "latin1"),
+    Buffer.from("Credential\0", "utf8"),
+    zlib.deflateSync(Buffer.from(text)),
+  ]);
+  const png = insert(await image(), chunk("iTXt", data));
+
+  assert.equal(readITXt(png, "openbadgecredential"), text);
+});
+
+test("damaged files are rejected", async () => {
+  const png = await image();
+  assert.equal(isPng(Buffer.from("<svg/>")), false);
+  assert.throws(() => readChunks(Buffer.from("GIF89a")), /Not a PNG file/);
+  assert.throws(() => readChunks(png.subarray(0, 30)), /Truncated PNG chunk/);
+
+  const flipped = Buffer.from(png);
+  flipped[20] ^= 0xff; // inside IHDR
+  assert.throws(() => readITXt(flipped, "openbadgecredential"), /Bad CRC in PNG chunk IHDR/);
+  assert.throws(() => writeITXt(flipped, "openbadgecredential", "{}"), /Bad CRC/);
+});
@@ -0,0 +1,116 @@
+// Daily quota reservations against a stubbed contract and an in-memory
+// QuotaCounter collection. The "quota" lock is a plain in-process mutex here.
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { stubModules } = require("./helpers/stubModules");
+
+const SIGNER = "0x5555555555555555555555555555555555555555";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TODAY = 20635; // 2026-07-01
+
+const chain = { limit: 10, usedToday: 4, day: TODAY };
+const counters = new Map(); // "issuer:day" -> { issuer, day, inFlight }
+
+const QuotaCounter = {
+  findOne({ issuer, day }) {
+    const doc = counters.get(`${issuer}:${day}`) || null;
+    const chain = {
+      select: () => chain,
+      lean: async () => doc && { ...doc },
+    };
+    return chain;
+  },
+  async updateOne({ issuer, day }, update) {
+    const key = `${issuer}:${day}`;
+    const doc = counters.get(key) || { issuer, day, inFlight: 0 };
+    doc.inFlight += update.$inc.inFlight;
+    counters.set(key, doc);
+  },
+};
+
+let mutex = Promise.resolve();
+const locksTaken = [];
+stubModules({
+  "src/models/QuotaCounter": QuotaCounter,
+  "src/services/lockService": {
+    withLock(name, fn) {
+      locksTaken.push(name);
+      const run = mutex.then(fn, fn);
+      mutex = run.catch(() => {});
+      return run;
+    },
+  },
+  "src/services/blockchainService": {
+    async getDailyQuota() {
+      // An RPC round trip, so concurrent callers interleave
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return {
+        issuer: SIGNER,
+        limit: chain.limit,
+        usedToday: chain.usedToday,
+        remaining: Math.max(0, chain.limit - chain.usedToday),
+        resetsAt: new Date((chain.day + 1) * DAY_MS),
+      };
+    },
+  },
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const quotaService = require("../src/services/quotaService");
+
+beforeEach(() => {
+  Object.assign(chain, { limit: 10, usedToday: 4, day: TODAY });
+  counters.clear();
+  locksTaken.length = 0;
+});
+
+test("concurrent reservations never grant more than the chain has left", async () => {
+  const [first, second, third] = await Promise.all([
+    quotaService.reserve(4),
+    quotaService.reserve(4),
+    quotaService.reserve(4),
+  ]);
+
+  assert.deepEqual([first.granted, second.granted, third.granted], [4, 2, 0]);
+  assert.equal(counters.get(`${SIGNER}:${TODAY}`).inFlight, 6);
+  assert.deepEqual(locksTaken, ["quota", "quota", "quota"]);
+  assert.equal(second.quota.remaining, 2, "the snapshot is taken before the grant");
+});
+
+test("the quota is labelled platform-wide and excludes slots in flight", async () => {
+  await quotaService.reserve(5);
+  const quota = await quotaService.getQuota();
+
+  assert.equal(quota.scope, "platform");
+  assert.match(quota.note, /every institution/);
+  assert.equal(quota.usedToday, 4);
+  assert.equal(quota.inFlight, 5);
+  assert.equal(quota.remaining, 1);
+});
+
+test("released slots are free again, and mined ones move to the chain's count", async () => {
+  const reservation = await quotaService.reserve(6);
+  assert.equal((await quotaService.getQuota()).remaining, 0);
+
+  // Two txs mined, the other four never sent
+  chain.usedToday += 2;
+  await quotaService.release(reservation, reservation.granted);
+
+  const quota = await quotaService.getQuota();
+  assert.equal(quota.inFlight, 0);
+  assert.equal(quota.remaining, 4);
+  assert.equal((await quotaService.reserve(9)).granted, 4);
+});
+
+test("each quota day has its own counter", async () => {
+  const yesterday = await quotaService.reserve(6);
+  chain.day = TODAY + 1;
+  chain.usedToday = 0;
+
+  assert.equal((await quotaService.reserve(10)).granted, 10);
+  await quotaService.release(yesterday, yesterday.granted);
+  assert.equal(counters.get(`${SIGNER}:${TODAY}`).inFlight, 0);
+  assert.equal(counters.get(`${SIGNER}:${TODAY + 1}`).inFlight, 10);
+});
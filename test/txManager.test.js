@@ -0,0 +1,241 @@
+// Transaction manager against an in-memory node with a mempool that can drop
+// transactions. MongoDB is not connected, so records stay in memory.
+
+process.env.TX_POLL_INTERVAL_MS = "500";
+process.env.TX_MAX_REPLACEMENTS = "0";
+process.env.TX_WAIT_TIMEOUT_MS = "2500";
+process.env.TX_MAX_FEE_GWEI = "5";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const txManager = require("../src/services/txManager");
+
+const GWEI = 1000000000n;
+
+// Mines only what it is told to, and loses its mempool on drop(). A tx with
+// the nonce of one already pending replaces it.
+function fakeNode() {
+  const mempool = new Map(); // hash -> Transaction
+  const receipts = new Map();
+  const broadcasts = [];
+  let mined = 0;
+  let block = 1;
+
+  return {
+    mempool,
+    broadcasts,
+    async getNetwork() {
+      return { chainId: 31337n };
+    },
+    async getBlock() {
+      return { number: block, baseFeePerGas: GWEI };
+    },
+    async getFeeData() {
+      return { maxPriorityFeePerGas: GWEI, gasPrice: 2n * GWEI };
+    },
+    async getTransactionCount(from, tag) {
+      return tag === "pending" ? mined + mempool.size : mined;
+    },
+    async broadcastTransaction(raw) {
+      const tx = ethers.Transaction.from(raw);
+      if (tx.nonce < mined) throw ethers.makeError("nonce too low", "NONCE_EXPIRED", { transaction: tx });
+      for (const [hash, pending] of mempool) {
+        if (pending.nonce === tx.nonce) mempool.delete(hash);
+      }
+      mempool.set(tx.hash, tx);
+      broadcasts.push(tx);
+      return { hash: tx.hash };
+    },
+    async getTransaction(hash) {
+      return mempool.get(hash) || null;
+    },
+    async getTransactionReceipt(hash) {
+      return receipts.get(hash) || null;
+    },
+    async waitForTransaction() {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return null;
+    },
+    drop() {
+      mempool.clear();
+    },
+    // Mine pending txs in nonce order, stopping at the first gap
+    mine(status = 1) {
+      for (const tx of [...mempool.values()].sort((a, b) => a.nonce - b.nonce)) {
+        if (tx.nonce !== mined) break;
+        mempool.delete(tx.hash);
+        receipts.set(tx.hash, { hash: tx.hash, status, blockNumber: ++block, gasUsed: 21000n });
+        mined++;
+      }
+    },
+  };
+}
+
+function until(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() > deadline) return reject(new Error("condition not met in time"));
+      setTimeout(check, 20);
+    };
+    check();
+  });
+}
+
+const events = []; // { label, type } for every lifecycle event
+
+function send(signer, label) {
+  return txManager.sendTransaction(
+    signer,
+    { to: ethers.Wallet.createRandom().address, data: "0x", gasLimit: 50000n, purpose: "test", label },
+    { onEvent: (event) => events.push({ label, type: event.type }) }
+  );
+}
+
+test("a tx dropped after its replacements are used up is broadcast again, unblocking later nonces", async () => {
+  const node = fakeNode();
+  const signer = ethers.Wallet.createRandom().connect(node);
+
+  const first = send(signer, "first");
+  await until(() => node.mempool.size === 1);
+  const second = send(signer, "second");
+  await until(() => node.mempool.size === 2);
+  const [original] = node.broadcasts;
+
+  // The node forgets both; with TX_MAX_REPLACEMENTS=0 no speed-up may be sent
+  node.drop();
+  await until(() => node.mempool.size === 2);
+  assert.ok(node.mempool.has(original.hash), "the same signed tx is sent again");
+  assert.ok(events.some((e) => e.label === "first" && e.type === "rebroadcast"));
+
+  node.mine();
+  const results = await Promise.all([first, second]);
+  assert.deepEqual(results.map((r) => r.nonce), [0, 1]);
+  assert.equal(results[0].txHash, original.hash);
+});
+
+test("the caller stops waiting after TX_WAIT_TIMEOUT_MS while the tx is still watched", async () => {
+  const node = fakeNode();
+  const signer = ethers.Wallet.createRandom().connect(node);
+
+  const started = Date.now();
+  await assert.rejects(send(signer, "slow"), (err) => {
+    assert.equal(err.txStatus, "pending");
+    assert.ok(err.txHash);
+    return true;
+  });
+  assert.ok(Date.now() - started >= 2500);
+
+  // Still watched: once mined, it is confirmed and the watcher exits
+  const [tx] = await txManager.listTransactions({ status: "pending" });
+  assert.equal(tx.label, "slow");
+  node.mine();
+  await until(() => events.some((e) => e.label === "slow" && e.type === "confirmed"));
+});
+
+async function pendingTx(label) {
+  const txs = await txManager.listTransactions({ status: "pending" });
+  return txs.find((tx) => tx.label === label);
+}
+
+test("a speed-up re-sends the same nonce with bumped fees, and the replacement is what gets mined", async () => {
+  const node = fakeNode();
+  const signer = ethers.Wallet.createRandom().connect(node);
+
+  const sent = send(signer, "speedup");
+  await until(() => node.mempool.size === 1);
+  const { txId } = await pendingTx("speedup");
+  await txManager.speedUpTransaction(txId);
+
+  const [original, replacement] = node.broadcasts;
+  assert.equal(replacement.nonce, original.nonce);
+  assert.equal(replacement.maxFeePerGas, (original.maxFeePerGas * 115n + 99n) / 100n);
+  assert.equal(replacement.maxPriorityFeePerGas, (original.maxPriorityFeePerGas * 115n + 99n) / 100n);
+  assert.ok(events.some((e) => e.label === "speedup" && e.type === "replaced"));
+
+  node.mine();
+  const result = await sent;
+  assert.equal(result.txHash, replacement.hash);
+  assert.equal(result.attempts, 2);
+});
+
+test("a cancelled tx is replaced by a self-transfer and the caller gets an error", async () => {
+  const node = fakeNode();
+  const signer = ethers.Wallet.createRandom().connect(node);
+
+  const sent = send(signer, "cancel");
+  await until(() => node.mempool.size === 1);
+  await txManager.cancelTransaction((await pendingTx("cancel")).txId);
+
+  const cancel = node.broadcasts.at(-1);
+  assert.equal(cancel.to, signer.address);
+  assert.equal(cancel.data, "0x");
+  assert.equal(cancel.nonce, node.broadcasts[0].nonce);
+
+  node.mine();
+  await assert.rejects(sent, (err) => {
+    assert.equal(err.txStatus, "cancelled");
+    assert.equal(err.txHash, cancel.hash);
+    return true;
+  });
+});
+
+test("replacements stop once the next bump would pass TX_MAX_FEE_GWEI", async () => {
+  const node = fakeNode();
+  const signer = ethers.Wallet.createRandom().connect(node);
+  const cap = 5n * GWEI;
+
+  const sent = send(signer, "capped");
+  await until(() => node.mempool.size === 1);
+  const { txId } = await pendingTx("capped");
+
+  // 3 gwei → 3.45 → 3.97 → 4.56; the next bump (5.25) is over the cap
+  for (let n = 0; n < 3; n++) await txManager.speedUpTransaction(txId);
+  await assert.rejects(txManager.speedUpTransaction(txId), /fee cap reached/);
+  await assert.rejects(txManager.cancelTransaction(txId), /fee cap reached/);
+
+  assert.equal(node.broadcasts.length, 4);
+  assert.ok(node.broadcasts.every((tx) => tx.maxFeePerGas <= cap));
+  assert.equal(events.filter((e) => e.label === "capped" && e.type === "stuck").length, 1, "reported once");
+
+  node.mine();
+  assert.equal((await sent).attempts, 4);
+});
+
+test("a tx that reverts on-chain is reported as failed", async () => {
+  const node = fakeNode();
+  const signer = ethers.Wallet.createRandom().connect(node);
+
+  const sent = send(signer, "reverted");
+  await until(() => node.mempool.size === 1);
+  node.mine(0);
+  await assert.rejects(sent, (err) => {
+    assert.equal(err.txStatus, "failed");
+    assert.match(err.message, /reverted on-chain/);
+    return true;
+  });
+});
+
+test("fee quotes follow the base fee and are capped", async () => {
+  const provider = (baseFeePerGas) => ({
+    getBlock: async () => ({ number: 1, baseFeePerGas }),
+    getFeeData: async () => ({ maxPriorityFeePerGas: GWEI, gasPrice: 2n * GWEI }),
+  });
+
+  assert.deepEqual(await txManager.quoteFees(provider(GWEI)), {
+    type: "eip1559",
+    expectedFeePerGas: 2n * GWEI,
+    maxFeePerGas: 3n * GWEI,
+    gasLimitBufferPercent: 120,
+  });
+  const spike = await txManager.quoteFees(provider(10n * GWEI));
+  assert.equal(spike.maxFeePerGas, 5n * GWEI);
+  assert.equal(spike.expectedFeePerGas, 5n * GWEI);
+
+  const legacy = await txManager.quoteFees(provider(null));
+  assert.equal(legacy.type, "legacy");
+  assert.equal(legacy.maxFeePerGas, 2n * GWEI);
+});
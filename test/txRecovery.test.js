@@ -0,0 +1,151 @@
+// Recovery of pending txs across processes, against an in-memory
+// ManagedTransaction collection. Records carry the watcher's "host:pid" and
+// the time it last renewed its lease.
+
+process.env.TX_POLL_INTERVAL_MS = "500";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const { stubModules } = require("./helpers/stubModules");
+
+const HOLDER = "this-host:100";
+
+// ── In-memory collection ────────────────────────────────────────────────────
+
+const records = [];
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (key === "$or") return value.some((branch) => matches(doc, branch));
+    if (value === null) return doc[key] == null;
+    if (value.$lt) return doc[key] != null && doc[key] < value.$lt;
+    if (value.$nin) return !value.$nin.includes(doc[key] ?? null);
+    return doc[key] === value;
+  });
+}
+
+const ManagedTransaction = {
+  find(filter) {
+    const found = records.filter((doc) => matches(doc, filter)).sort((a, b) => a.nonce - b.nonce);
+    const chain = {
+      sort: () => chain,
+      lean: async () => found.map((doc) => structuredClone(doc)),
+    };
+    return chain;
+  },
+  async exists(filter) {
+    return records.some((doc) => matches(doc, filter)) ? { _id: 1 } : null;
+  },
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const doc = records.find((candidate) => matches(candidate, filter));
+    if (doc) {
+      Object.assign(doc, structuredClone(update.$set));
+      return { matchedCount: 1, modifiedCount: 1 };
+    }
+    if (upsert) records.push(structuredClone(update.$set));
+    return { matchedCount: 0, modifiedCount: 0 };
+  },
+};
+
+const locksTaken = [];
+stubModules({
+  "src/models/ManagedTransaction": ManagedTransaction,
+  "src/services/lockService": {
+    HOLDER,
+    async withLock(name, fn) {
+      locksTaken.push(name);
+      return fn();
+    },
+  },
+});
+Object.defineProperty(mongoose.connection, "readyState", { get: () => 1 });
+
+const txManager = require("../src/services/txManager");
+
+// ── Chain ───────────────────────────────────────────────────────────────────
+
+const receipts = new Map();
+const provider = {
+  async getNetwork() {
+    return { chainId: 31337n };
+  },
+  async getTransactionReceipt(hash) {
+    return receipts.get(hash) || null;
+  },
+  async waitForTransaction() {
+    return null;
+  },
+  async getTransactionCount() {
+    return 0;
+  },
+  async getTransaction() {
+    return null;
+  },
+};
+const signer = ethers.Wallet.createRandom().connect(provider);
+
+function pendingRecord(txId, nonce, { watcher, watchedAgoMs, sent = true }) {
+  return {
+    txId,
+    from: signer.address.toLowerCase(),
+    chainId: 31337,
+    nonce,
+    to: ethers.ZeroAddress,
+    data: "0x",
+    gasLimit: "50000",
+    purpose: "test",
+    label: txId,
+    status: "pending",
+    attempts: sent
+      ? [{ hash: ethers.id(txId), kind: "original", maxFeePerGas: "2", maxPriorityFeePerGas: "1", sentAt: new Date() }]
+      : [],
+    txHash: null,
+    blockNumber: null,
+    gasUsed: null,
+    error: "",
+    finalizedAt: null,
+    watcher,
+    watchedAt: watchedAgoMs == null ? null : new Date(Date.now() - watchedAgoMs),
+  };
+}
+
+const byId = (txId) => records.find((doc) => doc.txId === txId);
+
+test("only txs whose watcher's lease ran out are taken over", async () => {
+  records.push(
+    pendingRecord("live", 0, { watcher: "worker-host:7", watchedAgoMs: 5000 }),
+    pendingRecord("orphaned", 1, { watcher: "worker-host:8", watchedAgoMs: 5 * 60000 }),
+    pendingRecord("legacy", 2, { watcher: undefined, watchedAgoMs: null }),
+    pendingRecord("reserving", 3, { watcher: "worker-host:7", watchedAgoMs: 1000, sent: false }),
+    pendingRecord("abandoned", 4, { watcher: "worker-host:8", watchedAgoMs: 5 * 60000, sent: false })
+  );
+
+  const recovered = await txManager.recoverPending(signer);
+
+  assert.equal(recovered, 2);
+  assert.deepEqual(locksTaken, ["tx-recovery"]);
+  assert.equal(txManager.isTracked("live"), false);
+  assert.equal(byId("live").watcher, "worker-host:7");
+  assert.equal(txManager.isTracked("orphaned"), true);
+  assert.equal(byId("orphaned").watcher, HOLDER);
+  assert.equal(txManager.isTracked("legacy"), true);
+  assert.equal(byId("reserving").status, "pending", "a live process may still broadcast it");
+  assert.equal(byId("abandoned").status, "dropped");
+
+  // A second pass finds nothing new: this process now holds the leases
+  assert.equal(await txManager.recoverPending(signer), 0);
+
+  // Recovered txs are watched to the end
+  for (const txId of ["orphaned", "legacy"]) {
+    receipts.set(ethers.id(txId), { status: 1, blockNumber: 9, gasUsed: 21000n });
+  }
+  await new Promise((resolve) => {
+    const check = () => (txManager.isTracked("orphaned") || txManager.isTracked("legacy") ? setTimeout(check, 20) : resolve());
+    check();
+  });
+  assert.equal(byId("orphaned").status, "confirmed");
+  assert.equal(byId("legacy").status, "confirmed");
+  assert.equal(byId("live").status, "pending");
+});